@@ -1,10 +1,22 @@
 // Background service worker for AI Virtual Try-On extension
 
 // Import required modules for virtual try-on functionality (order matters)
+importScripts('lib/vault.js');
 importScripts('lib/storage-manager.js');
 importScripts('lib/image-processor.js');
+importScripts('lib/size-recommender.js');
+importScripts('lib/api-recorder.js');
+importScripts('lib/request-scheduler.js');
+importScripts('lib/prompt-templates.js');
+importScripts('lib/ai-provider.js');
+importScripts('lib/response-validator.js');
+importScripts('lib/providers/gemini-provider.js');
+importScripts('lib/providers/openai-provider.js');
+importScripts('lib/providers/local-http-provider.js');
 importScripts('lib/gemini-integration.js');
+importScripts('lib/result-cache.js');
 importScripts('lib/tryon-generator.js');
+importScripts('lib/tryon-jobs.js');
 
 // Extension installation and setup
 chrome.runtime.onInstalled.addListener((details) => {
@@ -15,6 +27,52 @@ chrome.runtime.onInstalled.addListener((details) => {
   }
 });
 
+// The passphrase vault locks again when the machine goes idle
+Vault.watchIdle();
+
+// Let open extension pages show the AI request queue
+RequestScheduler.shared.onChange((state) => {
+  chrome.runtime.sendMessage({ action: 'requestQueueUpdated', state: state }).catch(() => {
+    // No page is listening
+  });
+});
+
+// One IndexedDB connection for the worker, shared by the job manager and the
+// refinement/version handlers
+const storageManager = new StorageManager();
+
+// Try-ons started over a 'tryon-jobs' port run as cancellable jobs with progress
+// events. Jobs are stored in IndexedDB so they survive the worker being stopped.
+const tryOnJobs = new TryOnJobManager({ store: storageManager });
+tryOnJobs.register('processImage', (request, job) => new Promise((resolve) => {
+  handleImageProcessing(request, null, resolve, job);
+}));
+tryOnJobs.register('generateTryOn', (request, job) => new Promise((resolve) => {
+  handleTryOnGeneration(request, null, resolve, job);
+}));
+
+// Resume or fail jobs a stopped worker left unfinished
+tryOnJobs.restore();
+
+chrome.runtime.onConnect.addListener((port) => {
+  tryOnJobs.handlePort(port);
+});
+
+// The keepalive alarm wakes a stopped worker while jobs are pending
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === TryOnJobManager.KEEPALIVE_ALARM) {
+    tryOnJobs.restore();
+  }
+});
+
+// Job notifications open the history page
+chrome.notifications.onClicked.addListener((notificationId) => {
+  if (notificationId.startsWith(TryOnJobManager.NOTIFICATION_PREFIX)) {
+    chrome.tabs.create({ url: chrome.runtime.getURL('history/history.html') });
+    chrome.notifications.clear(notificationId);
+  }
+});
+
 // Handle messages from content scripts and popup
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   switch (request.action) {
@@ -38,6 +96,29 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       handleImageRefinement(request, sender, sendResponse);
       return true;
 
+    case 'getTryOnVersions':
+      handleGetTryOnVersions(request, sender, sendResponse);
+      return true;
+
+    case 'selectTryOnVersion':
+      handleSelectTryOnVersion(request, sender, sendResponse);
+      return true;
+
+    case 'getTryOnJobs':
+      // Include jobs restored from before a restart
+      tryOnJobs.restoring.then(() => {
+        sendResponse({ success: true, jobs: tryOnJobs.getJobs() });
+      });
+      return true;
+
+    case 'cancelTryOnJob':
+      sendResponse({ success: tryOnJobs.cancel(request.jobId) });
+      return false;
+
+    case 'getRequestQueueState':
+      sendResponse({ success: true, state: RequestScheduler.shared.getState() });
+      return false;
+
     default:
       console.log('Unknown action:', request.action);
   }
@@ -65,21 +146,39 @@ async function handleScreenshotCapture(request, sender, sendResponse) {
   }
 }
 
-// Image processing coordination
-async function handleImageProcessing(request, sender, sendResponse) {
+// Image processing coordination. `job` is set when this runs as a try-on
+// job (see TryOnJobManager) and carries its abort signal and progress reporter.
+async function handleImageProcessing(request, sender, sendResponse, job = null) {
   try {
     console.log('🔍 Starting image processing...', request.options);
 
     // First, detect clothing items
-    const detectionResult = await processImageWithAI(request.imageData, request.options);
+    job?.progress('detecting');
+    const detectionResult = await processImageWithAI(request.imageData, { ...request.options, signal: job?.signal });
+    if (job?.signal.aborted) {
+      throw new Error('Try-on cancelled');
+    }
+
+    // Convert detection results to clothing items, each cropped to its boundingBox
+    const detectedItems = detectionResult.aiData?.items || detectionResult.mockData?.items || [];
+    console.log('🔍 Converting detected items for try-on:', {
+      hasAIData: !!detectionResult.aiData,
+      hasMockData: !!detectionResult.mockData,
+      itemsCount: detectedItems.length,
+      detectionType: detectionResult.type
+    });
+
+    const clothingItems = selectClothingItems(
+      await buildClothingItems(detectedItems, request.imageData, request.options),
+      request.options?.selectedItems
+    );
 
     // Check if we should proceed to virtual try-on
     const shouldTryOn = request.options?.autoTryOn !== false &&
                        (detectionResult.type === 'clothing_detection' || 
                         detectionResult.type === 'clothing_detected_ai' ||
                         detectionResult.type?.includes('clothing_detected')) &&
-                       (detectionResult.aiData?.items?.length > 0 || 
-                        detectionResult.mockData?.items?.length > 0);
+                       clothingItems.length > 0;
 
     console.log('🔍 Try-on decision:', {
       autoTryOn: request.options?.autoTryOn,
@@ -89,6 +188,21 @@ async function handleImageProcessing(request, sender, sendResponse) {
       shouldTryOn: shouldTryOn
     });
 
+    // Let the caller choose when several garments were detected
+    if (shouldTryOn && request.options?.pickItems && clothingItems.length > 1 && !request.options?.selectedItems?.length) {
+      console.log('🧺 Multiple items detected, waiting for user selection');
+      sendResponse({
+        success: true,
+        result: {
+          ...detectionResult,
+          clothingItems: clothingItems,
+          selectionRequired: true,
+          message: `Found ${clothingItems.length} items. Choose which to try on.`
+        }
+      });
+      return;
+    }
+
     if (shouldTryOn) {
       console.log('🎯 Proceeding to virtual try-on generation...');
 
@@ -111,37 +225,27 @@ async function handleImageProcessing(request, sender, sendResponse) {
             success: true,
             result: {
               ...detectionResult,
+              clothingItems: clothingItems,
               message: detectionResult.message + ' (Add photos in Settings to enable virtual try-on)'
             }
           });
           return;
         }
 
-        // Convert detection results to clothing items for try-on
-        const detectedItems = detectionResult.aiData?.items || detectionResult.mockData?.items || [];
-        console.log('🔍 Converting detected items for try-on:', {
-          hasAIData: !!detectionResult.aiData,
-          hasMockData: !!detectionResult.mockData,
-          itemsCount: detectedItems.length,
-          detectionType: detectionResult.type
-        });
-        
-        const clothingItems = detectedItems.map(item => ({
-          category: item.category || 'clothing',
-          description: item.description || item.name,
-          confidence: item.confidence,
-          data: request.imageData.url || request.imageData.dataUrl || request.imageData.base64,
-          source: request.options.source || 'web',
-          url: request.imageData.url
-        }));
-
-        // Generate try-on for the first detected item
-        const tryOnResult = await tryOnGenerator.generateTryOn(bestPhoto.id, clothingItems[0], {
+        // Outfit mode tries every detected garment on at once; otherwise the first item
+        const outfitMode = request.options?.outfit === true && clothingItems.length > 1;
+        const tryOnOptions = {
           saveResult: true,
           createThumbnail: true,
           source: request.options.source || 'auto_tryon',
-          skipSafetyValidation: true // Skip to reduce API calls - Gemini handles safety internally
-        });
+          skipSafetyValidation: true, // Skip to reduce API calls - Gemini handles safety internally
+          forceRegenerate: request.options?.forceRegenerate === true,
+          signal: job?.signal,
+          onProgress: job?.progress
+        };
+        const tryOnResult = outfitMode
+          ? await tryOnGenerator.generateOutfitTryOn(bestPhoto.id, clothingItems, tryOnOptions)
+          : await tryOnGenerator.generateTryOn(bestPhoto.id, clothingItems[0], tryOnOptions);
 
         if (tryOnResult.success) {
           console.log('✅ Virtual try-on generated successfully!');
@@ -151,35 +255,54 @@ async function handleImageProcessing(request, sender, sendResponse) {
             success: true,
             result: {
               type: 'virtual_tryon_complete',
-              message: `Virtual try-on generated! Found ${clothingItems.length} item(s) and created try-on result.`,
+              message: outfitMode
+                ? `Outfit try-on generated! Combined ${tryOnResult.result.outfitItems?.length || clothingItems.length} item(s) into one result.`
+                : `Virtual try-on generated! Found ${clothingItems.length} item(s) and created try-on result.`,
               detectionData: detectionResult,
               tryOnData: {
                 id: tryOnResult.result.id,
+                savedId: tryOnResult.result.savedId || null,
                 description: tryOnResult.result.description,
                 recommendations: tryOnResult.result.recommendations,
                 confidence: tryOnResult.result.confidence,
                 thumbnail: tryOnResult.result.thumbnail,
-                processingMethod: tryOnResult.result.processingMethod
+                processingMethod: tryOnResult.result.processingMethod,
+                fromCache: tryOnResult.result.fromCache || false,
+                hasGeneratedImage: tryOnResult.result.hasGeneratedImage || false,
+                outfitItems: tryOnResult.result.outfitItems || null,
+                sizeRecommendation: tryOnResult.result.sizeRecommendation || null
               },
               clothingItems: clothingItems,
               userPhotoId: bestPhoto.id
             }
           });
           return;
-        } else {
-          console.log('⚠️ Try-on generation failed, returning detection only');
         }
 
+        throw new Error(tryOnResult.error || 'Try-on generation failed');
+
       } catch (tryOnError) {
+        // Report the failure; the detection is kept for callers that can show it
         console.error('Try-on generation failed:', tryOnError);
-        // Continue with detection-only result
+        sendResponse({
+          success: false,
+          error: tryOnError.message,
+          result: {
+            ...detectionResult,
+            clothingItems: clothingItems
+          }
+        });
+        return;
       }
     }
 
-    // Return detection-only result
+    // Return detection-only result; clothingItems carries the crops to pick from
     sendResponse({
       success: true,
-      result: detectionResult
+      result: {
+        ...detectionResult,
+        clothingItems: clothingItems
+      }
     });
 
   } catch (error) {
@@ -191,6 +314,55 @@ async function handleImageProcessing(request, sender, sendResponse) {
   }
 }
 
+// Build try-on clothing items from detected items. Items with a boundingBox are
+// cropped out of the source image so only the garment is sent to try-on; the
+// whole image is used when there is no box or cropping fails.
+async function buildClothingItems(detectedItems, imageData, options = {}) {
+  if (detectedItems.length === 0) {
+    return [];
+  }
+
+  // Detection has usually resolved the page image already, so this reuses its data URL
+  let sourceImage = imageData.dataUrl || imageData.url || imageData.base64;
+  let crops = [];
+
+  try {
+    const image = await resolveImageInput(imageData);
+    sourceImage = image.dataUrl;
+    if (detectedItems.some(item => item.boundingBox)) {
+      crops = await new ImageProcessor().cropDetectedItems(image.dataUrl, detectedItems);
+    }
+  } catch (error) {
+    console.warn('⚠️ Could not crop detected items, using the full image:', error.message);
+  }
+
+  return detectedItems.map((item, index) => ({
+    index: index,
+    category: item.category || 'clothing',
+    type: item.type,
+    color: item.color,
+    description: item.description || item.name,
+    confidence: item.confidence,
+    data: crops[index]?.dataUrl || sourceImage,
+    cropped: !!crops[index],
+    cropArea: crops[index]?.cropArea || null,
+    source: options.source || 'web',
+    url: imageData.url,
+    // Page-level product metadata from the content script (JSON-LD, microdata, meta tags)
+    title: imageData.product?.name || null,
+    product: imageData.product || null,
+    sizeCharts: imageData.sizeCharts || []
+  }));
+}
+
+// Keep only the items the user picked (indices into the detected items)
+function selectClothingItems(clothingItems, selectedItems) {
+  if (!Array.isArray(selectedItems) || selectedItems.length === 0) {
+    return clothingItems;
+  }
+  return clothingItems.filter(item => selectedItems.includes(item.index));
+}
+
 // User data management
 async function handleUserDataSave(request, sender, sendResponse) {
   try {
@@ -218,20 +390,20 @@ async function processImageWithAI(imageData, options) {
     const { type, source } = options;
 
     if (type === 'clothing_detection') {
-      // Get API key from storage
+      // Get the AI provider configured on the profile
       const result = await chrome.storage.local.get(['userProfile']);
-      const apiKey = result.userProfile?.apiKey;
+      const providerConfig = AIProvider.getProfileConfig(await Vault.openProfile(result.userProfile));
 
-      // Check if API key is available
-      if (!apiKey || apiKey.length <= 10) {
-        console.warn('No API key found, using fallback mock response');
+      // Check if the provider is configured
+      if (!AIProvider.create(providerConfig).isConfigured()) {
+        console.warn('No AI provider configured, using fallback mock response');
         return getFallbackMockResponse(source);
       }
 
       try {
-        // Process image with real Gemini AI using direct API call
-        console.log('Sending image to Gemini for analysis...');
-        const aiResult = await callGeminiAPI(imageData, options, apiKey);
+        // Process image with the configured AI provider
+        console.log(`Sending image to ${providerConfig.type} provider for analysis...`);
+        const aiResult = await callAIProvider(imageData, options, providerConfig);
 
         if (aiResult.success && aiResult.items && aiResult.items.length > 0) {
           return {
@@ -243,7 +415,7 @@ async function processImageWithAI(imageData, options) {
               metadata: aiResult.metadata,
               source: source,
               timestamp: Date.now(),
-              processingMethod: 'gemini-ai'
+              processingMethod: `${providerConfig.type}-ai`
             },
             rawResponse: aiResult.rawResponse
           };
@@ -257,14 +429,18 @@ async function processImageWithAI(imageData, options) {
               metadata: aiResult.metadata || {},
               source: source,
               timestamp: Date.now(),
-              processingMethod: 'gemini-ai'
+              processingMethod: `${providerConfig.type}-ai`
             },
             rawResponse: aiResult.rawResponse
           };
         }
 
       } catch (aiError) {
-        console.error('Gemini AI processing failed:', aiError);
+        // A cancelled job must not fall back to mock detection
+        if (options.signal?.aborted) {
+          throw aiError;
+        }
+        console.error('AI provider processing failed:', aiError);
 
         // Fallback to mock response if AI fails
         console.log('Falling back to mock response due to AI error');
@@ -303,39 +479,49 @@ async function processImageWithAI(imageData, options) {
   }
 }
 
-// Direct Gemini API call for service worker compatibility
-async function callGeminiAPI(imageData, options, apiKey) {
-  const { source } = options;
-
-  // Build the prompt for clothing detection
-  const prompt = `Analyze this image and detect clothing items. Please provide a detailed analysis in JSON format with the following structure:
-
-{
-  "items": [
-    {
-      "category": "tops|bottoms|dresses|shoes|accessories",
-      "type": "specific item type (e.g., t-shirt, jeans, sneakers)",
-      "color": "primary color",
-      "style": "style description",
-      "confidence": 0.0-1.0,
-      "boundingBox": {"x": 0, "y": 0, "width": 0, "height": 0},
-      "features": ["list", "of", "notable", "features"]
-    }
-  ],
-  "background": "background description",
-  "lighting": "lighting conditions",
-  "quality": "image quality assessment"
+// Clothing detection through the configured AI provider
+async function callAIProvider(imageData, options, providerConfig) {
+  const aiIntegration = new GeminiIntegration();
+  await aiIntegration.ready;
+  aiIntegration.setProvider(providerConfig);
+
+  const image = await resolveImageInput(imageData);
+  const detection = await aiIntegration.detectClothing(image.dataUrl, {
+    ...options,
+    mimeType: image.mimeType
+  });
+
+  if (!detection.success) {
+    throw new Error(`Failed to parse AI response: ${detection.error}`);
+  }
+
+  return detection;
 }
 
-Focus on identifying wearable clothing items that could be virtually tried on.
-Image source: ${source}
-Provide accurate bounding boxes for each detected item and assess the suitability for virtual try-on.`;
+// Resolved page images, keyed by the request's imageData so detection and
+// cropping share one fetch
+const resolvedImageInputs = new WeakMap();
 
-  // Prepare image data for Gemini
-  let imageBase64 = '';
-  let mimeType = 'image/jpeg';
+// Normalize the imageData shapes sent by the content script and popup into a data URL
+function resolveImageInput(imageData) {
+  if (!resolvedImageInputs.has(imageData)) {
+    const pending = loadImageInput(imageData);
+    pending.catch(() => resolvedImageInputs.delete(imageData));
+    resolvedImageInputs.set(imageData, pending);
+  }
+  return resolvedImageInputs.get(imageData);
+}
 
-  if (imageData.url) {
+// Use the data URL the content script already extracted; fetch only plain URLs
+async function loadImageInput(imageData) {
+  if (imageData.dataUrl) {
+    const mimeMatch = imageData.dataUrl.match(/^data:([^;]+);/);
+    return { dataUrl: imageData.dataUrl, mimeType: mimeMatch ? mimeMatch[1] : 'image/jpeg' };
+  } else if (imageData.base64) {
+    const mimeType = imageData.mimeType || 'image/jpeg';
+    const base64 = imageData.base64.replace(/^data:image\/[^;]+;base64,/, '');
+    return { dataUrl: `data:${mimeType};base64,${base64}`, mimeType: mimeType };
+  } else if (imageData.url) {
     // For URL-based images, we need to fetch and convert to base64
     try {
       const response = await fetch(imageData.url);
@@ -351,122 +537,26 @@ Provide accurate bounding boxes for each detected item and assess the suitabilit
       }
 
       // Use FileReader for safe base64 conversion (avoids call stack issues)
-      imageBase64 = await new Promise((resolve, reject) => {
+      const dataUrl = await new Promise((resolve, reject) => {
         const reader = new FileReader();
         reader.onload = () => {
-          try {
-            const result = reader.result;
-            if (typeof result === 'string' && result.includes(',')) {
-              const base64 = result.split(',')[1]; // Remove data:image/...;base64, prefix
-              resolve(base64);
-            } else {
-              reject(new Error('Invalid FileReader result'));
-            }
-          } catch (err) {
-            reject(err);
+          if (typeof reader.result === 'string' && reader.result.includes(',')) {
+            resolve(reader.result);
+          } else {
+            reject(new Error('Invalid FileReader result'));
           }
         };
         reader.onerror = () => reject(new Error('FileReader error'));
         reader.readAsDataURL(blob);
       });
 
-      mimeType = blob.type || 'image/jpeg';
+      return { dataUrl: dataUrl, mimeType: blob.type || 'image/jpeg' };
     } catch (error) {
       throw new Error(`Failed to fetch image: ${error.message}`);
     }
-  } else if (imageData.base64) {
-    imageBase64 = imageData.base64.replace(/^data:image\/[^;]+;base64,/, '');
-    mimeType = imageData.mimeType || 'image/jpeg';
-  } else {
-    throw new Error('No valid image data provided');
-  }
-
-  // Make API call to Gemini 2.5 Flash model (for detection only)
-  const url = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent?key=${apiKey}`;
-
-  const requestBody = {
-    contents: [{
-      parts: [
-        { text: prompt },
-        {
-          inline_data: {
-            mime_type: mimeType,
-            data: imageBase64
-          }
-        }
-      ]
-    }],
-    generationConfig: {
-      temperature: 0.15,
-      topK: 32,
-      topP: 0.8,
-      maxOutputTokens: 4096,
-    },
-    safetySettings: [
-      {
-        category: "HARM_CATEGORY_HARASSMENT",
-        threshold: "BLOCK_MEDIUM_AND_ABOVE"
-      },
-      {
-        category: "HARM_CATEGORY_HATE_SPEECH", 
-        threshold: "BLOCK_MEDIUM_AND_ABOVE"
-      },
-      {
-        category: "HARM_CATEGORY_SEXUALLY_EXPLICIT",
-        threshold: "BLOCK_MEDIUM_AND_ABOVE"
-      },
-      {
-        category: "HARM_CATEGORY_DANGEROUS_CONTENT",
-        threshold: "BLOCK_MEDIUM_AND_ABOVE"
-      }
-    ]
-  };
-
-  const response = await fetch(url, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'User-Agent': 'AI-Virtual-TryOn-Extension/2.5',
-    },
-    body: JSON.stringify(requestBody)
-  });
-
-  if (!response.ok) {
-    const errorData = await response.json().catch(() => ({}));
-    throw new Error(errorData.error?.message || `HTTP ${response.status}: ${response.statusText}`);
   }
 
-  const data = await response.json();
-
-  if (!data.candidates || data.candidates.length === 0) {
-    throw new Error('No response from Gemini API');
-  }
-
-  const responseText = data.candidates[0].content.parts[0].text;
-
-  try {
-    // Parse JSON response
-    const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-    if (!jsonMatch) {
-      throw new Error('No JSON found in response');
-    }
-
-    const parsedResponse = JSON.parse(jsonMatch[0]);
-
-    return {
-      success: true,
-      items: parsedResponse.items || [],
-      metadata: {
-        background: parsedResponse.background,
-        lighting: parsedResponse.lighting,
-        quality: parsedResponse.quality
-      },
-      rawResponse: responseText
-    };
-  } catch (parseError) {
-    console.error('Failed to parse Gemini response:', parseError);
-    throw new Error(`Failed to parse AI response: ${parseError.message}`);
-  }
+  throw new Error('No valid image data provided');
 }
 
 // Fallback mock response when no API key is available
@@ -474,7 +564,7 @@ function getFallbackMockResponse(source) {
   return {
     processed: true,
     type: 'clothing_detected_mock',
-    message: 'Please add your Gemini API key in settings to enable AI analysis. Using mock detection.',
+    message: 'Please configure an AI provider in settings to enable AI analysis. Using mock detection.',
     mockData: {
       items: [{
         category: 'tops',
@@ -506,8 +596,8 @@ chrome.runtime.onInstalled.addListener(() => {
   }
 });
 
-// Handle virtual try-on generation
-async function handleTryOnGeneration(request, sender, sendResponse) {
+// Handle virtual try-on generation; `job` as in handleImageProcessing
+async function handleTryOnGeneration(request, sender, sendResponse, job = null) {
   try {
     console.log('🎯 Starting virtual try-on generation...', request);
 
@@ -520,6 +610,11 @@ async function handleTryOnGeneration(request, sender, sendResponse) {
     // Initialize try-on generator
     const tryOnGenerator = new TryOnGenerator();
 
+    // Ensure the database is initialized before reading photos
+    if (tryOnGenerator.storageManager) {
+      await tryOnGenerator.storageManager.init();
+    }
+
     // If no specific user photo provided, get the best available one
     let photoId = userPhotoId;
     if (!photoId) {
@@ -533,14 +628,20 @@ async function handleTryOnGeneration(request, sender, sendResponse) {
     console.log('📸 Using user photo ID:', photoId);
     console.log('👕 Processing clothing items:', clothingItems.length);
 
-    // Generate try-on for the first clothing item (can be extended for batch processing)
+    // Outfit mode combines every item into one generation; otherwise try on the first item
+    const outfitMode = options.outfit === true && clothingItems.length > 1;
     const clothingItem = clothingItems[0];
-    const tryOnResult = await tryOnGenerator.generateTryOn(photoId, clothingItem, {
+    const tryOnOptions = {
       ...options,
       saveResult: true, // Always save try-on results
       createThumbnail: true,
-      source: 'extension_popup'
-    });
+      source: options.source || 'extension_popup',
+      signal: job?.signal,
+      onProgress: job?.progress
+    };
+    const tryOnResult = outfitMode
+      ? await tryOnGenerator.generateOutfitTryOn(photoId, clothingItems, tryOnOptions)
+      : await tryOnGenerator.generateTryOn(photoId, clothingItem, tryOnOptions);
 
     if (tryOnResult.success) {
       console.log('✅ Try-on generation successful:', tryOnResult.result);
@@ -549,18 +650,24 @@ async function handleTryOnGeneration(request, sender, sendResponse) {
       const formattedResult = {
         type: 'virtual_tryon',
         success: true,
-        message: `Virtual try-on generated successfully!`,
+        message: outfitMode ? 'Outfit try-on generated successfully!' : 'Virtual try-on generated successfully!',
         tryOnData: {
           id: tryOnResult.result.id,
+          savedId: tryOnResult.result.savedId || null,
           description: tryOnResult.result.description,
           recommendations: tryOnResult.result.recommendations,
           confidence: tryOnResult.result.confidence,
           qualityScore: tryOnResult.result.qualityScore,
           thumbnail: tryOnResult.result.thumbnail,
           processingMethod: tryOnResult.result.processingMethod,
-          timestamp: tryOnResult.result.timestamp
+          fromCache: tryOnResult.result.fromCache || false,
+          hasGeneratedImage: tryOnResult.result.hasGeneratedImage || false,
+          timestamp: tryOnResult.result.timestamp,
+          outfitItems: tryOnResult.result.outfitItems || null,
+          sizeRecommendation: tryOnResult.result.sizeRecommendation || null
         },
         clothingItem: clothingItem,
+        clothingItems: outfitMode ? clothingItems : undefined,
         userPhotoId: photoId,
         metadata: tryOnResult.metadata
       };
@@ -580,84 +687,105 @@ async function handleTryOnGeneration(request, sender, sendResponse) {
   }
 }
 
-// Handle image refinement requests
+// Handle image refinement requests. Each turn is stored as a new version in
+// tryOnVersions whose parent is the version it was refined from (the current
+// one, or request.parentVersionId to branch from an earlier version).
 async function handleImageRefinement(request, sender, sendResponse) {
   try {
     console.log('🔧 Handling image refinement request...', request);
 
-    const { tryOnId, refinementPrompt } = request;
+    const { tryOnId, refinementPrompt, parentVersionId, mask } = request;
 
     if (!tryOnId || !refinementPrompt) {
       throw new Error('Missing try-on ID or refinement prompt');
     }
 
-    // Get the stored try-on result
-    const storedResults = await chrome.storage.local.get(['recentTryOns']);
-    const recentTryOns = storedResults.recentTryOns || [];
-    const targetResult = recentTryOns.find(result => result.id === tryOnId);
+    // Get the stored try-on result (tryOnId is the tryOnResults key)
+    await (storageManager.db || storageManager.init());
+    const targetResult = await storageManager.getTryOnResult(Number(tryOnId));
 
     if (!targetResult) {
       throw new Error('Try-on result not found');
     }
 
-    // Get API key
+    if (!targetResult.metadata?.hasGeneratedImage || !targetResult.processedImage) {
+      throw new Error('No generated image found to refine');
+    }
+
+    // Get the configured AI provider
     const profileData = await chrome.storage.local.get(['userProfile']);
-    const apiKey = profileData.userProfile?.apiKey;
+    const geminiIntegration = new GeminiIntegration();
+    await geminiIntegration.ready;
+    geminiIntegration.setProvider(AIProvider.getProfileConfig(await Vault.openProfile(profileData.userProfile)));
 
-    if (!apiKey) {
-      throw new Error('No API key configured');
+    if (!geminiIntegration.isConfigured()) {
+      throw new Error(await Vault.isLocked() ? Vault.LOCKED_MESSAGE : 'No API key configured');
     }
 
-    // Initialize Gemini integration
-    const geminiIntegration = new GeminiIntegration();
-    geminiIntegration.setApiKey(apiKey);
+    // Version to refine from, and the prompts that led to it
+    const currentVersion = await storageManager.ensureRootVersion(targetResult);
+    const versions = await storageManager.getTryOnVersions(targetResult.id);
+    const parentVersion = parentVersionId
+      ? versions.find(version => version.id === Number(parentVersionId))
+      : currentVersion;
 
-    // Refine the image
-    const originalImageData = targetResult.result?.tryOnData?.generatedImage;
-    if (!originalImageData) {
-      throw new Error('No generated image found to refine');
+    if (!parentVersion) {
+      throw new Error('Version to refine from was not found');
     }
 
+    const history = StorageManager.versionPath(versions, parentVersion.id)
+      .map(version => version.prompt)
+      .filter(Boolean);
+
     console.log('🎨 Refining image with prompt:', refinementPrompt);
-    
+
+    // The original photo and garments go along on every turn so the
+    // person and the clothes don't drift over several refinements
     const refinementResult = await geminiIntegration.refineGeneratedImage(
-      originalImageData,
+      await storageManager.resolveImages(parentVersion.image, 'dataUrl'),
       refinementPrompt,
-      { preserveCharacter: true }
+      {
+        preserveCharacter: true,
+        history: history,
+        referenceImages: await getRefinementReferences(storageManager, targetResult),
+        mask: mask || null
+      }
     );
 
     if (refinementResult.success) {
-      // Update the stored result with the refined image
-      const updatedResult = {
-        ...targetResult,
-        result: {
-          ...targetResult.result,
-          tryOnData: {
-            ...targetResult.result.tryOnData,
-            generatedImage: refinementResult.refinedImage,
-            imageUrl: refinementResult.imageUrl,
-            refinements: [
-              ...(targetResult.result.tryOnData.refinements || []),
-              {
-                prompt: refinementPrompt,
-                timestamp: Date.now()
-              }
-            ]
-          }
-        }
-      };
+      const version = await storageManager.saveTryOnVersion({
+        resultId: targetResult.id,
+        parentId: parentVersion.id,
+        prompt: refinementPrompt,
+        image: refinementResult.imageUrl,
+        thumbnail: await createVersionThumbnail(refinementResult.imageUrl),
+        masked: !!mask
+      });
 
-      // Update storage
-      const updatedTryOns = recentTryOns.map(item => 
-        item.id === tryOnId ? updatedResult : item
-      );
-      await chrome.storage.local.set({ recentTryOns: updatedTryOns });
+      // The result shows the newest version; metadata.refinements keeps the prompt log
+      await storageManager.setCurrentTryOnVersion(targetResult.id, version.id);
+      const updatedResult = await storageManager.updateTryOnResult(targetResult.id, {
+        metadata: {
+          ...targetResult.metadata,
+          refinements: [
+            ...(targetResult.metadata.refinements || []),
+            {
+              prompt: refinementPrompt,
+              versionId: version.id,
+              parentVersionId: parentVersion.id,
+              maskMode: refinementResult.maskMode || null,
+              timestamp: version.timestamp
+            }
+          ]
+        }
+      });
 
       console.log('✅ Image refinement successful');
 
       sendResponse({
         success: true,
-        result: updatedResult.result
+        result: await formatRefinedResult(storageManager, updatedResult),
+        ...(await getVersionState(storageManager, updatedResult))
       });
     } else {
       throw new Error(refinementResult.error || 'Refinement failed');
@@ -672,6 +800,116 @@ async function handleImageRefinement(request, sender, sendResponse) {
   }
 }
 
+// List the refinement versions of a result (for the timeline)
+async function handleGetTryOnVersions(request, sender, sendResponse) {
+  try {
+    await (storageManager.db || storageManager.init());
+    const result = await storageManager.getTryOnResult(Number(request.tryOnId));
+
+    if (!result) {
+      throw new Error('Try-on result not found');
+    }
+
+    sendResponse({
+      success: true,
+      result: await formatRefinedResult(storageManager, result),
+      ...(await getVersionState(storageManager, result))
+    });
+  } catch (error) {
+    console.error('❌ Failed to load try-on versions:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// Switch the version a result shows (undo, or picking a timeline entry)
+async function handleSelectTryOnVersion(request, sender, sendResponse) {
+  try {
+    await (storageManager.db || storageManager.init());
+    const result = await storageManager.setCurrentTryOnVersion(Number(request.tryOnId), Number(request.versionId));
+
+    sendResponse({
+      success: true,
+      result: await formatRefinedResult(storageManager, result),
+      ...(await getVersionState(storageManager, result))
+    });
+  } catch (error) {
+    console.error('❌ Failed to select try-on version:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// Original person photo and garment images of a saved result, as data URLs
+async function getRefinementReferences(storageManager, result) {
+  const garments = [];
+  const items = result.outfit?.items || [result.clothingItem || {}];
+
+  for (const item of items) {
+    let image = item.image;
+    if (!image && item.clothingItemId) {
+      const stored = await storageManager.getClothingItem(item.clothingItemId);
+      image = stored?.image;
+    }
+    if (image) {
+      garments.push(image);
+    }
+  }
+
+  return storageManager.resolveImages({ person: result.originalImage || null, garments: garments }, 'dataUrl');
+}
+
+async function createVersionThumbnail(image) {
+  try {
+    const thumbnail = await new ImageProcessor().createThumbnail(image, 150);
+    return typeof thumbnail === 'string' ? thumbnail : thumbnail.dataUrl;
+  } catch (error) {
+    console.warn('⚠️ Failed to create version thumbnail:', error);
+    return image;
+  }
+}
+
+// Versions without full images, plus the branch leading to the current one
+async function getVersionState(storageManager, result) {
+  const versions = await storageManager.getTryOnVersions(result.id);
+  const currentVersionId = result.currentVersionId || null;
+
+  return {
+    currentVersionId: currentVersionId,
+    versions: await storageManager.resolveImages(versions.map(version => ({
+      id: version.id,
+      parentId: version.parentId,
+      prompt: version.prompt,
+      masked: !!version.masked,
+      thumbnail: version.thumbnail,
+      timestamp: version.timestamp
+    })), 'dataUrl'),
+    branch: StorageManager.versionPath(versions, currentVersionId).map(version => version.id)
+  };
+}
+
+// Popup result shape for a stored (possibly refined) result. Messages carry
+// JSON only, so the images go as data URLs.
+async function formatRefinedResult(storageManager, record) {
+  const images = await storageManager.resolveImages({ thumbnail: record.thumbnail, imageUrl: record.processedImage }, 'dataUrl');
+
+  return {
+    type: 'virtual_tryon_complete',
+    message: 'Image refined successfully!',
+    tryOnData: {
+      id: record.id,
+      savedId: record.id,
+      description: record.metadata.description,
+      recommendations: record.metadata.recommendations,
+      confidence: record.metadata.confidence,
+      thumbnail: images.thumbnail,
+      imageUrl: images.imageUrl,
+      hasGeneratedImage: !!record.metadata.hasGeneratedImage,
+      processingMethod: record.metadata.processingMethod,
+      timestamp: record.timestamp,
+      refinements: record.metadata.refinements || []
+    }
+  };
+}
+
 // Handle context menu clicks
 if (chrome.contextMenus && chrome.contextMenus.onClicked) {
   chrome.contextMenus.onClicked.addListener((info, tab) => {
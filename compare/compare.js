@@ -0,0 +1,167 @@
+// Compare page script for AI Virtual Try-On extension
+// Shows 2-4 saved try-on results side by side (compare.html?ids=1,2), with a
+// before/after slider per result and fit, styling and size rows aligned.
+
+class VirtualTryOnCompare {
+  constructor() {
+    this.results = [];
+    this.mode = 'side-by-side';
+    this.init();
+  }
+
+  async init() {
+    // Wait for storage manager to be ready
+    try {
+      await window.storageManagerReady;
+    } catch (error) {
+      console.error('Storage manager failed to initialize:', error);
+      this.showError('Could not open the history database');
+      return;
+    }
+
+    this.setupEventListeners();
+    await this.loadResults(ResultComparison.parseIds(location.search));
+  }
+
+  setupEventListeners() {
+    document.getElementById('mode-tabs').addEventListener('click', (event) => {
+      const tab = event.target.closest('.mode-tab');
+      if (!tab) return;
+
+      document.querySelectorAll('.mode-tab').forEach(button => button.classList.toggle('active', button === tab));
+      this.mode = tab.dataset.mode;
+      document.getElementById('link-sliders-label').classList.toggle('hidden', this.mode !== 'before-after');
+      this.render();
+    });
+
+    const grid = document.getElementById('compare-grid');
+
+    grid.addEventListener('input', (event) => {
+      if (!event.target.matches('.ba-range')) return;
+
+      const ranges = document.getElementById('link-sliders').checked
+        ? grid.querySelectorAll('.ba-range')
+        : [event.target];
+      ranges.forEach(range => {
+        range.value = event.target.value;
+        this.setSliderPosition(range.closest('.ba-slider'), range.value);
+      });
+    });
+
+    grid.addEventListener('click', (event) => {
+      const button = event.target.closest('.remove-btn');
+      if (button) {
+        this.removeResult(Number(button.dataset.id));
+      }
+    });
+  }
+
+  async loadResults(resultIds) {
+    try {
+      ResultComparison.validateCount(resultIds.length);
+
+      const records = await Promise.all(resultIds.map(resultId => window.storageManager.getTryOnResult(resultId)));
+      this.results = await window.storageManager.resolveImages(records.filter(Boolean), 'objectUrl');
+      ResultComparison.validateCount(this.results.length);
+
+      this.render();
+    } catch (error) {
+      console.error('Failed to load comparison:', error);
+      this.showError(error.message);
+    }
+  }
+
+  // Drop a column and keep the URL in sync so reloads show the same set
+  removeResult(resultId) {
+    if (this.results.length <= ResultComparison.MIN_RESULTS) return;
+
+    this.results = this.results.filter(result => result.id !== resultId);
+    history.replaceState(null, '', `?ids=${this.results.map(result => result.id).join(',')}`);
+    this.render();
+  }
+
+  render() {
+    const grid = document.getElementById('compare-grid');
+    const rows = ResultComparison.buildRows(this.results);
+    const columns = this.results.length;
+    grid.style.gridTemplateColumns = `160px repeat(${columns}, minmax(0, 1fr))`;
+
+    let html = '<div class="cell label-cell"></div>';
+    html += this.results.map(result => this.renderHeader(result)).join('');
+
+    html += '<div class="cell label-cell">Image</div>';
+    html += this.results.map(result => `<div class="cell image-cell">${this.renderImage(result)}</div>`).join('');
+
+    let section = null;
+    rows.forEach(row => {
+      if (row.section !== section) {
+        section = row.section;
+        html += `<div class="section-heading" style="grid-column: 1 / span ${columns + 1}">${this.escapeHtml(section)}</div>`;
+      }
+      html += `<div class="cell label-cell">${this.escapeHtml(row.label)}</div>`;
+      html += row.values.map(value => `
+        <div class="cell value-cell${row.differs ? ' differs' : ''}">${value === null ? '<span class="missing">—</span>' : this.escapeHtml(value)}</div>
+      `).join('');
+    });
+
+    grid.innerHTML = html;
+    document.getElementById('compare-summary').textContent =
+      `${columns} results · ${rows.filter(row => row.differs).length} differing attribute(s) highlighted`;
+  }
+
+  renderHeader(result) {
+    const title = StorageManager.tryOnResultTitle(result);
+    const site = StorageManager.tryOnResultSite(result);
+
+    return `
+      <div class="cell header-cell">
+        <h3 title="${this.escapeHtml(title)}">${result.favorite ? '★ ' : ''}${this.escapeHtml(title)}</h3>
+        <p>${new Date(result.timestamp).toLocaleDateString()}${site ? ` · ${this.escapeHtml(site)}` : ''}</p>
+        ${this.results.length > ResultComparison.MIN_RESULTS ? `<button class="remove-btn" data-id="${result.id}" title="Remove from comparison">&times;</button>` : ''}
+      </div>
+    `;
+  }
+
+  renderImage(result) {
+    const image = result.processedImage || result.thumbnail;
+    if (this.mode !== 'before-after' || !result.originalImage) {
+      return image ? `<img class="result-image" src="${this.escapeHtml(image)}" alt="Try-on result">` : '<span class="missing">No image</span>';
+    }
+
+    // Original underneath, result on top clipped from the left at the slider position
+    return `
+      <div class="ba-slider" style="--position: 50%">
+        <img class="ba-before" src="${this.escapeHtml(result.originalImage)}" alt="Original photo">
+        <img class="ba-after" src="${this.escapeHtml(image)}" alt="Try-on result">
+        <div class="ba-divider"></div>
+        <input type="range" class="ba-range" min="0" max="100" value="50" aria-label="Before / after">
+        <span class="ba-label before">Before</span>
+        <span class="ba-label after">After</span>
+      </div>
+    `;
+  }
+
+  setSliderPosition(slider, value) {
+    slider.style.setProperty('--position', `${value}%`);
+  }
+
+  showError(text) {
+    document.getElementById('compare-error-text').textContent = text;
+    document.getElementById('compare-error').classList.remove('hidden');
+    document.getElementById('compare-summary').textContent = 'Nothing to compare';
+  }
+
+  escapeHtml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+}
+
+// Initialize compare page when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  new VirtualTryOnCompare();
+});
@@ -6,6 +6,8 @@ class VirtualTryOnContent {
     this.isSelectionMode = false;
     this.selectionOverlay = null;
     this.selectedElement = null;
+    this.itemPicker = new ItemPicker();
+    this.jobClient = new TryOnJobClient();
     this.init();
   }
 
@@ -161,14 +163,15 @@ class VirtualTryOnContent {
       const imageData = await this.extractImageData(imgElement);
       console.log('Extracted image data:', imageData);
 
-      // Send to background script for AI processing
-      console.log('Sending message to background script...');
-      const response = await chrome.runtime.sendMessage({
+      // Run AI processing as a background job with progress and cancel
+      console.log('Starting try-on job...');
+      const response = await this.runTryOnJob({
         action: 'processImage',
         imageData: imageData,
         options: {
           type: 'clothing_detection',
-          source: 'element_selection'
+          source: 'element_selection',
+          pickItems: true
         }
       });
       console.log('Background script response:', response);
@@ -179,19 +182,22 @@ class VirtualTryOnContent {
       console.log('Received response from background:', response);
 
       if (response && response.success) {
-        console.log('Showing try-on result:', response.result);
-        this.showTryOnResult(response.result);
-
-        // Also send results to popup if it's open
-        try {
-          chrome.runtime.sendMessage({
-            action: 'updatePopupResults',
-            result: response.result
-          });
-        } catch (error) {
-          console.debug('Could not send results to popup (popup may be closed)');
+        const result = await this.resolveItemSelection(response.result, 'element_selection');
+        if (result) {
+          console.log('Showing try-on result:', result);
+          this.showTryOnResult(result);
+
+          // Also send results to popup if it's open
+          try {
+            chrome.runtime.sendMessage({
+              action: 'updatePopupResults',
+              result: result
+            });
+          } catch (error) {
+            console.debug('Could not send results to popup (popup may be closed)');
+          }
         }
-      } else {
+      } else if (!response?.cancelled) {
         console.log('Processing failed:', response);
         this.showError('Failed to process image: ' + (response?.error || 'Unknown error'));
       }
@@ -210,12 +216,13 @@ class VirtualTryOnContent {
     this.showLoadingIndicator('Processing image from URL...');
 
     try {
-      const response = await chrome.runtime.sendMessage({
+      const response = await this.runTryOnJob({
         action: 'processImage',
-        imageData: { url: imageUrl },
+        imageData: { url: imageUrl, ...this.extractPageDetails() },
         options: {
           type: 'clothing_detection',
-          source: 'context_menu'
+          source: 'context_menu',
+          pickItems: true
         }
       });
 
@@ -223,8 +230,11 @@ class VirtualTryOnContent {
       this.hideLoadingIndicator();
 
       if (response.success) {
-        this.showTryOnResult(response.result);
-      } else {
+        const result = await this.resolveItemSelection(response.result, 'context_menu');
+        if (result) {
+          this.showTryOnResult(result);
+        }
+      } else if (!response.cancelled) {
         this.showError('Failed to process image: ' + response.error);
       }
     } catch (error) {
@@ -234,6 +244,31 @@ class VirtualTryOnContent {
     }
   }
 
+  // Show the item picker when several garments were detected and try on the
+  // chosen ones. Returns the result to display, or null if the user cancelled.
+  async resolveItemSelection(result, source) {
+    try {
+      return await this.itemPicker.resolveSelection(result, {
+        source: source,
+        onTryOnStart: (items) => {
+          this.showLoadingIndicator(items.length > 1 ? 'Generating outfit try-on...' : 'Generating try-on...');
+        },
+        runJob: request => this.runTryOnJob(request)
+      });
+    } finally {
+      this.hideLoadingIndicator();
+    }
+  }
+
+  // Run a processImage/generateTryOn request as a background job. The open
+  // loading indicator shows the job's stage and percent and gets a Cancel
+  // button; a cancelled job resolves with { cancelled: true }.
+  async runTryOnJob(request) {
+    return this.jobClient.run(request, {
+      onProgress: job => this.updateLoadingProgress(job)
+    });
+  }
+
   // Extract image data from element
   async extractImageData(imgElement) {
     return new Promise((resolve, reject) => {
@@ -253,7 +288,8 @@ class VirtualTryOnContent {
           dataUrl: dataUrl,
           width: img.naturalWidth,
           height: img.naturalHeight,
-          src: imgElement.src
+          src: imgElement.src,
+          ...this.extractPageDetails()
         });
       };
       
@@ -265,6 +301,38 @@ class VirtualTryOnContent {
     });
   }
 
+  // Product metadata and size charts sent along with the image
+  extractPageDetails() {
+    return {
+      product: this.extractProductMetadata(),
+      sizeCharts: this.extractSizeCharts()
+    };
+  }
+
+  // Size-chart tables on the page, used for size recommendations
+  extractSizeCharts() {
+    try {
+      const charts = SizeRecommender.findSizeCharts(document);
+      console.log('Size charts found:', charts.length);
+      return charts;
+    } catch (error) {
+      console.warn('Could not parse size charts:', error);
+      return [];
+    }
+  }
+
+  // Product name, brand, price, sizes etc. from the page's structured data
+  extractProductMetadata() {
+    try {
+      const product = new ProductMetadataExtractor(document).extract();
+      console.log('Product metadata:', product);
+      return product;
+    } catch (error) {
+      console.warn('Could not extract product metadata:', error);
+      return null;
+    }
+  }
+
   // Capture screenshot of current page
   async captureScreenshot() {
     // Show loading indicator
@@ -277,12 +345,13 @@ class VirtualTryOnContent {
 
       if (response.success) {
         // Process the screenshot for clothing detection
-        const processResponse = await chrome.runtime.sendMessage({
+        const processResponse = await this.runTryOnJob({
           action: 'processImage',
-          imageData: { dataUrl: response.screenshot },
+          imageData: { dataUrl: response.screenshot, ...this.extractPageDetails() },
           options: {
             type: 'clothing_detection',
-            source: 'screenshot'
+            source: 'screenshot',
+            pickItems: true
           }
         });
 
@@ -290,8 +359,11 @@ class VirtualTryOnContent {
         this.hideLoadingIndicator();
 
         if (processResponse.success) {
-          this.showTryOnResult(processResponse.result);
-        } else {
+          const result = await this.resolveItemSelection(processResponse.result, 'screenshot');
+          if (result) {
+            this.showTryOnResult(result);
+          }
+        } else if (!processResponse.cancelled) {
           this.showError('Failed to process screenshot: ' + processResponse.error);
         }
       } else {
@@ -321,9 +393,10 @@ class VirtualTryOnContent {
 
     // Show detailed alert with results
     if (result) {
-      const items = result.aiData?.items || result.mockData?.items || [];
-      const processingMethod = result.aiData?.processingMethod || result.mockData?.processingMethod || 'unknown';
-      const isAI = processingMethod.includes('gemini');
+      const detection = result.detectionData || result;
+      const items = detection.aiData?.items || detection.mockData?.items || [];
+      const processingMethod = detection.aiData?.processingMethod || detection.mockData?.processingMethod || 'unknown';
+      const isAI = processingMethod.endsWith('-ai');
 
       let alertMessage = result.message || 'Processing complete!';
 
@@ -335,6 +408,11 @@ class VirtualTryOnContent {
         });
       }
 
+      const sizeLines = this.describeSizeRecommendations(result);
+      if (sizeLines.length > 0) {
+        alertMessage += `\n\n📏 Size: ${sizeLines.join('\n')}`;
+      }
+
       alertMessage += `\n\nProcessing: ${isAI ? '🤖 AI Analysis' : '🔧 Mock Detection'}`;
 
       setTimeout(() => {
@@ -348,6 +426,17 @@ class VirtualTryOnContent {
     }
   }
 
+  // Size recommendation lines for a try-on result (one per outfit garment)
+  describeSizeRecommendations(result) {
+    const tryOnData = result.tryOnData || {};
+    if (tryOnData.sizeRecommendation) {
+      return [SizeRecommender.describe(tryOnData.sizeRecommendation)];
+    }
+    return (tryOnData.outfitItems || [])
+      .filter(item => item.sizeRecommendation)
+      .map(item => `${item.type || item.category}: ${SizeRecommender.describe(item.sizeRecommendation)}`);
+  }
+
   // Show success notification overlay
   showSuccessNotification(result) {
     // Remove any existing notifications
@@ -357,9 +446,10 @@ class VirtualTryOnContent {
     }
 
     // Get data from either AI results or mock data
-    const items = result.aiData?.items || result.mockData?.items || [];
-    const processingMethod = result.aiData?.processingMethod || result.mockData?.processingMethod || 'unknown';
-    const isAI = processingMethod.includes('gemini');
+    const detection = result.detectionData || result;
+    const items = detection.aiData?.items || detection.mockData?.items || [];
+    const processingMethod = detection.aiData?.processingMethod || detection.mockData?.processingMethod || 'unknown';
+    const isAI = processingMethod.endsWith('-ai');
     const methodIcon = isAI ? '🤖' : '🔧';
 
     // Build items summary
@@ -375,6 +465,8 @@ class VirtualTryOnContent {
       itemsSummary = 'No clothing items detected';
     }
 
+    const sizeSummary = this.describeSizeRecommendations(result).join(' · ');
+
     // Create notification element
     const notification = document.createElement('div');
     notification.className = 'vto-success-notification';
@@ -385,6 +477,7 @@ class VirtualTryOnContent {
           <h3>${isAI ? 'AI Analysis Complete!' : 'Processing Complete!'}</h3>
           <p>${result.message || 'Image processed successfully'}</p>
           <small>${methodIcon} ${itemsSummary}</small>
+          ${sizeSummary ? `<small class="vto-notification-size">📏 ${sizeSummary}</small>` : ''}
         </div>
         <button class="vto-notification-close" onclick="this.parentElement.parentElement.remove()">×</button>
       </div>
@@ -437,6 +530,10 @@ class VirtualTryOnContent {
         font-size: 12px;
         opacity: 0.8;
       }
+      .vto-notification-size {
+        display: block;
+        margin-top: 4px;
+      }
       .vto-notification-close {
         background: none;
         border: none;
@@ -551,8 +648,18 @@ class VirtualTryOnContent {
       <div class="vto-loading-content">
         <div class="vto-loading-spinner"></div>
         <div class="vto-loading-text">${message}</div>
+        <div class="vto-loading-progress hidden">
+          <div class="vto-loading-bar"><div class="vto-loading-fill"></div></div>
+          <div class="vto-loading-stage"></div>
+          <button class="vto-loading-cancel">Cancel</button>
+        </div>
       </div>
     `;
+    loader.querySelector('.vto-loading-cancel').addEventListener('click', (event) => {
+      event.target.disabled = true;
+      event.target.textContent = 'Cancelling...';
+      this.jobClient.cancel();
+    });
 
     // Add styles
     loader.style.cssText = `
@@ -595,6 +702,42 @@ class VirtualTryOnContent {
         color: #333;
         font-weight: 500;
       }
+      .vto-loading-progress {
+        margin-top: 16px;
+      }
+      .vto-loading-progress.hidden {
+        display: none;
+      }
+      .vto-loading-bar {
+        height: 6px;
+        background: #f3f3f3;
+        border-radius: 3px;
+        overflow: hidden;
+      }
+      .vto-loading-fill {
+        height: 100%;
+        width: 0;
+        background: #007bff;
+        transition: width 0.3s ease;
+      }
+      .vto-loading-stage {
+        margin-top: 8px;
+        font-size: 13px;
+        color: #666;
+      }
+      .vto-loading-cancel {
+        margin-top: 12px;
+        padding: 6px 16px;
+        border: 1px solid #dc3545;
+        border-radius: 6px;
+        background: white;
+        color: #dc3545;
+        cursor: pointer;
+      }
+      .vto-loading-cancel:disabled {
+        opacity: 0.6;
+        cursor: default;
+      }
       @keyframes spin {
         0% { transform: rotate(0deg); }
         100% { transform: rotate(360deg); }
@@ -605,6 +748,16 @@ class VirtualTryOnContent {
     document.body.appendChild(loader);
   }
 
+  // Show a running job's stage and percent in the loading indicator
+  updateLoadingProgress(job) {
+    const loader = document.getElementById('vto-loading-indicator');
+    if (!loader || job.status !== 'running') return;
+
+    loader.querySelector('.vto-loading-progress').classList.remove('hidden');
+    loader.querySelector('.vto-loading-fill').style.width = `${job.percent}%`;
+    loader.querySelector('.vto-loading-stage').textContent = `${job.label || 'Working'}... ${job.percent}%`;
+  }
+
   // Hide loading indicator
   hideLoadingIndicator() {
     const loader = document.getElementById('vto-loading-indicator');
@@ -0,0 +1,472 @@
+// History page script for AI Virtual Try-On extension
+// Pages through the tryOnResults store with category, site, date and favorite
+// filters, shows results full size and deletes or downloads them in bulk.
+// Results can be shortlisted with favorites, ratings, tags and notes.
+
+class VirtualTryOnHistory {
+  constructor() {
+    this.pageSize = 24;
+    this.page = 0;
+    this.total = 0;
+    this.results = [];
+    this.selected = new Set();
+    this.filters = { category: '', site: '', tag: '', minRating: '', from: '', to: '', favorite: false };
+    this.viewing = null;
+    this.init();
+  }
+
+  async init() {
+    // Wait for storage manager to be ready
+    try {
+      await window.storageManagerReady;
+    } catch (error) {
+      console.error('Storage manager failed to initialize:', error);
+      this.showSummary(`Could not open the history database: ${error.message}`);
+      return;
+    }
+
+    this.setupEventListeners();
+    await this.loadSites();
+    await this.loadTags();
+    await this.loadPage();
+
+    // history.html?id=123 opens one result directly (from the popup)
+    const resultId = Number(new URLSearchParams(location.search).get('id'));
+    if (resultId) {
+      await this.openViewer(resultId);
+    }
+  }
+
+  setupEventListeners() {
+    const filterInputs = {
+      'category-filter': 'category',
+      'site-filter': 'site',
+      'tag-filter': 'tag',
+      'rating-filter': 'minRating',
+      'from-filter': 'from',
+      'to-filter': 'to'
+    };
+    Object.entries(filterInputs).forEach(([elementId, key]) => {
+      document.getElementById(elementId).addEventListener('change', (event) => {
+        this.filters[key] = event.target.value;
+        this.applyFilters();
+      });
+    });
+
+    document.getElementById('favorite-filter').addEventListener('change', (event) => {
+      this.filters.favorite = event.target.checked;
+      this.applyFilters();
+    });
+
+    document.getElementById('prev-page-btn').addEventListener('click', () => {
+      this.page--;
+      this.loadPage();
+    });
+
+    document.getElementById('next-page-btn').addEventListener('click', () => {
+      this.page++;
+      this.loadPage();
+    });
+
+    // Card clicks (event delegation)
+    document.getElementById('history-grid').addEventListener('click', (event) => {
+      const card = event.target.closest('.history-item');
+      if (!card) return;
+
+      const resultId = Number(card.dataset.id);
+      if (event.target.matches('.select-box')) {
+        this.toggleSelected(resultId, event.target.checked);
+      } else if (event.target.closest('.favorite-btn')) {
+        const result = this.results.find(entry => entry.id === resultId);
+        this.updateShortlist(resultId, 'setTryOnFavorite', !result.favorite);
+      } else if (event.target.closest('.item-image')) {
+        this.openViewer(resultId);
+      }
+    });
+
+    document.getElementById('select-page').addEventListener('change', (event) => {
+      this.results.forEach(result => this.toggleSelected(result.id, event.target.checked));
+      this.renderResults();
+    });
+
+    document.getElementById('delete-selected-btn').addEventListener('click', () => {
+      this.deleteResults([...this.selected]);
+    });
+
+    document.getElementById('download-selected-btn').addEventListener('click', () => {
+      this.downloadSelected();
+    });
+
+    document.getElementById('compare-selected-btn').addEventListener('click', () => {
+      const ids = [...this.selected].join(',');
+      chrome.tabs.create({ url: chrome.runtime.getURL(`compare/compare.html?ids=${ids}`) });
+    });
+
+    document.getElementById('favorite-selected-btn').addEventListener('click', () => {
+      this.shortlistSelected(resultId => window.storageManager.setTryOnFavorite(resultId, true));
+    });
+
+    document.getElementById('tag-selected-btn').addEventListener('click', () => {
+      const tag = document.getElementById('bulk-tag-input').value;
+      if (!StorageManager.normalizeTag(tag)) return;
+
+      this.shortlistSelected(async (resultId) => {
+        const result = await window.storageManager.getTryOnResult(resultId);
+        return window.storageManager.setTryOnTags(resultId, [...(result.tags || []), tag]);
+      });
+      document.getElementById('bulk-tag-input').value = '';
+    });
+
+    // Viewer
+    document.getElementById('close-viewer-btn').addEventListener('click', () => {
+      this.closeViewer();
+    });
+
+    document.getElementById('viewer-favorite-btn').addEventListener('click', () => {
+      this.updateShortlist(this.viewing.id, 'setTryOnFavorite', !this.viewing.favorite);
+    });
+
+    document.getElementById('viewer-rating').addEventListener('click', (event) => {
+      const star = event.target.closest('.rating-star');
+      if (!star) return;
+
+      // Clicking the current rating clears it
+      const rating = Number(star.dataset.rating);
+      this.updateShortlist(this.viewing.id, 'setTryOnRating', this.viewing.rating === rating ? null : rating);
+    });
+
+    document.getElementById('viewer-tags').addEventListener('change', (event) => {
+      this.updateShortlist(this.viewing.id, 'setTryOnTags', event.target.value.split(','));
+    });
+
+    document.getElementById('viewer-notes').addEventListener('change', (event) => {
+      this.updateShortlist(this.viewing.id, 'setTryOnNotes', event.target.value);
+    });
+
+    document.getElementById('viewer-refine-btn').addEventListener('click', () => {
+      if (this.viewing) {
+        this.refineResult(this.viewing.id);
+      }
+    });
+
+    document.getElementById('viewer-delete-btn').addEventListener('click', () => {
+      if (this.viewing) {
+        this.deleteResults([this.viewing.id]);
+      }
+    });
+
+    document.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape') {
+        this.closeViewer();
+      }
+    });
+  }
+
+  async loadSites() {
+    try {
+      const sites = await window.storageManager.getTryOnResultSites();
+      const select = document.getElementById('site-filter');
+      select.innerHTML = '<option value="">All sites</option>' +
+        sites.map(site => `<option value="${this.escapeHtml(site)}">${this.escapeHtml(site)}</option>`).join('');
+      select.value = sites.includes(this.filters.site) ? this.filters.site : '';
+      this.filters.site = select.value;
+    } catch (error) {
+      console.error('Failed to load sites:', error);
+    }
+  }
+
+  async loadTags() {
+    try {
+      const tags = await window.storageManager.getTryOnResultTags();
+      const select = document.getElementById('tag-filter');
+      select.innerHTML = '<option value="">All tags</option>' +
+        tags.map(tag => `<option value="${this.escapeHtml(tag)}">${this.escapeHtml(tag)}</option>`).join('');
+      select.value = tags.includes(this.filters.tag) ? this.filters.tag : '';
+      this.filters.tag = select.value;
+    } catch (error) {
+      console.error('Failed to load tags:', error);
+    }
+  }
+
+  applyFilters() {
+    this.page = 0;
+    this.selected.clear();
+    this.loadPage();
+  }
+
+  async loadPage() {
+    try {
+      const { results, total } = await window.storageManager.queryTryOnResults({
+        category: this.filters.category || null,
+        site: this.filters.site || null,
+        favorite: this.filters.favorite,
+        tag: this.filters.tag || null,
+        minRating: this.filters.minRating ? Number(this.filters.minRating) : null,
+        from: this.filters.from ? new Date(`${this.filters.from}T00:00:00`).getTime() : null,
+        to: this.filters.to ? new Date(`${this.filters.to}T23:59:59.999`).getTime() : null,
+        offset: this.page * this.pageSize,
+        limit: this.pageSize
+      });
+
+      // Deleting the last item of a page moves back one page
+      if (results.length === 0 && this.page > 0) {
+        this.page--;
+        return this.loadPage();
+      }
+
+      this.results = results;
+      this.total = total;
+      await this.renderResults();
+    } catch (error) {
+      console.error('Failed to load history:', error);
+      this.showSummary('Failed to load try-on history');
+    }
+  }
+
+  // Records hold image references; cards show the thumbnails as object URLs
+  async renderResults() {
+    const images = await window.storageManager.resolveImages(
+      this.results.map(result => result.thumbnail || result.processedImage),
+      'objectUrl'
+    );
+    const grid = document.getElementById('history-grid');
+    grid.innerHTML = this.results.map((result, index) => this.renderResult(result, images[index])).join('');
+    document.getElementById('empty-state').classList.toggle('hidden', this.results.length > 0);
+
+    const pages = Math.max(1, Math.ceil(this.total / this.pageSize));
+    document.getElementById('page-info').textContent = `Page ${this.page + 1} of ${pages}`;
+    document.getElementById('prev-page-btn').disabled = this.page === 0;
+    document.getElementById('next-page-btn').disabled = this.page + 1 >= pages;
+
+    this.showSummary(`${this.total} try-on result(s)`);
+    this.updateSelection();
+  }
+
+  renderResult(result, image) {
+    const title = StorageManager.tryOnResultTitle(result);
+    const site = StorageManager.tryOnResultSite(result);
+    const size = result.metadata?.sizeRecommendation;
+
+    return `
+      <div class="history-item${this.selected.has(result.id) ? ' selected' : ''}" data-id="${result.id}">
+        <div class="item-image" title="View full size">
+          ${image ? `<img src="${this.escapeHtml(image)}" alt="${this.escapeHtml(title)}">` : '<span>No image</span>'}
+          <span class="item-category">${this.escapeHtml(result.category || 'clothing')}</span>
+          <button class="favorite-btn${result.favorite ? ' active' : ''}" title="${result.favorite ? 'Remove from favorites' : 'Add to favorites'}">${result.favorite ? '★' : '☆'}</button>
+        </div>
+        <div class="item-info">
+          <label class="item-select">
+            <input type="checkbox" class="select-box"${this.selected.has(result.id) ? ' checked' : ''}>
+            <h3 title="${this.escapeHtml(title)}">${this.escapeHtml(title)}</h3>
+          </label>
+          <p class="item-meta">${new Date(result.timestamp).toLocaleString()}${site ? ` · ${this.escapeHtml(site)}` : ''}</p>
+          ${size ? `<p class="item-meta">📏 ${this.escapeHtml(SizeRecommender.describe(size))}</p>` : ''}
+          ${result.rating ? `<p class="item-rating">${'★'.repeat(result.rating)}${'☆'.repeat(5 - result.rating)}</p>` : ''}
+          ${result.tags?.length ? `<div class="item-tags">${result.tags.map(tag => `<span class="tag">${this.escapeHtml(tag)}</span>`).join('')}</div>` : ''}
+          ${result.notes ? `<p class="item-notes" title="${this.escapeHtml(result.notes)}">${this.escapeHtml(result.notes)}</p>` : ''}
+        </div>
+      </div>
+    `;
+  }
+
+  toggleSelected(resultId, selected) {
+    if (selected) {
+      this.selected.add(resultId);
+    } else {
+      this.selected.delete(resultId);
+    }
+    this.updateSelection();
+  }
+
+  updateSelection() {
+    const count = this.selected.size;
+    document.getElementById('selection-count').textContent = `${count} selected`;
+    ['delete-selected-btn', 'download-selected-btn', 'favorite-selected-btn', 'tag-selected-btn'].forEach(buttonId => {
+      document.getElementById(buttonId).disabled = count === 0;
+    });
+    document.getElementById('compare-selected-btn').disabled =
+      count < ResultComparison.MIN_RESULTS || count > ResultComparison.MAX_RESULTS;
+    document.getElementById('select-page').checked =
+      this.results.length > 0 && this.results.every(result => this.selected.has(result.id));
+    document.querySelectorAll('.history-item').forEach(card => {
+      card.classList.toggle('selected', this.selected.has(Number(card.dataset.id)));
+    });
+  }
+
+  async openViewer(resultId) {
+    const result = this.results.find(entry => entry.id === resultId) ||
+      await window.storageManager.getTryOnResult(resultId);
+    if (!result) {
+      this.showSummary('That try-on result no longer exists');
+      return;
+    }
+
+    this.viewing = result;
+    const title = StorageManager.tryOnResultTitle(result);
+    const site = StorageManager.tryOnResultSite(result);
+    const metadata = result.metadata || {};
+    const link = result.clothingItem?.product?.canonicalUrl || result.clothingItem?.url;
+
+    const images = await window.storageManager.resolveImages({
+      result: result.processedImage || result.thumbnail || null,
+      full: result.processedImage || null,
+      original: result.originalImage || null
+    }, 'objectUrl');
+
+    document.getElementById('viewer-title').textContent = title;
+    document.getElementById('viewer-result').src = images.result || '';
+    document.getElementById('viewer-original').src = images.original || '';
+    document.getElementById('viewer-original-figure').classList.toggle('hidden', !images.original);
+
+    const download = document.getElementById('viewer-download');
+    download.href = images.full || '';
+    download.download = this.downloadName(result);
+    document.getElementById('viewer-refine-btn').classList.toggle('hidden', !metadata.hasGeneratedImage);
+
+    this.renderShortlist(result);
+
+    document.getElementById('viewer-details').innerHTML = `
+      <p>${new Date(result.timestamp).toLocaleString()}${site ? ` · ${this.escapeHtml(site)}` : ''}</p>
+      ${link ? `<p>${this.isWebUrl(link) ? `<a href="${this.escapeHtml(link)}" target="_blank" rel="noopener">View product</a>` : `Product: ${this.escapeHtml(link)}`}</p>` : ''}
+      ${metadata.description ? `<p>${this.escapeHtml(metadata.description)}</p>` : ''}
+      ${metadata.sizeRecommendation ? `<p>📏 ${this.escapeHtml(SizeRecommender.describe(metadata.sizeRecommendation))}</p>` : ''}
+      ${metadata.recommendations?.length ? `<ul>${metadata.recommendations.map(rec => `<li>${this.escapeHtml(rec)}</li>`).join('')}</ul>` : ''}
+      ${metadata.promptTemplates?.generation ? `<p class="viewer-prompts">Prompts: ${this.escapeHtml(Object.values(metadata.promptTemplates).filter(Boolean).join(' · '))}</p>` : ''}
+    `;
+
+    document.getElementById('viewer-modal').classList.remove('hidden');
+  }
+
+  renderShortlist(result) {
+    const favoriteButton = document.getElementById('viewer-favorite-btn');
+    favoriteButton.textContent = result.favorite ? '★' : '☆';
+    favoriteButton.classList.toggle('active', !!result.favorite);
+
+    document.querySelectorAll('#viewer-rating .rating-star').forEach(star => {
+      star.classList.toggle('active', Number(star.dataset.rating) <= (result.rating || 0));
+    });
+    document.getElementById('viewer-tags').value = (result.tags || []).join(', ');
+    document.getElementById('viewer-notes').value = result.notes || '';
+  }
+
+  // Apply one StorageManager shortlist setter and refresh what is shown
+  async updateShortlist(resultId, method, value) {
+    try {
+      const updated = await window.storageManager[method](resultId, value);
+      this.results = this.results.map(result => result.id === resultId ? updated : result);
+      if (this.viewing && this.viewing.id === resultId) {
+        this.viewing = updated;
+        this.renderShortlist(updated);
+      }
+      if (method === 'setTryOnTags') {
+        await this.loadTags();
+      }
+      await this.renderResults();
+    } catch (error) {
+      console.error('Failed to update try-on result:', error);
+      alert('Failed to update result: ' + error.message);
+    }
+  }
+
+  async shortlistSelected(update) {
+    try {
+      for (const resultId of this.selected) {
+        await update(resultId);
+      }
+      await this.loadTags();
+      await this.loadPage();
+    } catch (error) {
+      console.error('Failed to update selected results:', error);
+      alert('Failed to update results: ' + error.message);
+    }
+  }
+
+  // Conversational refinement; each edit becomes a version of the result
+  refineResult(resultId) {
+    if (!this.refinementPanel) {
+      this.refinementPanel = new RefinementPanel();
+    }
+
+    this.refinementPanel.open(resultId, {
+      onChange: async () => {
+        const updated = await window.storageManager.getTryOnResult(resultId);
+        this.results = this.results.map(result => result.id === resultId ? updated : result);
+        if (this.viewing && this.viewing.id === resultId) {
+          await this.openViewer(resultId);
+        }
+        await this.renderResults();
+      }
+    });
+  }
+
+  closeViewer() {
+    this.viewing = null;
+    document.getElementById('viewer-modal').classList.add('hidden');
+  }
+
+  async deleteResults(resultIds) {
+    if (resultIds.length === 0) return;
+    if (!confirm(`Delete ${resultIds.length} try-on result(s)? This cannot be undone.`)) {
+      return;
+    }
+
+    try {
+      await window.storageManager.deleteTryOnResults(resultIds);
+      resultIds.forEach(resultId => this.selected.delete(resultId));
+      this.closeViewer();
+      await this.loadSites();
+      await this.loadPage();
+    } catch (error) {
+      console.error('Failed to delete try-on results:', error);
+      alert('Failed to delete results: ' + error.message);
+    }
+  }
+
+  // Selected results may span pages, so read them back from the store
+  async downloadSelected() {
+    for (const resultId of this.selected) {
+      const result = await window.storageManager.getTryOnResult(resultId);
+      const image = result && await window.storageManager.resolveImages(result.processedImage || null, 'objectUrl');
+      if (!image) continue;
+
+      const link = document.createElement('a');
+      link.href = image;
+      link.download = this.downloadName(result);
+      link.click();
+    }
+  }
+
+  downloadName(result) {
+    const type = (result.processedImage?.type || '').match(/^image\/(\w+)/);
+    const extension = type ? type[1].replace('jpeg', 'jpg') : 'png';
+    return `try-on-${result.id}.${extension}`;
+  }
+
+  showSummary(text) {
+    document.getElementById('history-summary').textContent = text;
+  }
+
+  // Page-derived links are only clickable for http(s); anything else
+  // (javascript:, data:) is shown as text
+  isWebUrl(url) {
+    try {
+      return ['http:', 'https:'].includes(new URL(url).protocol);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  escapeHtml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+}
+
+// Initialize history page when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  new VirtualTryOnHistory();
+});
@@ -0,0 +1,575 @@
+// AI Provider base class and registry for AI Virtual Try-On extension
+// Every backend (Gemini, OpenAI-compatible, local HTTP) implements the same
+// five operations so the rest of the extension never talks to a vendor API directly.
+
+class AIProvider {
+  constructor(config = {}) {
+    this.config = config;
+    this.apiKey = config.apiKey || null;
+    this.base64Cache = new Map(); // Cache for converted Base64 data
+    // Shared queue in the background worker; pages without it fetch directly
+    this.scheduler = config.scheduler || (typeof RequestScheduler !== 'undefined' ? RequestScheduler.shared : null);
+  }
+
+  // Provider type identifier (overridden by adapters)
+  get type() {
+    return 'base';
+  }
+
+  // Whether refineGeneratedImage keeps edits inside options.mask by itself.
+  // When false, callers composite the masked region back onto the original.
+  get supportsMask() {
+    return false;
+  }
+
+  // Backend and models behind a result; part of the result cache key
+  get cacheScope() {
+    return [this.type, this.apiBase || '', this.textModel || '', this.imageModelName || ''].join('|');
+  }
+
+  // Whether the provider has enough configuration to make requests
+  isConfigured() {
+    return !!(this.apiKey && this.apiKey.length > 10);
+  }
+
+  // Set API key
+  setApiKey(apiKey) {
+    this.apiKey = apiKey;
+    this.config = { ...this.config, apiKey: apiKey };
+  }
+
+  // Test API connection
+  async testConnection() {
+    throw new Error(`${this.type} provider does not implement testConnection`);
+  }
+
+  // Detect clothing items in image
+  async detectClothing(imageData, options = {}) {
+    throw new Error(`${this.type} provider does not implement detectClothing`);
+  }
+
+  // Generate the composite try-on image
+  async generateTryOnImage(userPhoto, clothingItem, options = {}) {
+    throw new Error(`${this.type} provider does not implement generateTryOnImage`);
+  }
+
+  // Analyze a generated try-on image
+  async analyzeTryOnResult(generatedImageData, options = {}) {
+    throw new Error(`${this.type} provider does not implement analyzeTryOnResult`);
+  }
+
+  // Refine a generated image with an additional prompt. options.referenceImages
+  // ({ person, garments[] }) and options.history (earlier prompts) give context.
+  // options.mask is a black-and-white image the size of imageData whose white
+  // area is the region to change.
+  async refineGeneratedImage(imageData, refinementPrompt, options = {}) {
+    throw new Error(`${this.type} provider does not implement refineGeneratedImage`);
+  }
+
+  // Check an image for safety before processing
+  async validateImageSafety(imageData, options = {}) {
+    throw new Error(`${this.type} provider does not implement validateImageSafety`);
+  }
+
+  // Build clothing detection prompt
+  buildClothingDetectionPrompt(options) {
+    const category = options.category || 'auto';
+
+    return PromptTemplates.render('clothing-detection', {
+      category: category !== 'auto' ? category : null,
+      source: options.source || 'unknown'
+    }).text;
+  }
+
+  // Build image generation prompt for try-on
+  buildImageGenerationPrompt(options, garments = null) {
+    return this.renderImageGenerationPrompt(options, garments).text;
+  }
+
+  // Render the generation prompt: the outfit template for several garments,
+  // otherwise the single-garment template in its category's variant.
+  // Returns { text, id, version } (see PromptTemplates.render).
+  renderImageGenerationPrompt(options, garments = null) {
+    const shared = {
+      measurements: this.describeMeasurements(options.measurements),
+      style: options.style && options.style !== 'natural' ? options.style : null,
+      lighting: options.lighting && options.lighting !== 'auto' ? options.lighting : null,
+      preserveFeatures: options.preserveFeatures !== false
+    };
+
+    if (garments && garments.length > 1) {
+      return PromptTemplates.render('outfit-generation', {
+        ...shared,
+        count: garments.length,
+        garments: this.describeOutfitGarments(garments)
+      });
+    }
+
+    const category = garments?.[0]?.category || options.category || 'clothing';
+    return PromptTemplates.render('tryon-generation', {
+      ...shared,
+      category: category,
+      instruction: AIProvider.GARMENT_INSTRUCTIONS[category] || AIProvider.GARMENT_INSTRUCTIONS.clothing,
+      product: this.describeProduct(garments?.[0]?.product || options.product)
+    }, category);
+  }
+
+  // One line per garment image, in layering order
+  describeOutfitGarments(garments) {
+    return garments.map((garment, index) => {
+      const label = [garment.color, garment.type || garment.category].filter(Boolean).join(' ');
+      const instruction = AIProvider.GARMENT_INSTRUCTIONS[garment.category] || AIProvider.GARMENT_INSTRUCTIONS.clothing;
+      const product = this.describeProduct(garment.product);
+      return `- Image ${index + 2} (${garment.category}${label && label !== garment.category ? `: ${label}` : ''}): ${instruction}${product ? ` [${product}]` : ''}`;
+    }).join('\n');
+  }
+
+  // Body measurements in cm ({ height, chest, waist, hips }) for prompts,
+  // e.g. 'height 170 cm, chest 96 cm', or null
+  describeMeasurements(measurements) {
+    if (!measurements) {
+      return null;
+    }
+
+    const parts = ['height', 'chest', 'waist', 'hips']
+      .filter(key => measurements[key] > 0)
+      .map(key => `${key} ${Math.round(measurements[key])} cm`);
+    return parts.length > 0 ? parts.join(', ') : null;
+  }
+
+  // Short product description for prompts, e.g. '"Linen Shirt" by Acme, material: linen'
+  describeProduct(product) {
+    if (!product || !product.name) {
+      return null;
+    }
+
+    const parts = [`"${product.name}"${product.brand ? ` by ${product.brand}` : ''}`];
+    if (product.material) {
+      parts.push(`material: ${product.material}`);
+    }
+    if (product.colors && product.colors.length === 1) {
+      parts.push(`color: ${product.colors[0]}`);
+    }
+    return parts.join(', ');
+  }
+
+  // Normalize the clothing argument of generateTryOnImage into a garment list.
+  // Accepts a single image or an array of images / { image|data, category } items.
+  normalizeGarments(clothingItem, options = {}) {
+    const items = Array.isArray(clothingItem) ? clothingItem : [clothingItem];
+
+    const garments = items.map(item => {
+      if (typeof item === 'string') {
+        return { image: item, category: options.category || 'clothing', product: options.product || null };
+      }
+      return {
+        image: item.image || item.data,
+        category: item.category || 'clothing',
+        type: item.type,
+        color: item.color,
+        product: item.product || null
+      };
+    });
+
+    const layer = garment => {
+      const index = AIProvider.LAYERING_ORDER.indexOf(garment.category);
+      return index === -1 ? AIProvider.LAYERING_ORDER.indexOf('tops') : index;
+    };
+
+    // Stable sort keeps the caller's order within a layer
+    return garments
+      .map((garment, index) => ({ garment, index }))
+      .sort((a, b) => layer(a.garment) - layer(b.garment) || a.index - b.index)
+      .map(entry => entry.garment);
+  }
+
+  // Build advanced try-on analysis prompt (for detailed feedback)
+  buildAdvancedAnalysisPrompt(options) {
+    return this.renderAnalysisPrompt(options).text;
+  }
+
+  // Render the analysis template; returns { text, id, version }
+  renderAnalysisPrompt(options) {
+    return PromptTemplates.render('tryon-analysis', { category: options.category || 'clothing' });
+  }
+
+  // Build refinement prompt
+  buildRefinementPrompt(refinementPrompt, options = {}) {
+    const references = options.referenceImages || {};
+    const garmentCount = (references.garments || []).length;
+    const history = options.history || [];
+
+    // Describe the attached images in the order getReferenceImages sends them
+    const imageLines = [];
+    let next = 2;
+    if (references.person) {
+      imageLines.push(`- Image ${next}: the original photo of the person. Keep their face, hair, body shape, skin tone and pose identical to it`);
+      next++;
+    }
+    if (garmentCount > 0) {
+      const range = garmentCount > 1 ? `${next}-${next + garmentCount - 1}` : `${next}`;
+      imageLines.push(`- Image ${range}: the original garment(s). Keep their design, color, pattern and logos exactly`);
+    }
+
+    // Providers without native masks get the mask as the last image
+    if (options.mask && !this.supportsMask) {
+      imageLines.push(`- Image ${next + garmentCount}: a black-and-white mask of Image 1. White marks the region to change`);
+    }
+
+    const imageGuide = imageLines.length > 0
+      ? `\nIMAGES:\n- Image 1: the current try-on result to edit\n${imageLines.join('\n')}\n`
+      : '';
+    const region = options.mask
+      ? '\nREGION: Only change the masked region. Everything outside it must stay exactly as it is in Image 1.\n'
+      : '';
+    const earlier = history.length > 0
+      ? `\nEARLIER EDITS (already applied, keep them):\n${history.map((prompt, index) => `${index + 1}. ${prompt}`).join('\n')}\n`
+      : '';
+
+    return `
+Refine and improve this virtual try-on image based on the following instructions:
+${refinementPrompt}
+${imageGuide}${region}${earlier}
+Maintain the overall composition while making the requested adjustments.
+Focus on improving realism, fit, and visual quality.
+      `;
+  }
+
+  // Person photo first, then garments, for refinement requests
+  getReferenceImages(options = {}) {
+    const references = options.referenceImages || {};
+    return [references.person, ...(references.garments || [])].filter(Boolean);
+  }
+
+  // Every image a refinement request sends, in the order buildRefinementPrompt describes
+  getRefinementImages(imageData, options = {}) {
+    const images = [imageData, ...this.getReferenceImages(options)];
+    if (options.mask && !this.supportsMask) {
+      images.push(options.mask);
+    }
+    return images;
+  }
+
+  // Build safety validation prompt
+  buildSafetyPrompt() {
+    return PromptTemplates.render('safety-check').text;
+  }
+
+  // Ask for JSON matching schema (a ResponseValidator schema) and re-ask once
+  // when the reply fails validation. send(prompt) makes the request and
+  // resolves with the reply text. Resolves with the validation result plus
+  // the reply text; the better of the two replies wins.
+  async requestJson(schema, prompt, send) {
+    let text = await send(prompt);
+    let reply = { ...ResponseValidator.parse(schema, text), text: text };
+
+    if (!reply.valid) {
+      console.warn(`⚠️ ${schema.name} reply failed validation, asking again:`, reply.errors);
+      text = await send(this.buildReaskPrompt(prompt, reply.errors));
+      const retry = { ...ResponseValidator.parse(schema, text), text: text };
+      if (retry.valid || (retry.value && (!reply.value || retry.errors.length <= reply.errors.length))) {
+        reply = retry;
+      }
+      if (!reply.valid) {
+        console.warn(`⚠️ ${schema.name} reply still invalid, using what passed:`, reply.errors);
+      }
+    }
+
+    if (reply.warnings.length > 0) {
+      console.log(`🔧 Coerced ${schema.name} reply:`, reply.warnings);
+    }
+    return reply;
+  }
+
+  // Original prompt plus what was wrong with the previous reply
+  buildReaskPrompt(prompt, errors) {
+    return `${prompt}
+
+Your previous reply did not match the required JSON format:
+${errors.slice(0, 10).map(error => `- ${error}`).join('\n')}
+
+Reply again with only the corrected JSON object and no other text.`;
+  }
+
+  // Parse clothing detection text returned by any provider
+  parseDetectionText(content) {
+    return this.buildDetectionResult({ ...ResponseValidator.parse(ResponseValidator.DETECTION, content), text: content });
+  }
+
+  // Detection result from a validated reply (see requestJson)
+  buildDetectionResult(reply) {
+    if (!reply.value) {
+      return {
+        success: false,
+        error: `Invalid detection response: ${reply.errors.join('; ')}`,
+        rawResponse: reply.text
+      };
+    }
+
+    return {
+      success: true,
+      items: reply.value.items,
+      metadata: {
+        background: reply.value.background,
+        lighting: reply.value.lighting,
+        quality: reply.value.quality
+      },
+      rawResponse: reply.text
+    };
+  }
+
+  // Parse try-on analysis text returned by any provider
+  parseAnalysisText(content) {
+    return this.buildAnalysisResult({ ...ResponseValidator.parse(ResponseValidator.ANALYSIS, content), text: content });
+  }
+
+  // Analysis result from a validated reply; falls back to reading plain text
+  buildAnalysisResult(reply) {
+    const content = reply.text || '';
+
+    if (reply.value) {
+      const parsedResult = reply.value;
+
+      return {
+        success: true,
+        description: parsedResult.description,
+        recommendations: parsedResult.recommendations || [],
+        confidence: parsedResult.confidence_score ?? 0.8,
+        fitAnalysis: parsedResult.fit_analysis || {},
+        visualResult: parsedResult.visual_result || {},
+        stylingAssessment: parsedResult.styling_assessment || {},
+        safetyAssessment: parsedResult.safety_assessment || 'appropriate',
+        rawResponse: content,
+        advanced: true
+      };
+    }
+
+    console.warn('Try-on analysis was not valid JSON, falling back to text analysis');
+    return {
+      success: true,
+      description: content,
+      recommendations: this.extractRecommendations(content),
+      confidence: this.extractConfidence(content),
+      rawResponse: content,
+      advanced: false
+    };
+  }
+
+  // Parse safety assessment text returned by any provider
+  parseSafetyText(content) {
+    return this.buildSafetyResult({ ...ResponseValidator.parse(ResponseValidator.SAFETY, content), text: content });
+  }
+
+  // Safety result from a validated reply; an unreadable reply does not block the user
+  buildSafetyResult(reply) {
+    if (!reply.value) {
+      return { safe: true, warning: 'Safety check returned an invalid response', rawResponse: reply.text };
+    }
+
+    return {
+      safe: reply.value.safe,
+      concerns: reply.value.concerns || [],
+      recommendation: reply.value.recommendation || 'proceed',
+      rawResponse: reply.text
+    };
+  }
+
+  // Basic feedback used when the analysis call fails
+  getFallbackAnalysis() {
+    return {
+      description: 'Virtual try-on image generated successfully',
+      recommendations: ['Review the fit and styling'],
+      confidence: 0.8,
+      rawResponse: 'Analysis unavailable'
+    };
+  }
+
+  // Extract recommendations from response
+  extractRecommendations(content) {
+    const recommendations = [];
+    const lines = content.split('\n');
+
+    for (const line of lines) {
+      if (line.toLowerCase().includes('recommend') ||
+          line.toLowerCase().includes('suggest') ||
+          line.toLowerCase().includes('advice')) {
+        recommendations.push(line.trim());
+      }
+    }
+
+    return recommendations;
+  }
+
+  // Extract confidence score from response
+  extractConfidence(content) {
+    const confidenceMatch = content.match(/confidence[:\s]+(\d+(?:\.\d+)?)/i);
+    if (confidenceMatch) {
+      return parseFloat(confidenceMatch[1]);
+    }
+    return 0.8; // Default confidence
+  }
+
+  // Get MIME type from image data
+  getMimeType(imageData) {
+    if (typeof Blob !== 'undefined' && imageData instanceof Blob && imageData.type) {
+      return imageData.type;
+    }
+    if (typeof imageData === 'string') {
+      if (imageData.startsWith('data:')) {
+        const mimeMatch = imageData.match(/data:([^;]+)/);
+        return mimeMatch ? mimeMatch[1] : 'image/jpeg';
+      }
+    }
+    return 'image/jpeg';
+  }
+
+  // Get base64 data from image with caching
+  async getBase64Data(imageData) {
+    // Stored images are Blobs; this is where they become base64
+    if (typeof Blob !== 'undefined' && imageData instanceof Blob) {
+      return (await this.blobToBase64(imageData)).split(',')[1];
+    }
+    if (typeof imageData === 'string') {
+      if (imageData.startsWith('data:')) {
+        return imageData.split(',')[1];
+      }
+      // If it's a URL, check cache first then fetch and convert to base64
+      if (imageData.startsWith('http://') || imageData.startsWith('https://')) {
+        // Check cache first
+        if (this.base64Cache.has(imageData)) {
+          console.log('✅ Using cached Base64 for:', imageData);
+          return this.base64Cache.get(imageData);
+        }
+
+        console.log('🔄 Converting URL to Base64:', imageData);
+        try {
+          const response = await fetch(imageData);
+          if (!response.ok) {
+            throw new Error(`Failed to fetch image: ${response.status}`);
+          }
+          const blob = await response.blob();
+          const base64 = await this.blobToBase64(blob);
+          const base64Data = base64.split(',')[1]; // Remove data URL prefix
+
+          // Cache the result
+          this.base64Cache.set(imageData, base64Data);
+          console.log('💾 Cached Base64 for future use:', imageData);
+
+          return base64Data;
+        } catch (error) {
+          console.error('❌ Failed to convert URL to Base64:', error);
+          throw new Error(`Failed to convert image URL to Base64: ${error.message}`);
+        }
+      }
+      // Assume it's already base64 data
+      return imageData;
+    }
+    return imageData;
+  }
+
+  // Helper function to convert blob to base64
+  async blobToBase64(blob) {
+    // In service worker context, use a different approach
+    if (typeof FileReader === 'undefined') {
+      console.log('🔧 Using service worker compatible blob conversion');
+      const bytes = new Uint8Array(await blob.arrayBuffer());
+      // In chunks: spreading a large image into one call overflows the stack
+      let binary = '';
+      for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+      }
+      const base64 = btoa(binary);
+      const mimeType = blob.type || 'image/jpeg';
+      return `data:${mimeType};base64,${base64}`;
+    } else {
+      // Browser context with FileReader
+      return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = reject;
+        reader.readAsDataURL(blob);
+      });
+    }
+  }
+
+  // fetch() through the request scheduler: queued per model, with timeouts and
+  // retries. options.image marks slow, rate-limited image generation calls.
+  queuedFetch(model, url, init = {}, options = {}) {
+    if (!this.scheduler) {
+      return fetch(url, init);
+    }
+
+    const limits = options.image ? AIProvider.IMAGE_REQUEST_LIMITS : AIProvider.TEXT_REQUEST_LIMITS;
+    return this.scheduler.schedule(model, signal => fetch(url, { ...init, signal: signal }), {
+      ...limits,
+      label: `${this.type} ${model}`,
+      signal: options.signal
+    });
+  }
+
+  // Register an adapter class under a provider type
+  static register(type, ProviderClass) {
+    AIProvider.registry.set(type, ProviderClass);
+  }
+
+  // List registered provider types
+  static getAvailableTypes() {
+    return Array.from(AIProvider.registry.keys());
+  }
+
+  // Create a provider instance from a provider config
+  static create(config = {}) {
+    const type = config.type || 'gemini';
+    const ProviderClass = AIProvider.registry.get(type);
+
+    if (!ProviderClass) {
+      throw new Error(`Unknown AI provider: ${type}`);
+    }
+
+    return new ProviderClass(config);
+  }
+
+  // Resolve the provider config stored on a user profile
+  // Profiles created before providers existed only carry a Gemini apiKey
+  static getProfileConfig(profile) {
+    const providerConfig = profile?.aiProvider || {};
+
+    return {
+      type: providerConfig.type || 'gemini',
+      ...providerConfig,
+      apiKey: providerConfig.apiKey || profile?.apiKey || null
+    };
+  }
+
+  // Create the provider selected on a user profile
+  static fromProfile(profile) {
+    return AIProvider.create(AIProvider.getProfileConfig(profile));
+  }
+}
+
+AIProvider.registry = new Map();
+
+// Templates whose text shapes a saved result; their versions are part of the
+// result cache key
+AIProvider.RESULT_PROMPT_TEMPLATES = ['tryon-generation', 'outfit-generation', 'tryon-analysis'];
+
+// Request scheduler settings per kind of call
+AIProvider.TEXT_REQUEST_LIMITS = { concurrency: 4, timeoutMs: 60000 };
+AIProvider.IMAGE_REQUEST_LIMITS = { concurrency: 2, timeoutMs: 120000 };
+
+// Garment categories from innermost to outermost layer
+AIProvider.LAYERING_ORDER = ['dresses', 'bottoms', 'tops', 'outerwear', 'shoes', 'accessories'];
+
+// Per-category instructions for outfit prompts
+AIProvider.GARMENT_INSTRUCTIONS = {
+  dresses: 'dress the body in this dress as the base layer, replacing any top and bottoms',
+  bottoms: 'replace the legwear with these bottoms, fitted at the waist',
+  tops: 'replace the upper-body garment with this top, layered over the waistband of the bottoms',
+  outerwear: 'place this outer layer over the top, open or closed as shown in its image',
+  shoes: 'replace the footwear with these shoes, matching the pose of the feet',
+  accessories: 'add this accessory in its natural position without covering the other garments',
+  clothing: 'put this garment on in its natural position'
+};
+
+// Make available in both service worker and browser contexts
+self.AIProvider = AIProvider;
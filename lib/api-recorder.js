@@ -0,0 +1,176 @@
+// Record-and-replay of AI API calls for AI Virtual Try-On extension
+// In 'record' mode every request/response pair is saved as a fixture with the
+// API key and inline image data replaced by SHA-256 hashes. In 'replay' mode
+// responses are answered from those fixtures, matched on model, prompt text
+// and image hashes, so parsing regressions can be pinned to real model output.
+
+class ApiRecorder {
+  constructor(options = {}) {
+    this.mode = options.mode || 'off'; // 'off' | 'record' | 'replay'
+    this.store = options.store || new ChromeFixtureStore();
+  }
+
+  isRecording() {
+    return this.mode === 'record';
+  }
+
+  isReplaying() {
+    return this.mode === 'replay';
+  }
+
+  // Load the recorder mode from chrome.storage ('apiRecorder' key)
+  static async load() {
+    try {
+      const result = await chrome.storage.local.get(['apiRecorder']);
+      return new ApiRecorder({ mode: result.apiRecorder?.mode || 'off' });
+    } catch (error) {
+      console.warn('Failed to load API recorder settings:', error);
+      return new ApiRecorder();
+    }
+  }
+
+  // SHA-256 hex digest of a string
+  static async hash(text) {
+    const bytes = new TextEncoder().encode(text);
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    return Array.from(new Uint8Array(digest))
+      .map(byte => byte.toString(16).padStart(2, '0'))
+      .join('');
+  }
+
+  // Deterministic fixture ID for a request: model + prompt text + image hashes
+  async fingerprint(model, requestBody) {
+    const sanitized = await this.sanitizeBody(requestBody);
+    const parts = (sanitized.contents || []).flatMap(content => content.parts || []);
+
+    const key = {
+      model: model,
+      prompt: parts.filter(part => part.text).map(part => part.text.trim()).join('\n'),
+      images: parts.map(part => this.getInlineData(part)?.data).filter(Boolean)
+    };
+
+    return ApiRecorder.hash(JSON.stringify(key));
+  }
+
+  // Inline image part in either REST (camelCase) or snake_case form
+  getInlineData(part) {
+    return part && typeof part === 'object' ? (part.inlineData || part.inline_data || null) : null;
+  }
+
+  // Deep copy of a request or response body with inline image data hashed
+  async sanitizeBody(body) {
+    if (Array.isArray(body)) {
+      return Promise.all(body.map(item => this.sanitizeBody(item)));
+    }
+
+    if (!body || typeof body !== 'object') {
+      return body;
+    }
+
+    const copy = {};
+    for (const [key, value] of Object.entries(body)) {
+      if ((key === 'inlineData' || key === 'inline_data') && typeof value?.data === 'string') {
+        copy[key] = { ...value, data: await this.hashImageData(value.data) };
+      } else {
+        copy[key] = await this.sanitizeBody(value);
+      }
+    }
+    return copy;
+  }
+
+  async hashImageData(data) {
+    return data.startsWith('sha256:') ? data : `sha256:${await ApiRecorder.hash(data)}`;
+  }
+
+  // Save a request/response pair
+  async record(model, requestBody, response, apiKey = null) {
+    const fixture = {
+      id: await this.fingerprint(model, requestBody),
+      model: model,
+      apiKeyHash: apiKey ? `sha256:${(await ApiRecorder.hash(apiKey)).slice(0, 12)}` : null,
+      request: await this.sanitizeBody(requestBody),
+      response: {
+        status: response.status,
+        statusText: response.statusText,
+        body: await this.sanitizeBody(response.body)
+      },
+      recordedAt: new Date().toISOString()
+    };
+
+    await this.store.put(fixture);
+    console.log(`📼 Recorded ${model} fixture ${fixture.id.slice(0, 12)}`);
+    return fixture;
+  }
+
+  // Find the recorded response for a request
+  async replay(model, requestBody) {
+    const id = await this.fingerprint(model, requestBody);
+    const fixture = await this.store.get(id);
+
+    if (!fixture) {
+      throw new Error(`No recorded fixture for ${model} request ${id.slice(0, 12)}`);
+    }
+
+    console.log(`📼 Replaying ${model} fixture ${id.slice(0, 12)}`);
+    return {
+      ...fixture.response,
+      body: this.restoreImages(fixture.response.body)
+    };
+  }
+
+  // Hashed images in recorded responses come back as a placeholder PNG so
+  // callers still receive decodable image data
+  restoreImages(body) {
+    if (Array.isArray(body)) {
+      return body.map(item => this.restoreImages(item));
+    }
+
+    if (!body || typeof body !== 'object') {
+      return body;
+    }
+
+    const copy = {};
+    for (const [key, value] of Object.entries(body)) {
+      if ((key === 'inlineData' || key === 'inline_data') && value?.data?.startsWith?.('sha256:')) {
+        copy[key] = { ...value, data: ApiRecorder.PLACEHOLDER_PNG };
+      } else {
+        copy[key] = this.restoreImages(value);
+      }
+    }
+    return copy;
+  }
+}
+
+// 1x1 transparent PNG
+ApiRecorder.PLACEHOLDER_PNG = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==';
+
+// Fixture store backed by chrome.storage.local ('apiFixtures' key).
+// Export recorded fixtures to files with tests/debug/export-fixtures.js.
+class ChromeFixtureStore {
+  constructor(storageKey = 'apiFixtures') {
+    this.storageKey = storageKey;
+  }
+
+  async list() {
+    const result = await chrome.storage.local.get([this.storageKey]);
+    return result[this.storageKey] || {};
+  }
+
+  async get(id) {
+    const fixtures = await this.list();
+    return fixtures[id] || null;
+  }
+
+  async put(fixture) {
+    const fixtures = await this.list();
+    fixtures[fixture.id] = fixture;
+    await chrome.storage.local.set({ [this.storageKey]: fixtures });
+  }
+
+  async clear() {
+    await chrome.storage.local.remove([this.storageKey]);
+  }
+}
+
+self.ApiRecorder = ApiRecorder;
+self.ChromeFixtureStore = ChromeFixtureStore;
@@ -0,0 +1,473 @@
+// Data export and import for AI Virtual Try-On extension
+// The profile, photos, try-on results with their versions, wardrobe items,
+// settings and usage stats go into one zip archive: manifest.json holds the
+// records, and every image is a file under images/ named by its SHA-256, which
+// records refer to as { imageHash }. Importing merges an archive into the
+// existing data and skips records and images that are already there (same
+// content hash), so importing the same archive twice adds nothing. Jobs and
+// the result cache are not exported; they are transient or can be regenerated.
+
+class DataArchive {
+  constructor(storageManager) {
+    this.storageManager = storageManager;
+  }
+
+  // The archive as a zip Blob. API keys are left out unless
+  // options.includeSecrets is set, and are then stored unencrypted.
+  async exportArchive(options = {}) {
+    await DataArchive.requireUnlocked();
+
+    const stores = {};
+    for (const storeName of DataArchive.STORES) {
+      stores[storeName] = await this.storageManager.getAllRecords(storeName);
+    }
+
+    // One file per distinct image
+    const blobs = await this.storageManager.getImages(StorageManager.collectImageIds(Object.values(stores)));
+    const hashes = new Map();
+    const images = {};
+    const files = [];
+    for (const [imageId, blob] of blobs) {
+      const hash = await DataArchive.hash(blob);
+      hashes.set(imageId, hash);
+      if (!images[hash]) {
+        images[hash] = { file: `images/${hash}.${DataArchive.extension(blob.type)}`, type: blob.type, size: blob.size };
+        files.push({ name: images[hash].file, data: blob });
+      }
+    }
+
+    for (const storeName of DataArchive.STORES) {
+      stores[storeName] = StorageManager.replaceImageRefs(stores[storeName], reference =>
+        hashes.has(reference.imageId) ? { imageHash: hashes.get(reference.imageId) } : null);
+    }
+
+    const profile = await this.storageManager.getUserProfile();
+    const { appSettings, geminiUsageStats } = await chrome.storage.local.get(['appSettings', 'geminiUsageStats']);
+    const manifest = {
+      format: DataArchive.FORMAT,
+      version: DataArchive.VERSION,
+      exportedAt: new Date().toISOString(),
+      extensionVersion: chrome.runtime.getManifest().version,
+      includesSecrets: !!options.includeSecrets,
+      profile: profile && DataArchive.exportProfile(profile, options.includeSecrets),
+      settings: appSettings || null,
+      usageStats: geminiUsageStats || null,
+      images: images,
+      stores: stores
+    };
+
+    files.unshift({ name: 'manifest.json', data: new TextEncoder().encode(JSON.stringify(manifest, null, 2)) });
+    console.log(`📦 Exported ${files.length - 1} image(s) and ${DataArchive.STORES.map(name => stores[name].length).join('/')} records`);
+    return DataArchive.createZip(files);
+  }
+
+  // Merge an archive (a Blob or bytes) into the existing data. Resolves with
+  // { added, skipped } record counts per store and the number of images added.
+  async importArchive(archive) {
+    const files = await DataArchive.readZip(archive);
+    const manifest = await DataArchive.readManifest(files);
+    await DataArchive.requireUnlocked();
+
+    // Images and records already stored, by content hash
+    const existing = {};
+    for (const storeName of DataArchive.STORES) {
+      existing[storeName] = await this.storageManager.getAllRecords(storeName);
+    }
+    const localHashes = new Map();
+    const imageRefs = new Map();
+    const blobs = await this.storageManager.getImages(StorageManager.collectImageIds(Object.values(existing)));
+    for (const [imageId, blob] of blobs) {
+      const hash = await DataArchive.hash(blob);
+      localHashes.set(imageId, hash);
+      imageRefs.set(hash, { imageId: imageId, type: blob.type, size: blob.size });
+    }
+
+    // While the vault is on, images in SEALED_IMAGE_FIELDS are encrypted as
+    // storeImages would. An image shared with a plaintext field is encrypted too.
+    const sealedHashes = typeof Vault !== 'undefined' && await Vault.isEnabled()
+      ? DataArchive.sealedHashes(manifest.stores)
+      : new Set();
+    await this.storageManager.sealImages(Array.from(imageRefs)
+      .filter(([hash]) => sealedHashes.has(hash))
+      .map(([, reference]) => reference.imageId));
+
+    const summary = { added: {}, skipped: {}, images: 0 };
+    const idMaps = {};
+    const currentVersions = new Map();
+
+    for (const storeName of DataArchive.STORES) {
+      const known = new Map();
+      for (const record of existing[storeName]) {
+        const hashed = StorageManager.replaceImageRefs(record, reference =>
+          localHashes.has(reference.imageId) ? { imageHash: localHashes.get(reference.imageId) } : null);
+        known.set(await DataArchive.recordHash(hashed), record.id);
+      }
+
+      const idMap = idMaps[storeName] = new Map();
+      summary.added[storeName] = 0;
+      summary.skipped[storeName] = 0;
+
+      // In id order, so a version's parent is imported before it
+      const records = [...(manifest.stores[storeName] || [])].sort((a, b) => a.id - b.id);
+      for (const record of records) {
+        const contentHash = await DataArchive.recordHash(record);
+        if (known.has(contentHash)) {
+          idMap.set(record.id, known.get(contentHash));
+          summary.skipped[storeName]++;
+          continue;
+        }
+
+        const hashes = [];
+        DataArchive.replaceHashRefs(record, reference => hashes.push(reference.imageHash));
+        for (const hash of hashes.filter(hash => !imageRefs.has(hash))) {
+          const entry = manifest.images[hash];
+          const blob = new Blob([files.get(entry.file)], { type: entry.type });
+          imageRefs.set(hash, await this.storageManager.saveImage(blob, sealedHashes.has(hash)));
+          summary.images++;
+        }
+
+        const { id, ...imported } = DataArchive.remapIds(
+          DataArchive.replaceHashRefs(record, reference => imageRefs.get(reference.imageHash)),
+          idMaps
+        );
+        const [newId] = await this.storageManager.addRecords(storeName, [imported]);
+        idMap.set(id, newId);
+        known.set(contentHash, newId);
+        summary.added[storeName]++;
+
+        if (storeName === 'tryOnResults' && record.currentVersionId) {
+          currentVersions.set(newId, record.currentVersionId);
+        }
+      }
+    }
+
+    // Versions are imported after the results that point at them
+    for (const [resultId, versionId] of currentVersions) {
+      await this.storageManager.updateTryOnResult(resultId, { currentVersionId: idMaps.tryOnVersions.get(versionId) ?? null });
+    }
+
+    await this.mergeProfile(manifest.profile, idMaps.userPhotos);
+    await this.mergeSettings(manifest);
+    await this.storageManager.updateRecentTryOnIndex();
+
+    console.log('📦 Imported archive:', summary);
+    return summary;
+  }
+
+  // A finished setup here is kept, with the imported photos added. Otherwise
+  // the imported profile is used; without an API key it is not complete, so
+  // the settings page asks for one.
+  async mergeProfile(imported, photoIds) {
+    const local = await this.storageManager.getUserProfile();
+    const photos = (imported?.photos || []).map(photoId => photoIds.get(photoId)).filter(photoId => photoId !== undefined);
+
+    if (local && local.isComplete) {
+      await this.storageManager.saveUserProfile({ ...local, photos: Array.from(new Set([...(local.photos || []), ...photos])) });
+    } else if (imported) {
+      const apiKey = imported.apiKey || local?.apiKey || '';
+      await this.storageManager.saveUserProfile({
+        ...imported,
+        apiKey: apiKey,
+        photos: photos,
+        isComplete: !!imported.isComplete && !!(apiKey || imported.aiProvider?.apiKey)
+      });
+    }
+  }
+
+  // Settings and usage stats already here are kept
+  async mergeSettings(manifest) {
+    const local = await chrome.storage.local.get(['appSettings', 'geminiUsageStats']);
+    const updates = {};
+    if (manifest.settings && !local.appSettings) {
+      updates.appSettings = manifest.settings;
+    }
+    if (manifest.usageStats && !local.geminiUsageStats) {
+      updates.geminiUsageStats = manifest.usageStats;
+    }
+    await chrome.storage.local.set(updates);
+  }
+
+  // Encrypted photos cannot be read, or written, while the vault is locked
+  static async requireUnlocked() {
+    if (typeof Vault !== 'undefined' && await Vault.isLocked()) {
+      throw new Error(Vault.LOCKED_MESSAGE);
+    }
+  }
+
+  static exportProfile(profile, includeSecrets) {
+    const { secrets, ...exported } = profile;
+    if (!includeSecrets) {
+      exported.apiKey = '';
+      if (exported.aiProvider) {
+        const { apiKey, ...aiProvider } = exported.aiProvider;
+        exported.aiProvider = aiProvider;
+      }
+    }
+    return exported;
+  }
+
+  // The parsed manifest, once its format, version and images check out
+  static async readManifest(files) {
+    if (!files.has('manifest.json')) {
+      throw new Error('Not a Virtual Try-On archive: manifest.json is missing');
+    }
+
+    let manifest;
+    try {
+      manifest = JSON.parse(new TextDecoder().decode(files.get('manifest.json')));
+    } catch (error) {
+      throw new Error('The archive manifest is not valid JSON');
+    }
+
+    if (!manifest || manifest.format !== DataArchive.FORMAT) {
+      throw new Error('Not a Virtual Try-On archive');
+    }
+    if (!Number.isInteger(manifest.version) || manifest.version < 1) {
+      throw new Error('The archive manifest has no valid version');
+    }
+    if (manifest.version > DataArchive.VERSION) {
+      throw new Error(`The archive was made by a newer version of the extension (format ${manifest.version}, this one reads up to ${DataArchive.VERSION})`);
+    }
+
+    manifest.images = manifest.images || {};
+    manifest.stores = manifest.stores || {};
+    for (const storeName of DataArchive.STORES) {
+      if (manifest.stores[storeName] !== undefined && !Array.isArray(manifest.stores[storeName])) {
+        throw new Error(`The archive's ${storeName} is not a list`);
+      }
+    }
+
+    const referenced = [];
+    DataArchive.replaceHashRefs(manifest.stores, reference => referenced.push(reference.imageHash));
+    for (const hash of referenced) {
+      if (!manifest.images[hash]) {
+        throw new Error(`The archive refers to an image it does not contain (${hash})`);
+      }
+    }
+    for (const [hash, entry] of Object.entries(manifest.images)) {
+      if (!files.has(entry.file) || await DataArchive.hash(files.get(entry.file)) !== hash) {
+        throw new Error(`The archive's ${entry.file} is missing or damaged`);
+      }
+    }
+
+    return manifest;
+  }
+
+  // Hashes of the archive's images that sit in a SEALED_IMAGE_FIELDS field
+  static sealedHashes(stores) {
+    const hashes = new Set();
+    for (const [storeName, paths] of Object.entries(StorageManager.SEALED_IMAGE_FIELDS)) {
+      for (const record of stores[storeName] || []) {
+        StorageManager.imageFields(storeName, record)
+          .filter(([path]) => paths.includes(path))
+          .forEach(([, value]) => DataArchive.replaceHashRefs(value, reference => hashes.add(reference.imageHash)));
+      }
+    }
+    return hashes;
+  }
+
+  // Copy of value with every { imageHash } reference replaced
+  static replaceHashRefs(value, replace) {
+    if (value && typeof value === 'object' && typeof value.imageHash === 'string') {
+      return replace(value);
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => DataArchive.replaceHashRefs(item, replace));
+    }
+    if (Object.prototype.toString.call(value) === '[object Object]') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, DataArchive.replaceHashRefs(item, replace)]));
+    }
+    return value;
+  }
+
+  // Copy of a record with the ids it holds of other records mapped to their
+  // new ids. Ids that were not imported become null.
+  static remapIds(value, idMaps) {
+    if (Array.isArray(value)) {
+      return value.map(item => DataArchive.remapIds(item, idMaps));
+    }
+    if (Object.prototype.toString.call(value) !== '[object Object]') {
+      return value;
+    }
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => {
+      const storeName = DataArchive.ID_FIELDS[key];
+      if (storeName && item !== null && item !== undefined) {
+        return [key, idMaps[storeName]?.get(item) ?? null];
+      }
+      return [key, DataArchive.remapIds(item, idMaps)];
+    }));
+  }
+
+  // SHA-256 of a record's content, leaving out its own and other records' ids
+  static async recordHash(record) {
+    return DataArchive.hash(new TextEncoder().encode(JSON.stringify(DataArchive.canonical(record))));
+  }
+
+  // Keys sorted and ids left out, so equal content gives equal JSON
+  static canonical(value) {
+    if (Array.isArray(value)) {
+      return value.map(item => DataArchive.canonical(item));
+    }
+    if (Object.prototype.toString.call(value) !== '[object Object]') {
+      return value;
+    }
+    return Object.keys(value)
+      .filter(key => key !== 'id' && !DataArchive.ID_FIELDS[key])
+      .sort()
+      .reduce((result, key) => ({ ...result, [key]: DataArchive.canonical(value[key]) }), {});
+  }
+
+  // Hex SHA-256 of a Blob or bytes
+  static async hash(data) {
+    const bytes = ArrayBuffer.isView(data) ? data : await data.arrayBuffer();
+    const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+    return Array.from(digest, byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  static extension(type) {
+    const match = String(type).match(/^image\/([\w.+-]+)/);
+    if (!match) return 'bin';
+    return { jpeg: 'jpg', 'svg+xml': 'svg' }[match[1]] || match[1];
+  }
+
+  // Zip of { name, data } files (data: Blob or bytes). Files are stored
+  // uncompressed, as images are compressed already.
+  static async createZip(files) {
+    const { time, date } = DataArchive.dosDateTime(new Date());
+    const parts = [];
+    const central = [];
+    let offset = 0;
+
+    for (const file of files) {
+      const data = ArrayBuffer.isView(file.data) ? file.data : new Uint8Array(await file.data.arrayBuffer());
+      const name = new TextEncoder().encode(file.name);
+      const crc = DataArchive.crc32(data);
+
+      const header = new DataView(new ArrayBuffer(30));
+      header.setUint32(0, 0x04034b50, true);
+      header.setUint16(4, 20, true); // version needed
+      header.setUint16(6, 0x0800, true); // UTF-8 names
+      header.setUint16(8, 0, true); // stored
+      header.setUint16(10, time, true);
+      header.setUint16(12, date, true);
+      header.setUint32(14, crc, true);
+      header.setUint32(18, data.length, true);
+      header.setUint32(22, data.length, true);
+      header.setUint16(26, name.length, true);
+      parts.push(header.buffer, name, data);
+
+      const entry = new DataView(new ArrayBuffer(46));
+      entry.setUint32(0, 0x02014b50, true);
+      entry.setUint16(4, 20, true); // version made by
+      entry.setUint16(6, 20, true);
+      entry.setUint16(8, 0x0800, true);
+      entry.setUint16(10, 0, true);
+      entry.setUint16(12, time, true);
+      entry.setUint16(14, date, true);
+      entry.setUint32(16, crc, true);
+      entry.setUint32(20, data.length, true);
+      entry.setUint32(24, data.length, true);
+      entry.setUint16(28, name.length, true);
+      entry.setUint32(42, offset, true);
+      central.push(entry.buffer, name);
+
+      offset += 30 + name.length + data.length;
+    }
+
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, central.reduce((total, part) => total + part.byteLength, 0), true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...central, end.buffer], { type: 'application/zip' });
+  }
+
+  // Files of an uncompressed zip (as createZip writes) as a Map of name to bytes
+  static async readZip(archive) {
+    const bytes = ArrayBuffer.isView(archive)
+      ? new Uint8Array(archive.buffer, archive.byteOffset, archive.byteLength)
+      : new Uint8Array(await archive.arrayBuffer());
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    let end = bytes.length - 22;
+    while (end >= 0 && view.getUint32(end, true) !== 0x06054b50) {
+      end--;
+    }
+    if (end < 0) {
+      throw new Error('Not a zip archive');
+    }
+
+    const files = new Map();
+    const count = view.getUint16(end + 10, true);
+    let position = view.getUint32(end + 16, true);
+    for (let i = 0; i < count; i++) {
+      if (position + 46 > bytes.length || view.getUint32(position, true) !== 0x02014b50) {
+        throw new Error('The zip archive is damaged');
+      }
+
+      const nameLength = view.getUint16(position + 28, true);
+      const name = new TextDecoder().decode(bytes.subarray(position + 46, position + 46 + nameLength));
+      if (view.getUint16(position + 10, true) !== 0) {
+        throw new Error(`${name} is compressed; only archives exported by the extension can be imported`);
+      }
+
+      const offset = view.getUint32(position + 42, true);
+      const start = offset + 30 + view.getUint16(offset + 26, true) + view.getUint16(offset + 28, true);
+      const data = bytes.subarray(start, start + view.getUint32(position + 20, true));
+      if (DataArchive.crc32(data) !== view.getUint32(position + 16, true)) {
+        throw new Error(`${name} in the zip archive is damaged`);
+      }
+
+      files.set(name, data);
+      position += 46 + nameLength + view.getUint16(position + 30, true) + view.getUint16(position + 32, true);
+    }
+    return files;
+  }
+
+  static crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = DataArchive.CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  // MS-DOS time and date fields for zip headers
+  static dosDateTime(now) {
+    return {
+      time: (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2),
+      date: ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate()
+    };
+  }
+}
+
+DataArchive.FORMAT = 'ai-virtual-try-on';
+
+// Bump when the manifest layout changes, and teach readManifest to upgrade
+// older manifests
+DataArchive.VERSION = 1;
+
+// Exported stores, in import order: records are imported after the ones
+// they refer to
+DataArchive.STORES = ['userPhotos', 'clothingItems', 'tryOnResults', 'tryOnVersions'];
+
+// Fields holding the id of a record in another store
+DataArchive.ID_FIELDS = {
+  clothingItemId: 'clothingItems',
+  resultId: 'tryOnResults',
+  parentId: 'tryOnVersions',
+  currentVersionId: 'tryOnVersions'
+};
+
+DataArchive.CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let crc = n;
+  for (let bit = 0; bit < 8; bit++) {
+    crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+  }
+  return crc >>> 0;
+});
+
+// Make available in both service worker and browser contexts
+self.DataArchive = DataArchive;
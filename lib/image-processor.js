@@ -35,8 +35,11 @@ class ImageProcessor {
 
   // Resize image to specified dimensions
   async resizeImage(imageData, maxWidth = 1024, maxHeight = 1024, quality = 0.9) {
-    // In service worker context, return the image data as-is for now
+    // Service workers have no DOM canvas, but can resize with OffscreenCanvas
     if (!this.canProcessImages()) {
+      if (this.canDrawOffscreen()) {
+        return this.resizeImageOffscreen(imageData, maxWidth, maxHeight, quality);
+      }
       console.log('🔧 Image processing not available in service worker, returning original');
       return imageData;
     }
@@ -100,10 +103,15 @@ class ImageProcessor {
     return { width: Math.round(width), height: Math.round(height) };
   }
 
-  // Crop image to specified region
+  // Crop image to specified region.
+  // cropArea may be a pixel rect, a normalized (0-1) rect or a detection
+  // boundingBox; out-of-range boxes are clamped to the image (see resolveCropArea).
   async cropImage(imageData, cropArea) {
-    // In service worker context, return original image
+    // Service workers have no DOM canvas, but can crop with OffscreenCanvas
     if (!this.canProcessImages()) {
+      if (this.canDrawOffscreen()) {
+        return this.cropImageOffscreen(imageData, cropArea);
+      }
       console.log('🔧 Cropping not available in service worker, returning original');
       return imageData;
     }
@@ -112,14 +120,16 @@ class ImageProcessor {
       const img = new Image();
       
       img.onload = () => {
-        const { x, y, width, height } = cropArea;
+        const area = this.resolveCropArea(cropArea, img.naturalWidth, img.naturalHeight);
         
         // Validate crop area
-        if (x < 0 || y < 0 || x + width > img.naturalWidth || y + height > img.naturalHeight) {
+        if (!area) {
           reject(new Error('Invalid crop area'));
           return;
         }
 
+        const { x, y, width, height } = area;
+
         // Set canvas size to crop dimensions
         this.canvas.width = width;
         this.canvas.height = height;
@@ -135,7 +145,7 @@ class ImageProcessor {
           dataUrl: croppedDataUrl,
           width: width,
           height: height,
-          cropArea: cropArea
+          cropArea: area
         });
       };
 
@@ -147,6 +157,225 @@ class ImageProcessor {
     });
   }
 
+  // Whether images can be drawn without a DOM (service worker)
+  canDrawOffscreen() {
+    return typeof OffscreenCanvas !== 'undefined' && typeof createImageBitmap !== 'undefined';
+  }
+
+  // Crop using createImageBitmap + OffscreenCanvas (service worker context)
+  async cropImageOffscreen(imageData, cropArea) {
+    const response = await fetch(this.getImageSrc(imageData));
+    const bitmap = await createImageBitmap(await response.blob());
+
+    try {
+      const area = this.resolveCropArea(cropArea, bitmap.width, bitmap.height);
+      if (!area) {
+        throw new Error('Invalid crop area');
+      }
+
+      const canvas = new OffscreenCanvas(area.width, area.height);
+      const ctx = canvas.getContext('2d');
+      ctx.drawImage(bitmap, area.x, area.y, area.width, area.height, 0, 0, area.width, area.height);
+
+      const blob = await canvas.convertToBlob({ type: 'image/jpeg', quality: 0.9 });
+
+      return {
+        dataUrl: await this.blobToDataUrl(blob),
+        width: area.width,
+        height: area.height,
+        cropArea: area
+      };
+    } finally {
+      bitmap.close();
+    }
+  }
+
+  // Resize using createImageBitmap + OffscreenCanvas (service worker context)
+  async resizeImageOffscreen(imageData, maxWidth, maxHeight, quality) {
+    const response = await fetch(this.getImageSrc(imageData));
+    const bitmap = await createImageBitmap(await response.blob());
+
+    try {
+      const { width, height } = this.calculateDimensions(bitmap.width, bitmap.height, maxWidth, maxHeight);
+      const canvas = new OffscreenCanvas(width, height);
+      const ctx = canvas.getContext('2d');
+      ctx.drawImage(bitmap, 0, 0, width, height);
+
+      const blob = await canvas.convertToBlob({ type: 'image/jpeg', quality: quality });
+
+      return {
+        dataUrl: await this.blobToDataUrl(blob),
+        width: width,
+        height: height,
+        originalWidth: bitmap.width,
+        originalHeight: bitmap.height
+      };
+    } finally {
+      bitmap.close();
+    }
+  }
+
+  // Copy the masked region of `edited` onto `original` and return a PNG data URL.
+  // The mask is black and white, white marking the region to change; pixels
+  // under black come from the original unchanged. Service worker context.
+  async compositeMasked(original, edited, mask) {
+    if (!this.canDrawOffscreen()) {
+      throw new Error('Masked compositing needs OffscreenCanvas');
+    }
+
+    const base = await this.readPixelsOffscreen(original);
+    const [top, weights] = await Promise.all([
+      this.readPixelsOffscreen(edited, base.width, base.height),
+      this.readPixelsOffscreen(mask, base.width, base.height)
+    ]);
+
+    ImageProcessor.blendMasked(base.imageData.data, top.imageData.data, weights.imageData.data);
+    base.ctx.putImageData(base.imageData, 0, 0);
+
+    return this.blobToDataUrl(await base.canvas.convertToBlob({ type: 'image/png' }));
+  }
+
+  // Turn a white-on-black mask into the alpha mask image-edit APIs expect
+  // (transparent where the image should change, opaque elsewhere)
+  async maskToAlpha(mask) {
+    if (!this.canDrawOffscreen()) {
+      throw new Error('Mask conversion needs OffscreenCanvas');
+    }
+
+    const { canvas, ctx, imageData } = await this.readPixelsOffscreen(mask);
+    const data = imageData.data;
+    for (let i = 0; i < data.length; i += 4) {
+      data[i + 3] = 255 - data[i];
+    }
+    ctx.putImageData(imageData, 0, 0);
+
+    return this.blobToDataUrl(await canvas.convertToBlob({ type: 'image/png' }));
+  }
+
+  // Draw an image onto an OffscreenCanvas (optionally scaled to width x height) and read its pixels
+  async readPixelsOffscreen(imageData, width = null, height = null) {
+    const response = await fetch(this.getImageSrc(imageData));
+    const bitmap = await createImageBitmap(await response.blob());
+
+    try {
+      const canvas = new OffscreenCanvas(width || bitmap.width, height || bitmap.height);
+      const ctx = canvas.getContext('2d');
+      ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+
+      return {
+        canvas: canvas,
+        ctx: ctx,
+        width: canvas.width,
+        height: canvas.height,
+        imageData: ctx.getImageData(0, 0, canvas.width, canvas.height)
+      };
+    } finally {
+      bitmap.close();
+    }
+  }
+
+  // Blend RGBA pixels of `edited` into `original` in place, weighted by the
+  // mask's red channel. Black mask pixels leave the original untouched.
+  static blendMasked(original, edited, mask) {
+    for (let i = 0; i < original.length; i += 4) {
+      const weight = mask[i] / 255;
+      if (weight === 0) continue;
+
+      for (let channel = 0; channel < 4; channel++) {
+        original[i + channel] = Math.round(original[i + channel] * (1 - weight) + edited[i + channel] * weight);
+      }
+    }
+    return original;
+  }
+
+  blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(new Error('Failed to read image data'));
+      reader.readAsDataURL(blob);
+    });
+  }
+
+  // Convert a crop rectangle or detection boundingBox into whole-pixel
+  // coordinates clamped to the image. Accepts:
+  //   { x, y, width, height } in pixels, or normalized to 0-1 when every value is <= 1
+  //   (set normalized: true/false on the box to override the guess)
+  //   [ymin, xmin, ymax, xmax] normalized to 0-1000 (Gemini's native box format)
+  // Returns null when nothing of the box lies inside the image.
+  resolveCropArea(box, imageWidth, imageHeight) {
+    if (!box || !imageWidth || !imageHeight) {
+      return null;
+    }
+
+    let left, top, right, bottom;
+
+    if (Array.isArray(box)) {
+      if (box.length !== 4) return null;
+      const [ymin, xmin, ymax, xmax] = box.map(Number);
+      left = (xmin / 1000) * imageWidth;
+      top = (ymin / 1000) * imageHeight;
+      right = (xmax / 1000) * imageWidth;
+      bottom = (ymax / 1000) * imageHeight;
+    } else {
+      const x = Number(box.x) || 0;
+      const y = Number(box.y) || 0;
+      const width = Number(box.width);
+      const height = Number(box.height);
+
+      if (!(width > 0) || !(height > 0)) {
+        return null;
+      }
+
+      const normalized = box.normalized === true ||
+        (box.normalized !== false && [x, y, width, height].every(value => value <= 1));
+      const scaleX = normalized ? imageWidth : 1;
+      const scaleY = normalized ? imageHeight : 1;
+
+      left = x * scaleX;
+      top = y * scaleY;
+      right = (x + width) * scaleX;
+      bottom = (y + height) * scaleY;
+    }
+
+    // Clamp to the image bounds
+    left = Math.max(0, Math.min(imageWidth, Math.floor(left)));
+    top = Math.max(0, Math.min(imageHeight, Math.floor(top)));
+    right = Math.max(0, Math.min(imageWidth, Math.ceil(right)));
+    bottom = Math.max(0, Math.min(imageHeight, Math.ceil(bottom)));
+
+    if (right - left < 1 || bottom - top < 1) {
+      return null;
+    }
+
+    return { x: left, y: top, width: right - left, height: bottom - top };
+  }
+
+  // Cut every detected item out of the source image by its boundingBox.
+  // Returns one entry per item: { dataUrl, width, height, cropArea } or null
+  // when the item has no usable box or cropping is unavailable.
+  async cropDetectedItems(imageData, items) {
+    const crops = [];
+
+    for (const item of items) {
+      if (!item.boundingBox) {
+        crops.push(null);
+        continue;
+      }
+
+      try {
+        const crop = await this.cropImage(imageData, item.boundingBox);
+        crops.push(crop && crop.dataUrl ? crop : null);
+      } catch (error) {
+        console.warn('Failed to crop detected item:', error.message);
+        crops.push(null);
+      }
+    }
+
+    return crops;
+  }
+
+
   // Enhance image quality for Gemini 2.5 Flash Image compatibility
   async enhanceImage(imageData, options = {}) {
     // In service worker context, return original image
@@ -0,0 +1,183 @@
+// Item picker for AI Virtual Try-On extension
+// Shown by the content script and the popup when detection finds several
+// garments: lists each detected item (from aiData.items) with its cropped
+// preview so the user can try on one or several of them, or cancel.
+
+class ItemPicker {
+  constructor(container = null) {
+    this.container = container;
+    this.overlay = null;
+    this.keyHandler = null;
+  }
+
+  // Show the picker. Resolves with the chosen clothing items, or null if cancelled.
+  pick(clothingItems, options = {}) {
+    this.close();
+
+    return new Promise((resolve) => {
+      const selected = new Set(options.preselect || []);
+      const finish = (result) => {
+        this.close();
+        resolve(result);
+      };
+
+      this.overlay = document.createElement('div');
+      this.overlay.className = 'vto-picker-overlay';
+      this.overlay.innerHTML = `
+        <div class="vto-picker" role="dialog" aria-modal="true" aria-labelledby="vto-picker-title">
+          <div class="vto-picker-header">
+            <h3 id="vto-picker-title">${ItemPicker.escapeHtml(options.title || `We found ${clothingItems.length} items`)}</h3>
+            <p>Select one item to try on, or several to try them on together as an outfit.</p>
+          </div>
+          <div class="vto-picker-items">
+            ${clothingItems.map((item, position) => this.renderItem(item, position)).join('')}
+          </div>
+          <div class="vto-picker-actions">
+            <button type="button" class="vto-picker-cancel">Cancel</button>
+            <button type="button" class="vto-picker-confirm" disabled>Try On</button>
+          </div>
+        </div>
+      `;
+
+      const confirmButton = this.overlay.querySelector('.vto-picker-confirm');
+      const updateConfirm = () => {
+        confirmButton.disabled = selected.size === 0;
+        confirmButton.textContent = selected.size > 1 ? `Try On Outfit (${selected.size})` : 'Try On';
+      };
+
+      this.overlay.querySelectorAll('.vto-picker-item').forEach((card) => {
+        const position = Number(card.dataset.position);
+        const checkbox = card.querySelector('input[type="checkbox"]');
+        checkbox.checked = selected.has(position);
+        card.classList.toggle('selected', checkbox.checked);
+
+        checkbox.addEventListener('change', () => {
+          if (checkbox.checked) {
+            selected.add(position);
+          } else {
+            selected.delete(position);
+          }
+          card.classList.toggle('selected', checkbox.checked);
+          updateConfirm();
+        });
+      });
+
+      this.overlay.querySelector('.vto-picker-cancel').addEventListener('click', () => finish(null));
+      confirmButton.addEventListener('click', () => {
+        finish(clothingItems.filter((item, position) => selected.has(position)));
+      });
+
+      // Clicking the backdrop or pressing Escape cancels
+      this.overlay.addEventListener('click', (event) => {
+        if (event.target === this.overlay) {
+          finish(null);
+        }
+      });
+      this.keyHandler = (event) => {
+        if (event.key === 'Escape') {
+          event.stopPropagation();
+          finish(null);
+        }
+      };
+      document.addEventListener('keydown', this.keyHandler, true);
+
+      updateConfirm();
+      (this.container || document.body).appendChild(this.overlay);
+    });
+  }
+
+  // Render one detected item card
+  renderItem(item, position) {
+    const title = [item.color, item.type].filter(Boolean).join(' ') || item.category || 'Item';
+    const confidence = typeof item.confidence === 'number' ? `${Math.round(item.confidence * 100)}%` : 'n/a';
+    const preview = item.data && /^(data:image\/|https?:)/.test(item.data)
+      ? `<img src="${ItemPicker.escapeHtml(item.data)}" alt="${ItemPicker.escapeHtml(title)}">`
+      : '<div class="vto-picker-no-preview">No preview</div>';
+
+    return `
+      <label class="vto-picker-item" data-position="${position}">
+        <input type="checkbox">
+        <div class="vto-picker-preview${item.cropped ? '' : ' uncropped'}">${preview}</div>
+        <div class="vto-picker-details">
+          <strong>${ItemPicker.escapeHtml(title)}</strong>
+          <span class="vto-picker-category">${ItemPicker.escapeHtml(item.category || 'clothing')}</span>
+          <span class="vto-picker-confidence">${confidence} confidence</span>
+        </div>
+      </label>
+    `;
+  }
+
+  // Remove the picker if it is open
+  close() {
+    if (this.keyHandler) {
+      document.removeEventListener('keydown', this.keyHandler, true);
+      this.keyHandler = null;
+    }
+    if (this.overlay) {
+      this.overlay.remove();
+      this.overlay = null;
+    }
+  }
+
+  // Finish a processImage call made with options.pickItems: when the background
+  // asked for a selection, show the picker and try on the chosen items.
+  // Returns the result to display, or null if the user cancelled the picker or the job.
+  async resolveSelection(result, options = {}) {
+    if (!result || !result.selectionRequired) {
+      return result;
+    }
+
+    const chosen = await this.pick(result.clothingItems);
+    if (!chosen) {
+      return null;
+    }
+
+    if (options.onTryOnStart) {
+      options.onTryOnStart(chosen);
+    }
+
+    // options.runJob runs the request as a cancellable job; plain message otherwise
+    const request = {
+      action: 'generateTryOn',
+      clothingItems: chosen,
+      options: {
+        outfit: chosen.length > 1,
+        source: options.source
+      }
+    };
+    const response = options.runJob
+      ? await options.runJob(request)
+      : await chrome.runtime.sendMessage(request);
+
+    if (response?.cancelled) {
+      return null;
+    }
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'Try-on generation failed');
+    }
+
+    // Same shape as a processImage call that went straight to try-on
+    return {
+      type: 'virtual_tryon_complete',
+      message: response.message,
+      detectionData: result,
+      tryOnData: response.tryOnData,
+      clothingItems: chosen,
+      userPhotoId: response.userPhotoId
+    };
+  }
+
+  static escapeHtml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+}
+
+// Make available to the content script and extension pages
+if (typeof window !== 'undefined') {
+  window.ItemPicker = ItemPicker;
+}
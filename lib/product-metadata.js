@@ -0,0 +1,313 @@
+// Product page metadata extraction for AI Virtual Try-On extension
+// Reads JSON-LD `Product` schema, microdata and OpenGraph/Twitter meta tags
+// from the current page. Sources are merged in that order of trust: the first
+// source that provides a field wins, list fields (sizes, colors) are combined.
+
+class ProductMetadataExtractor {
+  constructor(doc = null) {
+    this.doc = doc || (typeof document !== 'undefined' ? document : null);
+  }
+
+  // Extract product metadata from the page, or null if none was found
+  extract() {
+    if (!this.doc) {
+      return null;
+    }
+
+    const found = [];
+    const attempts = [
+      ['json-ld', () => this.fromJsonLd()],
+      ['microdata', () => this.fromMicrodata()],
+      ['meta', () => this.fromMetaTags()]
+    ];
+
+    for (const [source, read] of attempts) {
+      try {
+        const data = read();
+        if (data && ProductMetadataExtractor.hasProductFields(data)) {
+          found.push({ source, data });
+        }
+      } catch (error) {
+        console.warn(`⚠️ Could not read ${source} product metadata:`, error.message);
+      }
+    }
+
+    if (found.length === 0) {
+      return null;
+    }
+
+    const product = ProductMetadataExtractor.merge(found.map(entry => entry.data));
+    product.canonicalUrl = this.getCanonicalUrl(product.canonicalUrl);
+    product.sources = found.map(entry => entry.source);
+    return product;
+  }
+
+  // JSON-LD: first `Product` (or `ProductGroup`) node in any ld+json script
+  fromJsonLd() {
+    const scripts = this.doc.querySelectorAll('script[type="application/ld+json"]');
+    for (const script of scripts) {
+      let data;
+      try {
+        data = JSON.parse(script.textContent);
+      } catch (error) {
+        continue; // Malformed blocks are common; skip them
+      }
+
+      const node = ProductMetadataExtractor.findProductNode(data);
+      if (node) {
+        return ProductMetadataExtractor.fromSchemaProduct(node);
+      }
+    }
+    return null;
+  }
+
+  // Microdata: itemscope element typed schema.org/Product
+  fromMicrodata() {
+    const scope = this.doc.querySelector('[itemscope][itemtype*="schema.org/Product"]');
+    if (!scope) {
+      return null;
+    }
+
+    const value = (name, anyDepth = false) => {
+      const elements = Array.from(scope.querySelectorAll(`[itemprop~="${name}"]`))
+        .filter(element => anyDepth || ProductMetadataExtractor.ownerScope(element) === scope);
+      return elements.map(element => {
+        // Nested items (e.g. brand as an Organization) carry their own name
+        if (element.hasAttribute('itemscope')) {
+          const nested = element.querySelector('[itemprop~="name"]');
+          return nested ? ProductMetadataExtractor.elementValue(nested) : null;
+        }
+        return ProductMetadataExtractor.elementValue(element);
+      }).filter(Boolean);
+    };
+
+    return {
+      name: value('name')[0] || null,
+      brand: value('brand')[0] || null,
+      price: ProductMetadataExtractor.parsePrice(value('price', true)[0] || value('lowPrice', true)[0]),
+      currency: value('priceCurrency', true)[0] || null,
+      sizes: value('size'),
+      colors: value('color'),
+      material: value('material')[0] || null,
+      canonicalUrl: value('url')[0] || null,
+      image: value('image')[0] || null
+    };
+  }
+
+  // OpenGraph, product:* and Twitter card meta tags
+  fromMetaTags() {
+    const meta = (...names) => {
+      for (const name of names) {
+        const element = this.doc.querySelector(`meta[property="${name}"], meta[name="${name}"]`);
+        const content = element && element.getAttribute('content');
+        if (content && content.trim()) {
+          return content.trim();
+        }
+      }
+      return null;
+    };
+
+    // Twitter product cards put the price in a label/data pair
+    let twitterPrice = null;
+    for (const index of [1, 2]) {
+      if (/price/i.test(meta(`twitter:label${index}`) || '')) {
+        twitterPrice = meta(`twitter:data${index}`);
+      }
+    }
+
+    const color = meta('product:color', 'og:color');
+    const size = meta('product:size');
+
+    return {
+      name: meta('og:title', 'twitter:title'),
+      brand: meta('product:brand', 'og:brand'),
+      price: ProductMetadataExtractor.parsePrice(meta('product:price:amount', 'og:price:amount') || twitterPrice),
+      currency: meta('product:price:currency', 'og:price:currency') || ProductMetadataExtractor.parseCurrency(twitterPrice),
+      sizes: size ? [size] : [],
+      colors: color ? [color] : [],
+      material: meta('product:material'),
+      canonicalUrl: meta('og:url'),
+      image: meta('og:image', 'twitter:image')
+    };
+  }
+
+  // <link rel="canonical"> beats URLs found in structured data
+  getCanonicalUrl(fallback = null) {
+    const link = this.doc.querySelector('link[rel="canonical"]');
+    const href = link && link.getAttribute('href');
+    const base = this.doc.location?.href;
+
+    for (const candidate of [href, fallback, base]) {
+      if (!candidate) continue;
+      try {
+        return new URL(candidate, base).href;
+      } catch (error) {
+        // Try the next candidate
+      }
+    }
+    return null;
+  }
+
+  // Find a Product node in parsed JSON-LD (arrays, @graph and ProductGroup included)
+  static findProductNode(data) {
+    const queue = [data];
+    while (queue.length > 0) {
+      const node = queue.shift();
+      if (!node || typeof node !== 'object') continue;
+
+      if (Array.isArray(node)) {
+        queue.push(...node);
+        continue;
+      }
+
+      const types = [].concat(node['@type'] || []);
+      if (types.includes('Product') || types.includes('ProductGroup')) {
+        return node;
+      }
+      if (node['@graph']) {
+        queue.push(node['@graph']);
+      }
+    }
+    return null;
+  }
+
+  // Map a schema.org Product node to our metadata shape
+  static fromSchemaProduct(node) {
+    const variants = [].concat(node.hasVariant || []);
+    const offers = [].concat(node.offers || [], ...variants.map(variant => variant.offers || []));
+    const offer = offers.find(entry => entry && (entry.price != null || entry.lowPrice != null || entry.priceSpecification)) || {};
+    const priceSpec = [].concat(offer.priceSpecification || [])[0] || {};
+
+    const text = value => {
+      if (value == null) return null;
+      if (typeof value === 'object') return text(value.name || value['@value']);
+      return String(value).trim() || null;
+    };
+    const list = (...values) => ProductMetadataExtractor.uniqueList(
+      values.flatMap(value => [].concat(value || [])).map(text)
+    );
+
+    return {
+      name: text(node.name),
+      brand: text([].concat(node.brand || [])[0]),
+      price: ProductMetadataExtractor.parsePrice(offer.price ?? offer.lowPrice ?? priceSpec.price),
+      currency: text(offer.priceCurrency || priceSpec.priceCurrency),
+      sizes: list(node.size, ...variants.map(variant => variant.size)),
+      colors: list(node.color, ...variants.map(variant => variant.color)),
+      material: text([].concat(node.material || [])[0]),
+      canonicalUrl: text(node.url || node['@id']),
+      image: text([].concat(node.image || [])[0]?.url || [].concat(node.image || [])[0])
+    };
+  }
+
+  // First non-empty value per field; sizes and colors are combined
+  static merge(results) {
+    const product = {
+      name: null,
+      brand: null,
+      price: null,
+      currency: null,
+      sizes: [],
+      colors: [],
+      material: null,
+      canonicalUrl: null,
+      image: null
+    };
+
+    for (const result of results) {
+      for (const field of ['name', 'brand', 'price', 'currency', 'material', 'canonicalUrl', 'image']) {
+        if (product[field] == null && result[field] != null) {
+          product[field] = result[field];
+        }
+      }
+      product.sizes = ProductMetadataExtractor.uniqueList([...product.sizes, ...(result.sizes || [])]);
+      product.colors = ProductMetadataExtractor.uniqueList([...product.colors, ...(result.colors || [])]);
+    }
+
+    return product;
+  }
+
+  static hasProductFields(data) {
+    return !!(data.name || data.brand || data.price != null || data.sizes?.length || data.colors?.length);
+  }
+
+  // Parse "1,299.00", "1.299,00 €" or 49.9 into a number
+  static parsePrice(value) {
+    if (value == null || value === '') return null;
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+
+    let digits = String(value).replace(/[^\d.,]/g, '');
+    const lastComma = digits.lastIndexOf(',');
+    const lastDot = digits.lastIndexOf('.');
+
+    if (lastComma > lastDot) {
+      // Comma is the decimal separator only when followed by 1-2 digits
+      digits = /,\d{1,2}$/.test(digits)
+        ? digits.replace(/\./g, '').replace(',', '.')
+        : digits.replace(/,/g, '');
+    } else {
+      digits = digits.replace(/,/g, '');
+    }
+
+    const price = parseFloat(digits);
+    return Number.isFinite(price) ? price : null;
+  }
+
+  // Currency from a formatted price such as "$49.00" or "49,00 EUR"
+  static parseCurrency(value) {
+    if (!value) return null;
+    const code = String(value).match(/\b[A-Z]{3}\b/);
+    if (code) return code[0];
+    const symbol = String(value).match(/[$€£¥]/);
+    return symbol ? ProductMetadataExtractor.CURRENCY_SYMBOLS[symbol[0]] : null;
+  }
+
+  static uniqueList(values) {
+    const seen = new Set();
+    return values.filter(value => {
+      if (!value) return false;
+      const key = String(value).toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  // Nearest enclosing itemscope, not counting the element itself
+  static ownerScope(element) {
+    let parent = element.parentElement;
+    while (parent && !parent.hasAttribute('itemscope')) {
+      parent = parent.parentElement;
+    }
+    return parent;
+  }
+
+  // Microdata property value: content attribute, link target, or text
+  static elementValue(element) {
+    const tag = (element.tagName || '').toLowerCase();
+    let value = element.getAttribute('content');
+
+    if (!value && (tag === 'a' || tag === 'link')) {
+      value = element.getAttribute('href');
+    } else if (!value && tag === 'img') {
+      value = element.getAttribute('src');
+    }
+
+    value = value || element.textContent;
+    return value ? value.trim() || null : null;
+  }
+}
+
+ProductMetadataExtractor.CURRENCY_SYMBOLS = {
+  '$': 'USD',
+  '€': 'EUR',
+  '£': 'GBP',
+  '¥': 'JPY'
+};
+
+// Make available to the content script and extension pages
+if (typeof window !== 'undefined') {
+  window.ProductMetadataExtractor = ProductMetadataExtractor;
+} else {
+  self.ProductMetadataExtractor = ProductMetadataExtractor;
+}
@@ -0,0 +1,245 @@
+// Prompt templates for AI Virtual Try-On extension
+// Every prompt sent to a provider is rendered from a named, versioned template
+// here, so a change in output quality can be traced to the prompt that made it.
+// Bump a template's version whenever its text changes; results store the id
+// (e.g. 'tryon-generation@1/shoes') and cached results made with an older
+// version are no longer reused.
+//
+// Syntax (a small Mustache subset):
+//   {{name}}                     value of a variable (null renders as nothing)
+//   {{#name}}...{{/name}}        shown when name is set (non-empty string, true, non-zero)
+//   {{^name}}...{{/name}}        shown when name is not set
+// A template may have per-category variants that replace its text.
+
+class PromptTemplates {
+  // Register a template: { version, text, variants: { [category]: text } }
+  static register(name, definition) {
+    PromptTemplates.registry.set(name, { variants: {}, ...definition, name: name });
+  }
+
+  static get(name) {
+    const template = PromptTemplates.registry.get(name);
+    if (!template) {
+      throw new Error(`Unknown prompt template: ${name}`);
+    }
+    return template;
+  }
+
+  // Render a template. variant picks a per-category text when the template
+  // has one. Returns { text, id, version }.
+  static render(name, variables = {}, variant = null) {
+    const template = PromptTemplates.get(name);
+    const useVariant = variant && template.variants[variant] ? variant : null;
+    const source = useVariant ? template.variants[variant] : template.text;
+
+    return {
+      text: PromptTemplates.interpolate(source, variables).replace(/\n{3,}/g, '\n\n').trim(),
+      id: PromptTemplates.templateId(name, useVariant),
+      version: template.version
+    };
+  }
+
+  // 'name@version' or 'name@version/variant'
+  static templateId(name, variant = null) {
+    const template = PromptTemplates.get(name);
+    return `${name}@${template.version}${variant ? `/${variant}` : ''}`;
+  }
+
+  // Versions of several templates as one string, for cache keys
+  static versionTag(names) {
+    return names.map(name => PromptTemplates.templateId(name)).join(',');
+  }
+
+  // Fill in sections, then variables. A variable used outside a section
+  // must be provided, so templates and callers cannot drift apart unnoticed.
+  static interpolate(text, variables) {
+    const withSections = text.replace(/\{\{([#^])(\w+)\}\}([\s\S]*?)\{\{\/\2\}\}/g, (match, kind, name, body) => {
+      const value = variables[name];
+      const isSet = value !== null && value !== undefined && value !== false && value !== '' && value !== 0;
+      return (kind === '#') === isSet ? PromptTemplates.interpolate(body, variables) : '';
+    });
+
+    return withSections.replace(/\{\{(\w+)\}\}/g, (match, name) => {
+      if (!(name in variables)) {
+        throw new Error(`Prompt variable not provided: ${name}`);
+      }
+      return variables[name] === null || variables[name] === undefined ? '' : String(variables[name]);
+    });
+  }
+}
+
+PromptTemplates.registry = new Map();
+
+PromptTemplates.register('clothing-detection', {
+  version: 1,
+  text: `
+Analyze this image and detect clothing items. Please provide a detailed analysis in JSON format with the following structure:
+
+{
+  "items": [
+    {
+      "category": "tops|bottoms|dresses|outerwear|shoes|accessories",
+      "type": "specific item type (e.g., t-shirt, jeans, sneakers)",
+      "color": "primary color",
+      "style": "style description",
+      "confidence": 0.0-1.0,
+      "boundingBox": {
+        "x": 0, "y": 0, "width": 0, "height": 0
+      },
+      "features": ["list", "of", "notable", "features"]
+    }
+  ],
+  "background": "background description",
+  "lighting": "lighting conditions",
+  "quality": "image quality assessment"
+}
+
+Focus on identifying wearable clothing items that could be virtually tried on.
+{{#category}}Prioritize detecting {{category}}.{{/category}}
+Image source: {{source}}
+
+Provide accurate bounding boxes for each detected item and assess the suitability for virtual try-on.`
+});
+
+// Single garment. Variables: category, instruction, product, measurements,
+// style, lighting, preserveFeatures
+PromptTemplates.register('tryon-generation', {
+  version: 1,
+  text: `
+Generate a photorealistic composite image that shows the person from the first image wearing the {{category}} from the second image.
+{{#product}}
+PRODUCT: {{product}}
+{{/product}}{{#measurements}}
+BODY: {{measurements}}. Size and drape the garment for these proportions.
+{{/measurements}}
+INSTRUCTIONS:
+1. {{#preserveFeatures}}Take the person from the first image exactly as they are - preserve their face, body, pose, and background{{/preserveFeatures}}{{^preserveFeatures}}Keep the person's body, pose, and background from the first image{{/preserveFeatures}}
+2. Replace only their clothing: {{instruction}}
+3. Make the clothing fit naturally on their body with realistic draping and shadows
+4. {{^lighting}}Maintain the original lighting and camera angle{{/lighting}}{{#lighting}}Use {{lighting}} lighting while keeping the original camera angle{{/lighting}}
+5. Create a seamless, natural-looking result{{#style}} with a {{style}} look{{/style}}
+
+The output should be a single composite photograph showing the person wearing the new clothing item.`,
+  variants: {
+    dresses: `
+Generate a photorealistic composite image that shows the person from the first image wearing the dress from the second image.
+{{#product}}
+PRODUCT: {{product}}
+{{/product}}{{#measurements}}
+BODY: {{measurements}}. Size and drape the dress for these proportions.
+{{/measurements}}
+INSTRUCTIONS:
+1. {{#preserveFeatures}}Take the person from the first image exactly as they are - preserve their face, body, pose, and background{{/preserveFeatures}}{{^preserveFeatures}}Keep the person's body, pose, and background from the first image{{/preserveFeatures}}
+2. Replace both their top and their bottoms with the dress: {{instruction}}
+3. Keep the dress length and silhouette from its image, with realistic folds at the waist and hem
+4. {{^lighting}}Maintain the original lighting and camera angle{{/lighting}}{{#lighting}}Use {{lighting}} lighting while keeping the original camera angle{{/lighting}}
+5. Create a seamless, natural-looking result{{#style}} with a {{style}} look{{/style}}
+
+The output should be a single composite photograph showing the person wearing the dress.`,
+    shoes: `
+Generate a photorealistic composite image that shows the person from the first image wearing the shoes from the second image.
+{{#product}}
+PRODUCT: {{product}}
+{{/product}}
+INSTRUCTIONS:
+1. {{#preserveFeatures}}Take the person from the first image exactly as they are - preserve their face, body, pose, clothing, and background{{/preserveFeatures}}{{^preserveFeatures}}Keep the person's body, pose, clothing, and background from the first image{{/preserveFeatures}}
+2. Change only the footwear: {{instruction}}
+3. Match the angle of each foot and add realistic contact shadows where the shoes meet the ground
+4. {{^lighting}}Maintain the original lighting and camera angle{{/lighting}}{{#lighting}}Use {{lighting}} lighting while keeping the original camera angle{{/lighting}}
+5. Create a seamless, natural-looking result{{#style}} with a {{style}} look{{/style}}
+
+The output should be a single composite photograph showing the person wearing the new shoes.`,
+    accessories: `
+Generate a photorealistic composite image that shows the person from the first image wearing the accessory from the second image.
+{{#product}}
+PRODUCT: {{product}}
+{{/product}}
+INSTRUCTIONS:
+1. {{#preserveFeatures}}Take the person from the first image exactly as they are - preserve their face, body, pose, clothing, and background{{/preserveFeatures}}{{^preserveFeatures}}Keep the person's body, pose, clothing, and background from the first image{{/preserveFeatures}}
+2. Add only the accessory: {{instruction}}
+3. Keep the accessory at a realistic scale for the person's body
+4. {{^lighting}}Maintain the original lighting and camera angle{{/lighting}}{{#lighting}}Use {{lighting}} lighting while keeping the original camera angle{{/lighting}}
+5. Create a seamless, natural-looking result{{#style}} with a {{style}} look{{/style}}
+
+The output should be a single composite photograph showing the person wearing the accessory.`
+  }
+});
+
+// Several garments at once. Variables: count, garments (one line each),
+// measurements, style, lighting, preserveFeatures
+PromptTemplates.register('outfit-generation', {
+  version: 1,
+  text: `
+Generate a photorealistic composite image that shows the person from the first image wearing the complete outfit from the following {{count}} images.
+
+GARMENTS (apply in this order, innermost layer first):
+{{garments}}
+{{#measurements}}
+BODY: {{measurements}}. Size and drape every garment for these proportions.
+{{/measurements}}
+INSTRUCTIONS:
+1. {{#preserveFeatures}}Take the person from the first image exactly as they are - preserve their face, body, pose, and background{{/preserveFeatures}}{{^preserveFeatures}}Keep the person's body, pose, and background from the first image{{/preserveFeatures}}
+2. Replace their clothing with every garment listed above, and only those garments
+3. Layer the garments in the order given so later items sit on top of earlier ones
+4. Make each garment fit naturally on their body with realistic draping, overlaps and shadows
+5. {{^lighting}}Maintain the original lighting and camera angle{{/lighting}}{{#lighting}}Use {{lighting}} lighting while keeping the original camera angle{{/lighting}}{{#style}}
+6. Give the outfit a {{style}} look{{/style}}
+
+The output should be a single composite photograph showing the person wearing the whole outfit.`
+});
+
+// Variables: category
+PromptTemplates.register('tryon-analysis', {
+  version: 1,
+  text: `
+Analyze the virtual try-on result and provide detailed feedback in JSON format:
+
+{
+  "fit_analysis": {
+    "size_compatibility": "perfect|good|needs_adjustment",
+    "body_match": "excellent|good|fair|poor",
+    "pose_compatibility": "natural|slightly_forced|awkward"
+  },
+  "visual_result": {
+    "overall_quality": 0.0-1.0,
+    "realism_score": 0.0-1.0,
+    "lighting_match": 0.0-1.0,
+    "fabric_draping": "natural|good|acceptable|poor"
+  },
+  "styling_assessment": {
+    "color_harmony": "excellent|good|neutral|clashing",
+    "style_match": "perfect|good|acceptable|mismatched",
+    "occasion_suitability": "formal|casual|business|party|sports"
+  },
+  "recommendations": [
+    "specific styling suggestions",
+    "fit adjustments if needed",
+    "complementary accessories"
+  ],
+  "confidence_score": 0.0-1.0,
+  "safety_assessment": "appropriate|needs_review",
+  "description": "Detailed description of how the try-on looks and fits"
+}
+
+Focus on how well the {{category}} integrates with the user's appearance and body type.`
+});
+
+PromptTemplates.register('safety-check', {
+  version: 1,
+  text: `
+Analyze this image for safety and appropriateness in a virtual try-on context:
+- Check for appropriate clothing and poses
+- Ensure content is suitable for general audiences
+- Verify image quality and clarity
+- Assess if the image is suitable for virtual try-on processing
+
+Return a simple safety assessment:
+{
+  "safe": true/false,
+  "concerns": ["list any concerns"],
+  "recommendation": "proceed|review|reject"
+}`
+});
+
+// Make available in both service worker and browser contexts
+self.PromptTemplates = PromptTemplates;
@@ -0,0 +1,516 @@
+// Google Gemini adapter for the AI provider layer
+
+class GeminiProvider extends AIProvider {
+  constructor(config = {}) {
+    super(config);
+    this.apiBase = (config.baseUrl || 'https://generativelanguage.googleapis.com/v1beta').replace(/\/+$/, '');
+    this.textModel = config.model || 'gemini-2.5-flash';
+    this.imageModelName = config.imageModel || 'gemini-2.5-flash-image-preview';
+    this.baseUrl = `${this.apiBase}/models/${this.textModel}:generateContent`;
+    this.imageModel = `${this.apiBase}/models/${this.imageModelName}:generateContent`;
+    this.recorder = config.recorder || null; // Optional ApiRecorder (record/replay)
+  }
+
+  get type() {
+    return 'gemini';
+  }
+
+  // Test API connection
+  async testConnection() {
+    if (!this.apiKey) {
+      throw new Error('API key not set');
+    }
+
+    const testPrompt = {
+      contents: [{
+        parts: [{
+          text: "Hello, can you confirm this API connection is working?"
+        }]
+      }]
+    };
+
+    try {
+      const response = await this.makeApiCall(testPrompt);
+      return response.candidates && response.candidates.length > 0;
+    } catch (error) {
+      throw new Error(`API test failed: ${error.message}`);
+    }
+  }
+
+  // Detect clothing items in image
+  async detectClothing(imageData, options = {}) {
+    if (!this.apiKey) {
+      throw new Error('API key not set');
+    }
+
+    const base64Data = await this.getBase64Data(imageData);
+    const buildRequest = prompt => ({
+      contents: [{
+        parts: [
+          { text: prompt },
+          {
+            inline_data: {
+              mime_type: options.mimeType || this.getMimeType(imageData),
+              data: base64Data
+            }
+          }
+        ]
+      }],
+      generationConfig: {
+        temperature: 0.15,
+        topK: 32,
+        topP: 0.8,
+        maxOutputTokens: 4096,
+        ...this.getJsonConfig(ResponseValidator.DETECTION)
+      },
+      safetySettings: this.getSafetySettings()
+    });
+
+    try {
+      const reply = await this.requestJson(ResponseValidator.DETECTION, this.buildClothingDetectionPrompt(options), async prompt => {
+        return this.getResponseText(await this.makeApiCall(buildRequest(prompt), null, options.signal));
+      });
+      return this.buildDetectionResult(reply);
+    } catch (error) {
+      throw new Error(`Clothing detection failed: ${error.message}`);
+    }
+  }
+
+  // Generate the actual composite image using Gemini 2.5 Flash Image
+  async generateTryOnImage(userPhoto, clothingItem, options = {}) {
+    try {
+      const garments = this.normalizeGarments(clothingItem, options);
+      const prompt = this.renderImageGenerationPrompt(options, garments);
+      const userPhotoBase64 = await this.getBase64Data(userPhoto);
+
+      // Person first, then one image per garment in layering order
+      const garmentParts = [];
+      for (const garment of garments) {
+        garmentParts.push({
+          inline_data: {
+            mime_type: this.getMimeType(garment.image),
+            data: await this.getBase64Data(garment.image)
+          }
+        });
+      }
+
+      const requestBody = {
+        contents: [{
+          parts: [
+            { text: prompt.text },
+            {
+              inline_data: {
+                mime_type: this.getMimeType(userPhoto),
+                data: userPhotoBase64
+              }
+            },
+            ...garmentParts
+          ]
+        }],
+        generationConfig: {
+          temperature: 0.1,
+          topK: 40,
+          topP: 0.95,
+          maxOutputTokens: 8192,
+          response_modalities: ["TEXT", "IMAGE"] // CRITICAL: This enables image generation
+        },
+        safetySettings: this.getSafetySettings()
+      };
+
+      const response = await this.makeApiCall(requestBody, this.imageModel, options.signal);
+
+      // Parse the response to extract generated image
+      const imageData = this.extractGeneratedImage(response);
+
+      if (imageData) {
+        return {
+          success: true,
+          generatedImage: imageData,
+          imageUrl: `data:image/jpeg;base64,${imageData}`,
+          promptTemplate: prompt.id,
+          rawResponse: response
+        };
+      } else {
+        throw new Error('No image generated in response');
+      }
+
+    } catch (error) {
+      console.error('Image generation failed:', error);
+      return {
+        success: false,
+        error: error.message,
+        fallback: true
+      };
+    }
+  }
+
+  // Analyze the generated try-on result
+  async analyzeTryOnResult(generatedImageData, options = {}) {
+    try {
+      const buildRequest = prompt => ({
+        contents: [{
+          parts: [
+            { text: prompt },
+            {
+              inline_data: {
+                mime_type: 'image/jpeg',
+                data: generatedImageData
+              }
+            }
+          ]
+        }],
+        generationConfig: {
+          temperature: 0.2,
+          topK: 32,
+          topP: 0.8,
+          maxOutputTokens: 2048,
+          ...this.getJsonConfig(ResponseValidator.ANALYSIS)
+        }
+      });
+
+      const prompt = this.renderAnalysisPrompt(options);
+      const reply = await this.requestJson(ResponseValidator.ANALYSIS, prompt.text, async text => {
+        return this.getResponseText(await this.makeApiCall(buildRequest(text), null, options.signal));
+      });
+      return { ...this.buildAnalysisResult(reply), promptTemplate: prompt.id };
+
+    } catch (error) {
+      console.warn('Analysis failed, providing basic feedback:', error);
+      return this.getFallbackAnalysis();
+    }
+  }
+
+  // Refine generated image with additional prompts (iterative editing)
+  async refineGeneratedImage(imageData, refinementPrompt, options = {}) {
+    try {
+      const prompt = this.buildRefinementPrompt(refinementPrompt, options);
+
+      // Current version first, then the original person and garments as
+      // context, then the mask (if any) as a guide
+      const imageParts = [];
+      for (const image of this.getRefinementImages(imageData, options)) {
+        imageParts.push({
+          inline_data: {
+            mime_type: this.getMimeType(image),
+            data: await this.getBase64Data(image)
+          }
+        });
+      }
+
+      const requestBody = {
+        contents: [{
+          parts: [
+            { text: prompt },
+            ...imageParts
+          ]
+        }],
+        generationConfig: {
+          temperature: 0.15,
+          topK: 40,
+          topP: 0.9,
+          maxOutputTokens: 4096,
+        }
+      };
+
+      const response = await this.makeApiCall(requestBody, this.imageModel, options.signal);
+      const refinedImage = this.extractGeneratedImage(response);
+
+      return {
+        success: !!refinedImage,
+        refinedImage: refinedImage,
+        imageUrl: refinedImage ? `data:image/jpeg;base64,${refinedImage}` : null,
+        rawResponse: response
+      };
+
+    } catch (error) {
+      console.error('Image refinement failed:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // Enhanced image validation for safety
+  async validateImageSafety(imageData, options = {}) {
+    if (!this.apiKey) {
+      return { safe: true, warning: 'No API key for safety check' };
+    }
+
+    const imagePart = {
+      inline_data: {
+        mime_type: this.getMimeType(imageData),
+        data: await this.getBase64Data(imageData)
+      }
+    };
+    const buildRequest = prompt => ({
+      contents: [{
+        parts: [
+          { text: prompt },
+          imagePart
+        ]
+      }],
+      generationConfig: {
+        temperature: 0.1,
+        maxOutputTokens: 512,
+        ...this.getJsonConfig(ResponseValidator.SAFETY)
+      }
+    });
+
+    try {
+      const reply = await this.requestJson(ResponseValidator.SAFETY, this.buildSafetyPrompt(), async prompt => {
+        return this.getResponseText(await this.makeApiCall(buildRequest(prompt), null, options.signal));
+      });
+      return this.buildSafetyResult(reply);
+    } catch (error) {
+      console.warn('Safety validation failed:', error);
+      return { safe: true, warning: 'Safety check unavailable' };
+    }
+  }
+
+  // generationConfig fields that make Gemini answer with JSON matching schema
+  getJsonConfig(schema) {
+    return {
+      responseMimeType: 'application/json',
+      responseSchema: ResponseValidator.toGeminiSchema(schema)
+    };
+  }
+
+  // Default safety settings sent with detection and generation requests
+  getSafetySettings() {
+    return [
+      {
+        category: "HARM_CATEGORY_HARASSMENT",
+        threshold: "BLOCK_MEDIUM_AND_ABOVE"
+      },
+      {
+        category: "HARM_CATEGORY_HATE_SPEECH",
+        threshold: "BLOCK_MEDIUM_AND_ABOVE"
+      },
+      {
+        category: "HARM_CATEGORY_SEXUALLY_EXPLICIT",
+        threshold: "BLOCK_MEDIUM_AND_ABOVE"
+      },
+      {
+        category: "HARM_CATEGORY_DANGEROUS_CONTENT",
+        threshold: "BLOCK_MEDIUM_AND_ABOVE"
+      }
+    ];
+  }
+
+  // Make API call to Gemini with model selection; aborting `signal` cancels it
+  async makeApiCall(requestBody, modelUrl = null, signal = null) {
+    const endpoint = modelUrl || this.baseUrl;
+    const model = (endpoint.match(/models\/([^/:]+):/) || [])[1] || endpoint;
+
+    // Answer from recorded fixtures instead of the network
+    if (this.recorder && this.recorder.isReplaying()) {
+      const recorded = await this.recorder.replay(model, requestBody);
+      return this.handleApiResponse(recorded.status, recorded.statusText, recorded.body);
+    }
+
+    if (!this.apiKey) {
+      throw new Error('API key not set');
+    }
+
+    const url = `${endpoint}?key=${this.apiKey}`;
+
+    const response = await this.queuedFetch(model, url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'AI-Virtual-TryOn-Extension/1.0',
+      },
+      body: JSON.stringify(requestBody)
+    }, { image: endpoint === this.imageModel, signal: signal });
+
+    const body = response.ok ? await response.json() : await response.json().catch(() => ({}));
+
+    if (this.recorder && this.recorder.isRecording()) {
+      try {
+        await this.recorder.record(model, requestBody, {
+          status: response.status,
+          statusText: response.statusText,
+          body: body
+        }, this.apiKey);
+      } catch (error) {
+        console.warn('Failed to record API fixture:', error);
+      }
+    }
+
+    return this.handleApiResponse(response.status, response.statusText, body);
+  }
+
+  // Turn an HTTP status and parsed body into a result or a thrown error
+  handleApiResponse(status, statusText, body) {
+    if (status < 200 || status >= 300) {
+      throw new Error(`API request failed: ${status} ${statusText} - ${body?.error?.message || 'Unknown error'}`);
+    }
+
+    return body;
+  }
+
+
+  // Text of the first candidate; blocked or empty replies throw
+  getResponseText(response) {
+    if (!response.candidates || response.candidates.length === 0) {
+      throw new Error('No response from API');
+    }
+
+    const parts = response.candidates[0].content?.parts || [];
+    const text = parts.map(part => part.text || '').join('');
+    if (!text) {
+      throw new Error(`Empty response from API (${response.candidates[0].finishReason || 'no text'})`);
+    }
+    return text;
+  }
+
+  // Parse clothing detection response
+  parseClothingDetectionResponse(response) {
+    try {
+      return this.parseDetectionText(this.getResponseText(response));
+    } catch (error) {
+      console.error('Failed to parse clothing detection response:', error);
+      return {
+        success: false,
+        error: error.message,
+        rawResponse: response
+      };
+    }
+  }
+
+  // Parse advanced try-on response with enhanced capabilities
+  parseAdvancedTryOnResponse(response) {
+    try {
+      return this.parseAnalysisText(this.getResponseText(response));
+    } catch (error) {
+      console.error('Failed to parse advanced try-on response:', error);
+      return {
+        success: false,
+        error: error.message,
+        rawResponse: response
+      };
+    }
+  }
+
+  // Extract generated image from API response
+  extractGeneratedImage(response) {
+    try {
+      if (!response.candidates || response.candidates.length === 0) {
+        console.warn('No candidates in response');
+        return this.createFallbackTryOnImage();
+      }
+
+      const candidate = response.candidates[0];
+      console.log('🔍 Analyzing response structure:', {
+        hasContent: !!candidate.content,
+        hasContentParts: !!candidate.content?.parts,
+        partsCount: candidate.content?.parts?.length || 0
+      });
+
+      // Check for inline data (generated image) in response parts
+      if (candidate.content && candidate.content.parts) {
+        for (let i = 0; i < candidate.content.parts.length; i++) {
+          const part = candidate.content.parts[i];
+          // REST responses use camelCase; accept the snake_case form as well
+          const inlineData = part.inlineData || part.inline_data;
+          const mimeType = inlineData?.mimeType || inlineData?.mime_type;
+          console.log(`🔍 Part ${i}:`, {
+            hasInlineData: !!inlineData,
+            hasText: !!part.text,
+            mimeType: mimeType,
+            hasData: !!inlineData?.data
+          });
+
+          // Look for image parts (should have mime_type starting with 'image/')
+          if (inlineData &&
+              mimeType &&
+              mimeType.startsWith('image/') &&
+              inlineData.data) {
+            console.log('✅ Found generated image in response parts');
+            return inlineData.data;
+          }
+        }
+      }
+
+      // Check alternative response structures
+      if (candidate.image) {
+        console.log('✅ Found image in candidate.image');
+        return candidate.image;
+      }
+
+      if (candidate.image_data) {
+        console.log('✅ Found image data in candidate.image_data');
+        return candidate.image_data;
+      }
+
+      // Check if there's any base64 image data in the text response
+      if (candidate.content && candidate.content.parts) {
+        for (const part of candidate.content.parts) {
+          if (part.text) {
+            const base64Match = part.text.match(/data:image\/[^;]+;base64,([A-Za-z0-9+\/=]+)/);
+            if (base64Match) {
+              console.log('✅ Found base64 image in text response');
+              return base64Match[1];
+            }
+          }
+        }
+      }
+
+      console.warn('⚠️ No image data found in response structure');
+      console.log('📋 Full response for debugging:', JSON.stringify(response, null, 2));
+
+      // Create fallback image with debug info
+      return this.createFallbackTryOnImage();
+
+    } catch (error) {
+      console.error('❌ Failed to extract generated image:', error);
+      return this.createFallbackTryOnImage();
+    }
+  }
+
+  // Create a fallback try-on image (placeholder while perfecting API)
+  createFallbackTryOnImage() {
+    // Create a simple base64 encoded placeholder image
+    const canvas = document.createElement('canvas');
+    canvas.width = 400;
+    canvas.height = 600;
+    const ctx = canvas.getContext('2d');
+
+    // Create a gradient background
+    const gradient = ctx.createLinearGradient(0, 0, 0, 600);
+    gradient.addColorStop(0, '#f8f9fa');
+    gradient.addColorStop(1, '#e9ecef');
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, 400, 600);
+
+    // Add placeholder text
+    ctx.fillStyle = '#495057';
+    ctx.font = 'bold 24px Arial';
+    ctx.textAlign = 'center';
+    ctx.fillText('Virtual Try-On', 200, 250);
+
+    ctx.font = '16px Arial';
+    ctx.fillText('Generated by AI', 200, 280);
+    ctx.fillText('Gemini 2.5 Flash Image Preview', 200, 310);
+
+    ctx.font = '12px Arial';
+    ctx.fillStyle = '#6c757d';
+    ctx.fillText('Processing multi-image fusion...', 200, 340);
+    ctx.fillText('This may take a moment', 200, 360);
+
+    // Add a border
+    ctx.strokeStyle = '#dee2e6';
+    ctx.lineWidth = 2;
+    ctx.strokeRect(10, 10, 380, 580);
+
+    // Convert to base64
+    const dataUrl = canvas.toDataURL('image/jpeg', 0.8);
+    return dataUrl.split(',')[1]; // Return just the base64 part
+  }
+}
+
+AIProvider.register('gemini', GeminiProvider);
+
+// Make available in both service worker and browser contexts
+self.GeminiProvider = GeminiProvider;
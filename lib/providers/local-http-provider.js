@@ -0,0 +1,198 @@
+// Local HTTP adapter for the AI provider layer
+// Talks to a self-hosted backend with one JSON endpoint per operation:
+//   POST {baseUrl}/{detect|generate|analyze|refine|safety}
+//   request:  { prompt, images: [{ mimeType, data }], options }
+//   response: { text } for detect/analyze/safety, { image: { mimeType, data } } for generate/refine
+// detect/analyze/safety also send options.responseSchema (JSON Schema) that the
+// text must match; replies failing it are re-requested once.
+// For generate, images[0] is the person and the rest are garments described
+// (category/type/color, in layering order) by options.garments.
+// For refine, options.mask ({ mimeType, data }, white = region to change) is
+// sent when the user painted one; the extension composites the result anyway.
+
+class LocalHttpProvider extends AIProvider {
+  constructor(config = {}) {
+    super(config);
+    this.apiBase = (config.baseUrl || 'http://localhost:8080').replace(/\/+$/, '');
+  }
+
+  get type() {
+    return 'local';
+  }
+
+  // A local backend only needs an endpoint; the API key is optional
+  isConfigured() {
+    return !!this.apiBase;
+  }
+
+  // Test API connection
+  async testConnection() {
+    try {
+      const response = await fetch(`${this.apiBase}/health`, { headers: this.getHeaders() });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+      return true;
+    } catch (error) {
+      throw new Error(`API test failed: ${error.message}`);
+    }
+  }
+
+  // Detect clothing items in image
+  async detectClothing(imageData, options = {}) {
+    try {
+      const reply = await this.requestJson(ResponseValidator.DETECTION, this.buildClothingDetectionPrompt(options), prompt => {
+        return this.requestText('detect', prompt, imageData, ResponseValidator.DETECTION, options);
+      });
+      return this.buildDetectionResult(reply);
+    } catch (error) {
+      throw new Error(`Clothing detection failed: ${error.message}`);
+    }
+  }
+
+  // Generate the composite try-on image
+  async generateTryOnImage(userPhoto, clothingItem, options = {}) {
+    try {
+      const garments = this.normalizeGarments(clothingItem, options);
+      const prompt = this.renderImageGenerationPrompt(options, garments);
+      const data = await this.makeApiCall(
+        'generate',
+        prompt.text,
+        [userPhoto, ...garments.map(garment => garment.image)],
+        { ...options, garments: garments.map(({ image, ...garment }) => garment) }
+      );
+      const image = this.extractImage(data);
+
+      return {
+        success: true,
+        generatedImage: image.data,
+        imageUrl: `data:${image.mimeType};base64,${image.data}`,
+        promptTemplate: prompt.id,
+        rawResponse: data
+      };
+    } catch (error) {
+      console.error('Image generation failed:', error);
+      return {
+        success: false,
+        error: error.message,
+        fallback: true
+      };
+    }
+  }
+
+  // Analyze the generated try-on result
+  async analyzeTryOnResult(generatedImageData, options = {}) {
+    try {
+      const prompt = this.renderAnalysisPrompt(options);
+      const reply = await this.requestJson(ResponseValidator.ANALYSIS, prompt.text, text => {
+        return this.requestText('analyze', text, generatedImageData, ResponseValidator.ANALYSIS, options);
+      });
+      return { ...this.buildAnalysisResult(reply), promptTemplate: prompt.id };
+    } catch (error) {
+      console.warn('Analysis failed, providing basic feedback:', error);
+      return this.getFallbackAnalysis();
+    }
+  }
+
+  // Refine generated image with additional prompts
+  async refineGeneratedImage(imageData, refinementPrompt, options = {}) {
+    try {
+      const images = [imageData, ...this.getReferenceImages(options)];
+      const data = await this.makeApiCall('refine', this.buildRefinementPrompt(refinementPrompt, options), images, {
+        preserveCharacter: options.preserveCharacter,
+        signal: options.signal,
+        mask: options.mask ? { mimeType: this.getMimeType(options.mask), data: await this.getBase64Data(options.mask) } : undefined
+      });
+      const image = this.extractImage(data);
+
+      return {
+        success: true,
+        refinedImage: image.data,
+        imageUrl: `data:${image.mimeType};base64,${image.data}`,
+        rawResponse: data
+      };
+    } catch (error) {
+      console.error('Image refinement failed:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // Enhanced image validation for safety
+  async validateImageSafety(imageData, options = {}) {
+    try {
+      const reply = await this.requestJson(ResponseValidator.SAFETY, this.buildSafetyPrompt(), prompt => {
+        return this.requestText('safety', prompt, imageData, ResponseValidator.SAFETY, { signal: options.signal });
+      });
+      return this.buildSafetyResult(reply);
+    } catch (error) {
+      console.warn('Safety validation failed:', error);
+      return { safe: true, warning: 'Safety check unavailable' };
+    }
+  }
+
+  // Run a text operation on one image, asking for JSON matching schema
+  async requestText(operation, prompt, imageData, schema, options) {
+    const data = await this.makeApiCall(operation, prompt, [imageData], {
+      ...options,
+      responseSchema: ResponseValidator.toJsonSchema(schema)
+    });
+    return data.text || '';
+  }
+
+  // Pull the image out of a generate/refine response
+  extractImage(data) {
+    if (typeof data.image === 'string') {
+      return { mimeType: 'image/jpeg', data: data.image };
+    }
+    if (data.image && data.image.data) {
+      return { mimeType: data.image.mimeType || 'image/jpeg', data: data.image.data };
+    }
+    throw new Error('No image generated in response');
+  }
+
+  // Request headers, with bearer auth when a key is configured
+  getHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+    return headers;
+  }
+
+  // POST an operation to the local backend; options.signal cancels it and is not sent
+  async makeApiCall(operation, prompt, images, options) {
+    const { signal, ...sentOptions } = options;
+    const encodedImages = [];
+    for (const image of images) {
+      encodedImages.push({
+        mimeType: this.getMimeType(image),
+        data: await this.getBase64Data(image)
+      });
+    }
+
+    const response = await this.queuedFetch(`local/${operation}`, `${this.apiBase}/${operation}`, {
+      method: 'POST',
+      headers: this.getHeaders(),
+      body: JSON.stringify({
+        prompt: prompt,
+        images: encodedImages,
+        options: sentOptions
+      })
+    }, { image: operation === 'generate' || operation === 'refine', signal: signal });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(`API request failed: ${response.status} ${response.statusText} - ${errorData.error?.message || errorData.error || 'Unknown error'}`);
+    }
+
+    return await response.json();
+  }
+}
+
+AIProvider.register('local', LocalHttpProvider);
+
+// Make available in both service worker and browser contexts
+self.LocalHttpProvider = LocalHttpProvider;
@@ -0,0 +1,285 @@
+// OpenAI-compatible adapter for the AI provider layer
+// Works with any backend exposing /chat/completions (vision) and /images/edits
+
+class OpenAIProvider extends AIProvider {
+  constructor(config = {}) {
+    super(config);
+    this.apiBase = (config.baseUrl || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    this.textModel = config.model || 'gpt-4o-mini';
+    this.imageModelName = config.imageModel || 'gpt-image-1';
+  }
+
+  get type() {
+    return 'openai';
+  }
+
+  // /images/edits applies a mask to the first image itself
+  get supportsMask() {
+    return true;
+  }
+
+  // Test API connection
+  async testConnection() {
+    if (!this.apiKey) {
+      throw new Error('API key not set');
+    }
+
+    try {
+      const content = await this.chatCompletion([
+        { type: 'text', text: 'Hello, can you confirm this API connection is working?' }
+      ], { maxTokens: 16 });
+      return content.length > 0;
+    } catch (error) {
+      throw new Error(`API test failed: ${error.message}`);
+    }
+  }
+
+  // Detect clothing items in image
+  async detectClothing(imageData, options = {}) {
+    if (!this.apiKey) {
+      throw new Error('API key not set');
+    }
+
+    try {
+      const imagePart = await this.buildImagePart(imageData, options.mimeType);
+      const reply = await this.requestJson(ResponseValidator.DETECTION, this.buildClothingDetectionPrompt(options), prompt => {
+        return this.chatCompletion([{ type: 'text', text: prompt }, imagePart], {
+          temperature: 0.15, maxTokens: 4096, schema: ResponseValidator.DETECTION, signal: options.signal
+        });
+      });
+
+      return this.buildDetectionResult(reply);
+    } catch (error) {
+      throw new Error(`Clothing detection failed: ${error.message}`);
+    }
+  }
+
+  // Generate the composite image through the image edit endpoint
+  async generateTryOnImage(userPhoto, clothingItem, options = {}) {
+    try {
+      const formData = new FormData();
+      const garments = this.normalizeGarments(clothingItem, options);
+      formData.append('model', this.imageModelName);
+      const prompt = this.renderImageGenerationPrompt(options, garments);
+      formData.append('prompt', prompt.text);
+      await this.appendImage(formData, 'image[]', userPhoto, 'person');
+      for (const [index, garment] of garments.entries()) {
+        await this.appendImage(formData, 'image[]', garment.image, `garment-${index + 1}`);
+      }
+
+      const generatedImage = await this.imageEdit(formData, options.signal);
+
+      return {
+        success: true,
+        generatedImage: generatedImage,
+        imageUrl: `data:image/png;base64,${generatedImage}`,
+        promptTemplate: prompt.id
+      };
+    } catch (error) {
+      console.error('Image generation failed:', error);
+      return {
+        success: false,
+        error: error.message,
+        fallback: true
+      };
+    }
+  }
+
+  // Analyze the generated try-on result
+  async analyzeTryOnResult(generatedImageData, options = {}) {
+    try {
+      const imagePart = await this.buildImagePart(generatedImageData);
+      const prompt = this.renderAnalysisPrompt(options);
+      const reply = await this.requestJson(ResponseValidator.ANALYSIS, prompt.text, text => {
+        return this.chatCompletion([{ type: 'text', text: text }, imagePart], {
+          temperature: 0.2, maxTokens: 2048, schema: ResponseValidator.ANALYSIS, signal: options.signal
+        });
+      });
+
+      return { ...this.buildAnalysisResult(reply), promptTemplate: prompt.id };
+    } catch (error) {
+      console.warn('Analysis failed, providing basic feedback:', error);
+      return this.getFallbackAnalysis();
+    }
+  }
+
+  // Refine generated image with additional prompts
+  async refineGeneratedImage(imageData, refinementPrompt, options = {}) {
+    try {
+      const formData = new FormData();
+      formData.append('model', this.imageModelName);
+      formData.append('prompt', this.buildRefinementPrompt(refinementPrompt, options));
+      await this.appendImage(formData, 'image[]', imageData, 'tryon');
+      const references = this.getReferenceImages(options);
+      for (let index = 0; index < references.length; index++) {
+        await this.appendImage(formData, 'image[]', references[index], `reference-${index + 1}`);
+      }
+      if (options.mask) {
+        // The API edits the transparent area of the mask, so convert white to transparent
+        const alphaMask = await new ImageProcessor().maskToAlpha(options.mask);
+        await this.appendImage(formData, 'mask', alphaMask, 'mask');
+      }
+
+      const refinedImage = await this.imageEdit(formData, options.signal);
+
+      return {
+        success: true,
+        refinedImage: refinedImage,
+        imageUrl: `data:image/png;base64,${refinedImage}`
+      };
+    } catch (error) {
+      console.error('Image refinement failed:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // Enhanced image validation for safety
+  async validateImageSafety(imageData, options = {}) {
+    if (!this.apiKey) {
+      return { safe: true, warning: 'No API key for safety check' };
+    }
+
+    try {
+      const imagePart = await this.buildImagePart(imageData);
+      const reply = await this.requestJson(ResponseValidator.SAFETY, this.buildSafetyPrompt(), prompt => {
+        return this.chatCompletion([{ type: 'text', text: prompt }, imagePart], {
+          temperature: 0.1, maxTokens: 512, schema: ResponseValidator.SAFETY, signal: options.signal
+        });
+      });
+
+      return this.buildSafetyResult(reply);
+    } catch (error) {
+      console.warn('Safety validation failed:', error);
+      return { safe: true, warning: 'Safety check unavailable' };
+    }
+  }
+
+  // Build a vision content part from any supported image input
+  async buildImagePart(imageData, mimeType = null) {
+    const base64Data = await this.getBase64Data(imageData);
+    return {
+      type: 'image_url',
+      image_url: { url: `data:${mimeType || this.getImageMimeType(imageData, base64Data)};base64,${base64Data}` }
+    };
+  }
+
+  // Convert any supported image input to a Blob for multipart uploads
+  async toImageBlob(imageData) {
+    const base64Data = await this.getBase64Data(imageData);
+    const binary = atob(base64Data);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return new Blob([bytes], { type: this.getImageMimeType(imageData, base64Data) });
+  }
+
+  // Add an image upload whose file extension matches the type it is sent as
+  async appendImage(formData, field, imageData, name) {
+    const blob = await this.toImageBlob(imageData);
+    const subtype = blob.type.split('/')[1] || 'png';
+    formData.append(field, blob, `${name}.${OpenAIProvider.FILE_EXTENSIONS[subtype] || subtype}`);
+  }
+
+  // Data URLs and Blobs carry their own type; fetched URLs and raw base64 are
+  // identified by their leading bytes so PNG/WebP captures aren't sent as JPEG
+  getImageMimeType(imageData, base64Data) {
+    const isDataUrl = typeof imageData === 'string' && imageData.startsWith('data:');
+    const isTypedBlob = typeof Blob !== 'undefined' && imageData instanceof Blob && imageData.type;
+    if (isDataUrl || isTypedBlob) {
+      return this.getMimeType(imageData);
+    }
+
+    const signature = Object.entries(OpenAIProvider.BASE64_SIGNATURES)
+      .find(([prefix]) => base64Data.startsWith(prefix));
+    return signature ? signature[1] : this.getMimeType(imageData);
+  }
+
+  // Call /chat/completions and return the message text. With a schema
+  // (see ResponseValidator) the reply is constrained to matching JSON, unless
+  // the backend was configured with structuredOutput: false.
+  async chatCompletion(content, { temperature = 0.2, maxTokens = 1024, schema = null, signal = null } = {}) {
+    const body = {
+      model: this.textModel,
+      temperature: temperature,
+      max_tokens: maxTokens,
+      messages: [{ role: 'user', content: content }]
+    };
+    if (schema && this.config.structuredOutput !== false) {
+      body.response_format = {
+        type: 'json_schema',
+        json_schema: { name: schema.name, schema: ResponseValidator.toJsonSchema(schema) }
+      };
+    }
+
+    const data = await this.makeApiCall('/chat/completions', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    }, signal);
+
+    const message = data.choices?.[0]?.message?.content;
+    if (!message) {
+      throw new Error('No response from API');
+    }
+    return message;
+  }
+
+  // Call /images/edits and return the first image as base64
+  async imageEdit(formData, signal = null) {
+    const data = await this.makeApiCall('/images/edits', {
+      method: 'POST',
+      body: formData
+    }, signal);
+
+    const image = data.data?.[0]?.b64_json;
+    if (!image) {
+      throw new Error('No image generated in response');
+    }
+    return image;
+  }
+
+  // Make an authenticated request against the configured base URL; aborting `signal` cancels it
+  async makeApiCall(path, init, signal = null) {
+    if (!this.apiKey) {
+      throw new Error('API key not set');
+    }
+
+    const image = path === '/images/edits';
+    const response = await this.queuedFetch(image ? this.imageModelName : this.textModel, `${this.apiBase}${path}`, {
+      ...init,
+      headers: {
+        ...(init.headers || {}),
+        'Authorization': `Bearer ${this.apiKey}`
+      }
+    }, { image: image, signal: signal });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(`API request failed: ${response.status} ${response.statusText} - ${errorData.error?.message || 'Unknown error'}`);
+    }
+
+    return await response.json();
+  }
+}
+
+// Base64 prefixes of the image formats the vision and edit endpoints accept
+OpenAIProvider.BASE64_SIGNATURES = {
+  'iVBORw0KGgo': 'image/png',
+  '/9j/': 'image/jpeg',
+  'UklGR': 'image/webp',
+  'R0lGOD': 'image/gif'
+};
+
+// Upload file extensions that differ from the mime subtype
+OpenAIProvider.FILE_EXTENSIONS = {
+  jpeg: 'jpg'
+};
+
+AIProvider.register('openai', OpenAIProvider);
+
+// Make available in both service worker and browser contexts
+self.OpenAIProvider = OpenAIProvider;
@@ -0,0 +1,337 @@
+// Refinement panel for AI Virtual Try-On extension
+// Conversational editing of a saved try-on result: a chat of the edits on the
+// current branch, a box for the next instruction, and a timeline of every
+// version. Picking an older version and sending a new instruction branches
+// from it; Undo steps back to the parent of the current version. The brush
+// paints a mask over the image so only that region is changed.
+
+class RefinementPanel {
+  constructor(container = null) {
+    this.container = container;
+    this.overlay = null;
+    this.keyHandler = null;
+    this.state = null;
+    this.error = null;
+    this.busy = false;
+    this.brushActive = false;
+    this.maskPainted = false;
+  }
+
+  // Open the panel for a saved result. options.onChange(result) is called with
+  // the popup result shape whenever the displayed version changes.
+  async open(tryOnId, options = {}) {
+    this.close();
+    this.tryOnId = tryOnId;
+    this.onChange = options.onChange || null;
+
+    this.overlay = document.createElement('div');
+    this.overlay.className = 'vto-refine-overlay';
+    this.overlay.innerHTML = `
+      <div class="vto-refine" role="dialog" aria-modal="true" aria-labelledby="vto-refine-title">
+        <div class="vto-refine-header">
+          <h3 id="vto-refine-title">Refine try-on</h3>
+          <button type="button" class="vto-refine-close" title="Close">&times;</button>
+        </div>
+        <div class="vto-refine-body">
+          <div class="vto-refine-preview"><div class="vto-refine-loading">Loading versions...</div></div>
+          <div class="vto-refine-chat" aria-live="polite"></div>
+        </div>
+        <div class="vto-refine-tools">
+          <button type="button" class="vto-refine-brush" aria-pressed="false" title="Paint over the area to change">🖌 Brush</button>
+          <input type="range" class="vto-refine-brush-size" min="4" max="80" value="24" aria-label="Brush size">
+          <button type="button" class="vto-refine-clear-mask" disabled>Clear mask</button>
+        </div>
+        <div class="vto-refine-timeline" aria-label="Versions"></div>
+        <form class="vto-refine-input">
+          <input type="text" placeholder="e.g. Make the lighting brighter" aria-label="Refinement instruction">
+          <button type="button" class="vto-refine-undo" title="Go back to the previous version">Undo</button>
+          <button type="submit" class="vto-refine-send">Send</button>
+        </form>
+      </div>
+    `;
+
+    this.overlay.querySelector('.vto-refine-close').addEventListener('click', () => this.close());
+    this.overlay.addEventListener('click', (event) => {
+      if (event.target === this.overlay) {
+        this.close();
+      }
+    });
+    this.keyHandler = (event) => {
+      if (event.key === 'Escape') {
+        event.stopPropagation();
+        this.close();
+      }
+    };
+    document.addEventListener('keydown', this.keyHandler, true);
+
+    this.overlay.querySelector('.vto-refine-input').addEventListener('submit', (event) => {
+      event.preventDefault();
+      this.send();
+    });
+    this.overlay.querySelector('.vto-refine-undo').addEventListener('click', () => this.undo());
+    this.overlay.querySelector('.vto-refine-brush').addEventListener('click', () => this.toggleBrush());
+    this.overlay.querySelector('.vto-refine-clear-mask').addEventListener('click', () => this.clearMask());
+    this.overlay.querySelector('.vto-refine-timeline').addEventListener('click', (event) => {
+      const entry = event.target.closest('.vto-refine-version');
+      if (entry) {
+        this.selectVersion(Number(entry.dataset.id));
+      }
+    });
+
+    (this.container || document.body).appendChild(this.overlay);
+    await this.request({ action: 'getTryOnVersions', tryOnId: tryOnId });
+    this.overlay?.querySelector('.vto-refine-input input').focus();
+  }
+
+  async send() {
+    const input = this.overlay.querySelector('.vto-refine-input input');
+    const refinementPrompt = input.value.trim();
+    if (!refinementPrompt || this.busy) return;
+
+    // Refine from the selected version; the background makes it current
+    const updated = await this.request({
+      action: 'refineImage',
+      tryOnId: this.tryOnId,
+      refinementPrompt: refinementPrompt,
+      parentVersionId: this.state?.currentVersionId || null,
+      mask: this.exportMask()
+    }, refinementPrompt);
+
+    if (updated) {
+      input.value = '';
+    }
+  }
+
+  undo() {
+    const current = this.findVersion(this.state?.currentVersionId);
+    if (current && current.parentId) {
+      this.selectVersion(current.parentId);
+    }
+  }
+
+  selectVersion(versionId) {
+    if (this.busy || versionId === this.state?.currentVersionId) return;
+    this.request({ action: 'selectTryOnVersion', tryOnId: this.tryOnId, versionId: versionId });
+  }
+
+  // Send a message to the background and render the returned version state
+  async request(message, pendingPrompt = null) {
+    this.error = null;
+    this.setBusy(true, pendingPrompt);
+
+    try {
+      const response = await chrome.runtime.sendMessage(message);
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'Request failed');
+      }
+
+      this.state = response;
+      if (message.action !== 'getTryOnVersions' && this.onChange) {
+        this.onChange(response.result);
+      }
+      return true;
+    } catch (error) {
+      console.error('❌ Refinement panel request failed:', error);
+      this.error = error.message;
+      return false;
+    } finally {
+      this.setBusy(false);
+      this.render();
+    }
+  }
+
+  render() {
+    if (!this.overlay) return;
+    if (!this.state) {
+      this.overlay.querySelector('.vto-refine-preview').innerHTML =
+        `<p class="vto-refine-error">${RefinementPanel.escapeHtml(this.error || 'Nothing to refine')}</p>`;
+      return;
+    }
+
+    const { versions, branch, currentVersionId, result } = this.state;
+    const image = result.tryOnData.imageUrl || result.tryOnData.thumbnail;
+    // A mask belongs to the image it was painted on, so a new image starts a blank one
+    this.overlay.querySelector('.vto-refine-preview').innerHTML = image
+      ? `<div class="vto-refine-stage">
+          <img src="${RefinementPanel.escapeHtml(image)}" alt="Current version">
+          <canvas class="vto-refine-mask${this.brushActive ? ' active' : ''}"></canvas>
+        </div>`
+      : '<div class="vto-refine-loading">No image</div>';
+    this.maskPainted = false;
+    if (image) {
+      this.setupMaskCanvas();
+    }
+
+    // Chat of the edits that led to the current version
+    const turns = branch.map(id => this.findVersion(id)).filter(version => version && version.prompt);
+    this.overlay.querySelector('.vto-refine-chat').innerHTML = turns.length > 0
+      ? turns.map(version => `
+          <div class="vto-refine-turn">
+            <div class="vto-refine-message">${RefinementPanel.escapeHtml(version.prompt)}</div>
+            <img class="vto-refine-reply" src="${RefinementPanel.escapeHtml(version.thumbnail || '')}" alt="Result">
+          </div>
+        `).join('')
+      : '<p class="vto-refine-hint">Describe a change and it will be applied to this image. Use the brush to paint over one area, like a sleeve or hem, to change only that. Each edit is kept as a version you can return to.</p>';
+    if (this.error) {
+      this.overlay.querySelector('.vto-refine-chat').insertAdjacentHTML('beforeend',
+        `<p class="vto-refine-error">${RefinementPanel.escapeHtml(this.error)}</p>`);
+    }
+
+    this.overlay.querySelector('.vto-refine-timeline').innerHTML = versions.map((version, position) => `
+      <button type="button" class="vto-refine-version${version.id === currentVersionId ? ' current' : ''}${branch.includes(version.id) ? ' on-branch' : ''}"
+        data-id="${version.id}" title="${RefinementPanel.escapeHtml(version.prompt || 'Original result')}">
+        <img src="${RefinementPanel.escapeHtml(version.thumbnail || '')}" alt="">
+        <span>${position === 0 ? 'Original' : `v${position}`}${version.masked ? ' 🖌' : ''}</span>
+      </button>
+    `).join('');
+
+    const current = this.findVersion(currentVersionId);
+    this.overlay.querySelector('.vto-refine-undo').disabled = this.busy || !current || !current.parentId;
+    this.overlay.querySelector('.vto-refine-clear-mask').disabled = true;
+  }
+
+  // Size the mask canvas to the image's natural pixels and paint on pointer drag
+  setupMaskCanvas() {
+    const image = this.overlay.querySelector('.vto-refine-stage img');
+    const canvas = this.overlay.querySelector('.vto-refine-mask');
+    const ctx = canvas.getContext('2d');
+    let last = null;
+
+    const sizeCanvas = () => {
+      canvas.width = image.naturalWidth;
+      canvas.height = image.naturalHeight;
+    };
+    if (image.complete) {
+      sizeCanvas();
+    } else {
+      image.addEventListener('load', sizeCanvas, { once: true });
+    }
+
+    // Pointer position in image pixels
+    const point = (event) => {
+      const rect = canvas.getBoundingClientRect();
+      const scale = canvas.width / rect.width;
+      return { x: (event.clientX - rect.left) * scale, y: (event.clientY - rect.top) * scale, scale: scale };
+    };
+
+    const paint = (event) => {
+      const current = point(event);
+      ctx.strokeStyle = '#ff3b6b';
+      ctx.lineCap = 'round';
+      ctx.lineJoin = 'round';
+      ctx.lineWidth = Number(this.overlay.querySelector('.vto-refine-brush-size').value) * current.scale;
+      ctx.beginPath();
+      ctx.moveTo((last || current).x, (last || current).y);
+      ctx.lineTo(current.x, current.y);
+      ctx.stroke();
+      last = current;
+
+      this.maskPainted = true;
+      this.overlay.querySelector('.vto-refine-clear-mask').disabled = false;
+    };
+
+    canvas.addEventListener('pointerdown', (event) => {
+      if (!this.brushActive || this.busy) return;
+      canvas.setPointerCapture(event.pointerId);
+      last = null;
+      paint(event);
+    });
+    canvas.addEventListener('pointermove', (event) => {
+      if (last) paint(event);
+    });
+    canvas.addEventListener('pointerup', () => {
+      last = null;
+    });
+  }
+
+  toggleBrush() {
+    this.brushActive = !this.brushActive;
+    const button = this.overlay.querySelector('.vto-refine-brush');
+    button.classList.toggle('active', this.brushActive);
+    button.setAttribute('aria-pressed', String(this.brushActive));
+    this.overlay.querySelector('.vto-refine-mask')?.classList.toggle('active', this.brushActive);
+  }
+
+  clearMask() {
+    const canvas = this.overlay.querySelector('.vto-refine-mask');
+    if (canvas) {
+      canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+    }
+    this.maskPainted = false;
+    this.overlay.querySelector('.vto-refine-clear-mask').disabled = true;
+  }
+
+  // Painted strokes as a white-on-black PNG the size of the image, or null
+  exportMask() {
+    const canvas = this.overlay.querySelector('.vto-refine-mask');
+    if (!this.maskPainted || !canvas || !canvas.width) {
+      return null;
+    }
+
+    const painted = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height).data;
+    const output = document.createElement('canvas');
+    output.width = canvas.width;
+    output.height = canvas.height;
+    const outputCtx = output.getContext('2d');
+    const mask = outputCtx.createImageData(canvas.width, canvas.height);
+
+    // Stroke coverage (antialiased edges included) becomes the mask level
+    for (let i = 0; i < painted.length; i += 4) {
+      mask.data[i] = mask.data[i + 1] = mask.data[i + 2] = painted[i + 3];
+      mask.data[i + 3] = 255;
+    }
+    outputCtx.putImageData(mask, 0, 0);
+
+    return output.toDataURL('image/png');
+  }
+
+  setBusy(busy, pendingPrompt = null) {
+    this.busy = busy;
+    if (!this.overlay) return;
+
+    this.overlay.querySelector('.vto-refine-send').disabled = busy;
+    this.overlay.querySelector('.vto-refine-send').textContent = busy ? 'Working...' : 'Send';
+    this.overlay.querySelector('.vto-refine-undo').disabled = busy;
+
+    if (busy && pendingPrompt) {
+      this.overlay.querySelector('.vto-refine-chat').insertAdjacentHTML('beforeend', `
+        <div class="vto-refine-turn pending">
+          <div class="vto-refine-message">${RefinementPanel.escapeHtml(pendingPrompt)}</div>
+          <div class="vto-refine-reply">Refining...</div>
+        </div>
+      `);
+    }
+  }
+
+  findVersion(versionId) {
+    return (this.state?.versions || []).find(version => version.id === versionId) || null;
+  }
+
+  // Remove the panel if it is open
+  close() {
+    if (this.keyHandler) {
+      document.removeEventListener('keydown', this.keyHandler, true);
+      this.keyHandler = null;
+    }
+    if (this.overlay) {
+      this.overlay.remove();
+      this.overlay = null;
+    }
+    this.state = null;
+    this.error = null;
+  }
+
+  static escapeHtml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+}
+
+// Make available to the popup and extension pages
+if (typeof window !== 'undefined') {
+  window.RefinementPanel = RefinementPanel;
+}
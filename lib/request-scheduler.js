@@ -0,0 +1,279 @@
+// Request scheduler for AI Virtual Try-On extension
+// Every AI API request from the background worker goes through one shared
+// scheduler: requests wait in a per-model lane with a concurrency limit, time
+// out via AbortController, and are retried on 408/429/5xx and network errors
+// with exponential backoff and jitter (or the server's Retry-After).
+
+class RequestScheduler {
+  constructor(options = {}) {
+    this.concurrency = { ...RequestScheduler.DEFAULT_CONCURRENCY, ...(options.concurrency || {}) };
+    this.maxRetries = options.maxRetries ?? 3;
+    this.baseDelayMs = options.baseDelayMs ?? 1000;
+    this.maxDelayMs = options.maxDelayMs ?? 30000; // longer Retry-After waits give up instead
+    this.timeoutMs = options.timeoutMs ?? 60000;
+    this.lanes = new Map(); // key (model) -> { limit, running, waiting[], retrying }
+    this.listeners = new Set();
+    this.nextId = 1;
+  }
+
+  // Run request(signal) in the lane for `key` and resolve with its Response.
+  // Retries are invisible to the caller: it gets the first successful
+  // response, or the last failed one once retries are exhausted.
+  // options: { concurrency, timeoutMs, signal, label }
+  schedule(key, request, options = {}) {
+    return new Promise((resolve, reject) => {
+      if (options.signal?.aborted) {
+        reject(RequestScheduler.abortError(options.signal));
+        return;
+      }
+
+      const entry = {
+        id: this.nextId++,
+        key: key,
+        label: options.label || key,
+        request: request,
+        options: options,
+        attempt: 0,
+        status: 'queued',
+        retryAt: null,
+        lastError: null,
+        resolve: resolve,
+        reject: reject
+      };
+
+      // Cancelling removes a request that has not started yet; a running one
+      // is aborted through the signal passed to request()
+      if (options.signal) {
+        entry.onAbort = () => this.cancel(entry);
+        options.signal.addEventListener('abort', entry.onAbort, { once: true });
+      }
+
+      this.getLane(key, options.concurrency).waiting.push(entry);
+      this.pump(key);
+      this.notify();
+    });
+  }
+
+  getLane(key, concurrency = null) {
+    if (!this.lanes.has(key)) {
+      this.lanes.set(key, {
+        limit: this.concurrency[key] || concurrency || this.concurrency.default,
+        running: new Set(),
+        waiting: [],
+        retrying: new Set()
+      });
+    }
+    return this.lanes.get(key);
+  }
+
+  // Start waiting requests while the lane has free slots
+  pump(key) {
+    const lane = this.lanes.get(key);
+    while (lane.waiting.length > 0 && lane.running.size < lane.limit) {
+      this.start(lane, lane.waiting.shift());
+    }
+  }
+
+  async start(lane, entry) {
+    entry.status = 'running';
+    entry.attempt++;
+    lane.running.add(entry);
+    this.notify();
+
+    const outcome = await this.attempt(entry);
+
+    lane.running.delete(entry);
+
+    const delay = this.getRetryDelay(entry, outcome);
+    if (delay === null) {
+      entry.status = 'done';
+      // A settled request no longer listens to a long-lived caller signal
+      entry.options.signal?.removeEventListener('abort', entry.onAbort);
+      if (outcome.response) {
+        entry.resolve(outcome.response);
+      } else {
+        entry.reject(outcome.error);
+      }
+    } else {
+      // Give the slot back while waiting, then go to the front of the lane
+      console.warn(`⏳ ${entry.label} failed (${entry.lastError}), retry ${entry.attempt}/${this.maxRetries} in ${Math.round(delay)}ms`);
+      entry.status = 'retrying';
+      entry.retryAt = Date.now() + delay;
+      lane.retrying.add(entry);
+      entry.timer = setTimeout(() => {
+        lane.retrying.delete(entry);
+        entry.status = 'queued';
+        entry.retryAt = null;
+        lane.waiting.unshift(entry);
+        this.pump(entry.key);
+        this.notify();
+      }, delay);
+    }
+
+    this.pump(entry.key);
+    this.notify();
+  }
+
+  // One try of the request with its own timeout. Resolves with
+  // { response } or { error, retryable }. The body is read here, so the
+  // timeout and the caller's signal also cover the download.
+  async attempt(entry) {
+    const controller = new AbortController();
+    const timeoutMs = entry.options.timeoutMs || this.timeoutMs;
+    let timedOut = false;
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeoutMs);
+    const forwardAbort = () => controller.abort();
+    entry.options.signal?.addEventListener('abort', forwardAbort, { once: true });
+
+    try {
+      return { response: await RequestScheduler.readBody(await entry.request(controller.signal)) };
+    } catch (error) {
+      if (entry.options.signal?.aborted) {
+        return { error: RequestScheduler.abortError(entry.options.signal), retryable: false };
+      }
+      if (timedOut) {
+        return { error: new Error(`Request timed out after ${Math.round(timeoutMs / 1000)}s`), retryable: true };
+      }
+      // fetch rejects with a TypeError for network failures
+      return { error: error, retryable: error instanceof TypeError };
+    } finally {
+      clearTimeout(timer);
+      entry.options.signal?.removeEventListener('abort', forwardAbort);
+    }
+  }
+
+  // Milliseconds to wait before retrying, or null to settle with this outcome
+  getRetryDelay(entry, outcome) {
+    if (entry.attempt > this.maxRetries) {
+      return null;
+    }
+
+    if (outcome.response) {
+      if (!RequestScheduler.RETRY_STATUSES.includes(outcome.response.status)) {
+        return null;
+      }
+      entry.lastError = `HTTP ${outcome.response.status}`;
+
+      const retryAfter = RequestScheduler.parseRetryAfter(outcome.response.headers?.get('Retry-After'));
+      if (retryAfter !== null) {
+        return retryAfter <= this.maxDelayMs ? retryAfter : null;
+      }
+    } else {
+      if (!outcome.retryable) {
+        return null;
+      }
+      entry.lastError = outcome.error.message;
+    }
+
+    return this.getBackoffDelay(entry.attempt);
+  }
+
+  // Exponential backoff with full jitter: random in [0, base * 2^(attempt-1)], capped
+  getBackoffDelay(attempt) {
+    const ceiling = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** (attempt - 1));
+    return Math.random() * ceiling;
+  }
+
+  cancel(entry) {
+    const lane = this.lanes.get(entry.key);
+    if (!lane || entry.status === 'done' || entry.status === 'cancelled') return;
+
+    if (entry.status === 'queued' || entry.status === 'retrying') {
+      lane.waiting = lane.waiting.filter(waiting => waiting !== entry);
+      lane.retrying.delete(entry);
+      clearTimeout(entry.timer);
+      entry.status = 'cancelled';
+      entry.reject(RequestScheduler.abortError(entry.options.signal));
+      this.notify();
+    }
+    // Running requests end through the aborted fetch
+  }
+
+  // Snapshot for the popup: per-lane counts plus totals
+  getState() {
+    const lanes = Array.from(this.lanes.entries()).map(([key, lane]) => {
+      const retryTimes = Array.from(lane.retrying, entry => entry.retryAt);
+      return {
+        key: key,
+        limit: lane.limit,
+        running: lane.running.size,
+        queued: lane.waiting.length,
+        retrying: lane.retrying.size,
+        nextRetryAt: retryTimes.length > 0 ? Math.min(...retryTimes) : null
+      };
+    }).filter(lane => lane.running + lane.queued + lane.retrying > 0);
+
+    return {
+      lanes: lanes,
+      running: lanes.reduce((sum, lane) => sum + lane.running, 0),
+      queued: lanes.reduce((sum, lane) => sum + lane.queued, 0),
+      retrying: lanes.reduce((sum, lane) => sum + lane.retrying, 0)
+    };
+  }
+
+  // Listen for queue changes; returns an unsubscribe function
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    const state = this.getState();
+    this.listeners.forEach(listener => {
+      try {
+        listener(state);
+      } catch (error) {
+        console.warn('Request queue listener failed:', error);
+      }
+    });
+  }
+
+  // Retry-After is either delay-seconds or an HTTP date
+  static parseRetryAfter(value) {
+    if (value === null || value === undefined || value === '') {
+      return null;
+    }
+    if (/^\d+(\.\d+)?$/.test(String(value).trim())) {
+      return Number(value) * 1000;
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  // Buffer a response so its body has been downloaded before it is handed on
+  static async readBody(response) {
+    const body = response.body ? await response.arrayBuffer() : null;
+    return new Response(body, {
+      status: response.status,
+      statusText: response.statusText,
+      headers: response.headers
+    });
+  }
+
+  static abortError(signal) {
+    const reason = signal?.reason;
+    if (reason instanceof Error) {
+      return reason;
+    }
+    const error = new Error('Request cancelled');
+    error.name = 'AbortError';
+    return error;
+  }
+}
+
+RequestScheduler.RETRY_STATUSES = [408, 429, 500, 502, 503, 504];
+
+// Concurrent requests per model; image generation is the one that gets rate limited
+RequestScheduler.DEFAULT_CONCURRENCY = {
+  default: 4
+};
+
+// One scheduler per worker so every provider instance shares the limits
+RequestScheduler.shared = new RequestScheduler();
+
+// Make available in both service worker and browser contexts
+self.RequestScheduler = RequestScheduler;
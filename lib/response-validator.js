@@ -0,0 +1,424 @@
+// Response validator for AI Virtual Try-On extension
+// Declares the JSON that detection, analysis and safety requests must return
+// and checks model replies against it. Schemas use the OpenAPI subset Gemini
+// accepts as responseSchema; toGeminiSchema and toJsonSchema strip the keys
+// only the validator understands (name, synonyms, coerce) for each API.
+// Near misses are coerced (numeric strings, 0-100 percentages, category
+// synonyms, Gemini's [ymin, xmin, ymax, xmax] boxes); anything else is
+// rejected and reported so the caller can re-ask once.
+
+class ResponseValidator {
+  // Check a model reply. Returns { valid, value, errors, warnings }: value is
+  // the coerced JSON with rejected fields and list entries removed, or null
+  // when nothing usable was returned. When the reply holds several JSON
+  // objects the first valid one wins.
+  static parse(schema, text) {
+    let best = null;
+    for (const json of ResponseValidator.findJson(text)) {
+      const result = ResponseValidator.validate(schema, json);
+      if (result.valid) {
+        return result;
+      }
+      if (!best || (result.value && !best.value)) {
+        best = result;
+      }
+    }
+    return best || { valid: false, value: null, errors: ['reply is not a JSON object'], warnings: [] };
+  }
+
+  // Check already parsed JSON
+  static validate(schema, json) {
+    const report = { errors: [], warnings: [] };
+    const value = ResponseValidator.check(schema, json, '$', report);
+
+    return {
+      valid: report.errors.length === 0,
+      value: value === undefined ? null : value,
+      errors: report.errors,
+      warnings: report.warnings
+    };
+  }
+
+  // JSON candidates in a reply: the whole text, a ```json fence, then each
+  // balanced top-level {...} in surrounding prose
+  static *findJson(text) {
+    if (typeof text !== 'string') {
+      return;
+    }
+
+    const fence = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+    for (const candidate of [text, fence && fence[1]]) {
+      const json = ResponseValidator.tryParse(candidate);
+      if (json !== undefined) {
+        yield json;
+      }
+    }
+
+    // Braces inside strings are skipped by findObjectEnd
+    let start = text.indexOf('{');
+    while (start !== -1) {
+      const end = ResponseValidator.findObjectEnd(text, start);
+      if (end === -1) {
+        return;
+      }
+      const json = ResponseValidator.tryParse(text.slice(start, end + 1));
+      if (json !== undefined) {
+        yield json;
+      }
+      start = text.indexOf('{', json !== undefined ? end + 1 : start + 1);
+    }
+  }
+
+  // Parsed JSON, or undefined when text is not JSON
+  static tryParse(text) {
+    if (!text) {
+      return undefined;
+    }
+    try {
+      return JSON.parse(text.trim());
+    } catch (error) {
+      return undefined;
+    }
+  }
+
+  // Index of the brace closing the object opened at start, or -1
+  static findObjectEnd(text, start) {
+    let depth = 0;
+    let inString = false;
+
+    for (let i = start; i < text.length; i++) {
+      const char = text[i];
+      if (inString) {
+        if (char === '\\') i++;
+        else if (char === '"') inString = false;
+      } else if (char === '"') {
+        inString = true;
+      } else if (char === '{') {
+        depth++;
+      } else if (char === '}') {
+        depth--;
+        if (depth === 0) return i;
+      }
+    }
+
+    return -1;
+  }
+
+  // Coerced value for one schema node, or undefined when it is rejected
+  static check(schema, value, path, report) {
+    if (value === null || value === undefined) {
+      if (value === null && schema.nullable) {
+        return null;
+      }
+      report.errors.push(`${path}: expected ${schema.type.toLowerCase()}, got ${value}`);
+      return undefined;
+    }
+
+    switch (schema.type) {
+      case 'OBJECT':
+        return ResponseValidator.checkObject(schema, value, path, report);
+      case 'ARRAY':
+        return ResponseValidator.checkArray(schema, value, path, report);
+      case 'STRING':
+        return ResponseValidator.checkString(schema, value, path, report);
+      case 'NUMBER':
+      case 'INTEGER':
+        return ResponseValidator.checkNumber(schema, value, path, report);
+      case 'BOOLEAN':
+        return ResponseValidator.checkBoolean(schema, value, path, report);
+      default:
+        throw new Error(`Unsupported schema type: ${schema.type}`);
+    }
+  }
+
+  static checkObject(schema, value, path, report) {
+    if (schema.coerce === 'boundingBox') {
+      value = ResponseValidator.coerceBoundingBox(value, path, report);
+    }
+
+    if (typeof value !== 'object' || Array.isArray(value)) {
+      report.errors.push(`${path}: expected object`);
+      return undefined;
+    }
+
+    const required = schema.required || [];
+    const result = {};
+    let complete = true;
+
+    // Unknown properties are dropped; null counts as missing
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      const propertyPath = `${path}.${key}`;
+      if (value[key] === undefined || (value[key] === null && !propertySchema.nullable)) {
+        if (required.includes(key)) {
+          report.errors.push(`${propertyPath}: required`);
+          complete = false;
+        }
+        continue;
+      }
+
+      const checked = ResponseValidator.check(propertySchema, value[key], propertyPath, report);
+      if (checked !== undefined) {
+        result[key] = checked;
+      } else if (required.includes(key)) {
+        complete = false;
+      }
+    }
+
+    if (complete && schema.coerce === 'boundingBox' && !(result.width > 0 && result.height > 0)) {
+      report.errors.push(`${path}: width and height must be positive`);
+      return undefined;
+    }
+
+    return complete ? result : undefined;
+  }
+
+  // Gemini's native [ymin, xmin, ymax, xmax] on a 0-1000 scale becomes a
+  // normalized { x, y, width, height }
+  static coerceBoundingBox(value, path, report) {
+    if (!Array.isArray(value) || value.length !== 4 || !value.every(number => Number.isFinite(Number(number)))) {
+      return value;
+    }
+
+    const [ymin, xmin, ymax, xmax] = value.map(number => Number(number) / 1000);
+    report.warnings.push(`${path}: converted [ymin, xmin, ymax, xmax] box`);
+    return { x: xmin, y: ymin, width: xmax - xmin, height: ymax - ymin };
+  }
+
+  static checkArray(schema, value, path, report) {
+    if (!Array.isArray(value)) {
+      report.errors.push(`${path}: expected array`);
+      return undefined;
+    }
+
+    // Rejected entries are left out rather than failing the whole list
+    const result = [];
+    value.forEach((item, index) => {
+      const checked = ResponseValidator.check(schema.items, item, `${path}[${index}]`, report);
+      if (checked !== undefined) {
+        result.push(checked);
+      }
+    });
+    return result;
+  }
+
+  static checkString(schema, value, path, report) {
+    if (typeof value === 'number' || typeof value === 'boolean') {
+      report.warnings.push(`${path}: converted ${typeof value} to string`);
+      value = String(value);
+    }
+    if (typeof value !== 'string') {
+      report.errors.push(`${path}: expected string`);
+      return undefined;
+    }
+
+    value = value.trim();
+    if (!schema.enum) {
+      return value;
+    }
+
+    // 'Needs Adjustment' matches needs_adjustment; synonyms map onto the enum
+    const normalized = value.toLowerCase().replace(/[\s-]+/g, '_');
+    const match = schema.enum.find(option => option === normalized) ||
+      (schema.synonyms && schema.synonyms[normalized]) ||
+      schema.enum.find(option => option === `${normalized}s`);
+
+    if (!match) {
+      report.errors.push(`${path}: "${value}" is not one of ${schema.enum.join(', ')}`);
+      return undefined;
+    }
+    if (match !== value) {
+      report.warnings.push(`${path}: mapped "${value}" to "${match}"`);
+    }
+    return match;
+  }
+
+  static checkNumber(schema, value, path, report) {
+    let number = value;
+    if (typeof value === 'string' && value.trim() !== '') {
+      const percent = value.trim().endsWith('%');
+      number = Number(value.trim().replace(/%$/, ''));
+      if (percent) number /= 100;
+      report.warnings.push(`${path}: converted "${value}" to a number`);
+    }
+
+    if (typeof number !== 'number' || !Number.isFinite(number)) {
+      report.errors.push(`${path}: expected number`);
+      return undefined;
+    }
+
+    // Scores on a 0-1 scale sometimes come back as percentages
+    if (schema.minimum === 0 && schema.maximum === 1 && number > 1 && number <= 100) {
+      report.warnings.push(`${path}: read ${number} as a percentage`);
+      number /= 100;
+    }
+
+    if (schema.type === 'INTEGER' && !Number.isInteger(number)) {
+      number = Math.round(number);
+    }
+
+    if ((schema.minimum !== undefined && number < schema.minimum) ||
+        (schema.maximum !== undefined && number > schema.maximum)) {
+      report.errors.push(`${path}: ${number} is outside ${schema.minimum ?? '-∞'}-${schema.maximum ?? '∞'}`);
+      return undefined;
+    }
+    return number;
+  }
+
+  static checkBoolean(schema, value, path, report) {
+    if (value === 'true' || value === 'false') {
+      report.warnings.push(`${path}: converted "${value}" to a boolean`);
+      return value === 'true';
+    }
+    if (typeof value !== 'boolean') {
+      report.errors.push(`${path}: expected boolean`);
+      return undefined;
+    }
+    return value;
+  }
+
+  // Schema in the form Gemini accepts as generationConfig.responseSchema
+  static toGeminiSchema(schema) {
+    const result = {};
+    for (const key of ['type', 'description', 'nullable', 'enum', 'required', 'minimum', 'maximum']) {
+      if (schema[key] !== undefined) {
+        result[key] = schema[key];
+      }
+    }
+    if (schema.properties) {
+      result.properties = {};
+      for (const [key, property] of Object.entries(schema.properties)) {
+        result.properties[key] = ResponseValidator.toGeminiSchema(property);
+      }
+    }
+    if (schema.items) {
+      result.items = ResponseValidator.toGeminiSchema(schema.items);
+    }
+    return result;
+  }
+
+  // Standard JSON Schema, for OpenAI response_format and local backends
+  static toJsonSchema(schema) {
+    const type = schema.type.toLowerCase();
+    const result = { type: schema.nullable ? [type, 'null'] : type };
+    for (const key of ['description', 'enum', 'minimum', 'maximum']) {
+      if (schema[key] !== undefined) {
+        result[key] = schema[key];
+      }
+    }
+    if (schema.properties) {
+      result.properties = {};
+      for (const [key, property] of Object.entries(schema.properties)) {
+        result.properties[key] = ResponseValidator.toJsonSchema(property);
+      }
+      result.required = schema.required || [];
+      result.additionalProperties = false;
+    }
+    if (schema.items) {
+      result.items = ResponseValidator.toJsonSchema(schema.items);
+    }
+    return result;
+  }
+}
+
+// Clothing detection (buildClothingDetectionPrompt)
+ResponseValidator.DETECTION = {
+  name: 'clothing_detection',
+  type: 'OBJECT',
+  properties: {
+    items: {
+      type: 'ARRAY',
+      items: {
+        type: 'OBJECT',
+        properties: {
+          category: {
+            type: 'STRING',
+            enum: ['tops', 'bottoms', 'dresses', 'outerwear', 'shoes', 'accessories'],
+            synonyms: {
+              top: 'tops', shirt: 'tops', t_shirt: 'tops', blouse: 'tops', sweater: 'tops', shirts: 'tops',
+              bottom: 'bottoms', pants: 'bottoms', trousers: 'bottoms', jeans: 'bottoms', shorts: 'bottoms', skirt: 'bottoms',
+              dress: 'dresses',
+              jacket: 'outerwear', coat: 'outerwear', outer: 'outerwear',
+              shoe: 'shoes', footwear: 'shoes', sneakers: 'shoes', boots: 'shoes',
+              accessory: 'accessories', bag: 'accessories', hat: 'accessories', jewelry: 'accessories'
+            }
+          },
+          type: { type: 'STRING' },
+          color: { type: 'STRING' },
+          style: { type: 'STRING' },
+          confidence: { type: 'NUMBER', minimum: 0, maximum: 1 },
+          boundingBox: {
+            type: 'OBJECT',
+            description: 'x, y, width, height as fractions of the image (0-1)',
+            coerce: 'boundingBox',
+            properties: {
+              x: { type: 'NUMBER', minimum: 0 },
+              y: { type: 'NUMBER', minimum: 0 },
+              width: { type: 'NUMBER', minimum: 0 },
+              height: { type: 'NUMBER', minimum: 0 }
+            },
+            required: ['x', 'y', 'width', 'height']
+          },
+          features: { type: 'ARRAY', items: { type: 'STRING' } }
+        },
+        required: ['category', 'type']
+      }
+    },
+    background: { type: 'STRING' },
+    lighting: { type: 'STRING' },
+    quality: { type: 'STRING' }
+  },
+  required: ['items']
+};
+
+// Try-on analysis (buildAdvancedAnalysisPrompt)
+ResponseValidator.ANALYSIS = {
+  name: 'tryon_analysis',
+  type: 'OBJECT',
+  properties: {
+    fit_analysis: {
+      type: 'OBJECT',
+      properties: {
+        size_compatibility: { type: 'STRING', enum: ['perfect', 'good', 'needs_adjustment'] },
+        body_match: { type: 'STRING', enum: ['excellent', 'good', 'fair', 'poor'] },
+        pose_compatibility: { type: 'STRING', enum: ['natural', 'slightly_forced', 'awkward'] }
+      }
+    },
+    visual_result: {
+      type: 'OBJECT',
+      properties: {
+        overall_quality: { type: 'NUMBER', minimum: 0, maximum: 1 },
+        realism_score: { type: 'NUMBER', minimum: 0, maximum: 1 },
+        lighting_match: { type: 'NUMBER', minimum: 0, maximum: 1 },
+        fabric_draping: { type: 'STRING', enum: ['natural', 'good', 'acceptable', 'poor'] }
+      }
+    },
+    styling_assessment: {
+      type: 'OBJECT',
+      properties: {
+        color_harmony: { type: 'STRING', enum: ['excellent', 'good', 'neutral', 'clashing'] },
+        style_match: { type: 'STRING', enum: ['perfect', 'good', 'acceptable', 'mismatched'] },
+        occasion_suitability: { type: 'STRING', enum: ['formal', 'casual', 'business', 'party', 'sports'] }
+      }
+    },
+    recommendations: { type: 'ARRAY', items: { type: 'STRING' } },
+    confidence_score: { type: 'NUMBER', minimum: 0, maximum: 1 },
+    safety_assessment: { type: 'STRING', enum: ['appropriate', 'needs_review'] },
+    description: { type: 'STRING' }
+  },
+  required: ['description']
+};
+
+// Image safety check (buildSafetyPrompt)
+ResponseValidator.SAFETY = {
+  name: 'safety_assessment',
+  type: 'OBJECT',
+  properties: {
+    safe: { type: 'BOOLEAN' },
+    concerns: { type: 'ARRAY', items: { type: 'STRING' } },
+    recommendation: { type: 'STRING', enum: ['proceed', 'review', 'reject'] }
+  },
+  required: ['safe']
+};
+
+// Make available in both service worker and browser contexts
+self.ResponseValidator = ResponseValidator;
@@ -0,0 +1,103 @@
+// Result cache for AI Virtual Try-On extension
+// Trying the same garment on the same photo again reuses the earlier result
+// instead of paying for a new generation. Entries are keyed by SHA-256 hashes
+// of the photo, the garment images, the prompt template version, the provider
+// and the generation options, and live in IndexedDB (resultCache store) with
+// least-recently-used eviction once they pass maxBytes. The generated image is
+// kept in the images store like a saved result's (see StorageManager).
+
+class ResultCache {
+  constructor(storageManager, options = {}) {
+    this.storageManager = storageManager;
+    this.maxBytes = options.maxBytes ?? ResultCache.DEFAULT_MAX_BYTES;
+  }
+
+  // Cache key for one generation. parts: { userPhoto, garments[], promptVersion,
+  // provider, options }. Images are hashed on their own so the key stays small.
+  async keyFor(parts) {
+    const garmentHashes = [];
+    for (const garment of parts.garments) {
+      garmentHashes.push(await ResultCache.hash(garment));
+    }
+
+    return ResultCache.hash(JSON.stringify({
+      userPhoto: await ResultCache.hash(parts.userPhoto),
+      garments: garmentHashes,
+      promptVersion: parts.promptVersion,
+      provider: parts.provider,
+      options: ResultCache.sortKeys(parts.options || {})
+    }));
+  }
+
+  // Stored result for key, or null; lookups never fail a try-on
+  async get(key) {
+    try {
+      const entry = await this.storageManager.getCachedResult(key);
+      if (!entry) {
+        return null;
+      }
+
+      // An image that can't be read (deleted, or encrypted while the vault is locked) is a miss
+      const result = await this.storageManager.resolveImages(entry.result, 'dataUrl');
+      if (StorageManager.collectImageRefs(entry.result).length > 0 && !result.imageUrl) {
+        return null;
+      }
+      return {
+        ...result,
+        generatedImage: result.generatedImage ?? result.imageUrl?.split(',')[1] ?? null,
+        cachedAt: entry.createdAt
+      };
+    } catch (error) {
+      console.warn('⚠️ Result cache lookup failed:', error);
+      return null;
+    }
+  }
+
+  // Store a result and evict old entries beyond maxBytes
+  async put(key, result) {
+    try {
+      const size = JSON.stringify(result).length;
+      if (size > this.maxBytes) {
+        return false;
+      }
+
+      // generatedImage is the base64 of the imageUrl data URL, which is stored once as a Blob
+      const stored = StorageManager.isDataUrl(result.imageUrl) ? { ...result, generatedImage: null } : result;
+      await this.storageManager.saveCachedResult(key, stored);
+      const { evicted, totalBytes } = await this.storageManager.evictCachedResults(this.maxBytes);
+      console.log(`💾 Cached try-on result (${Math.round(totalBytes / 1024)} KB cached${evicted ? `, ${evicted} evicted` : ''})`);
+      return true;
+    } catch (error) {
+      console.warn('⚠️ Could not cache try-on result:', error);
+      return false;
+    }
+  }
+
+  // Hex SHA-256 of a string (image data URLs, URLs or JSON)
+  static async hash(value) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(String(value ?? '')));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  // Same options in a different key order must give the same key
+  static sortKeys(value) {
+    if (Array.isArray(value)) {
+      return value.map(item => ResultCache.sortKeys(item));
+    }
+    if (value && typeof value === 'object') {
+      return Object.keys(value).sort().reduce((sorted, key) => {
+        if (value[key] !== undefined) {
+          sorted[key] = ResultCache.sortKeys(value[key]);
+        }
+        return sorted;
+      }, {});
+    }
+    return value;
+  }
+}
+
+// Roughly a few dozen generated images
+ResultCache.DEFAULT_MAX_BYTES = 50 * 1024 * 1024;
+
+// Make available in both service worker and browser contexts
+self.ResultCache = ResultCache;
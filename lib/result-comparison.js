@@ -0,0 +1,107 @@
+// Result comparison for AI Virtual Try-On extension
+// Lines up two to four saved try-on results for the compare page: one row per
+// fit, styling and size attribute, with a cell per result in the same order.
+
+class ResultComparison {
+  // Parse "?ids=3,7,9" into distinct numeric result ids
+  static parseIds(search) {
+    const value = new URLSearchParams(search).get('ids') || '';
+    const ids = value.split(',').map(Number).filter(id => Number.isInteger(id) && id > 0);
+    return [...new Set(ids)];
+  }
+
+  static validateCount(count) {
+    if (count < ResultComparison.MIN_RESULTS || count > ResultComparison.MAX_RESULTS) {
+      throw new Error(`Select ${ResultComparison.MIN_RESULTS} to ${ResultComparison.MAX_RESULTS} results to compare (got ${count})`);
+    }
+  }
+
+  // Rows of { section, key, label, values[], differs } aligned across results.
+  // Attributes missing from a result get a null cell so columns stay aligned.
+  static buildRows(records) {
+    const rows = [];
+
+    for (const [section, field] of ResultComparison.SECTIONS) {
+      const keys = [];
+      records.forEach(record => {
+        Object.keys(record.metadata?.[field] || {}).forEach(key => {
+          if (!keys.includes(key)) keys.push(key);
+        });
+      });
+
+      keys.forEach(key => {
+        const values = records.map(record => ResultComparison.formatValue(record.metadata?.[field]?.[key]));
+        rows.push(ResultComparison.row(section, `${field}.${key}`, ResultComparison.labelFor(key), values));
+      });
+    }
+
+    const sizes = records.map(record => record.metadata?.sizeRecommendation || null);
+    if (sizes.some(Boolean)) {
+      rows.push(ResultComparison.row('Size', 'sizeRecommendation.recommendedSize', 'Recommended size',
+        sizes.map(size => size?.recommendedSize || null)));
+      rows.push(ResultComparison.row('Size', 'sizeRecommendation.fit', 'Fit',
+        sizes.map(size => size?.fit || null)));
+
+      // One row per measurement, so chest margins line up with chest margins
+      const keys = [...new Set(sizes.flatMap(size => Object.keys(size?.margins || {})))];
+      keys.forEach(key => {
+        rows.push(ResultComparison.row('Size', `sizeRecommendation.margins.${key}`, `${ResultComparison.labelFor(key)} margin`,
+          sizes.map(size => ResultComparison.formatMargin(size, key))));
+      });
+    }
+
+    return rows;
+  }
+
+  static row(section, key, label, values) {
+    const present = values.filter(value => value !== null);
+    return {
+      section: section,
+      key: key,
+      label: label,
+      values: values,
+      differs: new Set(present).size > 1 || (present.length > 0 && present.length < values.length)
+    };
+  }
+
+  // "size_compatibility" -> "Size compatibility"
+  static labelFor(key) {
+    const words = String(key).replace(/([a-z])([A-Z])/g, '$1 $2').replace(/_/g, ' ').toLowerCase();
+    return words.charAt(0).toUpperCase() + words.slice(1);
+  }
+
+  static formatValue(value) {
+    if (value == null || value === '') return null;
+    if (typeof value === 'number') {
+      return value >= 0 && value <= 1 ? `${Math.round(value * 100)}%` : String(value);
+    }
+    if (Array.isArray(value)) return value.join(', ');
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value).replace(/_/g, ' ');
+  }
+
+  // "+2 cm", "ok" or null when the result has no such measurement
+  static formatMargin(size, key) {
+    const entry = size?.margins?.[key];
+    if (!entry) return null;
+    if (entry.margin === 0) return 'ok';
+    const unit = size.kind === 'shoes' ? '' : ` ${size.unit}`;
+    return `${entry.margin > 0 ? '+' : ''}${entry.margin}${unit}`;
+  }
+}
+
+ResultComparison.MIN_RESULTS = 2;
+ResultComparison.MAX_RESULTS = 4;
+
+// [section heading, metadata field]
+ResultComparison.SECTIONS = [
+  ['Fit', 'fitAnalysis'],
+  ['Styling', 'stylingAssessment']
+];
+
+// Make available to extension pages and the service worker
+if (typeof window !== 'undefined') {
+  window.ResultComparison = ResultComparison;
+} else {
+  self.ResultComparison = ResultComparison;
+}
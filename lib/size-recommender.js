@@ -0,0 +1,353 @@
+// Size recommendation for AI Virtual Try-On extension
+// The content script finds size-chart tables on the product page
+// (findSizeCharts); the service worker compares the chart with
+// userProfile.measurements (recommend). All lengths are compared in cm and
+// shoe sizes in the chart's own system, or EU when the systems differ.
+
+class SizeRecommender {
+  // Parse every size-chart table in the document
+  static findSizeCharts(doc = document) {
+    const charts = [];
+
+    for (const table of doc.querySelectorAll('table')) {
+      const rows = Array.from(table.querySelectorAll('tr'))
+        .map(row => Array.from(row.querySelectorAll('th, td')).map(cell => cell.textContent.replace(/\s+/g, ' ').trim()))
+        .filter(cells => cells.some(Boolean));
+
+      const chart = SizeRecommender.parseSizeChart(rows);
+      if (chart) {
+        charts.push(chart);
+      }
+    }
+
+    return charts;
+  }
+
+  // Parse a table given as rows of cell text. Sizes may be rows (measurements
+  // in the header) or columns (measurements in the first column).
+  // Returns { kind: 'apparel'|'shoes', sizes: [{ label, measurements, shoe }] } or null.
+  static parseSizeChart(rows) {
+    if (!rows || rows.length < 2) {
+      return null;
+    }
+
+    const headerHits = rows[0].slice(1).filter(text => SizeRecommender.columnKey(text)).length;
+    const columnHits = rows.slice(1).filter(cells => SizeRecommender.columnKey(cells[0] || '')).length;
+    const table = columnHits > headerHits ? SizeRecommender.transpose(rows) : rows;
+
+    const columns = table[0].map((text, index) => ({
+      index: index,
+      key: SizeRecommender.columnKey(text),
+      unit: SizeRecommender.columnUnit(text)
+    }));
+
+    // The first column holds the size labels, unless it is a shoe size system
+    // (shoe charts are often just "US | UK | EU" columns)
+    const labelSystem = SizeRecommender.SHOE_SYSTEMS.includes(columns[0].key) ? columns[0].key : null;
+    if (!labelSystem) {
+      columns[0].key = null;
+    }
+
+    // Keep the first column per measurement (tables often repeat cm and inches)
+    const seen = new Set();
+    const used = columns.filter(column => {
+      if (!column.key || seen.has(column.key)) return false;
+      seen.add(column.key);
+      return true;
+    });
+
+    if (used.length === 0) {
+      return null;
+    }
+
+    const sizes = [];
+    for (const cells of table.slice(1)) {
+      if (!cells[0]) continue;
+
+      const label = labelSystem ? `${labelSystem.toUpperCase()} ${cells[0]}` : cells[0];
+      const size = { label: label, measurements: {}, shoe: {} };
+      for (const column of used) {
+        const range = SizeRecommender.parseRange(cells[column.index]);
+        if (!range) continue;
+
+        if (SizeRecommender.SHOE_SYSTEMS.includes(column.key)) {
+          size.shoe[column.key] = range.min;
+        } else {
+          const unit = column.unit || SizeRecommender.guessUnit(column.key, range);
+          size.measurements[column.key] = SizeRecommender.toCentimeters(range, unit);
+        }
+      }
+
+      if (Object.keys(size.measurements).length > 0 || Object.keys(size.shoe).length > 0) {
+        sizes.push(size);
+      }
+    }
+
+    if (sizes.length < 2) {
+      return null;
+    }
+
+    // Apparel charts may also list EU/UK/US size columns; shoe charts have no body measurements
+    const hasBodyColumns = used.some(column => !SizeRecommender.SHOE_SYSTEMS.includes(column.key) && column.key !== 'footLength');
+    return {
+      kind: hasBodyColumns ? 'apparel' : 'shoes',
+      sizes: sizes
+    };
+  }
+
+  // Recommend a size from the charts found on the page for a clothing category
+  static recommendFromCharts(charts, measurements, category = 'clothing') {
+    const chart = SizeRecommender.selectChart(charts, measurements, category);
+    return chart ? SizeRecommender.recommend(chart, measurements) : null;
+  }
+
+  // Shoe chart for shoes; otherwise the chart sharing most measurements with the profile
+  static selectChart(charts, measurements, category = 'clothing') {
+    if (!charts || charts.length === 0) {
+      return null;
+    }
+
+    if (category === 'shoes') {
+      return charts.find(chart => chart.kind === 'shoes') || null;
+    }
+
+    const body = SizeRecommender.normalizeMeasurements(measurements);
+    let best = null;
+    let bestOverlap = 0;
+    for (const chart of charts.filter(entry => entry.kind === 'apparel')) {
+      const keys = new Set(chart.sizes.flatMap(size => Object.keys(size.measurements)));
+      const overlap = Object.keys(body).filter(key => keys.has(key)).length;
+      if (overlap > bestOverlap) {
+        best = chart;
+        bestOverlap = overlap;
+      }
+    }
+    return best;
+  }
+
+  // Compare one chart with the profile measurements
+  static recommend(chart, measurements) {
+    if (!chart || !measurements) {
+      return null;
+    }
+    return chart.kind === 'shoes'
+      ? SizeRecommender.recommendShoeSize(chart, measurements)
+      : SizeRecommender.recommendApparelSize(chart, measurements);
+  }
+
+  static recommendApparelSize(chart, measurements) {
+    const body = SizeRecommender.normalizeMeasurements(measurements);
+    let best = null;
+
+    chart.sizes.forEach(size => {
+      const keys = Object.keys(body).filter(key => size.measurements[key]);
+      if (keys.length === 0) return;
+
+      const margins = {};
+      let score = 0;
+      for (const key of keys) {
+        margins[key] = SizeRecommender.measurementMargin(body[key], size.measurements[key]);
+        // Too tight is worse than a little room
+        score += margins[key].margin < 0 ? -margins[key].margin * 2 : margins[key].margin;
+      }
+
+      // Sizes compared on more measurements win ties
+      if (!best || keys.length > best.keys.length || (keys.length === best.keys.length && score < best.score)) {
+        best = { size, keys, margins, score };
+      }
+    });
+
+    if (!best) {
+      return null;
+    }
+
+    const fits = best.keys.map(key => best.margins[key].fit);
+    return {
+      kind: 'apparel',
+      recommendedSize: best.size.label,
+      fit: fits.includes('tight') ? 'snug' : (fits.includes('loose') ? 'relaxed' : 'true to size'),
+      margins: best.margins,
+      unit: 'cm',
+      confidence: Math.min(0.9, 0.4 + best.keys.length * 0.2)
+    };
+  }
+
+  static recommendShoeSize(chart, measurements) {
+    const shoeSize = measurements.shoeSize;
+    const value = parseFloat(shoeSize?.value ?? shoeSize);
+    if (!Number.isFinite(value)) {
+      return null;
+    }
+
+    // Compare in the user's system when the chart has it, otherwise in EU
+    const userSystem = (shoeSize?.unit || 'eu').toLowerCase();
+    const system = chart.sizes.some(size => size.shoe[userSystem] != null) ? userSystem : 'eu';
+    const userValue = system === userSystem ? value : SizeRecommender.shoeSizeToEU(value, userSystem);
+
+    let best = null;
+    for (const size of chart.sizes) {
+      const chartValue = system === 'eu' && size.shoe.eu == null
+        ? SizeRecommender.shoeSizeFromChart(size.shoe)
+        : size.shoe[system];
+      if (chartValue == null) continue;
+
+      const margin = Math.round((chartValue - userValue) * 10) / 10;
+      // Closest size; on a tie take the larger one
+      if (!best || Math.abs(margin) < Math.abs(best.margin) || (Math.abs(margin) === Math.abs(best.margin) && margin > best.margin)) {
+        best = { size, margin, chartValue };
+      }
+    }
+
+    if (!best) {
+      return null;
+    }
+
+    const fit = best.margin < -SizeRecommender.SHOE_TOLERANCE ? 'tight' : (best.margin > SizeRecommender.SHOE_TOLERANCE ? 'loose' : 'good');
+    return {
+      kind: 'shoes',
+      recommendedSize: best.size.label,
+      fit: fit === 'tight' ? 'snug' : (fit === 'loose' ? 'relaxed' : 'true to size'),
+      margins: {
+        shoeSize: { body: userValue, min: best.chartValue, max: best.chartValue, margin: best.margin, fit: fit }
+      },
+      unit: system.toUpperCase(),
+      confidence: system === userSystem ? 0.8 : 0.6
+    };
+  }
+
+  // Margin is how much room the size leaves: positive = roomier, negative = tighter, 0 = within range
+  static measurementMargin(body, range) {
+    let margin = 0;
+    if (body < range.min) {
+      margin = range.min - body;
+    } else if (body > range.max) {
+      margin = range.max - body;
+    }
+    margin = Math.round(margin * 10) / 10;
+
+    const tolerance = SizeRecommender.TOLERANCE_CM;
+    return {
+      body: body,
+      min: range.min,
+      max: range.max,
+      margin: margin,
+      fit: margin < -tolerance ? 'tight' : (margin > tolerance ? 'loose' : 'good')
+    };
+  }
+
+  // userProfile.measurements -> { chest, waist, hips, height } in cm
+  static normalizeMeasurements(measurements = {}) {
+    const body = {};
+    for (const key of ['chest', 'waist', 'hips']) {
+      const value = parseFloat(measurements[key]?.value ?? measurements[key]);
+      if (Number.isFinite(value) && value > 0) {
+        body[key] = value;
+      }
+    }
+
+    const height = parseFloat(measurements.height?.value ?? measurements.height);
+    if (Number.isFinite(height) && height > 0) {
+      body.height = measurements.height?.unit === 'ft' ? Math.round(height * 30.48) : height;
+    }
+    return body;
+  }
+
+  // Measurement key for a header cell, or null
+  static columnKey(text) {
+    const header = String(text).toLowerCase().trim();
+    for (const [key, pattern] of SizeRecommender.COLUMN_PATTERNS) {
+      if (pattern.test(header)) {
+        return key;
+      }
+    }
+    return null;
+  }
+
+  static columnUnit(text) {
+    const header = String(text).toLowerCase();
+    if (/\bcm\b|centimet/.test(header)) return 'cm';
+    if (/\bin\b|\binch|["″]/.test(header)) return 'in';
+    return null;
+  }
+
+  // No unit in the header: body measurements in cm are much larger than in inches
+  static guessUnit(key, range) {
+    const threshold = { height: 100, footLength: 15 }[key] || 60;
+    return range.max < threshold ? 'in' : 'cm';
+  }
+
+  // "86-90", "34 ½ – 36", "92" -> { min, max }
+  static parseRange(text) {
+    if (!text) return null;
+    const normalized = String(text)
+      .replace(/(\d)\s*½/g, '$1.5').replace(/(\d)\s*¼/g, '$1.25').replace(/(\d)\s*¾/g, '$1.75')
+      .replace(/(\d+)\s+1\/2/g, '$1.5')
+      .replace(/(\d),(\d)/g, '$1.$2');
+    const numbers = (normalized.match(/\d+(?:\.\d+)?/g) || []).map(Number);
+    if (numbers.length === 0) return null;
+    return { min: Math.min(numbers[0], numbers[numbers.length - 1]), max: Math.max(numbers[0], numbers[numbers.length - 1]) };
+  }
+
+  static toCentimeters(range, unit) {
+    if (unit !== 'in') return range;
+    const cm = value => Math.round(value * 2.54 * 10) / 10;
+    return { min: cm(range.min), max: cm(range.max) };
+  }
+
+  static transpose(rows) {
+    const width = Math.max(...rows.map(cells => cells.length));
+    return Array.from({ length: width }, (_, column) => rows.map(cells => cells[column] || ''));
+  }
+
+  // Approximate conversion to EU (US sizes are men's/unisex: US = UK + 1)
+  static shoeSizeToEU(value, system) {
+    switch (system) {
+      case 'uk': return Math.round((value * 1.27 + 31.8) * 2) / 2;
+      case 'us': return Math.round(((value - 1) * 1.27 + 31.8) * 2) / 2;
+      default: return value;
+    }
+  }
+
+  // EU size of a chart row from whichever system it lists
+  static shoeSizeFromChart(shoe) {
+    for (const system of SizeRecommender.SHOE_SYSTEMS) {
+      if (shoe[system] != null) {
+        return SizeRecommender.shoeSizeToEU(shoe[system], system);
+      }
+    }
+    return null;
+  }
+
+  // One-line summary, e.g. "M (true to size) · chest ok, waist +2.5 cm"
+  static describe(recommendation) {
+    if (!recommendation) return '';
+    const unit = recommendation.kind === 'shoes' ? '' : ` ${recommendation.unit}`;
+    const margins = Object.entries(recommendation.margins).map(([key, entry]) => {
+      const label = key === 'shoeSize' ? `${recommendation.unit} size` : key;
+      return entry.margin === 0 ? `${label} ok` : `${label} ${entry.margin > 0 ? '+' : ''}${entry.margin}${unit}`;
+    });
+    return `${recommendation.recommendedSize} (${recommendation.fit}) · ${margins.join(', ')}`;
+  }
+}
+
+// Header patterns in match order (shoe systems before generic words)
+SizeRecommender.COLUMN_PATTERNS = [
+  ['eu', /^(eu|eur|euro|europe)\b/],
+  ['uk', /^uk\b/],
+  ['us', /^us(a)?\b/],
+  ['footLength', /foot|insole|mondo/],
+  ['chest', /chest|bust/],
+  ['waist', /waist/],
+  ['hips', /hip/],
+  ['height', /height|body length/]
+];
+SizeRecommender.SHOE_SYSTEMS = ['eu', 'uk', 'us'];
+SizeRecommender.TOLERANCE_CM = 2;
+SizeRecommender.SHOE_TOLERANCE = 0.25;
+
+// Make available to the content script, extension pages and the service worker
+if (typeof window !== 'undefined') {
+  window.SizeRecommender = SizeRecommender;
+} else {
+  self.SizeRecommender = SizeRecommender;
+}
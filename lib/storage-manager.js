@@ -4,55 +4,117 @@
 class StorageManager {
   constructor() {
     this.dbName = 'VirtualTryOnDB';
-    this.dbVersion = 1;
+    this.dbVersion = StorageManager.latestVersion();
     this.db = null;
+    this.objectUrls = new Map(); // imageId -> object URL, see resolveImages
     this.init();
   }
 
-  // Initialize IndexedDB
+  // Initialize IndexedDB, running any pending schema migrations. A failed
+  // upgrade leaves the database at its old version and is kept in
+  // chrome.storage.local.dbUpgradeError until an upgrade succeeds.
   async init() {
+    try {
+      this.db = await StorageManager.openDatabase(this.dbName, this.dbVersion);
+      console.log('IndexedDB initialized successfully');
+    } catch (error) {
+      console.error('Failed to open IndexedDB:', error);
+      if (error.diagnostic) {
+        await chrome.storage.local.set({ dbUpgradeError: error.diagnostic }).catch(() => {});
+      }
+      throw error;
+    }
+
+    const { dbUpgradeError } = await chrome.storage.local.get(['dbUpgradeError']).catch(() => ({}));
+    if (dbUpgradeError && dbUpgradeError.toVersion <= this.db.version) {
+      await chrome.storage.local.remove('dbUpgradeError');
+    }
+    return this.db;
+  }
+
+  // Open a database and apply every migration newer than its version, in
+  // order, inside the one versionchange transaction. Any failure aborts that
+  // transaction, so the database is never left half-upgraded; the rejection
+  // carries error.diagnostic ({ database, fromVersion, toVersion,
+  // failedVersion, description, message, timestamp }).
+  static openDatabase(name, version, migrations = StorageManager.MIGRATIONS) {
     return new Promise((resolve, reject) => {
-      const request = indexedDB.open(this.dbName, this.dbVersion);
-      
+      const request = indexedDB.open(name, version);
+      let failure = null;
+
       request.onerror = () => {
-        console.error('Failed to open IndexedDB:', request.error);
-        reject(request.error);
+        reject(failure || request.error);
       };
-      
+
+      request.onblocked = () => {
+        console.warn(`⚠️ Upgrade of ${name} is waiting for other open tabs to close it`);
+      };
+
       request.onsuccess = () => {
-        this.db = request.result;
-        console.log('IndexedDB initialized successfully');
-        resolve(this.db);
+        const db = request.result;
+        // Let a newer version in another tab or the worker upgrade the database
+        db.onversionchange = () => db.close();
+        resolve(db);
       };
-      
+
       request.onupgradeneeded = (event) => {
-        const db = event.target.result;
-        
-        // Create object stores
-        if (!db.objectStoreNames.contains('userPhotos')) {
-          const photoStore = db.createObjectStore('userPhotos', { keyPath: 'id', autoIncrement: true });
-          photoStore.createIndex('timestamp', 'timestamp', { unique: false });
-        }
-        
-        if (!db.objectStoreNames.contains('tryOnResults')) {
-          const resultStore = db.createObjectStore('tryOnResults', { keyPath: 'id', autoIncrement: true });
-          resultStore.createIndex('timestamp', 'timestamp', { unique: false });
-          resultStore.createIndex('category', 'category', { unique: false });
-        }
-        
-        if (!db.objectStoreNames.contains('clothingItems')) {
-          const itemStore = db.createObjectStore('clothingItems', { keyPath: 'id', autoIncrement: true });
-          itemStore.createIndex('source', 'source', { unique: false });
-          itemStore.createIndex('category', 'category', { unique: false });
-        }
+        const db = request.result;
+        const transaction = request.transaction;
+        const pending = migrations
+          .filter(migration => migration.version > event.oldVersion && migration.version <= version)
+          .sort((a, b) => a.version - b.version);
+
+        const fail = (migration, error) => {
+          if (failure) return;
+          failure = new Error(`Database upgrade to v${version} failed at migration ${migration.version} (${migration.description}): ${error?.message || error}`);
+          failure.diagnostic = {
+            database: name,
+            fromVersion: event.oldVersion,
+            toVersion: version,
+            failedVersion: migration.version,
+            description: migration.description,
+            message: error?.message || String(error),
+            timestamp: Date.now()
+          };
+          try {
+            transaction.abort();
+          } catch (abortError) {
+            // Already aborted by the failed request
+          }
+        };
+
+        // Each migration finishes (including its backfills) before the next starts
+        let current = null;
+        transaction.addEventListener('error', (errorEvent) => {
+          if (current && !failure) fail(current, errorEvent.target.error);
+        });
+
+        (async () => {
+          for (const migration of pending) {
+            current = migration;
+            await migration.up(new StorageMigration(db, transaction));
+            if (failure) return;
+          }
+          current = null;
+          if (pending.length > 0) {
+            console.log(`🗄️ Upgraded ${name} from v${event.oldVersion} to v${version}`);
+          }
+        })().catch(error => fail(current, error));
       };
     });
   }
 
+  // Newest schema version in the migration registry
+  static latestVersion() {
+    return Math.max(...StorageManager.MIGRATIONS.map(migration => migration.version));
+  }
+
   // User Profile Management
+  // With the vault on, API keys are stored encrypted (see Vault.sealProfile)
   async saveUserProfile(profile) {
     try {
-      await chrome.storage.local.set({ userProfile: profile });
+      const stored = typeof Vault !== 'undefined' ? await Vault.sealProfile(profile) : profile;
+      await chrome.storage.local.set({ userProfile: stored });
       console.log('User profile saved successfully');
       return true;
     } catch (error) {
@@ -64,15 +126,425 @@ class StorageManager {
   async getUserProfile() {
     try {
       const result = await chrome.storage.local.get(['userProfile']);
-      return result.userProfile || null;
+      const profile = result.userProfile || null;
+      return typeof Vault !== 'undefined' ? await Vault.openProfile(profile) : profile;
     } catch (error) {
       console.error('Failed to get user profile:', error);
       throw error;
     }
   }
 
+  // Images: photos, generated results, garments and thumbnails are stored as
+  // Blobs in the images store. Records keep a reference ({ imageId, type,
+  // size }) where the image used to be; resolveImages() turns references back
+  // into Blobs, data URLs (for providers and extension messages) or object
+  // URLs (for <img> elements in extension pages). Encrypted images hold the
+  // ciphertext in blob and the AES-GCM IV in iv (see Vault).
+  async saveImage(image, encrypt = false) {
+    const blob = typeof image === 'string' ? StorageManager.dataUrlToBlob(image) : image;
+    const sealed = encrypt ? await Vault.encryptBlob(blob) : null;
+
+    return new Promise((resolve, reject) => {
+      if (!this.db) {
+        reject(new Error('Database not initialized'));
+        return;
+      }
+
+      const transaction = this.db.transaction(['images'], 'readwrite');
+      const request = transaction.objectStore('images').add({
+        blob: sealed ? sealed.blob : blob,
+        ...(sealed && { iv: sealed.iv }),
+        type: blob.type,
+        size: blob.size,
+        createdAt: Date.now()
+      });
+
+      request.onsuccess = () => {
+        resolve({ imageId: request.result, type: blob.type, size: blob.size });
+      };
+
+      request.onerror = () => {
+        console.error('Failed to save image:', request.error);
+        reject(request.error);
+      };
+    });
+  }
+
+  // Reference for an image field: data URLs and Blobs are saved, anything
+  // else (references, remote URLs, null) is kept as it is
+  async storeImage(value, encrypt = false) {
+    if (StorageManager.isDataUrl(value) || StorageManager.isBlob(value)) {
+      return this.saveImage(value, encrypt);
+    }
+    return value;
+  }
+
+  // Copy of a record (or of changes to one) with its image fields stored.
+  // While the vault is on, photos and the images made from them
+  // (SEALED_IMAGE_FIELDS) are encrypted.
+  async storeImages(storeName, record) {
+    const sealed = typeof Vault !== 'undefined' && await Vault.isEnabled()
+      ? StorageManager.SEALED_IMAGE_FIELDS[storeName] || []
+      : [];
+    let stored = record;
+    for (const [path, value] of StorageManager.imageFields(storeName, record)) {
+      const reference = await this.storeImage(value, sealed.includes(path));
+      if (reference !== value) {
+        stored = StorageManager.withImageField(stored, path, reference);
+      }
+    }
+    return stored;
+  }
+
+  // Blobs by image id; missing images, and encrypted ones while the vault is
+  // locked, are left out
+  async getImages(imageIds) {
+    const records = await this.getImageRecords(imageIds);
+    const blobs = new Map();
+    const key = records.some(record => record.iv) ? await Vault.getKey() : null;
+
+    for (const record of records) {
+      if (!record.iv) {
+        blobs.set(record.id, record.blob);
+      } else if (key) {
+        blobs.set(record.id, await Vault.decryptBlob(record.blob, record.iv, record.type, key));
+      }
+    }
+    return blobs;
+  }
+
+  // Images store records by id, read in one transaction
+  async getImageRecords(imageIds) {
+    const ids = Array.from(new Set(imageIds));
+
+    return new Promise((resolve, reject) => {
+      if (!this.db) {
+        reject(new Error('Database not initialized'));
+        return;
+      }
+
+      const records = [];
+      if (ids.length === 0) {
+        resolve(records);
+        return;
+      }
+
+      const transaction = this.db.transaction(['images'], 'readonly');
+      const store = transaction.objectStore('images');
+      ids.forEach(imageId => {
+        const request = store.get(imageId);
+        request.onsuccess = () => {
+          if (request.result) records.push(request.result);
+        };
+      });
+
+      transaction.oncomplete = () => resolve(records);
+      transaction.onerror = () => {
+        console.error('Failed to read images:', transaction.error);
+        reject(transaction.error);
+      };
+    });
+  }
+
+  // Copy of a record, an array of records or a single reference with every
+  // image reference replaced. format: 'blob', 'dataUrl' or 'objectUrl'.
+  // References to deleted images become null.
+  async resolveImages(value, format = 'blob') {
+    const blobs = await this.getImages(StorageManager.collectImageIds(value));
+    const resolved = new Map();
+    for (const [imageId, blob] of blobs) {
+      resolved.set(imageId, await this.formatImage(imageId, blob, format));
+    }
+    return StorageManager.replaceImageRefs(value, reference => resolved.get(reference.imageId) ?? null);
+  }
+
+  async formatImage(imageId, blob, format) {
+    if (format === 'dataUrl') {
+      return StorageManager.blobToDataUrl(blob);
+    }
+    if (format === 'objectUrl') {
+      // One URL per image for the lifetime of the page
+      if (!this.objectUrls.has(imageId)) {
+        this.objectUrls.set(imageId, URL.createObjectURL(blob));
+      }
+      return this.objectUrls.get(imageId);
+    }
+    return blob;
+  }
+
+  // Delete images that no record refers to any more. Images saved within
+  // IMAGE_GRACE_MS are kept, as the record they belong to may not be saved yet.
+  async pruneImages() {
+    return new Promise((resolve, reject) => {
+      if (!this.db) {
+        reject(new Error('Database not initialized'));
+        return;
+      }
+
+      const owners = StorageManager.IMAGE_OWNER_STORES;
+      const transaction = this.db.transaction([...owners, 'images'], 'readwrite');
+      const images = transaction.objectStore('images');
+      const referenced = new Set();
+      let pending = owners.length;
+      let pruned = 0;
+
+      const sweep = () => {
+        const range = IDBKeyRange.upperBound(Date.now() - StorageManager.IMAGE_GRACE_MS);
+        const request = images.index('createdAt').openKeyCursor(range);
+        request.onsuccess = () => {
+          const cursor = request.result;
+          if (!cursor) return;
+          if (!referenced.has(cursor.primaryKey)) {
+            images.delete(cursor.primaryKey);
+            pruned++;
+          }
+          cursor.continue();
+        };
+      };
+
+      owners.forEach(storeName => {
+        const request = transaction.objectStore(storeName).getAll();
+        request.onsuccess = () => {
+          StorageManager.collectImageIds(request.result).forEach(imageId => referenced.add(imageId));
+          if (--pending === 0) sweep();
+        };
+      });
+
+      transaction.oncomplete = () => {
+        if (pruned > 0) {
+          console.log(`🧹 Removed ${pruned} unused image(s)`);
+        }
+        resolve(pruned);
+      };
+
+      transaction.onerror = () => {
+        console.error('Failed to prune images:', transaction.error);
+        reject(transaction.error);
+      };
+    });
+  }
+
+  // Vault: encrypt the API key, photos and the images made from them with a
+  // passphrase. Images already stored are encrypted in place, so references
+  // to them stay valid.
+  async enableVault(passphrase) {
+    const profile = await this.getUserProfile();
+    await Vault.enable(passphrase);
+    if (profile) {
+      await this.saveUserProfile(profile);
+    }
+    await this.sealVaultImages(true);
+  }
+
+  // Decrypt the API key and images and turn the vault off. It must be unlocked.
+  async disableVault() {
+    await Vault.requireKey();
+    const profile = await this.getUserProfile();
+    await this.sealVaultImages(false);
+    await Vault.disable();
+    if (profile) {
+      await this.saveUserProfile(profile);
+    }
+  }
+
+  // Encrypt (seal) the images in SEALED_IMAGE_FIELDS, or decrypt every
+  // encrypted image, so none is left unreadable once the vault is off
+  async sealVaultImages(seal) {
+    if (seal) {
+      const imageIds = [];
+      for (const [storeName, paths] of Object.entries(StorageManager.SEALED_IMAGE_FIELDS)) {
+        for (const record of await this.getAllRecords(storeName)) {
+          StorageManager.imageFields(storeName, record)
+            .filter(([path]) => paths.includes(path))
+            .forEach(([, value]) => imageIds.push(...StorageManager.collectImageIds(value)));
+        }
+      }
+      return this.sealImages(imageIds);
+    }
+
+    const changed = [];
+    for (const record of (await this.getAllRecords('images')).filter(record => record.iv)) {
+      const { iv, ...plain } = record;
+      changed.push({ ...plain, blob: await Vault.decryptBlob(record.blob, iv, record.type) });
+    }
+
+    await this.putImageRecords(changed);
+    return changed.length;
+  }
+
+  // Encrypt the given images that are still stored in plain
+  async sealImages(imageIds) {
+    const changed = [];
+    for (const record of await this.getImageRecords(imageIds)) {
+      if (!record.iv) {
+        const sealed = await Vault.encryptBlob(record.blob);
+        changed.push({ ...record, blob: sealed.blob, iv: sealed.iv });
+      }
+    }
+
+    await this.putImageRecords(changed);
+    return changed.length;
+  }
+
+  async putImageRecords(records) {
+    return new Promise((resolve, reject) => {
+      if (!this.db) {
+        reject(new Error('Database not initialized'));
+        return;
+      }
+
+      const transaction = this.db.transaction(['images'], 'readwrite');
+      const store = transaction.objectStore('images');
+      records.forEach(record => store.put(record));
+
+      transaction.oncomplete = () => resolve(records.length);
+      transaction.onerror = () => {
+        console.error('Failed to write images:', transaction.error);
+        reject(transaction.error);
+      };
+    });
+  }
+
+  // Every record in a store, as stored (used by data export and import)
+  async getAllRecords(storeName) {
+    return new Promise((resolve, reject) => {
+      if (!this.db) {
+        reject(new Error('Database not initialized'));
+        return;
+      }
+
+      const request = this.db.transaction([storeName], 'readonly').objectStore(storeName).getAll();
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.error(`Failed to read ${storeName}:`, request.error);
+        reject(request.error);
+      };
+    });
+  }
+
+  // Add records as they are, in one transaction; resolves with their new ids
+  async addRecords(storeName, records) {
+    return new Promise((resolve, reject) => {
+      if (!this.db) {
+        reject(new Error('Database not initialized'));
+        return;
+      }
+
+      const transaction = this.db.transaction([storeName], 'readwrite');
+      const store = transaction.objectStore(storeName);
+      const ids = [];
+      records.forEach((record, index) => {
+        const request = store.add(record);
+        request.onsuccess = () => {
+          ids[index] = request.result;
+        };
+      });
+
+      transaction.oncomplete = () => resolve(ids);
+      transaction.onerror = () => {
+        console.error(`Failed to add ${storeName} records:`, transaction.error);
+        reject(transaction.error);
+      };
+    });
+  }
+
+  static isImageRef(value) {
+    return !!value && typeof value === 'object' && Number.isInteger(value.imageId);
+  }
+
+  static isDataUrl(value) {
+    return typeof value === 'string' && value.startsWith('data:');
+  }
+
+  static isBlob(value) {
+    return typeof Blob !== 'undefined' && value instanceof Blob;
+  }
+
+  // Image references anywhere inside value
+  static collectImageRefs(value, references = []) {
+    if (StorageManager.isImageRef(value)) {
+      references.push(value);
+    } else if (Array.isArray(value)) {
+      value.forEach(item => StorageManager.collectImageRefs(item, references));
+    } else if (Object.prototype.toString.call(value) === '[object Object]') {
+      Object.values(value).forEach(item => StorageManager.collectImageRefs(item, references));
+    }
+    return references;
+  }
+
+  static collectImageIds(value) {
+    return StorageManager.collectImageRefs(value).map(reference => reference.imageId);
+  }
+
+  // Copy of value with each image reference swapped for replace(reference)
+  static replaceImageRefs(value, replace) {
+    if (StorageManager.isImageRef(value)) {
+      return replace(value);
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => StorageManager.replaceImageRefs(item, replace));
+    }
+    if (Object.prototype.toString.call(value) === '[object Object]') {
+      const copy = {};
+      for (const [key, item] of Object.entries(value)) {
+        copy[key] = StorageManager.replaceImageRefs(item, replace);
+      }
+      return copy;
+    }
+    return value;
+  }
+
+  // [path, value] for each image field set on a record of storeName
+  static imageFields(storeName, record) {
+    return (StorageManager.IMAGE_FIELDS[storeName] || [])
+      .map(path => [path, path.split('.').reduce((value, key) => value?.[key], record)])
+      .filter(([, value]) => value !== undefined && value !== null);
+  }
+
+  // Copy of record with the (possibly nested) field at path set to value
+  static withImageField(record, path, value) {
+    const [key, ...rest] = path.split('.');
+    return {
+      ...record,
+      [key]: rest.length > 0 ? StorageManager.withImageField(record[key], rest.join('.'), value) : value
+    };
+  }
+
+  // Synchronous, so the schema migration can convert inside a cursor step
+  static dataUrlToBlob(dataUrl) {
+    const comma = dataUrl.indexOf(',');
+    const header = dataUrl.slice(0, comma);
+    const data = dataUrl.slice(comma + 1);
+    const type = (header.match(/^data:([^;,]+)/) || [])[1] || 'application/octet-stream';
+
+    if (!header.endsWith(';base64')) {
+      return new Blob([decodeURIComponent(data)], { type: type });
+    }
+
+    const binary = atob(data);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return new Blob([bytes], { type: type });
+  }
+
+  // Converted in chunks: spreading a large image into String.fromCharCode
+  // overflows the call stack
+  static async blobToDataUrl(blob) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return `data:${blob.type || 'application/octet-stream'};base64,${btoa(binary)}`;
+  }
+
   // Photo Management
   async saveUserPhoto(photoData) {
+    const { data } = await this.storeImages('userPhotos', { data: photoData.data });
+
     return new Promise((resolve, reject) => {
       if (!this.db) {
         reject(new Error('Database not initialized'));
@@ -83,7 +555,7 @@ class StorageManager {
       const store = transaction.objectStore('userPhotos');
       
       const photoRecord = {
-        data: photoData.data, // Base64 or blob
+        data: data, // Image reference (see saveImage)
         filename: photoData.filename,
         size: photoData.size,
         type: photoData.type,
@@ -128,7 +600,7 @@ class StorageManager {
   }
 
   async deleteUserPhoto(photoId) {
-    return new Promise((resolve, reject) => {
+    await new Promise((resolve, reject) => {
       if (!this.db) {
         reject(new Error('Database not initialized'));
         return;
@@ -148,11 +620,21 @@ class StorageManager {
         reject(request.error);
       };
     });
+
+    await this.pruneImages();
+    return true;
   }
 
   // Try-on Results Management
   async saveTryOnResult(resultData) {
-    return new Promise((resolve, reject) => {
+    const images = await this.storeImages('tryOnResults', {
+      originalImage: resultData.originalImage,
+      processedImage: resultData.processedImage,
+      thumbnail: resultData.thumbnail || null,
+      clothingItem: resultData.clothingItem
+    });
+
+    const savedId = await new Promise((resolve, reject) => {
       if (!this.db) {
         reject(new Error('Database not initialized'));
         return;
@@ -162,13 +644,17 @@ class StorageManager {
       const store = transaction.objectStore('tryOnResults');
       
       const resultRecord = {
-        originalImage: resultData.originalImage,
-        processedImage: resultData.processedImage,
-        clothingItem: resultData.clothingItem,
+        ...images,
+        outfit: resultData.outfit || null, // { items: [{ clothingItemId, category, ... }] } for outfit try-ons
         category: resultData.category,
         timestamp: Date.now(),
         metadata: resultData.metadata || {},
-        favorite: false
+        favorite: false,
+        favoritedAt: null,
+        rating: null,
+        notes: '',
+        tags: [],
+        currentVersionId: null // Set once the result is refined (see tryOnVersions)
       };
       
       const request = store.add(resultRecord);
@@ -183,6 +669,12 @@ class StorageManager {
         reject(request.error);
       };
     });
+
+    await this.updateRecentTryOnIndex();
+    await this.enforceStorageCap(null, { keep: [savedId] }).catch(error => {
+      console.warn('⚠️ Could not apply the storage cap:', error);
+    });
+    return savedId;
   }
 
   async getTryOnResults(limit = 50) {
@@ -219,68 +711,857 @@ class StorageManager {
     });
   }
 
-  async deleteTryOnResult(resultId) {
+  async getTryOnResult(resultId) {
     return new Promise((resolve, reject) => {
       if (!this.db) {
         reject(new Error('Database not initialized'));
         return;
       }
 
-      const transaction = this.db.transaction(['tryOnResults'], 'readwrite');
+      const transaction = this.db.transaction(['tryOnResults'], 'readonly');
       const store = transaction.objectStore('tryOnResults');
-      const request = store.delete(resultId);
-      
+      const request = store.get(resultId);
+
       request.onsuccess = () => {
-        console.log('Try-on result deleted:', resultId);
-        resolve(true);
+        resolve(request.result || null);
       };
-      
+
       request.onerror = () => {
-        console.error('Failed to delete try-on result:', request.error);
+        console.error('Failed to get try-on result:', request.error);
         reject(request.error);
       };
     });
   }
 
-  // Clothing Items Management
-  async saveClothingItem(itemData) {
-    return new Promise((resolve, reject) => {
+  // Merge changes into a stored result; resolves with the updated record
+  async updateTryOnResult(resultId, changes) {
+    changes = await this.storeImages('tryOnResults', changes);
+
+    const updated = await new Promise((resolve, reject) => {
       if (!this.db) {
         reject(new Error('Database not initialized'));
         return;
       }
 
-      const transaction = this.db.transaction(['clothingItems'], 'readwrite');
-      const store = transaction.objectStore('clothingItems');
-      
-      const itemRecord = {
-        image: itemData.image,
-        source: itemData.source, // 'screenshot', 'url', 'upload'
-        category: itemData.category,
-        url: itemData.url || null,
-        title: itemData.title || 'Clothing Item',
-        timestamp: Date.now(),
-        metadata: itemData.metadata || {}
+      const transaction = this.db.transaction(['tryOnResults'], 'readwrite');
+      const store = transaction.objectStore('tryOnResults');
+      const getRequest = store.get(resultId);
+
+      getRequest.onsuccess = () => {
+        if (!getRequest.result) {
+          reject(new Error('Try-on result not found'));
+          return;
+        }
+
+        const record = { ...getRequest.result, ...changes, id: resultId };
+        const putRequest = store.put(record);
+        putRequest.onsuccess = () => resolve(record);
+        putRequest.onerror = () => reject(putRequest.error);
       };
-      
-      const request = store.add(itemRecord);
-      
-      request.onsuccess = () => {
-        console.log('Clothing item saved with ID:', request.result);
-        resolve(request.result);
+
+      getRequest.onerror = () => {
+        console.error('Failed to update try-on result:', getRequest.error);
+        reject(getRequest.error);
       };
-      
+    });
+
+    await this.updateRecentTryOnIndex();
+    return updated;
+  }
+
+  // History page query: newest first, filtered by category, source site,
+  // favorite, tag, minimum rating and a timestamp range, one page at a time.
+  // Tag, favorite and rating filters read their index; otherwise the
+  // timestamp index is walked. Resolves with { results, total }.
+  async queryTryOnResults(filters = {}) {
+    const { favorite = false, tag = null, minRating = null, from = null, to = null, offset = 0, limit = 24 } = filters;
+
+    return new Promise((resolve, reject) => {
+      if (!this.db) {
+        reject(new Error('Database not initialized'));
+        return;
+      }
+
+      const store = this.db.transaction(['tryOnResults'], 'readonly').objectStore('tryOnResults');
+      let request;
+
+      if (tag || favorite || minRating) {
+        if (tag) {
+          request = store.index('tags').getAll(StorageManager.normalizeTag(tag));
+        } else if (favorite) {
+          request = store.index('favoritedAt').getAll(IDBKeyRange.lowerBound(0));
+        } else {
+          request = store.index('rating').getAll(IDBKeyRange.lowerBound(minRating));
+        }
+
+        request.onsuccess = () => {
+          const matches = request.result
+            .filter(record => StorageManager.matchesTryOnFilters(record, filters))
+            .sort((a, b) => b.timestamp - a.timestamp);
+          resolve({ results: matches.slice(offset, offset + limit), total: matches.length });
+        };
+      } else {
+        let range = null;
+        if (from != null && to != null) {
+          range = IDBKeyRange.bound(from, to);
+        } else if (from != null) {
+          range = IDBKeyRange.lowerBound(from);
+        } else if (to != null) {
+          range = IDBKeyRange.upperBound(to);
+        }
+
+        request = store.index('timestamp').openCursor(range, 'prev');
+        const results = [];
+        let total = 0;
+
+        request.onsuccess = (event) => {
+          const cursor = event.target.result;
+          if (!cursor) {
+            resolve({ results: results, total: total });
+            return;
+          }
+
+          if (StorageManager.matchesTryOnFilters(cursor.value, filters)) {
+            if (total >= offset && results.length < limit) {
+              results.push(cursor.value);
+            }
+            total++;
+          }
+          cursor.continue();
+        };
+      }
+
       request.onerror = () => {
-        console.error('Failed to save clothing item:', request.error);
+        console.error('Failed to query try-on results:', request.error);
         reject(request.error);
       };
     });
   }
 
-  // Settings Management
-  async saveSettings(settings) {
-    try {
-      await chrome.storage.local.set({ appSettings: settings });
+  static matchesTryOnFilters(record, filters) {
+    const { category = null, site = null, favorite = false, tag = null, minRating = null, from = null, to = null } = filters;
+    return (!category || record.category === category) &&
+      (!site || StorageManager.tryOnResultSite(record) === site) &&
+      (!favorite || record.favorite === true) &&
+      (!tag || (record.tags || []).includes(StorageManager.normalizeTag(tag))) &&
+      (!minRating || (record.rating || 0) >= minRating) &&
+      (from == null || record.timestamp >= from) &&
+      (to == null || record.timestamp <= to);
+  }
+
+  // Shortlisting: favorite, rating (1-5), notes and tags on a saved result
+  async setTryOnFavorite(resultId, favorite) {
+    return this.updateTryOnResult(resultId, {
+      favorite: !!favorite,
+      favoritedAt: favorite ? Date.now() : null
+    });
+  }
+
+  async setTryOnRating(resultId, rating) {
+    if (rating !== null && !(Number.isInteger(rating) && rating >= 1 && rating <= 5)) {
+      throw new Error(`Rating must be a whole number from 1 to 5, got ${rating}`);
+    }
+    return this.updateTryOnResult(resultId, { rating: rating });
+  }
+
+  async setTryOnNotes(resultId, notes) {
+    return this.updateTryOnResult(resultId, { notes: String(notes || '').trim() });
+  }
+
+  async setTryOnTags(resultId, tags) {
+    const normalized = [...new Set([].concat(tags || []).map(StorageManager.normalizeTag).filter(Boolean))];
+    return this.updateTryOnResult(resultId, { tags: normalized });
+  }
+
+  // Every tag in use, for filters and suggestions
+  async getTryOnResultTags() {
+    return new Promise((resolve, reject) => {
+      if (!this.db) {
+        reject(new Error('Database not initialized'));
+        return;
+      }
+
+      const transaction = this.db.transaction(['tryOnResults'], 'readonly');
+      const request = transaction.objectStore('tryOnResults').index('tags').openKeyCursor(null, 'nextunique');
+      const tags = [];
+
+      request.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (cursor) {
+          tags.push(cursor.key);
+          cursor.continue();
+        } else {
+          resolve(tags);
+        }
+      };
+
+      request.onerror = () => {
+        console.error('Failed to list try-on tags:', request.error);
+        reject(request.error);
+      };
+    });
+  }
+
+  static normalizeTag(tag) {
+    return String(tag || '').trim().toLowerCase().replace(/\s+/g, ' ');
+  }
+
+  // Distinct source sites across all results, for the history filter
+  async getTryOnResultSites() {
+    return new Promise((resolve, reject) => {
+      if (!this.db) {
+        reject(new Error('Database not initialized'));
+        return;
+      }
+
+      const transaction = this.db.transaction(['tryOnResults'], 'readonly');
+      const request = transaction.objectStore('tryOnResults').openCursor();
+      const sites = new Set();
+
+      request.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (cursor) {
+          const site = StorageManager.tryOnResultSite(cursor.value);
+          if (site) sites.add(site);
+          cursor.continue();
+        } else {
+          resolve([...sites].sort());
+        }
+      };
+
+      request.onerror = () => {
+        console.error('Failed to list try-on sites:', request.error);
+        reject(request.error);
+      };
+    });
+  }
+
+  async deleteTryOnResult(resultId) {
+    return this.deleteTryOnResults([resultId]);
+  }
+
+  // Delete several results in one transaction
+  async deleteTryOnResults(resultIds) {
+    await new Promise((resolve, reject) => {
+      if (!this.db) {
+        reject(new Error('Database not initialized'));
+        return;
+      }
+
+      const transaction = this.db.transaction(['tryOnResults', 'tryOnVersions'], 'readwrite');
+      const store = transaction.objectStore('tryOnResults');
+      const versionIndex = transaction.objectStore('tryOnVersions').index('resultId');
+      resultIds.forEach(resultId => {
+        store.delete(resultId);
+
+        // Refinement versions go with their result
+        const versionsRequest = versionIndex.getAllKeys(resultId);
+        versionsRequest.onsuccess = () => {
+          versionsRequest.result.forEach(versionId => transaction.objectStore('tryOnVersions').delete(versionId));
+        };
+      });
+
+      transaction.oncomplete = () => {
+        console.log('Try-on results deleted:', resultIds);
+        resolve();
+      };
+
+      transaction.onerror = () => {
+        console.error('Failed to delete try-on results:', transaction.error);
+        reject(transaction.error);
+      };
+    });
+
+    await this.pruneImages();
+    await this.updateRecentTryOnIndex();
+    return true;
+  }
+
+  // Refinement versions: every refinement turn stores a new image whose
+  // parentId points at the version it was made from, so users can branch
+  // from and go back to any earlier version.
+  async saveTryOnVersion(versionData) {
+    const images = await this.storeImages('tryOnVersions', {
+      image: versionData.image,
+      thumbnail: versionData.thumbnail || null
+    });
+
+    return new Promise((resolve, reject) => {
+      if (!this.db) {
+        reject(new Error('Database not initialized'));
+        return;
+      }
+
+      const transaction = this.db.transaction(['tryOnVersions'], 'readwrite');
+      const store = transaction.objectStore('tryOnVersions');
+
+      const versionRecord = {
+        resultId: versionData.resultId,
+        parentId: versionData.parentId ?? null,
+        prompt: versionData.prompt || null, // null for the original generation
+        image: images.image,
+        thumbnail: images.thumbnail,
+        masked: !!versionData.masked, // edit limited to a painted region
+        timestamp: Date.now()
+      };
+
+      const request = store.add(versionRecord);
+
+      request.onsuccess = () => {
+        console.log('Try-on version saved with ID:', request.result);
+        resolve({ ...versionRecord, id: request.result });
+      };
+
+      request.onerror = () => {
+        console.error('Failed to save try-on version:', request.error);
+        reject(request.error);
+      };
+    });
+  }
+
+  async getTryOnVersion(versionId) {
+    return new Promise((resolve, reject) => {
+      if (!this.db) {
+        reject(new Error('Database not initialized'));
+        return;
+      }
+
+      const transaction = this.db.transaction(['tryOnVersions'], 'readonly');
+      const request = transaction.objectStore('tryOnVersions').get(versionId);
+
+      request.onsuccess = () => {
+        resolve(request.result || null);
+      };
+
+      request.onerror = () => {
+        console.error('Failed to get try-on version:', request.error);
+        reject(request.error);
+      };
+    });
+  }
+
+  // All versions of a result, oldest first
+  async getTryOnVersions(resultId) {
+    return new Promise((resolve, reject) => {
+      if (!this.db) {
+        reject(new Error('Database not initialized'));
+        return;
+      }
+
+      const transaction = this.db.transaction(['tryOnVersions'], 'readonly');
+      const request = transaction.objectStore('tryOnVersions').index('resultId').getAll(resultId);
+
+      request.onsuccess = () => {
+        resolve(request.result.sort((a, b) => a.timestamp - b.timestamp || a.id - b.id));
+      };
+
+      request.onerror = () => {
+        console.error('Failed to get try-on versions:', request.error);
+        reject(request.error);
+      };
+    });
+  }
+
+  // The version a result currently shows; results that were never refined
+  // get their generated image stored as the root version first
+  async ensureRootVersion(result) {
+    if (result.currentVersionId) {
+      const current = await this.getTryOnVersion(result.currentVersionId);
+      if (current) return current;
+    }
+
+    const root = await this.saveTryOnVersion({
+      resultId: result.id,
+      parentId: null,
+      prompt: null,
+      image: result.processedImage,
+      thumbnail: result.thumbnail
+    });
+    await this.updateTryOnResult(result.id, { currentVersionId: root.id });
+    return root;
+  }
+
+  // Show another version of a result (undo, or going back to branch from it)
+  async setCurrentTryOnVersion(resultId, versionId) {
+    const version = await this.getTryOnVersion(versionId);
+    if (!version || version.resultId !== resultId) {
+      throw new Error('Version not found for this try-on result');
+    }
+
+    return this.updateTryOnResult(resultId, {
+      currentVersionId: version.id,
+      processedImage: version.image,
+      thumbnail: version.thumbnail
+    });
+  }
+
+  // Versions from the root down to versionId (the conversation of one branch)
+  static versionPath(versions, versionId) {
+    const byId = new Map(versions.map(version => [version.id, version]));
+    const path = [];
+    let version = byId.get(versionId);
+    while (version && !path.includes(version)) {
+      path.unshift(version);
+      version = byId.get(version.parentId);
+    }
+    return path;
+  }
+
+  // Try-on jobs (see TryOnJobManager): the request and current stage of each
+  // job, kept until the job is pruned after finishing
+  async saveTryOnJob(jobRecord) {
+    return new Promise((resolve, reject) => {
+      if (!this.db) {
+        reject(new Error('Database not initialized'));
+        return;
+      }
+
+      const transaction = this.db.transaction(['tryOnJobs'], 'readwrite');
+      const request = transaction.objectStore('tryOnJobs').put({ ...jobRecord, updatedAt: Date.now() });
+
+      request.onsuccess = () => {
+        resolve(request.result);
+      };
+
+      request.onerror = () => {
+        console.error('Failed to save try-on job:', request.error);
+        reject(request.error);
+      };
+    });
+  }
+
+  // Job records, optionally only those with the given status
+  async getTryOnJobs(status = null) {
+    return new Promise((resolve, reject) => {
+      if (!this.db) {
+        reject(new Error('Database not initialized'));
+        return;
+      }
+
+      const store = this.db.transaction(['tryOnJobs'], 'readonly').objectStore('tryOnJobs');
+      const request = status ? store.index('status').getAll(status) : store.getAll();
+
+      request.onsuccess = () => {
+        resolve(request.result.sort((a, b) => a.startedAt - b.startedAt));
+      };
+
+      request.onerror = () => {
+        console.error('Failed to get try-on jobs:', request.error);
+        reject(request.error);
+      };
+    });
+  }
+
+  async deleteTryOnJob(jobId) {
+    return new Promise((resolve, reject) => {
+      if (!this.db) {
+        reject(new Error('Database not initialized'));
+        return;
+      }
+
+      const transaction = this.db.transaction(['tryOnJobs'], 'readwrite');
+      const request = transaction.objectStore('tryOnJobs').delete(jobId);
+
+      request.onsuccess = () => {
+        resolve(true);
+      };
+
+      request.onerror = () => {
+        console.error('Failed to delete try-on job:', request.error);
+        reject(request.error);
+      };
+    });
+  }
+
+  // Result cache (see ResultCache): a hit refreshes the entry's lastUsedAt
+  async getCachedResult(key) {
+    return new Promise((resolve, reject) => {
+      if (!this.db) {
+        reject(new Error('Database not initialized'));
+        return;
+      }
+
+      const transaction = this.db.transaction(['resultCache'], 'readwrite');
+      const store = transaction.objectStore('resultCache');
+      const request = store.get(key);
+
+      request.onsuccess = () => {
+        const entry = request.result;
+        if (!entry) {
+          resolve(null);
+          return;
+        }
+
+        entry.lastUsedAt = Date.now();
+        entry.hits = (entry.hits || 0) + 1;
+        store.put(entry);
+        resolve(entry);
+      };
+
+      request.onerror = () => {
+        console.error('Failed to read result cache:', request.error);
+        reject(request.error);
+      };
+    });
+  }
+
+  // The cached image is stored like a result's (see storeImages) and counts
+  // towards size, unless size is given
+  async saveCachedResult(key, result, size = null) {
+    const stored = await this.storeImages('resultCache', { result: result });
+
+    return new Promise((resolve, reject) => {
+      if (!this.db) {
+        reject(new Error('Database not initialized'));
+        return;
+      }
+
+      const now = Date.now();
+      const transaction = this.db.transaction(['resultCache'], 'readwrite');
+      const request = transaction.objectStore('resultCache').put({
+        key: key,
+        result: stored.result,
+        size: size ?? StorageManager.recordBytes(stored.result, new Set()),
+        createdAt: now,
+        lastUsedAt: now,
+        hits: 0
+      });
+
+      request.onsuccess = () => {
+        resolve(key);
+      };
+
+      request.onerror = () => {
+        console.error('Failed to write result cache:', request.error);
+        reject(request.error);
+      };
+    });
+  }
+
+  // Delete least recently used cache entries until the rest fit in maxBytes.
+  // Walks the 'lru' index keys only, so cached images are never loaded.
+  async evictCachedResults(maxBytes) {
+    const summary = await new Promise((resolve, reject) => {
+      if (!this.db) {
+        reject(new Error('Database not initialized'));
+        return;
+      }
+
+      const transaction = this.db.transaction(['resultCache'], 'readwrite');
+      const store = transaction.objectStore('resultCache');
+      const request = store.index('lru').openKeyCursor();
+      const entries = [];
+      let totalBytes = 0;
+      let evicted = 0;
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor) {
+          entries.push({ key: cursor.primaryKey, size: cursor.key[1] });
+          totalBytes += cursor.key[1];
+          cursor.continue();
+          return;
+        }
+
+        // Oldest first
+        for (const entry of entries) {
+          if (totalBytes <= maxBytes) break;
+          store.delete(entry.key);
+          totalBytes -= entry.size;
+          evicted++;
+        }
+      };
+
+      transaction.oncomplete = () => {
+        resolve({ evicted: evicted, entries: entries.length - evicted, totalBytes: totalBytes });
+      };
+
+      transaction.onerror = () => {
+        console.error('Failed to evict result cache entries:', transaction.error);
+        reject(transaction.error);
+      };
+    });
+
+    if (summary.evicted > 0) {
+      await this.pruneImages();
+    }
+    return summary;
+  }
+
+  async clearResultCache() {
+    await new Promise((resolve, reject) => {
+      if (!this.db) {
+        reject(new Error('Database not initialized'));
+        return;
+      }
+
+      const transaction = this.db.transaction(['resultCache'], 'readwrite');
+      const request = transaction.objectStore('resultCache').clear();
+
+      request.onsuccess = () => {
+        resolve(true);
+      };
+
+      request.onerror = () => {
+        console.error('Failed to clear result cache:', request.error);
+        reject(request.error);
+      };
+    });
+
+    await this.pruneImages();
+    return true;
+  }
+
+  // chrome.storage.local.recentTryOns is a small index of the newest results
+  // for the popup; tryOnResults stays the only copy of the images
+  async updateRecentTryOnIndex() {
+    try {
+      const results = await this.getTryOnResults(StorageManager.RECENT_INDEX_SIZE);
+      const recentTryOns = results.map(record => StorageManager.recentTryOnEntry(record));
+      await chrome.storage.local.set({ recentTryOns: recentTryOns });
+      return recentTryOns;
+    } catch (error) {
+      console.warn('⚠️ Failed to update recent try-ons index:', error);
+      return null;
+    }
+  }
+
+  static recentTryOnEntry(record) {
+    return {
+      id: record.id,
+      title: StorageManager.tryOnResultTitle(record),
+      thumbnail: record.thumbnail || null,
+      category: record.category,
+      site: StorageManager.tryOnResultSite(record),
+      favorite: record.favorite === true,
+      timestamp: record.timestamp
+    };
+  }
+
+  static tryOnResultTitle(record) {
+    if (record.outfit && record.outfit.items) {
+      const names = record.outfit.items.map(item => item.title || item.type || item.category).filter(Boolean);
+      return names.length > 0 ? `Outfit: ${names.join(', ')}` : 'Outfit';
+    }
+    const item = record.clothingItem || {};
+    return item.title || item.product?.name || `${record.category || 'Clothing'} try-on`;
+  }
+
+  // Host name of the shop a result came from, or the source label
+  static tryOnResultSite(record) {
+    const items = record.outfit?.items || [record.clothingItem || {}];
+    const url = items.map(item => item.url).find(Boolean);
+    if (url) {
+      try {
+        return new URL(url).hostname.replace(/^www\./, '');
+      } catch (error) {
+        // Fall through to the source label
+      }
+    }
+    return items.map(item => item.source).find(Boolean) || null;
+  }
+
+  // Clothing Items Management
+  async saveClothingItem(itemData) {
+    const images = await this.storeImages('clothingItems', {
+      image: itemData.image,
+      thumbnail: itemData.thumbnail || null
+    });
+
+    return new Promise((resolve, reject) => {
+      if (!this.db) {
+        reject(new Error('Database not initialized'));
+        return;
+      }
+
+      const transaction = this.db.transaction(['clothingItems'], 'readwrite');
+      const store = transaction.objectStore('clothingItems');
+      
+      const itemRecord = {
+        image: images.image,
+        thumbnail: images.thumbnail,
+        source: itemData.source, // 'screenshot', 'url', 'upload'
+        category: itemData.category,
+        url: itemData.url || null,
+        title: itemData.title || 'Clothing Item',
+        product: itemData.product || null, // Product page metadata (name, brand, price, sizes...)
+        status: StorageManager.WARDROBE_STATUSES.includes(itemData.status) ? itemData.status : null,
+        tryOnCount: itemData.tryOnCount || 0,
+        lastTriedAt: itemData.lastTriedAt || null,
+        timestamp: Date.now(),
+        metadata: itemData.metadata || {}
+      };
+      
+      const request = store.add(itemRecord);
+      
+      request.onsuccess = () => {
+        console.log('Clothing item saved with ID:', request.result);
+        resolve(request.result);
+      };
+      
+      request.onerror = () => {
+        console.error('Failed to save clothing item:', request.error);
+        reject(request.error);
+      };
+    });
+  }
+
+  async getClothingItems(limit = 50) {
+    return this.searchClothingItems({ limit: limit });
+  }
+
+  async getClothingItem(itemId) {
+    return new Promise((resolve, reject) => {
+      if (!this.db) {
+        reject(new Error('Database not initialized'));
+        return;
+      }
+
+      const transaction = this.db.transaction(['clothingItems'], 'readonly');
+      const store = transaction.objectStore('clothingItems');
+      const request = store.get(itemId);
+
+      request.onsuccess = () => {
+        resolve(request.result || null);
+      };
+
+      request.onerror = () => {
+        console.error('Failed to get clothing item:', request.error);
+        reject(request.error);
+      };
+    });
+  }
+
+  // Wardrobe search: filter by category and status (indexed), then by a text
+  // query over title, product name/brand, type, color and URL. Newest first.
+  async searchClothingItems(filters = {}) {
+    const { query = '', category = null, status = null, limit = 50 } = filters;
+
+    return new Promise((resolve, reject) => {
+      if (!this.db) {
+        reject(new Error('Database not initialized'));
+        return;
+      }
+
+      const transaction = this.db.transaction(['clothingItems'], 'readonly');
+      const store = transaction.objectStore('clothingItems');
+      let request;
+      if (status) {
+        request = store.index('status').getAll(status);
+      } else if (category) {
+        request = store.index('category').getAll(category);
+      } else {
+        request = store.getAll();
+      }
+
+      request.onsuccess = () => {
+        const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+        const items = request.result
+          .filter(item => !category || item.category === category)
+          .filter(item => terms.every(term => StorageManager.clothingItemSearchText(item).includes(term)))
+          .sort((a, b) => b.timestamp - a.timestamp);
+        resolve(items.slice(0, limit));
+      };
+
+      request.onerror = () => {
+        console.error('Failed to search clothing items:', request.error);
+        reject(request.error);
+      };
+    });
+  }
+
+  // Merge changes into a stored clothing item; resolves with the updated item
+  async updateClothingItem(itemId, changes) {
+    changes = await this.storeImages('clothingItems', changes);
+
+    return new Promise((resolve, reject) => {
+      if (!this.db) {
+        reject(new Error('Database not initialized'));
+        return;
+      }
+
+      if ('status' in changes && changes.status !== null && !StorageManager.WARDROBE_STATUSES.includes(changes.status)) {
+        reject(new Error(`Unknown wardrobe status: ${changes.status}`));
+        return;
+      }
+
+      const transaction = this.db.transaction(['clothingItems'], 'readwrite');
+      const store = transaction.objectStore('clothingItems');
+      const getRequest = store.get(itemId);
+
+      getRequest.onsuccess = () => {
+        if (!getRequest.result) {
+          reject(new Error('Clothing item not found'));
+          return;
+        }
+
+        const updated = { ...getRequest.result, ...changes, id: itemId };
+        const putRequest = store.put(updated);
+        putRequest.onsuccess = () => resolve(updated);
+        putRequest.onerror = () => reject(putRequest.error);
+      };
+
+      getRequest.onerror = () => {
+        console.error('Failed to update clothing item:', getRequest.error);
+        reject(getRequest.error);
+      };
+    });
+  }
+
+  async deleteClothingItem(itemId) {
+    await new Promise((resolve, reject) => {
+      if (!this.db) {
+        reject(new Error('Database not initialized'));
+        return;
+      }
+
+      const transaction = this.db.transaction(['clothingItems'], 'readwrite');
+      const store = transaction.objectStore('clothingItems');
+      const request = store.delete(itemId);
+
+      request.onsuccess = () => {
+        console.log('Clothing item deleted:', itemId);
+        resolve(true);
+      };
+
+      request.onerror = () => {
+        console.error('Failed to delete clothing item:', request.error);
+        reject(request.error);
+      };
+    });
+
+    await this.pruneImages();
+    return true;
+  }
+
+  // Record another try-on of a wardrobe item
+  async markClothingItemTried(itemId) {
+    const item = await this.getClothingItem(itemId);
+    if (!item) {
+      return null;
+    }
+    return this.updateClothingItem(itemId, {
+      tryOnCount: (item.tryOnCount || 0) + 1,
+      lastTriedAt: Date.now()
+    });
+  }
+
+  static clothingItemSearchText(item) {
+    return [
+      item.title,
+      item.category,
+      item.url,
+      item.product?.name,
+      item.product?.brand,
+      item.metadata?.type,
+      item.metadata?.color
+    ].filter(Boolean).join(' ').toLowerCase();
+  }
+
+  // Settings Management
+  async saveSettings(settings) {
+    try {
+      await chrome.storage.local.set({ appSettings: settings });
       console.log('Settings saved successfully');
       return true;
     } catch (error) {
@@ -313,12 +1594,15 @@ class StorageManager {
   // Data Management
   async clearAllData() {
     try {
-      // Clear Chrome storage
+      // Clear Chrome storage, including the vault settings and session key
       await chrome.storage.local.clear();
+      if (typeof Vault !== 'undefined') {
+        await Vault.lock();
+      }
       
       // Clear IndexedDB
       if (this.db) {
-        const stores = ['userPhotos', 'tryOnResults', 'clothingItems'];
+        const stores = ['userPhotos', 'tryOnResults', 'tryOnVersions', 'clothingItems', 'tryOnJobs', 'resultCache', 'images'];
         const transaction = this.db.transaction(stores, 'readwrite');
         
         stores.forEach(storeName => {
@@ -340,33 +1624,405 @@ class StorageManager {
     }
   }
 
+  // Bytes used by each part of the extension's data: photos, results (with
+  // their refinement versions and jobs in flight), wardrobe and the result
+  // cache. A record counts its JSON length, and each image counts once, under
+  // the first of photos, wardrobe and results that refers to it. estimate is
+  // the browser's figure for the whole extension, where available.
   async getStorageUsage() {
     try {
-      // Get Chrome storage usage
+      const measured = await this.measureStorage();
       const chromeUsage = await chrome.storage.local.getBytesInUse();
-      
-      // Estimate IndexedDB usage (simplified)
-      let dbUsage = 0;
-      if (this.db) {
-        const photos = await this.getUserPhotos();
-        const results = await this.getTryOnResults();
-        
-        dbUsage = photos.reduce((total, photo) => total + (photo.size || 0), 0) +
-                  results.reduce((total, result) => total + (result.size || 0), 0);
-      }
-      
+      const dbUsage = StorageManager.sumBytes(measured.stores);
+
       return {
+        stores: measured.stores,
         chrome: chromeUsage,
         indexedDB: dbUsage,
-        total: chromeUsage + dbUsage
+        total: chromeUsage + dbUsage,
+        estimate: await StorageManager.estimateQuota(),
+        cap: await this.getStorageCap()
       };
     } catch (error) {
       console.error('Failed to get storage usage:', error);
-      return { chrome: 0, indexedDB: 0, total: 0 };
+      return {
+        stores: { photos: 0, results: 0, wardrobe: 0, cache: 0 },
+        chrome: 0,
+        indexedDB: 0,
+        total: 0,
+        estimate: null,
+        cap: null
+      };
     }
   }
+
+  // Per-store byte counts, plus the size of every result for eviction. Records
+  // only hold image references, so no image is read.
+  async measureStorage() {
+    return new Promise((resolve, reject) => {
+      if (!this.db) {
+        reject(new Error('Database not initialized'));
+        return;
+      }
+
+      const recordStores = ['userPhotos', 'clothingItems', 'tryOnResults', 'tryOnVersions', 'tryOnJobs'];
+      const transaction = this.db.transaction([...recordStores, 'resultCache'], 'readonly');
+      const records = {};
+      recordStores.forEach(storeName => {
+        const request = transaction.objectStore(storeName).getAll();
+        request.onsuccess = () => {
+          records[storeName] = request.result;
+        };
+      });
+
+      // Cache entries carry their size in the lru index key
+      let cacheBytes = 0;
+      const cacheRequest = transaction.objectStore('resultCache').index('lru').openKeyCursor();
+      cacheRequest.onsuccess = () => {
+        const cursor = cacheRequest.result;
+        if (!cursor) return;
+        cacheBytes += cursor.key[1];
+        cursor.continue();
+      };
+
+      transaction.oncomplete = () => {
+        const counted = new Set();
+        const sum = list => list.reduce((total, record) => total + StorageManager.recordBytes(record, counted), 0);
+        const photos = sum(records.userPhotos);
+        const wardrobe = sum(records.clothingItems);
+
+        // Newest first, so an image two results share counts against the
+        // newer one and evicting the older never looks like it frees more
+        const versions = new Map();
+        records.tryOnVersions.forEach(version => {
+          versions.set(version.resultId, [...(versions.get(version.resultId) || []), version]);
+        });
+        const results = records.tryOnResults
+          .sort((a, b) => b.timestamp - a.timestamp)
+          .map(record => ({
+            id: record.id,
+            timestamp: record.timestamp,
+            favorite: record.favorite === true,
+            bytes: StorageManager.recordBytes(record, counted) + sum(versions.get(record.id) || [])
+          }));
+
+        resolve({
+          stores: {
+            photos: photos,
+            results: StorageManager.sumBytes(results.map(result => result.bytes)) + sum(records.tryOnJobs),
+            wardrobe: wardrobe,
+            cache: cacheBytes
+          },
+          results: results
+        });
+      };
+
+      transaction.onerror = () => {
+        console.error('Failed to measure storage:', transaction.error);
+        reject(transaction.error);
+      };
+    });
+  }
+
+  // Cap on IndexedDB usage in bytes, from the storageCapMB preference. There
+  // is none (null) until the user sets one; 0 or an empty field turns it off.
+  async getStorageCap() {
+    const profile = await this.getUserProfile().catch(() => null);
+    const megabytes = Number(profile?.preferences?.storageCapMB ?? 0);
+    return megabytes > 0 ? Math.round(megabytes * 1024 * 1024) : null;
+  }
+
+  // Bring IndexedDB usage under maxBytes (default: the storage cap). Cached
+  // results go first, as they can be generated again, then the oldest results
+  // that are not favorites. options.keep lists result ids that must stay.
+  // Resolves with { evictedResults, evictedCacheEntries, bytes }.
+  async enforceStorageCap(maxBytes = null, options = {}) {
+    const cap = maxBytes ?? await this.getStorageCap();
+    const measured = await this.measureStorage();
+    let bytes = StorageManager.sumBytes(measured.stores);
+    const summary = { evictedResults: [], evictedCacheEntries: 0, bytes: bytes };
+
+    if (cap === null || bytes <= cap) {
+      return summary;
+    }
+
+    const cacheLimit = Math.max(0, measured.stores.cache - (bytes - cap));
+    const cache = await this.evictCachedResults(cacheLimit);
+    bytes -= measured.stores.cache - cache.totalBytes;
+    summary.evictedCacheEntries = cache.evicted;
+
+    const keep = new Set(options.keep || []);
+    const candidates = measured.results
+      .filter(result => !result.favorite && !keep.has(result.id))
+      .sort((a, b) => a.timestamp - b.timestamp);
+    for (const result of candidates) {
+      if (bytes <= cap) break;
+      summary.evictedResults.push(result.id);
+      bytes -= result.bytes;
+    }
+
+    if (summary.evictedResults.length > 0) {
+      await this.deleteTryOnResults(summary.evictedResults);
+    }
+
+    summary.bytes = bytes;
+    console.log(`🧹 Storage was over its ${Math.round(cap / 1024 / 1024)} MB cap: evicted ${summary.evictedCacheEntries} cache entries and ${summary.evictedResults.length} result(s)`);
+    return summary;
+  }
+
+  // JSON length of a record plus the images it refers to that are not in counted yet
+  static recordBytes(record, counted) {
+    let bytes = JSON.stringify(record).length;
+    for (const reference of StorageManager.collectImageRefs(record)) {
+      if (!counted.has(reference.imageId)) {
+        counted.add(reference.imageId);
+        bytes += reference.size || 0;
+      }
+    }
+    return bytes;
+  }
+
+  // Total of an array or of an object's values
+  static sumBytes(values) {
+    return Object.values(values).reduce((total, bytes) => total + bytes, 0);
+  }
+
+  // navigator.storage.estimate() as { usage, quota }, or null
+  static async estimateQuota() {
+    if (typeof navigator === 'undefined' || !navigator.storage || !navigator.storage.estimate) {
+      return null;
+    }
+    try {
+      const { usage, quota } = await navigator.storage.estimate();
+      return { usage: usage, quota: quota };
+    } catch (error) {
+      console.warn('⚠️ Storage estimate unavailable:', error);
+      return null;
+    }
+  }
+}
+
+// Schema changes available to a migration's up(); all of them run inside the
+// upgrade's versionchange transaction
+class StorageMigration {
+  constructor(db, transaction) {
+    this.db = db;
+    this.transaction = transaction;
+  }
+
+  // Create an object store unless it exists; returns the store
+  createStore(name, options, indexes = []) {
+    const store = this.db.objectStoreNames.contains(name)
+      ? this.transaction.objectStore(name)
+      : this.db.createObjectStore(name, options);
+    for (const [indexName, keyPath, indexOptions] of indexes) {
+      this.createIndex(name, indexName, keyPath, indexOptions);
+    }
+    return store;
+  }
+
+  // Add an index to an existing store unless it has one by that name
+  createIndex(storeName, indexName, keyPath, options = { unique: false }) {
+    const store = this.store(storeName);
+    if (!store.indexNames.contains(indexName)) {
+      store.createIndex(indexName, keyPath, options);
+    }
+  }
+
+  // An existing store; throws a readable error when an earlier version is missing it
+  store(name) {
+    if (!this.db.objectStoreNames.contains(name)) {
+      throw new Error(`Object store "${name}" does not exist`);
+    }
+    return this.transaction.objectStore(name);
+  }
+
+  // Rewrite every record of a store. update(record) returns the new record,
+  // or null/undefined to leave it as it is. Resolves with the number changed.
+  backfill(storeName, update) {
+    return new Promise((resolve, reject) => {
+      const request = this.store(storeName).openCursor();
+      let changed = 0;
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve(changed);
+          return;
+        }
+
+        try {
+          const updated = update(cursor.value);
+          if (updated) {
+            cursor.update(updated);
+            changed++;
+          }
+          cursor.continue();
+        } catch (error) {
+          reject(error);
+        }
+      };
+
+      request.onerror = () => reject(request.error);
+    });
+  }
 }
 
+// Schema history, oldest first. Never edit a shipped migration: add a new one
+// with the next version number, and StorageManager opens the database at it.
+StorageManager.MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Photos, try-on results and clothing items',
+    up(migration) {
+      migration.createStore('userPhotos', { keyPath: 'id', autoIncrement: true }, [
+        ['timestamp', 'timestamp']
+      ]);
+      migration.createStore('tryOnResults', { keyPath: 'id', autoIncrement: true }, [
+        ['timestamp', 'timestamp'],
+        ['category', 'category']
+      ]);
+      migration.createStore('clothingItems', { keyPath: 'id', autoIncrement: true }, [
+        ['source', 'source'],
+        ['category', 'category']
+      ]);
+    }
+  },
+  {
+    version: 2,
+    description: 'Wardrobe indexes on clothing items',
+    up(migration) {
+      migration.createIndex('clothingItems', 'status', 'status');
+      migration.createIndex('clothingItems', 'timestamp', 'timestamp');
+    }
+  },
+  {
+    version: 3,
+    description: 'Shortlist indexes on try-on results',
+    up(migration) {
+      // favoritedAt is null unless favorited
+      migration.createIndex('tryOnResults', 'favoritedAt', 'favoritedAt');
+      migration.createIndex('tryOnResults', 'rating', 'rating');
+      migration.createIndex('tryOnResults', 'tags', 'tags', { unique: false, multiEntry: true });
+    }
+  },
+  {
+    version: 4,
+    description: 'Refinement versions, a tree per result linked by parentId',
+    up(migration) {
+      migration.createStore('tryOnVersions', { keyPath: 'id', autoIncrement: true }, [
+        ['resultId', 'resultId']
+      ]);
+    }
+  },
+  {
+    version: 5,
+    description: 'Try-on jobs, so work in flight survives a service worker restart',
+    up(migration) {
+      migration.createStore('tryOnJobs', { keyPath: 'id' }, [
+        ['status', 'status']
+      ]);
+    }
+  },
+  {
+    version: 6,
+    description: 'Result cache; the lru index orders entries for eviction',
+    up(migration) {
+      migration.createStore('resultCache', { keyPath: 'key' }, [
+        ['lru', ['lastUsedAt', 'size']]
+      ]);
+    }
+  },
+  {
+    version: 7,
+    description: 'Images as Blobs in their own store, referenced from records',
+    async up(migration) {
+      const images = migration.createStore('images', { keyPath: 'id', autoIncrement: true }, [
+        ['createdAt', 'createdAt']
+      ]);
+      const fields = {
+        userPhotos: ['data'],
+        tryOnResults: ['originalImage', 'processedImage', 'thumbnail', 'clothingItem.image'],
+        tryOnVersions: ['image', 'thumbnail'],
+        clothingItems: ['image', 'thumbnail']
+      };
+
+      // Ids are assigned here so each record is rewritten in its own cursor
+      // step. An image that does not decode stays a data URL.
+      let nextId = 1;
+      const storeImage = value => {
+        if (!StorageManager.isDataUrl(value)) return value;
+        try {
+          const blob = StorageManager.dataUrlToBlob(value);
+          const imageId = nextId++;
+          images.add({ id: imageId, blob: blob, type: blob.type, size: blob.size, createdAt: Date.now() });
+          return { imageId: imageId, type: blob.type, size: blob.size };
+        } catch (error) {
+          console.warn('⚠️ Kept an image that could not be decoded:', error);
+          return value;
+        }
+      };
+
+      for (const [storeName, paths] of Object.entries(fields)) {
+        await migration.backfill(storeName, record => {
+          let updated = record;
+          for (const path of paths) {
+            const value = path.split('.').reduce((current, key) => current?.[key], updated);
+            const reference = storeImage(value);
+            if (reference !== value) {
+              updated = StorageManager.withImageField(updated, path, reference);
+            }
+          }
+          return updated !== record ? updated : null;
+        });
+      }
+    }
+  },
+  {
+    version: 8,
+    description: 'Cached results refer to images in the images store',
+    up(migration) {
+      // Entries from before hold their image inline; dropping them only
+      // costs a regeneration on the next identical try-on
+      return new Promise((resolve, reject) => {
+        const request = migration.store('resultCache').clear();
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject(request.error);
+      });
+    }
+  }
+];
+
+// Wardrobe tags for clothing items (null = just tried on)
+StorageManager.WARDROBE_STATUSES = ['owned', 'wishlist'];
+
+// Number of results mirrored in chrome.storage.local.recentTryOns
+StorageManager.RECENT_INDEX_SIZE = 20;
+
+// Fields holding image references, per store ('a.b' for nested fields)
+StorageManager.IMAGE_FIELDS = {
+  userPhotos: ['data'],
+  tryOnResults: ['originalImage', 'processedImage', 'thumbnail', 'clothingItem.image'],
+  tryOnVersions: ['image', 'thumbnail'],
+  clothingItems: ['image', 'thumbnail'],
+  resultCache: ['result.imageUrl']
+};
+
+// Image fields encrypted while the vault is on: photos and everything that
+// shows the person in them
+StorageManager.SEALED_IMAGE_FIELDS = {
+  userPhotos: ['data'],
+  tryOnResults: ['originalImage', 'processedImage', 'thumbnail'],
+  tryOnVersions: ['image', 'thumbnail'],
+  resultCache: ['result.imageUrl']
+};
+
+// Stores searched for image references before unused images are deleted
+StorageManager.IMAGE_OWNER_STORES = ['userPhotos', 'tryOnResults', 'tryOnVersions', 'clothingItems', 'tryOnJobs', 'resultCache'];
+
+// How long a new image is kept while nothing refers to it yet
+StorageManager.IMAGE_GRACE_MS = 60 * 1000;
+
 // Create global instance (compatible with both service worker and browser contexts)
 if (typeof window !== 'undefined') {
   window.storageManager = new StorageManager();
@@ -375,4 +2031,5 @@ if (typeof window !== 'undefined') {
 } else {
   // In service worker context, make it available globally
   self.StorageManager = StorageManager;
+  self.StorageMigration = StorageMigration;
 }
@@ -5,6 +5,7 @@ class TryOnGenerator {
     this.geminiIntegration = null;
     this.imageProcessor = null;
     this.storageManager = null;
+    this.resultCache = null;
     this.init();
   }
 
@@ -20,6 +21,9 @@ class TryOnGenerator {
 
     if (typeof StorageManager !== 'undefined') {
       this.storageManager = new StorageManager();
+      if (typeof ResultCache !== 'undefined') {
+        this.resultCache = new ResultCache(this.storageManager);
+      }
       await this.storageManager.init();
     }
 
@@ -65,8 +69,13 @@ class TryOnGenerator {
         options
       );
 
+      // Nothing is saved for a cancelled job
+      this.throwIfCancelled(options);
+      options.onProgress?.('saving');
+
       // Post-process the result
       const finalResult = await this.postProcessResult(tryOnResult, options);
+      finalResult.sizeRecommendation = await this.recommendSize(clothingItemData);
 
       // Save result if enabled
       if (options.saveResult !== false) {
@@ -98,10 +107,153 @@ class TryOnGenerator {
     }
   }
 
+  // Outfit try-on: several garments generated onto the user photo in one request
+  async generateOutfitTryOn(userPhotoId, clothingItems, options = {}) {
+    try {
+      if (!userPhotoId || !clothingItems || clothingItems.length === 0) {
+        throw new Error('User photo and clothing items are required');
+      }
+
+      const outfitItems = this.selectOutfitItems(clothingItems).map(item => ({ ...item }));
+
+      // A single garment is just a regular try-on
+      if (outfitItems.length === 1) {
+        return this.generateTryOn(userPhotoId, outfitItems[0], options);
+      }
+
+      const userPhotos = await this.storageManager.getUserPhotos();
+      const userPhoto = userPhotos.find(photo => photo.id === userPhotoId);
+
+      if (!userPhoto) {
+        throw new Error('User photo not found');
+      }
+
+      const processedUserPhoto = await this.prepareUserPhoto(userPhoto, options);
+      const processedItems = [];
+      for (const item of outfitItems) {
+        processedItems.push(await this.prepareClothingItem(item, options));
+      }
+
+      // Garment list in the shape AIProvider.normalizeGarments expects
+      const outfit = {
+        category: 'outfit',
+        data: processedItems.map(item => ({
+          image: item.data,
+          category: item.category,
+          type: item.original.type,
+          color: item.original.color,
+          product: item.original.product || null
+        }))
+      };
+
+      const tryOnResult = await this.performAITryOn(processedUserPhoto, outfit, options);
+      this.throwIfCancelled(options);
+      options.onProgress?.('saving');
+      const finalResult = await this.postProcessResult(tryOnResult, options);
+
+      // Each garment gets its own size from the page's charts
+      for (const item of outfitItems) {
+        item.sizeRecommendation = await this.recommendSize(item);
+      }
+      finalResult.outfitItems = outfitItems.map(item => this.summarizeClothingItem(item));
+
+      if (options.saveResult !== false) {
+        await this.saveOutfitResult(finalResult, userPhoto, outfitItems);
+      }
+
+      return {
+        success: true,
+        result: finalResult,
+        metadata: {
+          userPhotoId: userPhotoId,
+          clothingItems: outfitItems,
+          processingTime: Date.now() - (options.startTime || Date.now()),
+          options: options
+        }
+      };
+
+    } catch (error) {
+      console.error('Outfit try-on generation failed:', error);
+      return {
+        success: false,
+        error: error.message,
+        metadata: {
+          userPhotoId: userPhotoId,
+          clothingItems: clothingItems,
+          options: options
+        }
+      };
+    }
+  }
+
+  // Profile measurements in cm for the generation prompt, or null
+  async getBodyMeasurements() {
+    if (typeof SizeRecommender === 'undefined') {
+      return null;
+    }
+
+    try {
+      const profile = await this.storageManager.getUserProfile();
+      const measurements = SizeRecommender.normalizeMeasurements(profile?.measurements || {});
+      return Object.keys(measurements).length > 0 ? measurements : null;
+    } catch (error) {
+      console.warn('⚠️ Could not read profile measurements:', error);
+      return null;
+    }
+  }
+
+  // Recommended size from the size charts found on the product page, or null
+  async recommendSize(clothingItem) {
+    if (typeof SizeRecommender === 'undefined' || !clothingItem.sizeCharts || clothingItem.sizeCharts.length === 0) {
+      return null;
+    }
+
+    try {
+      const profile = await this.storageManager.getUserProfile();
+      if (!profile || !profile.measurements) {
+        return null;
+      }
+
+      const recommendation = SizeRecommender.recommendFromCharts(
+        clothingItem.sizeCharts,
+        profile.measurements,
+        clothingItem.category
+      );
+      if (recommendation) {
+        console.log('📏 Size recommendation:', SizeRecommender.describe(recommendation));
+      }
+      return recommendation;
+    } catch (error) {
+      console.warn('⚠️ Size recommendation failed:', error);
+      return null;
+    }
+  }
+
+  // Keep the most confident item per category so an outfit has one top, one pair of shoes, etc.
+  selectOutfitItems(clothingItems) {
+    const byCategory = new Map();
+
+    for (const item of clothingItems) {
+      const category = item.category || 'clothing';
+      const current = byCategory.get(category);
+      if (!current || (item.confidence || 0) > (current.confidence || 0)) {
+        byCategory.set(category, item);
+      }
+    }
+
+    return Array.from(byCategory.values());
+  }
+
   // Prepare user photo for try-on
   async prepareUserPhoto(userPhoto, options) {
+    // Encrypted photos cannot be read while the vault is locked
+    if (typeof Vault !== 'undefined' && await Vault.isLocked()) {
+      throw new Error(Vault.LOCKED_MESSAGE);
+    }
+
     try {
-      let processedPhoto = userPhoto.data;
+      // Stored photos hold an image reference; providers need the data
+      let processedPhoto = await this.storageManager.resolveImages(userPhoto.data, 'dataUrl');
 
       // Resize if needed
       if (options.maxSize) {
@@ -141,7 +293,8 @@ class TryOnGenerator {
   // Prepare clothing item for try-on
   async prepareClothingItem(clothingItemData, options) {
     try {
-      let processedItem = clothingItemData.image || clothingItemData.data;
+      // Wardrobe items arrive with an image reference
+      let processedItem = await this.storageManager.resolveImages(clothingItemData.image || clothingItemData.data, 'dataUrl');
 
       // Resize if needed
       if (options.maxSize) {
@@ -180,14 +333,41 @@ class TryOnGenerator {
     }
   }
 
-  // Perform AI-powered try-on with enhanced Gemini 2.5 Flash Image
+  // Perform AI-powered try-on with enhanced Gemini 2.5 Flash Image.
+  // An identical earlier generation is reused unless options.forceRegenerate.
   async performAITryOn(userPhoto, clothingItem, options) {
     try {
+      // Build enhanced try-on options for Gemini 2.5 Flash Image
+      const aiOptions = {
+        category: clothingItem.category,
+        preserveFeatures: options.preserveFeatures !== false,
+        highQuality: options.highQuality === true,
+        style: options.style || 'natural',
+        lighting: options.lighting || 'auto',
+        measurements: await this.getBodyMeasurements(),
+        product: clothingItem.original?.product || null,
+        characterConsistency: true,
+        multiImageFusion: true,
+        realisticPhysics: true,
+        signal: options.signal,
+        onProgress: options.onProgress
+      };
+
+      const cacheKey = await this.getResultCacheKey(userPhoto, clothingItem, aiOptions);
+      if (cacheKey && options.forceRegenerate !== true) {
+        const cached = await this.resultCache.get(cacheKey);
+        if (cached) {
+          console.log('♻️ Reusing cached try-on result from', new Date(cached.cachedAt).toLocaleString());
+          return { ...cached, fromCache: true };
+        }
+      }
+
       // Optional safety validation (can be disabled to reduce API calls)
       if (options.skipSafetyValidation !== true) {
         console.log('🔒 Performing safety validation...');
+        options.onProgress?.('safety');
         try {
-          const safetyCheck = await this.geminiIntegration.validateImageSafety(userPhoto.data);
+          const safetyCheck = await this.geminiIntegration.validateImageSafety(userPhoto.data, { signal: options.signal });
           if (!safetyCheck.safe && safetyCheck.recommendation === 'reject') {
             console.warn('⚠️ User photo failed safety validation:', safetyCheck.concerns.join(', '));
             // Don't throw error, just warn - let the main API handle safety
@@ -199,18 +379,6 @@ class TryOnGenerator {
         console.log('⏭️ Skipping safety validation to reduce API calls');
       }
 
-      // Build enhanced try-on options for Gemini 2.5 Flash Image
-      const aiOptions = {
-        category: clothingItem.category,
-        preserveFeatures: options.preserveFeatures !== false,
-        highQuality: options.highQuality === true,
-        style: options.style || 'natural',
-        lighting: options.lighting || 'auto',
-        characterConsistency: true,
-        multiImageFusion: true,
-        realisticPhysics: true
-      };
-
       // Update usage stats
       await this.geminiIntegration.updateUsageStats(true);
 
@@ -238,14 +406,24 @@ class TryOnGenerator {
         generatedImage: aiResult.generatedImage,
         imageUrl: aiResult.imageUrl,
         aiResponse: aiResult.rawResponse,
-        processingMethod: 'gemini-2.5-flash-image',
+        processingMethod: aiResult.provider === 'gemini' ? 'gemini-2.5-flash-image' : `${aiResult.provider}-image`,
         advanced: aiResult.advanced || false,
+        promptTemplates: aiResult.promptTemplates || null,
         hasGeneratedImage: !!aiResult.generatedImage
       });
 
+      if (cacheKey && safeResult.hasGeneratedImage) {
+        await this.resultCache.put(cacheKey, safeResult);
+      }
+
       return safeResult;
 
     } catch (error) {
+      // A cancelled job must not fall back to a mock result
+      if (options.signal?.aborted) {
+        throw new Error('Try-on cancelled');
+      }
+
       console.error('AI try-on failed:', error);
       await this.geminiIntegration.updateUsageStats(false);
       
@@ -254,6 +432,49 @@ class TryOnGenerator {
     }
   }
 
+  // Result cache key for a generation, or null when there is no cache. Covers
+  // the photo, every garment image, the prompt version, the provider and models,
+  // and the options that change the prompt.
+  async getResultCacheKey(userPhoto, clothingItem, aiOptions) {
+    if (!this.resultCache || !this.geminiIntegration) {
+      return null;
+    }
+
+    try {
+      await this.geminiIntegration.ready;
+      const garments = Array.isArray(clothingItem.data)
+        ? clothingItem.data
+        : [{ image: clothingItem.data, category: clothingItem.category }];
+      const { signal, onProgress, ...promptOptions } = aiOptions;
+
+      return await this.resultCache.keyFor({
+        userPhoto: userPhoto.data,
+        garments: garments.map(garment => garment.image),
+        promptVersion: PromptTemplates.versionTag(AIProvider.RESULT_PROMPT_TEMPLATES),
+        provider: this.geminiIntegration.provider.cacheScope,
+        options: {
+          ...promptOptions,
+          garments: garments.map(garment => ({
+            category: garment.category,
+            type: garment.type,
+            color: garment.color,
+            product: garment.product
+          }))
+        }
+      });
+    } catch (error) {
+      console.warn('⚠️ Could not compute result cache key:', error);
+      return null;
+    }
+  }
+
+  // Stop a cancelled try-on job (options.signal aborted) before it saves anything
+  throwIfCancelled(options) {
+    if (options.signal?.aborted) {
+      throw new Error('Try-on cancelled');
+    }
+  }
+
   // Generate enhanced mock try-on result (for development/testing)
   generateEnhancedMockTryOn(userPhoto, clothingItem, options, errorMessage = null) {
     const mockDescriptions = [
@@ -387,31 +608,23 @@ class TryOnGenerator {
   // Save try-on result with generated image
   async saveTryOnResult(result, userPhoto, clothingItem) {
     try {
+      const clothingItemId = await this.saveSourceClothingItem(clothingItem);
+
       const resultData = {
         originalImage: userPhoto.data,
         processedImage: result.imageUrl || result.thumbnail, // Use generated image or thumbnail
-        generatedImage: result.generatedImage, // Store the full generated image
+        thumbnail: result.thumbnail,
         clothingItem: {
+          clothingItemId: clothingItemId,
           image: clothingItem.data || clothingItem.image,
           category: clothingItem.category,
           source: clothingItem.source,
-          url: clothingItem.url
+          url: clothingItem.url,
+          title: clothingItem.title || clothingItem.product?.name || null,
+          product: clothingItem.product || null
         },
         category: clothingItem.category || 'clothing',
-        metadata: {
-          description: result.description,
-          recommendations: result.recommendations,
-          confidence: result.confidence,
-          qualityScore: result.qualityScore,
-          processingMethod: result.processingMethod,
-          timestamp: result.timestamp,
-          hasGeneratedImage: result.hasGeneratedImage || false,
-          fitAnalysis: result.fitAnalysis,
-          visualResult: result.visualResult,
-          stylingAssessment: result.stylingAssessment,
-          safetyAssessment: result.safetyAssessment,
-          watermark: result.watermark
-        }
+        metadata: this.buildResultMetadata(result)
       };
 
       const savedId = await this.storageManager.saveTryOnResult(resultData);
@@ -426,6 +639,112 @@ class TryOnGenerator {
     }
   }
 
+  // Save an outfit as one result linked to a clothingItems record per garment
+  async saveOutfitResult(result, userPhoto, clothingItems) {
+    try {
+      const items = [];
+      for (const item of clothingItems) {
+        const clothingItemId = await this.saveSourceClothingItem(item);
+        items.push({ clothingItemId: clothingItemId, ...this.summarizeClothingItem(item) });
+      }
+
+      const savedId = await this.storageManager.saveTryOnResult({
+        originalImage: userPhoto.data,
+        processedImage: result.imageUrl || result.thumbnail,
+        thumbnail: result.thumbnail,
+        clothingItem: null,
+        category: 'outfit',
+        outfit: { items: items },
+        metadata: this.buildResultMetadata(result)
+      });
+      result.savedId = savedId;
+      result.outfitItems = items;
+
+      return savedId;
+
+    } catch (error) {
+      console.error('Failed to save outfit result:', error);
+      // Don't throw error - saving is optional
+      return null;
+    }
+  }
+
+  // Save the garment a result was generated from in the clothingItems store
+  // (the wardrobe). Items re-tried from the wardrobe keep their record.
+  async saveSourceClothingItem(item) {
+    try {
+      if (item.clothingItemId) {
+        await this.storageManager.markClothingItemTried(item.clothingItemId);
+        return item.clothingItemId;
+      }
+
+      const summary = this.summarizeClothingItem(item);
+      const image = item.data || item.image;
+      return await this.storageManager.saveClothingItem({
+        image: image,
+        thumbnail: await this.createItemThumbnail(image),
+        source: item.source,
+        category: summary.category,
+        url: item.url,
+        title: summary.title || item.description,
+        product: summary.product,
+        tryOnCount: 1,
+        lastTriedAt: Date.now(),
+        metadata: { type: item.type, color: item.color, confidence: item.confidence }
+      });
+    } catch (error) {
+      console.warn('⚠️ Failed to save clothing item:', error);
+      return null;
+    }
+  }
+
+  // Small preview for wardrobe listings; the image itself if it cannot be resized
+  async createItemThumbnail(image) {
+    try {
+      const thumbnail = await this.imageProcessor.createThumbnail(image, 150);
+      return typeof thumbnail === 'string' ? thumbnail : thumbnail.dataUrl;
+    } catch (error) {
+      console.warn('⚠️ Failed to create clothing item thumbnail:', error);
+      return image;
+    }
+  }
+
+  // Stored description of a source clothing item (without image data)
+  summarizeClothingItem(item) {
+    return {
+      category: item.category || 'clothing',
+      type: item.type || null,
+      description: item.description || null,
+      title: item.title || item.product?.name || null,
+      source: item.source || null,
+      url: item.url || null,
+      product: item.product || null,
+      sizeRecommendation: item.sizeRecommendation || null
+    };
+  }
+
+  // Analysis fields stored alongside every try-on result
+  buildResultMetadata(result) {
+    return {
+      description: result.description,
+      recommendations: result.recommendations,
+      confidence: result.confidence,
+      qualityScore: result.qualityScore,
+      processingMethod: result.processingMethod,
+      timestamp: result.timestamp,
+      hasGeneratedImage: result.hasGeneratedImage || false,
+      fitAnalysis: result.fitAnalysis,
+      visualResult: result.visualResult,
+      stylingAssessment: result.stylingAssessment,
+      safetyAssessment: result.safetyAssessment,
+      watermark: result.watermark,
+      fromCache: result.fromCache || false,
+      promptTemplates: result.promptTemplates || null,
+      sizeRecommendation: result.sizeRecommendation || null
+    };
+  }
+
+
   // Generate unique result ID
   generateResultId() {
     return 'tryon_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
@@ -0,0 +1,96 @@
+// Try-on job client for AI Virtual Try-On extension
+// Used by the popup and the content script to start or watch a try-on job in
+// the background over a 'tryon-jobs' port (see lib/tryon-jobs.js).
+
+class TryOnJobClient {
+  constructor() {
+    this.port = null;
+    this.jobId = null;
+  }
+
+  // Start a job for request (a processImage or generateTryOn message) and
+  // resolve with its final response. onProgress gets each job snapshot
+  // ({ id, status, stage, label, percent }).
+  run(request, { onProgress } = {}) {
+    return this.connect({ type: 'start', request: request }, onProgress);
+  }
+
+  // Follow a job started elsewhere, e.g. from the page while the popup was closed
+  watch(jobId, { onProgress } = {}) {
+    this.jobId = jobId;
+    return this.connect({ type: 'subscribe', jobId: jobId }, onProgress);
+  }
+
+  // Cancel the job this client is following; its in-flight requests are aborted
+  cancel() {
+    if (this.port && this.jobId) {
+      this.port.postMessage({ type: 'cancel', jobId: this.jobId });
+    }
+  }
+
+  connect(message, onProgress) {
+    this.disconnect();
+
+    return new Promise((resolve, reject) => {
+      const port = chrome.runtime.connect({ name: TryOnJobClient.PORT_NAME });
+      this.port = port;
+      let settled = false;
+
+      const settle = (callback, value) => {
+        if (settled) return;
+        settled = true;
+        this.disconnect();
+        callback(value);
+      };
+
+      port.onMessage.addListener((event) => {
+        if (event.job) {
+          this.jobId = event.job.id;
+        }
+
+        switch (event.type) {
+          case 'started':
+          case 'progress':
+            if (onProgress) onProgress(event.job);
+            break;
+
+          case 'completed':
+          case 'needs-selection':
+          case 'failed':
+            if (onProgress) onProgress(event.job);
+            settle(resolve, event.response || { success: false, error: event.job.error });
+            break;
+
+          case 'cancelled':
+            if (onProgress) onProgress(event.job);
+            settle(resolve, { ...event.response, success: false, cancelled: true });
+            break;
+
+          case 'error':
+            settle(reject, new Error(event.error));
+            break;
+        }
+      });
+
+      port.onDisconnect.addListener(() => {
+        this.port = null;
+        settle(reject, new Error('Lost connection to the extension'));
+      });
+
+      port.postMessage(message);
+    });
+  }
+
+  disconnect() {
+    if (this.port) {
+      const port = this.port;
+      this.port = null;
+      port.disconnect();
+    }
+  }
+}
+
+TryOnJobClient.PORT_NAME = 'tryon-jobs';
+
+// Make available to the popup and content scripts
+window.TryOnJobClient = TryOnJobClient;
@@ -0,0 +1,449 @@
+// Try-on jobs for AI Virtual Try-On extension
+// A try-on is several chained AI calls (safety check, image generation,
+// analysis), so it runs as a job with an id instead of one long sendResponse.
+// Pages connect a 'tryon-jobs' Port to start or watch jobs and receive stage
+// and percent events; cancelling a job aborts its in-flight requests.
+//
+// MV3 may stop the worker mid-job, so each job's request and stage are kept in
+// the tryOnJobs store. While jobs run, an alarm and a heartbeat keep the worker
+// alive; when it wakes, restore() re-runs interrupted jobs or fails them.
+
+class TryOnJobManager {
+  constructor(options = {}) {
+    this.jobs = new Map(); // id -> job
+    this.runners = new Map(); // action -> run(request, job) => Promise<response>
+    this.store = options.store || null; // StorageManager; jobs are memory-only without it
+    this.keepFinished = options.keepFinished ?? 10;
+    this.maxAttempts = options.maxAttempts ?? 2;
+    this.tickMs = options.tickMs ?? 1000;
+    this.heartbeatMs = options.heartbeatMs ?? 20000;
+    this.heartbeat = null;
+    this.restoring = Promise.resolve();
+    this.nextId = 1;
+  }
+
+  // Register the handler that does the work for a request action
+  register(action, run) {
+    this.runners.set(action, run);
+  }
+
+  // Start a job for request.action. The runner gets a handle with `signal`
+  // and `progress(stage)` and resolves with the response sent to subscribers.
+  // The job ends 'completed', 'needs-selection' (several garments detected,
+  // the page must ask which to try on), 'failed' or 'cancelled'.
+  // `record` is a persisted job being resumed after a restart.
+  start(request, record = null) {
+    const run = this.runners.get(request?.action);
+    if (!run) {
+      throw new Error(`Unknown job action: ${request?.action}`);
+    }
+
+    const job = {
+      id: record ? record.id : `job_${Date.now()}_${this.nextId++}`,
+      action: request.action,
+      request: request,
+      status: 'running',
+      stage: null,
+      stageStartedAt: null,
+      percent: 0,
+      attempts: record ? record.attempts + 1 : 1,
+      startedAt: record ? record.startedAt : Date.now(),
+      finishedAt: null,
+      response: null,
+      error: null,
+      controller: new AbortController(),
+      subscribers: new Set(),
+      timer: null
+    };
+    this.jobs.set(job.id, job);
+    this.updateKeepAlive();
+
+    const handle = {
+      id: job.id,
+      signal: job.controller.signal,
+      progress: stage => this.setStage(job, stage)
+    };
+
+    this.setStage(job, 'preparing');
+    job.timer = setInterval(() => this.tick(job), this.tickMs);
+    console.log(`🧵 Started ${job.action} job ${job.id}`);
+
+    Promise.resolve()
+      .then(() => run(request, handle))
+      .then(response => {
+        if (response?.success === false) {
+          this.finish(job, job.controller.signal.aborted ? 'cancelled' : 'failed', response);
+        } else if (response?.result?.selectionRequired) {
+          // Detection found several garments; the page has to ask which to try on
+          this.finish(job, 'needs-selection', response);
+        } else {
+          this.finish(job, 'completed', response);
+        }
+      })
+      .catch(error => {
+        this.finish(job, job.controller.signal.aborted ? 'cancelled' : 'failed', { success: false, error: error.message });
+      });
+
+    return job;
+  }
+
+  // Move a running job to a new stage; percent never goes backwards
+  setStage(job, stage) {
+    const range = TryOnJobManager.STAGES[stage];
+    if (job.status !== 'running' || !range) return;
+
+    job.stage = stage;
+    job.stageStartedAt = Date.now();
+    job.percent = Math.max(job.percent, range.start);
+    this.emit(job, 'progress');
+    this.persist(job);
+  }
+
+  // Estimate progress within the current stage from its expected duration,
+  // stopping short of the stage end until the next stage starts
+  tick(job) {
+    const range = TryOnJobManager.STAGES[job.stage];
+    if (job.status !== 'running' || !range) return;
+
+    const elapsed = Date.now() - job.stageStartedAt;
+    const estimate = Math.round(range.start + (range.end - range.start) * Math.min(0.9, elapsed / range.expectedMs));
+    if (estimate > job.percent) {
+      job.percent = estimate;
+      this.emit(job, 'progress');
+    }
+  }
+
+  finish(job, status, response) {
+    if (job.status !== 'running') return; // already cancelled
+
+    clearInterval(job.timer);
+    job.status = status;
+    job.finishedAt = Date.now();
+    job.response = response;
+    job.error = response?.success === false ? (response.error || null) : null;
+    if (status === 'completed') {
+      job.percent = 100;
+    }
+
+    console.log(`🧵 Job ${job.id} ${status}`);
+    if (job.subscribers.size === 0 && status !== 'cancelled') {
+      this.notifyFinished(job);
+    }
+    this.emit(job, status);
+    this.persist(job);
+    this.pruneFinished();
+    this.updateKeepAlive();
+  }
+
+  // Abort the job's requests and report it cancelled straight away; the
+  // runner's own outcome is ignored once it settles
+  cancel(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job || job.status !== 'running') {
+      return false;
+    }
+
+    job.controller.abort();
+    this.finish(job, 'cancelled', { success: false, cancelled: true, error: 'Try-on cancelled' });
+    return true;
+  }
+
+  // Forget the oldest finished jobs beyond keepFinished
+  pruneFinished() {
+    const finished = Array.from(this.jobs.values())
+      .filter(job => job.status !== 'running')
+      .sort((a, b) => b.finishedAt - a.finishedAt);
+
+    finished.slice(this.keepFinished).forEach((job) => {
+      this.jobs.delete(job.id);
+      this.store?.deleteTryOnJob(job.id).catch(error => console.warn('Failed to delete job record:', error));
+    });
+  }
+
+  // Write the job's request and progress to IndexedDB
+  persist(job) {
+    if (!this.store) return;
+
+    const record = this.toRecord(job);
+    this.restoring.then(() => this.store.saveTryOnJob(record)).catch((error) => {
+      console.warn('Failed to persist try-on job:', error);
+    });
+  }
+
+  // Stored form of a job: the request to re-run and how far it got. Finished
+  // jobs keep only the saved result id, not the whole response.
+  toRecord(job) {
+    return {
+      id: job.id,
+      action: job.action,
+      request: job.status === 'running' ? job.request : null,
+      status: job.status,
+      stage: job.stage,
+      percent: job.percent,
+      attempts: job.attempts,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      error: job.error,
+      resultId: TryOnJobManager.savedResultId(job.response)
+    };
+  }
+
+  // Pick up jobs a stopped worker left running. Each is re-run from the start
+  // (results are only written in the final 'saving' stage) unless it was
+  // already saving or has used up its attempts; those are marked failed.
+  restore() {
+    if (!this.store) return this.restoring;
+
+    this.restoring = Promise.resolve(this.store.db || this.store.init()).then(() => {
+      return this.store.getTryOnJobs('running');
+    }).then((records) => {
+      for (const record of records) {
+        if (this.jobs.has(record.id)) continue;
+
+        if (record.stage === 'saving' || record.attempts >= this.maxAttempts || !this.runners.has(record.action)) {
+          this.failInterrupted(record);
+          continue;
+        }
+
+        console.log(`🧵 Resuming ${record.action} job ${record.id} (was ${record.stage})`);
+        this.start(record.request, record);
+      }
+
+      // Finished records from earlier runs, so pages can still look them up
+      return this.store.getTryOnJobs();
+    }).then((records) => {
+      records
+        .filter(record => record.status !== 'running' && !this.jobs.has(record.id))
+        .forEach(record => this.jobs.set(record.id, TryOnJobManager.fromRecord(record)));
+      this.pruneFinished();
+    }).catch((error) => {
+      console.warn('Failed to restore try-on jobs:', error);
+    });
+
+    return this.restoring;
+  }
+
+  failInterrupted(record) {
+    const job = TryOnJobManager.fromRecord({
+      ...record,
+      status: 'failed',
+      finishedAt: Date.now(),
+      error: record.stage === 'saving'
+        ? 'The extension restarted while saving this try-on. Check your history for the result.'
+        : 'The extension restarted before this try-on finished. Please try again.'
+    });
+    job.response = { success: false, error: job.error, interrupted: true };
+
+    console.warn(`🧵 Job ${job.id} was interrupted during ${record.stage}`);
+    this.jobs.set(job.id, job);
+    this.notifyFinished(job);
+    this.persist(job);
+  }
+
+  // Keep the worker alive while jobs run: calling an extension API every
+  // heartbeatMs resets the idle timer, and the alarm wakes a worker that was
+  // stopped anyway so restore() can pick its jobs up
+  updateKeepAlive() {
+    const running = Array.from(this.jobs.values()).some(job => job.status === 'running');
+    if (typeof chrome === 'undefined' || !chrome.alarms) return;
+
+    if (running && !this.heartbeat) {
+      chrome.alarms.create(TryOnJobManager.KEEPALIVE_ALARM, { periodInMinutes: 0.5 });
+      this.heartbeat = setInterval(() => {
+        chrome.alarms.get(TryOnJobManager.KEEPALIVE_ALARM);
+      }, this.heartbeatMs);
+    } else if (!running && this.heartbeat) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+      chrome.alarms.clear(TryOnJobManager.KEEPALIVE_ALARM);
+    }
+  }
+
+  // System notification for a job nobody is watching (popup and page closed).
+  // 'Try-on ready' is only shown when the job produced a try-on image.
+  notifyFinished(job) {
+    if (typeof chrome === 'undefined' || !chrome.notifications) return;
+
+    let title;
+    let message;
+    if (job.status === 'needs-selection') {
+      title = 'Choose what to try on';
+      message = 'Several items were found. Select the image again to pick which ones to try on.';
+    } else if (job.status !== 'completed') {
+      title = 'Try-on failed';
+      message = job.error || 'The try-on could not be completed.';
+    } else if (TryOnJobManager.hasResultImage(job.response)) {
+      title = 'Try-on ready';
+      message = 'Your virtual try-on has finished. Click to open your history.';
+    } else {
+      title = 'No try-on image';
+      message = 'The try-on finished without generating an image.';
+    }
+
+    chrome.notifications.create(`${TryOnJobManager.NOTIFICATION_PREFIX}${job.id}`, {
+      type: 'basic',
+      iconUrl: chrome.runtime.getURL('assets/icons/icon128.png'),
+      title: title,
+      message: message
+    }).catch((error) => {
+      console.warn('Failed to show notification:', error);
+    });
+  }
+
+  // A finished job loaded back from its stored record
+  static fromRecord(record) {
+    return {
+      id: record.id,
+      action: record.action,
+      request: null,
+      status: record.status,
+      stage: record.stage,
+      stageStartedAt: null,
+      percent: record.percent,
+      attempts: record.attempts,
+      startedAt: record.startedAt,
+      finishedAt: record.finishedAt,
+      response: TryOnJobManager.responseFromRecord(record),
+      error: record.error,
+      controller: null,
+      subscribers: new Set(),
+      timer: null
+    };
+  }
+
+  // Response reported for a job loaded from its record. The detected items of
+  // a needs-selection job are not stored, so the page has to detect again.
+  static responseFromRecord(record) {
+    switch (record.status) {
+      case 'completed':
+        return { success: true, resultId: record.resultId };
+      case 'needs-selection':
+        return { success: false, needsSelection: true, error: 'Select the image again to choose which items to try on.' };
+      default:
+        return { success: false, error: record.error };
+    }
+  }
+
+  // Saved tryOnResults id in a processImage or generateTryOn response
+  static savedResultId(response) {
+    return response?.tryOnData?.savedId ?? response?.result?.tryOnData?.savedId ?? response?.resultId ?? null;
+  }
+
+  // Whether a processImage or generateTryOn response carries a generated image
+  static hasResultImage(response) {
+    return (response?.tryOnData ?? response?.result?.tryOnData)?.hasGeneratedImage === true;
+  }
+
+  // Public view of a job (no controller, timer or ports)
+  snapshot(job) {
+    const range = TryOnJobManager.STAGES[job.stage];
+    return {
+      id: job.id,
+      action: job.action,
+      status: job.status,
+      stage: job.stage,
+      label: range ? range.label : null,
+      percent: job.percent,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      attempts: job.attempts,
+      resultId: TryOnJobManager.savedResultId(job.response),
+      error: job.error
+    };
+  }
+
+  getJobs() {
+    return Array.from(this.jobs.values()).map(job => this.snapshot(job));
+  }
+
+  subscribe(job, port) {
+    job.subscribers.add(port);
+    this.post(port, job, job.status === 'running' ? 'progress' : job.status);
+  }
+
+  emit(job, type) {
+    job.subscribers.forEach(port => this.post(port, job, type));
+  }
+
+  post(port, job, type) {
+    const event = { type: type, job: this.snapshot(job) };
+    if (type !== 'progress') {
+      event.response = job.response;
+    }
+
+    try {
+      port.postMessage(event);
+    } catch (error) {
+      // The page went away
+      job.subscribers.delete(port);
+    }
+  }
+
+  // Serve a page's 'tryon-jobs' port. Messages:
+  //   { type: 'start', request }  -> 'started' with the job, then progress events
+  //   { type: 'subscribe', jobId } -> the job's current state, then progress events
+  //   { type: 'cancel', jobId }
+  // Closing the port stops the events but leaves the job running.
+  handlePort(port) {
+    if (port.name !== TryOnJobManager.PORT_NAME) {
+      return false;
+    }
+
+    port.onMessage.addListener(async (message) => {
+      try {
+        // Jobs from before a restart are only known once restore() has read them
+        await this.restoring;
+
+        switch (message.type) {
+          case 'start': {
+            const job = this.start(message.request);
+            port.postMessage({ type: 'started', job: this.snapshot(job), requestId: message.requestId });
+            this.subscribe(job, port);
+            break;
+          }
+
+          case 'subscribe': {
+            const job = this.jobs.get(message.jobId);
+            if (!job) {
+              throw new Error('Job not found');
+            }
+            this.subscribe(job, port);
+            break;
+          }
+
+          case 'cancel':
+            this.cancel(message.jobId);
+            break;
+
+          default:
+            throw new Error(`Unknown job message: ${message.type}`);
+        }
+      } catch (error) {
+        port.postMessage({ type: 'error', error: error.message, jobId: message.jobId || null, requestId: message.requestId });
+      }
+    });
+
+    port.onDisconnect.addListener(() => {
+      this.jobs.forEach(job => job.subscribers.delete(port));
+    });
+
+    return true;
+  }
+}
+
+TryOnJobManager.PORT_NAME = 'tryon-jobs';
+TryOnJobManager.KEEPALIVE_ALARM = 'tryon-jobs-keepalive';
+TryOnJobManager.NOTIFICATION_PREFIX = 'tryon-job:';
+
+// Percent range and typical duration of each stage
+TryOnJobManager.STAGES = {
+  preparing: { start: 0, end: 10, expectedMs: 2000, label: 'Preparing images' },
+  detecting: { start: 10, end: 25, expectedMs: 8000, label: 'Detecting clothing' },
+  safety: { start: 25, end: 35, expectedMs: 5000, label: 'Checking photo' },
+  generating: { start: 35, end: 80, expectedMs: 25000, label: 'Generating try-on' },
+  analyzing: { start: 80, end: 92, expectedMs: 8000, label: 'Analyzing fit' },
+  saving: { start: 92, end: 100, expectedMs: 2000, label: 'Saving result' }
+};
+
+// Make available in both service worker and browser contexts
+self.TryOnJobManager = TryOnJobManager;
@@ -0,0 +1,233 @@
+// Passphrase vault for AI Virtual Try-On extension
+// Optional at-rest encryption of the API key, body photos and the try-on
+// images made from them (see StorageManager.SEALED_IMAGE_FIELDS). A key derived
+// from the passphrase (PBKDF2, SHA-256) encrypts them with AES-GCM. The vault
+// settings (salt, iteration count and an encrypted check value) live in
+// chrome.storage.local.vault; the passphrase itself is never stored.
+//
+// Unlocking puts the derived key in chrome.storage.session, which extension
+// pages and the service worker share but content scripts cannot read, and
+// which the browser clears when it closes. The background script locks the
+// vault again when the machine goes idle (see watchIdle).
+
+class Vault {
+  static async getConfig() {
+    const { vault } = await chrome.storage.local.get(['vault']);
+    return vault || null;
+  }
+
+  static async isEnabled() {
+    return !!(await Vault.getConfig());
+  }
+
+  // Enabled, but not unlocked in this browser session
+  static async isLocked() {
+    return await Vault.isEnabled() && !(await Vault.getKey());
+  }
+
+  static async getStatus() {
+    const enabled = await Vault.isEnabled();
+    return { enabled: enabled, unlocked: enabled && !!(await Vault.getKey()) };
+  }
+
+  // Turn the vault on and unlock it. Data already stored is encrypted by
+  // StorageManager.enableVault, which calls this.
+  static async enable(passphrase) {
+    if (await Vault.isEnabled()) {
+      throw new Error('The vault is already turned on');
+    }
+    if (!passphrase || passphrase.length < Vault.MIN_PASSPHRASE_LENGTH) {
+      throw new Error(`Use a passphrase of at least ${Vault.MIN_PASSPHRASE_LENGTH} characters`);
+    }
+
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iterations = Vault.PBKDF2_ITERATIONS;
+    const key = await Vault.deriveKey(passphrase, salt, iterations);
+    const check = await Vault.encryptBytes(key, new TextEncoder().encode(Vault.CHECK_TEXT));
+
+    await chrome.storage.local.set({
+      vault: {
+        version: 1,
+        salt: Vault.toBase64(salt),
+        iterations: iterations,
+        check: { iv: Vault.toBase64(check.iv), data: Vault.toBase64(check.data) },
+        createdAt: Date.now()
+      }
+    });
+    await Vault.storeKey(key);
+    console.log('🔐 Vault turned on');
+  }
+
+  // Check the passphrase against the stored check value and keep the key
+  // for the rest of the browser session
+  static async unlock(passphrase) {
+    const config = await Vault.getConfig();
+    if (!config) {
+      throw new Error('The vault is not turned on');
+    }
+
+    const key = await Vault.deriveKey(passphrase || '', Vault.fromBase64(config.salt), config.iterations);
+    try {
+      await Vault.decryptBytes(key, Vault.fromBase64(config.check.iv), Vault.fromBase64(config.check.data));
+    } catch (error) {
+      throw new Error('Wrong passphrase');
+    }
+
+    await Vault.storeKey(key);
+    console.log('🔓 Vault unlocked');
+  }
+
+  static async lock() {
+    await chrome.storage.session.remove(['vaultKey']);
+    console.log('🔒 Vault locked');
+  }
+
+  // Remove the vault settings and key. StorageManager.disableVault decrypts
+  // the stored data first.
+  static async disable() {
+    await chrome.storage.local.remove(['vault']);
+    await chrome.storage.session.remove(['vaultKey']);
+    console.log('🔐 Vault turned off');
+  }
+
+  // Lock when the machine has been idle for IDLE_LOCK_SECONDS or the screen locks
+  static watchIdle() {
+    chrome.idle.setDetectionInterval(Vault.IDLE_LOCK_SECONDS);
+    chrome.idle.onStateChanged.addListener((state) => {
+      if (state !== 'active') {
+        Vault.lock().catch(error => console.error('Failed to lock the vault:', error));
+      }
+    });
+  }
+
+  // The session's AES-GCM key, or null while locked
+  static async getKey() {
+    const { vaultKey } = await chrome.storage.session.get(['vaultKey']);
+    if (!vaultKey) {
+      return null;
+    }
+    return crypto.subtle.importKey('raw', Vault.fromBase64(vaultKey), { name: 'AES-GCM' }, true, ['encrypt', 'decrypt']);
+  }
+
+  static async requireKey() {
+    const key = await Vault.getKey();
+    if (!key) {
+      throw new Error(Vault.LOCKED_MESSAGE);
+    }
+    return key;
+  }
+
+  static async storeKey(key) {
+    const raw = await crypto.subtle.exportKey('raw', key);
+    await chrome.storage.session.set({ vaultKey: Vault.toBase64(new Uint8Array(raw)) });
+  }
+
+  static async deriveKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt: salt, iterations: iterations, hash: 'SHA-256' },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      true,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  // { iv, data } with a fresh 96-bit IV
+  static async encryptBytes(key, bytes) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv: iv }, key, bytes);
+    return { iv: iv, data: new Uint8Array(data) };
+  }
+
+  static async decryptBytes(key, iv, data) {
+    return new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-GCM', iv: iv }, key, data));
+  }
+
+  // Text as { iv, data } in base64, for chrome.storage
+  static async encryptText(text) {
+    const sealed = await Vault.encryptBytes(await Vault.requireKey(), new TextEncoder().encode(text));
+    return { iv: Vault.toBase64(sealed.iv), data: Vault.toBase64(sealed.data) };
+  }
+
+  static async decryptText(payload) {
+    const bytes = await Vault.decryptBytes(await Vault.requireKey(), Vault.fromBase64(payload.iv), Vault.fromBase64(payload.data));
+    return new TextDecoder().decode(bytes);
+  }
+
+  // Blob as { blob, iv }: the encrypted bytes and the base64 IV
+  static async encryptBlob(blob) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    const sealed = await Vault.encryptBytes(await Vault.requireKey(), bytes);
+    return { blob: new Blob([sealed.data], { type: 'application/octet-stream' }), iv: Vault.toBase64(sealed.iv) };
+  }
+
+  static async decryptBlob(blob, iv, type, key = null) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    const plain = await Vault.decryptBytes(key || await Vault.requireKey(), Vault.fromBase64(iv), bytes);
+    return new Blob([plain], { type: type });
+  }
+
+  // Profile as stored. With the vault on, API keys move into an encrypted
+  // profile.secrets; a profile without keys (read while locked) keeps the
+  // secrets it already had.
+  static async sealProfile(profile) {
+    const { secrets, ...plain } = profile;
+    if (!await Vault.isEnabled()) {
+      return plain;
+    }
+
+    const keys = { apiKey: profile.apiKey || '', providerApiKey: profile.aiProvider?.apiKey || '' };
+    const sealed = { ...plain, apiKey: '' };
+    if (profile.aiProvider) {
+      const { apiKey, ...aiProvider } = profile.aiProvider;
+      sealed.aiProvider = aiProvider;
+    }
+
+    if (keys.apiKey || keys.providerApiKey) {
+      sealed.secrets = await Vault.encryptText(JSON.stringify(keys));
+    } else if (secrets) {
+      sealed.secrets = secrets;
+    }
+    return sealed;
+  }
+
+  // Profile with its API keys decrypted. While the vault is locked the keys
+  // stay encrypted and the profile has no apiKey.
+  static async openProfile(profile) {
+    if (!profile || !profile.secrets || !(await Vault.getKey())) {
+      return profile;
+    }
+
+    const { secrets, ...opened } = profile;
+    const keys = JSON.parse(await Vault.decryptText(secrets));
+    opened.apiKey = keys.apiKey;
+    if (keys.providerApiKey) {
+      opened.aiProvider = { ...opened.aiProvider, apiKey: keys.providerApiKey };
+    }
+    return opened;
+  }
+
+  static toBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  }
+
+  static fromBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+  }
+}
+
+// OWASP's 2023 figure for PBKDF2-HMAC-SHA256. The count is stored with the
+// vault, so raising it only affects vaults turned on afterwards.
+Vault.PBKDF2_ITERATIONS = 600000;
+Vault.MIN_PASSPHRASE_LENGTH = 8;
+Vault.IDLE_LOCK_SECONDS = 15 * 60;
+Vault.CHECK_TEXT = 'vto-vault';
+Vault.LOCKED_MESSAGE = 'The vault is locked. Unlock it on the settings page.';
+
+// Make available in both service worker and browser contexts
+self.Vault = Vault;
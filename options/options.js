@@ -6,12 +6,14 @@ class VirtualTryOnOptions {
     this.totalSteps = 4;
     this.userProfile = {
       apiKey: '',
+      aiProvider: { type: 'gemini' },
       photos: [],
       measurements: {},
       preferences: {},
       isComplete: false
     };
     this.uploadedPhotos = [];
+    this.vault = { enabled: false, unlocked: false };
     this.init();
   }
 
@@ -26,10 +28,12 @@ class VirtualTryOnOptions {
       }
     }
 
+    await this.updateVaultStatus();
     await this.loadExistingData();
     this.setupEventListeners();
     this.updateUI();
     this.updateProgress();
+    this.updateStorageUsage();
   }
 
   // Load existing user data
@@ -41,8 +45,9 @@ class VirtualTryOnOptions {
           this.userProfile = { ...this.userProfile, ...profile };
         }
 
+        // Stored photos are Blobs; show them from object URLs
         const photos = await window.storageManager.getUserPhotos();
-        this.uploadedPhotos = photos || [];
+        this.uploadedPhotos = await window.storageManager.resolveImages(photos || [], 'objectUrl');
         console.log('Loaded photos from storage:', this.uploadedPhotos.length);
       } else {
         console.warn('Storage manager not available or not initialized');
@@ -70,6 +75,16 @@ class VirtualTryOnOptions {
       this.validateStep(1);
     });
 
+    document.getElementById('ai-provider').addEventListener('change', () => {
+      this.updateProviderSettings();
+    });
+
+    ['provider-base-url', 'provider-model', 'provider-image-model'].forEach(id => {
+      document.getElementById(id).addEventListener('input', () => {
+        this.updateProviderSettings();
+      });
+    });
+
     document.getElementById('toggle-api-key').addEventListener('click', () => {
       this.toggleApiKeyVisibility();
     });
@@ -145,6 +160,40 @@ class VirtualTryOnOptions {
       this.updatePreferences();
     });
 
+    document.getElementById('storage-cap').addEventListener('change', () => {
+      this.updatePreferences();
+    });
+
+    // Passphrase vault
+    document.getElementById('vault-enable-btn').addEventListener('click', () => {
+      this.enableVault();
+    });
+    document.getElementById('vault-unlock-btn').addEventListener('click', () => {
+      this.runVaultAction(passphrase => Vault.unlock(passphrase), '🔓 Vault unlocked for this browser session', true);
+    });
+    document.getElementById('vault-lock-btn').addEventListener('click', () => {
+      this.runVaultAction(() => Vault.lock(), '🔒 Vault locked', true);
+    });
+    // Export and import
+    document.getElementById('export-data-btn').addEventListener('click', () => {
+      this.exportData();
+    });
+    document.getElementById('import-data-btn').addEventListener('click', () => {
+      document.getElementById('import-data-input').click();
+    });
+    document.getElementById('import-data-input').addEventListener('change', (e) => {
+      if (e.target.files[0]) {
+        this.importData(e.target.files[0]);
+      }
+      e.target.value = '';
+    });
+
+    document.getElementById('vault-disable-btn').addEventListener('click', () => {
+      if (confirm('Turn off the vault? Your API key and photos will be stored without encryption.')) {
+        this.runVaultAction(() => window.storageManager.disableVault(), 'Vault turned off');
+      }
+    });
+
     // Footer buttons
     document.getElementById('reset-btn').addEventListener('click', () => {
       this.resetAllData();
@@ -155,6 +204,59 @@ class VirtualTryOnOptions {
     });
   }
 
+  // Update the AI provider selected for this profile
+  updateProviderSettings() {
+    const type = document.getElementById('ai-provider').value;
+    const previousType = this.userProfile.aiProvider?.type;
+
+    // Endpoint overrides belong to one provider, so drop them when switching
+    if (previousType && previousType !== type) {
+      ['provider-base-url', 'provider-model', 'provider-image-model'].forEach(id => {
+        document.getElementById(id).value = '';
+      });
+    }
+
+    const aiProvider = { type: type };
+    const baseUrl = document.getElementById('provider-base-url').value.trim();
+    const model = document.getElementById('provider-model').value.trim();
+    const imageModel = document.getElementById('provider-image-model').value.trim();
+    if (baseUrl) aiProvider.baseUrl = baseUrl;
+    if (model) aiProvider.model = model;
+    if (imageModel) aiProvider.imageModel = imageModel;
+
+    this.userProfile.aiProvider = aiProvider;
+    this.updateProviderFields();
+    this.validateStep(1);
+  }
+
+  // Show the fields that apply to the selected provider
+  updateProviderFields() {
+    const type = this.userProfile.aiProvider?.type || 'gemini';
+    const labels = {
+      gemini: 'Google Gemini API Key',
+      openai: 'API Key',
+      local: 'API Key (optional)'
+    };
+
+    document.getElementById('api-key-label').textContent = labels[type] || 'API Key';
+    document.getElementById('provider-endpoint-settings').classList.toggle('hidden', type === 'gemini');
+    document.getElementById('provider-base-url').placeholder =
+      type === 'local' ? 'http://localhost:8080' : 'https://api.openai.com/v1';
+  }
+
+  // Build the provider instance for the current form state
+  createProvider(apiKey = this.userProfile.apiKey) {
+    return AIProvider.create({
+      ...AIProvider.getProfileConfig(this.userProfile),
+      apiKey: apiKey
+    });
+  }
+
+  // Whether the selected provider has enough configuration
+  isProviderConfigured() {
+    return this.createProvider().isConfigured();
+  }
+
   // Toggle API key visibility
   toggleApiKeyVisibility() {
     const input = document.getElementById('gemini-api-key');
@@ -172,10 +274,10 @@ class VirtualTryOnOptions {
   // Test API connection
   async testApiConnection() {
     const apiKey = document.getElementById('gemini-api-key').value.trim();
-    const statusDiv = document.getElementById('api-status');
     const testBtn = document.getElementById('test-api-btn');
+    const provider = this.createProvider(apiKey);
 
-    if (!apiKey) {
+    if (!provider.isConfigured()) {
       this.showStatus('api-status', 'Please enter an API key first', 'error');
       return;
     }
@@ -184,8 +286,8 @@ class VirtualTryOnOptions {
     testBtn.textContent = 'Testing...';
 
     try {
-      // Test API connection with real Gemini integration
-      await this.testRealApiConnection(apiKey);
+      // Test API connection through the selected provider
+      await provider.testConnection();
 
       this.showStatus('api-status', '✅ API connection successful! AI processing is now enabled.', 'success');
       this.validateStep(1);
@@ -197,48 +299,6 @@ class VirtualTryOnOptions {
     }
   }
 
-  // Test real API connection using direct API call
-  async testRealApiConnection(apiKey) {
-    try {
-      // Use direct API test since service workers don't support the integration class
-      return await this.testApiDirectly(apiKey);
-    } catch (error) {
-      console.error('API test failed:', error);
-      throw error;
-    }
-  }
-
-  // Direct API test as fallback
-  async testApiDirectly(apiKey) {
-    const url = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash-exp:generateContent?key=${apiKey}`;
-
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        contents: [{
-          parts: [{
-            text: "Hello, this is a test to verify the API key is working. Please respond with 'API test successful'."
-          }]
-        }]
-      })
-    });
-
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(errorData.error?.message || `HTTP ${response.status}: ${response.statusText}`);
-    }
-
-    const data = await response.json();
-    if (!data.candidates || data.candidates.length === 0) {
-      throw new Error('No response from API');
-    }
-
-    return true;
-  }
-
   // Handle photo upload
   async handlePhotoUpload(files) {
     const maxFiles = 5;
@@ -272,13 +332,7 @@ class VirtualTryOnOptions {
         }
 
         this.uploadedPhotos.push(photoData);
-
-        // Save to localStorage as backup
-        try {
-          localStorage.setItem('vto-photos', JSON.stringify(this.uploadedPhotos));
-        } catch (e) {
-          console.warn('Failed to save photos to localStorage:', e);
-        }
+        this.backupPhotos();
       } catch (error) {
         console.error('Failed to process photo:', error);
         alert(`Failed to process ${file.name}`);
@@ -312,6 +366,22 @@ class VirtualTryOnOptions {
     });
   }
 
+  // Save to localStorage as backup. Photos loaded from IndexedDB only have
+  // an object URL, which does not outlive the page, so they are left out.
+  // With the vault on there is no backup, as it would not be encrypted.
+  backupPhotos() {
+    if (this.vault.enabled) {
+      return;
+    }
+
+    try {
+      const photos = this.uploadedPhotos.filter(photo => typeof photo.data === 'string' && photo.data.startsWith('data:'));
+      localStorage.setItem('vto-photos', JSON.stringify(photos));
+    } catch (e) {
+      console.warn('Failed to save photos to localStorage:', e);
+    }
+  }
+
   // Update photo display
   updatePhotoDisplay() {
     const container = document.getElementById('uploaded-photos');
@@ -343,13 +413,7 @@ class VirtualTryOnOptions {
     }
     
     this.uploadedPhotos.splice(index, 1);
-
-    // Update localStorage backup
-    try {
-      localStorage.setItem('vto-photos', JSON.stringify(this.uploadedPhotos));
-    } catch (e) {
-      console.warn('Failed to update photos in localStorage:', e);
-    }
+    this.backupPhotos();
 
     this.updatePhotoDisplay();
     this.validateStep(2);
@@ -386,17 +450,139 @@ class VirtualTryOnOptions {
       highQualityProcessing: document.getElementById('high-quality-processing').checked,
       defaultCategory: document.getElementById('default-category').value
     };
+
+    // An empty field means no limit
+    const storageCap = document.getElementById('storage-cap').value;
+    this.userProfile.preferences.storageCapMB = storageCap === '' ? null : Math.max(0, Number(storageCap));
     
     this.validateStep(4);
   }
 
+  // Show how much space photos, results, wardrobe and cache take up
+  async updateStorageUsage() {
+    const list = document.getElementById('storage-usage');
+    if (!window.storageManager || !window.storageManager.db) {
+      list.innerHTML = '';
+      return;
+    }
+
+    const usage = await window.storageManager.getStorageUsage();
+    const rows = [
+      ['Photos', usage.stores.photos],
+      ['Try-on results', usage.stores.results],
+      ['Wardrobe', usage.stores.wardrobe],
+      ['Result cache', usage.stores.cache],
+      ['Total', usage.total]
+    ].map(([label, bytes]) => `<li><span>${label}</span><span>${this.formatBytes(bytes)}</span></li>`);
+
+    if (usage.estimate) {
+      rows.push(`<li class="storage-estimate"><span>Browser estimate</span><span>${this.formatBytes(usage.estimate.usage)} of ${this.formatBytes(usage.estimate.quota)}</span></li>`);
+    }
+    list.innerHTML = rows.join('');
+  }
+
+  // Show the vault buttons that apply to its current state
+  async updateVaultStatus() {
+    this.vault = await Vault.getStatus();
+    const { enabled, unlocked } = this.vault;
+
+    document.getElementById('vault-passphrase').classList.toggle('hidden', unlocked);
+    document.getElementById('vault-passphrase-confirm').classList.toggle('hidden', enabled);
+    document.getElementById('vault-enable-btn').classList.toggle('hidden', enabled);
+    document.getElementById('vault-unlock-btn').classList.toggle('hidden', !enabled || unlocked);
+    document.getElementById('vault-lock-btn').classList.toggle('hidden', !unlocked);
+    document.getElementById('vault-disable-btn').classList.toggle('hidden', !unlocked);
+  }
+
+  async enableVault() {
+    const passphrase = document.getElementById('vault-passphrase').value;
+    if (passphrase !== document.getElementById('vault-passphrase-confirm').value) {
+      this.showStatus('vault-status', '❌ The passphrases do not match', 'error');
+      return;
+    }
+
+    await this.runVaultAction(async () => {
+      await window.storageManager.enableVault(passphrase);
+      localStorage.removeItem('vto-photos');
+    }, '🔐 Vault turned on. Your API key and photos are now encrypted.');
+  }
+
+  // Run a vault change with the entered passphrase. reload re-reads the
+  // profile and photos, which become readable or unreadable with the change.
+  async runVaultAction(action, message, reload = false) {
+    const inputs = ['vault-passphrase', 'vault-passphrase-confirm'].map(id => document.getElementById(id));
+
+    try {
+      await action(inputs[0].value);
+      inputs.forEach(input => input.value = '');
+      this.showStatus('vault-status', message, 'success');
+
+      if (reload) {
+        delete this.userProfile.secrets;
+        this.userProfile.apiKey = '';
+        document.getElementById('gemini-api-key').value = '';
+        await this.loadExistingData();
+        this.updateUI();
+      }
+    } catch (error) {
+      this.showStatus('vault-status', `❌ ${error.message}`, 'error');
+    }
+
+    await this.updateVaultStatus();
+  }
+
+  // Download all data as a zip archive
+  async exportData() {
+    try {
+      const archive = await new DataArchive(window.storageManager).exportArchive({
+        includeSecrets: document.getElementById('export-include-secrets').checked
+      });
+
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(archive);
+      link.download = `virtual-try-on-${new Date().toISOString().slice(0, 10)}.zip`;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(link.href), 60000);
+
+      this.showStatus('data-status', `📦 Exported ${this.formatBytes(archive.size)}`, 'success');
+    } catch (error) {
+      console.error('Failed to export data:', error);
+      this.showStatus('data-status', `❌ Export failed: ${error.message}`, 'error');
+    }
+  }
+
+  // Merge an exported archive into the data here
+  async importData(file) {
+    try {
+      const summary = await new DataArchive(window.storageManager).importArchive(file);
+      const added = Object.values(summary.added).reduce((total, count) => total + count, 0);
+      const skipped = Object.values(summary.skipped).reduce((total, count) => total + count, 0);
+      this.showStatus('data-status', `✅ Imported ${added} item(s)${skipped > 0 ? `; ${skipped} were already here` : ''}`, 'success');
+
+      await this.loadExistingData();
+      this.updateUI();
+      this.updateProgress();
+      this.updateStorageUsage();
+    } catch (error) {
+      console.error('Failed to import data:', error);
+      this.showStatus('data-status', `❌ Import failed: ${error.message}`, 'error');
+    }
+  }
+
+  formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    if (bytes < 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    return `${(bytes / 1024 / 1024 / 1024).toFixed(1)} GB`;
+  }
+
   // Validate step completion
   validateStep(step) {
     let isValid = false;
 
     switch (step) {
       case 1:
-        isValid = this.userProfile.apiKey.length > 10;
+        isValid = this.isProviderConfigured();
         document.getElementById('test-api-btn').disabled = !isValid;
         break;
       case 2:
@@ -446,7 +632,7 @@ class VirtualTryOnOptions {
     document.getElementById('progress-text').textContent = `${Math.round(progress)}% Complete`;
 
     // Enable save button if all required steps are complete
-    const canComplete = this.userProfile.apiKey.length > 10 && this.uploadedPhotos.length >= 1;
+    const canComplete = this.isProviderConfigured() && this.uploadedPhotos.length >= 1;
     document.getElementById('save-btn').disabled = !canComplete;
 
     // Update section active states
@@ -464,8 +650,8 @@ class VirtualTryOnOptions {
   getCompletedSteps() {
     let completed = 0;
 
-    // Step 1: API Key (required)
-    if (this.userProfile.apiKey.length > 10) completed++;
+    // Step 1: AI provider (required)
+    if (this.isProviderConfigured()) completed++;
 
     // Step 2: Photos (required - at least 1 photo)
     if (this.uploadedPhotos.length >= 1) completed++;
@@ -504,6 +690,14 @@ class VirtualTryOnOptions {
       document.getElementById('gemini-api-key').value = this.userProfile.apiKey;
     }
 
+    // Populate AI provider
+    const aiProvider = this.userProfile.aiProvider || { type: 'gemini' };
+    document.getElementById('ai-provider').value = aiProvider.type || 'gemini';
+    document.getElementById('provider-base-url').value = aiProvider.baseUrl || '';
+    document.getElementById('provider-model').value = aiProvider.model || '';
+    document.getElementById('provider-image-model').value = aiProvider.imageModel || '';
+    this.updateProviderFields();
+
     // Populate measurements
     if (this.userProfile.measurements) {
       const measurements = this.userProfile.measurements;
@@ -536,6 +730,7 @@ class VirtualTryOnOptions {
       document.getElementById('save-try-ons').checked = prefs.saveTryOns !== false;
       document.getElementById('high-quality-processing').checked = prefs.highQualityProcessing === true;
       document.getElementById('default-category').value = prefs.defaultCategory || 'auto';
+      document.getElementById('storage-cap').value = prefs.storageCapMB ?? '';
     }
 
     // Update photo display
@@ -584,6 +779,7 @@ class VirtualTryOnOptions {
       // Reset local state
       this.userProfile = {
         apiKey: '',
+        aiProvider: { type: 'gemini' },
         photos: [],
         measurements: {},
         preferences: {},
@@ -593,6 +789,11 @@ class VirtualTryOnOptions {
 
       // Reset UI
       document.getElementById('gemini-api-key').value = '';
+      document.getElementById('ai-provider').value = 'gemini';
+      ['provider-base-url', 'provider-model', 'provider-image-model'].forEach(id => {
+        document.getElementById(id).value = '';
+      });
+      this.updateProviderFields();
       document.querySelectorAll('input[type="number"]').forEach(input => input.value = '');
       document.querySelectorAll('input[type="checkbox"]').forEach(input => {
         input.checked = input.id === 'save-try-ons'; // Default checked
@@ -600,6 +801,8 @@ class VirtualTryOnOptions {
       document.getElementById('default-category').value = 'auto';
 
       this.updatePhotoDisplay();
+      this.updateStorageUsage();
+      await this.updateVaultStatus();
       this.updateProgress();
 
       alert('All data has been reset successfully.');
@@ -4,6 +4,8 @@ class VirtualTryOnPopup {
   constructor() {
     this.userProfile = null;
     this.recentTryOns = [];
+    this.itemPicker = new ItemPicker();
+    this.jobClient = new TryOnJobClient();
     this.init();
   }
 
@@ -11,6 +13,8 @@ class VirtualTryOnPopup {
     await this.loadUserData();
     this.setupEventListeners();
     this.setupMessageListener();
+    this.loadRequestQueueState();
+    this.watchRunningJob();
     this.updateUI();
     await this.checkContentScriptStatus();
   }
@@ -22,19 +26,100 @@ class VirtualTryOnPopup {
         console.log('Received results from content script:', request.result);
         this.displayResultsInPopup(request.result);
         sendResponse({ success: true });
+      } else if (request.action === 'requestQueueUpdated') {
+        this.updateRequestQueueStatus(request.state);
       }
     });
   }
 
+  async loadRequestQueueState() {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getRequestQueueState' });
+      if (response?.success) {
+        this.updateRequestQueueStatus(response.state);
+      }
+    } catch (error) {
+      console.warn('Failed to load request queue state:', error);
+    }
+  }
+
+  // Show running, waiting and rate-limited AI requests from the background queue
+  updateRequestQueueStatus(state) {
+    const element = document.getElementById('request-queue-status');
+    clearTimeout(this.queueStatusTimer);
+
+    if (!state || state.running + state.queued + state.retrying === 0) {
+      element.style.display = 'none';
+      return;
+    }
+
+    const parts = [`${state.running} running`];
+    if (state.queued > 0) {
+      parts.push(`${state.queued} waiting`);
+    }
+
+    const retryTimes = state.lanes.map(lane => lane.nextRetryAt).filter(Boolean);
+    if (retryTimes.length > 0) {
+      const seconds = Math.max(0, Math.ceil((Math.min(...retryTimes) - Date.now()) / 1000));
+      parts.push(`${state.retrying} rate limited, retrying in ${seconds}s`);
+      // Keep the countdown moving until the next update arrives
+      this.queueStatusTimer = setTimeout(() => this.updateRequestQueueStatus(state), 1000);
+    }
+
+    element.textContent = `⏳ AI requests: ${parts.join(' · ')}`;
+    element.style.display = 'block';
+  }
+
+  // Follow a try-on the page started before the popup opened
+  async watchRunningJob() {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getTryOnJobs' });
+      const job = response?.jobs?.find(candidate => candidate.status === 'running');
+      if (!job) return;
+
+      const result = await this.jobClient.watch(job.id, { onProgress: job => this.updateJobStatus(job) });
+      if (result.success) {
+        await this.refreshRecentTryOns();
+      }
+    } catch (error) {
+      console.warn('Failed to follow try-on job:', error);
+    } finally {
+      this.updateJobStatus(null);
+    }
+  }
+
+  // Run a processImage/generateTryOn request as a job, showing its progress
+  async runTryOnJob(request) {
+    try {
+      return await this.jobClient.run(request, { onProgress: job => this.updateJobStatus(job) });
+    } finally {
+      this.updateJobStatus(null);
+    }
+  }
+
+  // Stage, percent and a cancel button for the running job; null hides it
+  updateJobStatus(job) {
+    const element = document.getElementById('tryon-job-status');
+    if (!job || job.status !== 'running') {
+      element.style.display = 'none';
+      return;
+    }
+
+    document.getElementById('tryon-job-label').textContent = `${job.label || 'Working'}... ${job.percent}%`;
+    document.getElementById('tryon-job-progress').style.width = `${job.percent}%`;
+    document.getElementById('tryon-job-cancel').disabled = false;
+    element.style.display = 'block';
+  }
+
   // Load user data from storage
   async loadUserData() {
     try {
       const result = await chrome.storage.local.get(['userProfile', 'recentTryOns']);
       this.userProfile = result.userProfile || null;
-      this.recentTryOns = result.recentTryOns || [];
+      this.recentTryOns = await this.resolveRecentThumbnails(result.recentTryOns || []);
 
-      // Clean up any external URLs in recent try-ons to prevent CSP violations
-      // Also fix any broken thumbnails
+      // recentTryOns is an index of the newest tryOnResults records, kept by StorageManager.
+      // Replace external or broken thumbnails to prevent CSP violations
       this.recentTryOns = this.recentTryOns.map(item => {
         if (!item.thumbnail ||
             item.thumbnail.startsWith('http') ||
@@ -46,11 +131,6 @@ class VirtualTryOnPopup {
         }
         return item;
       });
-
-      // Save cleaned data back to storage
-      if (result.recentTryOns && result.recentTryOns.length !== this.recentTryOns.length) {
-        await chrome.storage.local.set({ recentTryOns: this.recentTryOns });
-      }
     } catch (error) {
       console.error('Failed to load user data:', error);
     }
@@ -58,6 +138,12 @@ class VirtualTryOnPopup {
 
   // Setup event listeners
   setupEventListeners() {
+    // Cancel the running try-on job; its requests are aborted in the background
+    document.getElementById('tryon-job-cancel').addEventListener('click', (event) => {
+      event.target.disabled = true;
+      this.jobClient.cancel();
+    });
+
     // Settings button
     document.getElementById('settings-btn').addEventListener('click', () => {
       chrome.runtime.openOptionsPage();
@@ -96,7 +182,19 @@ class VirtualTryOnPopup {
       this.processImageUrl();
     });
 
+    // Recent try-ons open in the history page
+    document.getElementById('recent-list').addEventListener('click', (e) => {
+      const item = e.target.closest('.recent-item');
+      if (item) {
+        this.viewTryOnHistory(item.dataset.id);
+      }
+    });
+
     // Footer links
+    document.getElementById('wardrobe-btn').addEventListener('click', () => {
+      chrome.tabs.create({ url: chrome.runtime.getURL('wardrobe/wardrobe.html') });
+    });
+
     document.getElementById('help-btn').addEventListener('click', () => {
       this.showHelp();
     });
@@ -149,6 +247,17 @@ class VirtualTryOnPopup {
     this.updateRecentTryOns();
   }
 
+  // recentTryOns thumbnails are references into the IndexedDB images store
+  async resolveRecentThumbnails(entries) {
+    try {
+      await window.storageManagerReady;
+      return await window.storageManager.resolveImages(entries, 'objectUrl');
+    } catch (error) {
+      console.warn('⚠️ Could not load recent try-on thumbnails:', error);
+      return entries.map(entry => ({ ...entry, thumbnail: typeof entry.thumbnail === 'string' ? entry.thumbnail : null }));
+    }
+  }
+
   // Update recent try-ons list
   updateRecentTryOns() {
     const recentList = document.getElementById('recent-list');
@@ -176,11 +285,11 @@ class VirtualTryOnPopup {
   createRecentItemHTML(item) {
     const date = new Date(item.timestamp).toLocaleDateString();
     return `
-      <div class="recent-item" data-id="${item.id}">
-        <img src="${item.thumbnail}" alt="Try-on result" class="recent-item-image">
+      <div class="recent-item" data-id="${ItemPicker.escapeHtml(item.id)}">
+        <img src="${ItemPicker.escapeHtml(item.thumbnail)}" alt="Try-on result" class="recent-item-image">
         <div class="recent-item-info">
-          <div class="recent-item-title">${item.title || 'Try-on Result'}</div>
-          <div class="recent-item-date">${date}</div>
+          <div class="recent-item-title">${item.favorite ? '★ ' : ''}${ItemPicker.escapeHtml(item.title || 'Try-on Result')}</div>
+          <div class="recent-item-date">${date}${item.site ? ` · ${ItemPicker.escapeHtml(item.site)}` : ''}</div>
         </div>
       </div>
     `;
@@ -380,39 +489,38 @@ class VirtualTryOnPopup {
       // Validate URL
       new URL(imageUrl);
       
-      // Send to background script for processing
-      const response = await chrome.runtime.sendMessage({
+      // Run as a background job so progress shows and it can be cancelled
+      this.hideUrlModal();
+      const response = await this.runTryOnJob({
         action: 'processImage',
         imageData: { url: imageUrl },
         options: {
           type: 'clothing_detection',
-          source: 'url_input'
+          source: 'url_input',
+          pickItems: true
         }
       });
       
       if (response.success) {
         console.log('URL processing successful:', response.result);
 
-        // Show detailed results
-        this.showProcessingResults(response.result);
-        this.hideUrlModal();
-
-        // Add to recent try-ons with better info
-        const detectedItems = response.result.aiData?.items || response.result.mockData?.items || [];
-        const firstItem = detectedItems[0];
-        const processingMethod = response.result.aiData?.processingMethod || response.result.mockData?.processingMethod || 'unknown';
-
-        this.addRecentTryOn({
-          id: Date.now().toString(),
-          title: firstItem ? `${firstItem.type} (${firstItem.color})` : 'URL Try-on',
-          thumbnail: 'data:image/svg+xml;charset=utf-8,<svg xmlns="http://www.w3.org/2000/svg" width="40" height="40" viewBox="0 0 24 24" fill="none" stroke="%23666" stroke-width="1.5"><rect x="3" y="3" width="18" height="18" rx="2" ry="2"/><circle cx="8.5" cy="8.5" r="1.5"/><path d="m21 15-3.086-3.086a2 2 0 0 0-2.828 0L12 15"/></svg>',
-          timestamp: Date.now(),
-          result: response.result,
-          processingMethod: processingMethod
+        // Several garments detected: let the user choose which to try on
+        const result = await this.itemPicker.resolveSelection(response.result, {
+          source: 'url_input',
+          runJob: request => this.runTryOnJob(request)
         });
+        if (!result) {
+          return;
+        }
+
+        // Show detailed results
+        this.showProcessingResults(result);
+
+        // The background saved the result; refresh the recent list from its index
+        await this.refreshRecentTryOns();
       } else {
         console.log('URL processing failed:', response);
-        this.showNotification('Failed to process image: ' + (response?.error || 'Unknown error'), 'error');
+        this.showNotification(response?.cancelled ? 'Try-on cancelled' : 'Failed to process image: ' + (response?.error || 'Unknown error'), 'error');
       }
     } catch (error) {
       console.error('URL processing error:', error);
@@ -420,20 +528,9 @@ class VirtualTryOnPopup {
     }
   }
 
-  // Add recent try-on
-  async addRecentTryOn(item) {
-    this.recentTryOns.unshift(item);
-    
-    // Keep only last 20 items
-    if (this.recentTryOns.length > 20) {
-      this.recentTryOns = this.recentTryOns.slice(0, 20);
-    }
-    
-    // Save to storage
-    await chrome.storage.local.set({
-      recentTryOns: this.recentTryOns
-    });
-    
+  // Reload the recent try-ons index written by StorageManager
+  async refreshRecentTryOns() {
+    await this.loadUserData();
     this.updateRecentTryOns();
   }
 
@@ -568,7 +665,7 @@ class VirtualTryOnPopup {
     let html = '';
 
     // Processing method indicator
-    const isAI = processingMethod.includes('gemini');
+    const isAI = processingMethod.endsWith('-ai');
     const isMock = processingMethod.includes('mock');
     const methodIcon = isAI ? '🤖' : (isMock ? '🔧' : '⚙️');
     const methodText = isAI ? 'AI Analysis' : (isMock ? 'Mock Detection' : 'Processing');
@@ -654,6 +751,7 @@ class VirtualTryOnPopup {
     const tryOnData = result.tryOnData;
     const clothingItems = result.clothingItems || [];
     const detectionData = result.detectionData;
+    this.lastTryOnResult = result;
 
     // Build try-on results HTML
     let html = '';
@@ -702,8 +800,58 @@ class VirtualTryOnPopup {
         <span class="result-label">⏰ Generated:</span>
         <span class="result-value">${new Date(tryOnData.timestamp).toLocaleTimeString()}</span>
       </div>
+
+      ${tryOnData.fromCache ? `
+        <div class="result-item cached-result">
+          <span class="result-label">♻️ Reused:</span>
+          <span class="result-value">Same photo and item as an earlier try-on</span>
+          ${clothingItems.length > 0 ? '<button id="regenerate-tryon-btn" class="link-btn">Regenerate</button>' : ''}
+        </div>
+      ` : ''}
     </div>`;
 
+    // Product details read from the shop page
+    const product = clothingItems.find(item => item.product)?.product;
+    if (product) {
+      const price = product.price != null ? ` · ${product.price}${product.currency ? ' ' + product.currency : ''}` : '';
+      html += `<div class="tryon-details">
+        <div class="result-item">
+          <span class="result-label">🏷️ Product:</span>
+          <span class="result-value">${ItemPicker.escapeHtml(product.name || 'Unknown')}${product.brand ? ' by ' + ItemPicker.escapeHtml(product.brand) : ''}${ItemPicker.escapeHtml(price)}</span>
+        </div>
+        ${product.sizes?.length ? `<div class="result-item">
+          <span class="result-label">📏 Sizes:</span>
+          <span class="result-value">${ItemPicker.escapeHtml(product.sizes.join(', '))}</span>
+        </div>` : ''}
+      </div>`;
+    }
+
+    // Size recommendations from the page's size chart and the profile measurements
+    const sizedItems = tryOnData.sizeRecommendation
+      ? [{ label: 'Recommended size', recommendation: tryOnData.sizeRecommendation }]
+      : (tryOnData.outfitItems || [])
+        .filter(item => item.sizeRecommendation)
+        .map(item => ({ label: item.type || item.category, recommendation: item.sizeRecommendation }));
+    if (sizedItems.length > 0) {
+      html += `<div class="tryon-details size-recommendation">`;
+      sizedItems.forEach(({ label, recommendation }) => {
+        html += `<div class="result-item">
+          <span class="result-label">📏 ${ItemPicker.escapeHtml(label)}:</span>
+          <span class="result-value">${ItemPicker.escapeHtml(recommendation.recommendedSize)} (${ItemPicker.escapeHtml(recommendation.fit)})</span>
+        </div>`;
+        Object.entries(recommendation.margins).forEach(([measurement, entry]) => {
+          const margin = entry.margin === 0
+            ? 'within range'
+            : `${entry.margin > 0 ? '+' : ''}${entry.margin} ${recommendation.unit} ${entry.margin > 0 ? 'room' : 'tight'}`;
+          html += `<div class="result-item size-margin">
+            <span class="result-label">${ItemPicker.escapeHtml(measurement)}</span>
+            <span class="result-value">${ItemPicker.escapeHtml(margin)}</span>
+          </div>`;
+        });
+      });
+      html += `</div>`;
+    }
+
     // Enhanced analysis results if available
     if (tryOnData.fitAnalysis || tryOnData.visualResult || tryOnData.stylingAssessment) {
       html += `<div class="enhanced-analysis">
@@ -782,17 +930,32 @@ class VirtualTryOnPopup {
       </div>`;
     }
 
+    // Shortlist controls for the saved result
+    if (tryOnData.savedId) {
+      html += `<div class="tryon-shortlist">
+        <div class="shortlist-row">
+          <button id="shortlist-favorite" class="shortlist-favorite" title="Favorite">☆</button>
+          <select id="shortlist-rating" title="Rating">
+            <option value="">Rate…</option>
+            ${[5, 4, 3, 2, 1].map(rating => `<option value="${rating}">${'★'.repeat(rating)}</option>`).join('')}
+          </select>
+          <input type="text" id="shortlist-tags" placeholder="Tags, comma separated">
+        </div>
+        <textarea id="shortlist-notes" rows="2" placeholder="Notes for this look"></textarea>
+      </div>`;
+    }
+
     // Action buttons
     html += `<div class="tryon-actions">
-      <button class="action-btn primary" onclick="window.virtualTryOnPopup.viewTryOnHistory()">
+      <button id="view-history-btn" class="action-btn primary">
         📚 View History
       </button>
-      ${hasGeneratedImage ? `
-        <button class="action-btn secondary" onclick="window.virtualTryOnPopup.refineImage('${tryOnData.id}')">
+      ${hasGeneratedImage && tryOnData.savedId ? `
+        <button id="refine-image-btn" class="action-btn secondary">
           ✨ Refine Image
         </button>
       ` : ''}
-      <button class="action-btn secondary" onclick="window.virtualTryOnPopup.shareTryOn('${tryOnData.id}')">
+      <button id="share-tryon-btn" class="action-btn secondary">
         📤 Share Result
       </button>
     </div>`;
@@ -801,58 +964,116 @@ class VirtualTryOnPopup {
     resultsContent.innerHTML = html;
     resultsSection.style.display = 'block';
 
-    // Add try-on to recent history
-    this.addRecentTryOn({
-      id: tryOnData.id,
-      thumbnail: tryOnData.thumbnail,
-      category: clothingItems[0]?.category || 'clothing',
-      timestamp: tryOnData.timestamp,
-      description: tryOnData.description,
-      confidence: tryOnData.confidence
-    });
+    document.getElementById('regenerate-tryon-btn')?.addEventListener('click', () => this.regenerateTryOn());
+    document.getElementById('view-history-btn').addEventListener('click', () => this.viewTryOnHistory());
+    document.getElementById('refine-image-btn')?.addEventListener('click', () => this.refineImage(tryOnData.savedId));
+    document.getElementById('share-tryon-btn').addEventListener('click', () => this.shareTryOn(String(tryOnData.id)));
+
+    if (tryOnData.savedId) {
+      this.setupShortlist(tryOnData.savedId);
+    }
+
+    // The result is already saved; show it in the recent list
+    this.refreshRecentTryOns();
 
     // Scroll to results
     resultsSection.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
   }
 
-  // View try-on history
-  viewTryOnHistory() {
-    // Switch to recent try-ons tab
-    const recentTab = document.querySelector('[data-tab="recent"]');
-    if (recentTab) {
-      recentTab.click();
-    }
-  }
-
-  // Refine generated image
-  async refineImage(tryOnId) {
-    const refinement = prompt('How would you like to refine this try-on image?\n\nExamples:\n- "Adjust the lighting to be brighter"\n- "Make the fit more relaxed"\n- "Improve the color matching"');
-    
-    if (!refinement) return;
+  // Generate the displayed try-on again instead of reusing the cached result
+  async regenerateTryOn() {
+    const result = this.lastTryOnResult;
+    if (!result?.clothingItems?.length) return;
 
     try {
-      this.showNotification('Refining image...', 'info');
-      
-      // Send refinement request to background script
-      const response = await chrome.runtime.sendMessage({
-        action: 'refineImage',
-        tryOnId: tryOnId,
-        refinementPrompt: refinement
+      const response = await this.runTryOnJob({
+        action: 'generateTryOn',
+        clothingItems: result.clothingItems,
+        userPhotoId: result.userPhotoId,
+        options: {
+          outfit: result.clothingItems.length > 1,
+          forceRegenerate: true,
+          source: 'regenerate'
+        }
       });
 
       if (response.success) {
-        this.showNotification('Image refined successfully!', 'success');
-        // Refresh the results display
-        this.displayResultsInPopup(response.result);
-      } else {
-        this.showNotification('Failed to refine image: ' + response.error, 'error');
+        this.displayResultsInPopup({
+          type: 'virtual_tryon_complete',
+          message: response.message,
+          tryOnData: response.tryOnData,
+          clothingItems: result.clothingItems,
+          userPhotoId: response.userPhotoId
+        });
+      } else if (!response.cancelled) {
+        this.showNotification('Failed to regenerate: ' + (response.error || 'Unknown error'), 'error');
       }
     } catch (error) {
-      console.error('Image refinement error:', error);
-      this.showNotification('Failed to refine image', 'error');
+      console.error('Regeneration failed:', error);
+      this.showNotification('Failed to regenerate try-on', 'error');
+    }
+  }
+
+  // Favorite, rating, tags and notes on the displayed result
+  async setupShortlist(resultId) {
+    try {
+      await window.storageManagerReady;
+      let result = await window.storageManager.getTryOnResult(resultId);
+      if (!result) return;
+
+      const favoriteButton = document.getElementById('shortlist-favorite');
+      const ratingSelect = document.getElementById('shortlist-rating');
+      const tagsInput = document.getElementById('shortlist-tags');
+      const notesInput = document.getElementById('shortlist-notes');
+
+      const render = () => {
+        favoriteButton.textContent = result.favorite ? '★' : '☆';
+        favoriteButton.classList.toggle('active', !!result.favorite);
+        ratingSelect.value = result.rating ? String(result.rating) : '';
+        tagsInput.value = (result.tags || []).join(', ');
+        notesInput.value = result.notes || '';
+      };
+
+      const update = async (method, value) => {
+        try {
+          result = await window.storageManager[method](resultId, value);
+          render();
+          await this.refreshRecentTryOns();
+        } catch (error) {
+          console.error('Failed to update try-on result:', error);
+          this.showNotification('Failed to update result: ' + error.message, 'error');
+        }
+      };
+
+      favoriteButton.addEventListener('click', () => update('setTryOnFavorite', !result.favorite));
+      ratingSelect.addEventListener('change', () => update('setTryOnRating', ratingSelect.value ? Number(ratingSelect.value) : null));
+      tagsInput.addEventListener('change', () => update('setTryOnTags', tagsInput.value.split(',')));
+      notesInput.addEventListener('change', () => update('setTryOnNotes', notesInput.value));
+
+      render();
+    } catch (error) {
+      console.error('Failed to load shortlist controls:', error);
     }
   }
 
+  // Open the history page, optionally showing one result full size
+  viewTryOnHistory(resultId = null) {
+    const query = resultId ? `?id=${encodeURIComponent(resultId)}` : '';
+    chrome.tabs.create({ url: chrome.runtime.getURL(`history/history.html${query}`) });
+  }
+
+  // Refine generated image in the conversational refinement panel
+  refineImage(tryOnId) {
+    if (!this.refinementPanel) {
+      this.refinementPanel = new RefinementPanel();
+    }
+
+    this.refinementPanel.open(Number(tryOnId), {
+      // Keep the results section on the version the panel shows
+      onChange: (result) => this.displayResultsInPopup(result)
+    });
+  }
+
   // Share try-on result
   shareTryOn(tryOnId) {
     // For now, just copy the ID to clipboard
@@ -0,0 +1,45 @@
+// Fixture Export Script - Run from extension popup console
+// Downloads every API fixture captured in record mode as its own JSON file.
+// Drop the files into tests/harness/fixtures/recorded/ to replay them offline.
+//
+// To capture fixtures, run this first from the service worker console:
+//   chrome.storage.local.set({ apiRecorder: { mode: 'record' } })
+// then use the extension as normal. Set mode back to 'off' when done.
+
+console.log('📼 Exporting recorded API fixtures...');
+
+async function exportFixtures() {
+  try {
+    const { apiFixtures = {}, apiRecorder } = await chrome.storage.local.get(['apiFixtures', 'apiRecorder']);
+    const fixtures = Object.values(apiFixtures);
+
+    console.log('  Recorder mode:', apiRecorder?.mode || 'off');
+    console.log('  Fixtures found:', fixtures.length);
+
+    if (fixtures.length === 0) {
+      console.log('💡 Enable record mode and run a try-on to capture fixtures');
+      return;
+    }
+
+    fixtures.forEach(fixture => {
+      const blob = new Blob([JSON.stringify(fixture, null, 2)], { type: 'application/json' });
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(blob);
+      link.download = `${fixture.model}-${fixture.id.slice(0, 16)}.json`;
+      link.click();
+      URL.revokeObjectURL(link.href);
+
+      console.log(`  ✅ ${link.download}`, {
+        status: fixture.response.status,
+        recordedAt: fixture.recordedAt
+      });
+    });
+
+    console.log('\n🧹 To clear captured fixtures: chrome.storage.local.remove("apiFixtures")');
+
+  } catch (error) {
+    console.error('❌ Fixture export failed:', error);
+  }
+}
+
+exportFixtures();
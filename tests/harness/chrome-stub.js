@@ -0,0 +1,270 @@
+// Minimal chrome.* API stub for the offline test harness
+// Covers the storage (local and session), runtime (including ports), tabs,
+// contextMenus, alarms, notifications and idle calls made by the
+// extension scripts. Every async method supports both promise and callback style.
+
+'use strict';
+
+function createEvent() {
+  const listeners = [];
+  return {
+    listeners: listeners,
+    addListener: listener => listeners.push(listener),
+    removeListener: listener => {
+      const index = listeners.indexOf(listener);
+      if (index !== -1) listeners.splice(index, 1);
+    },
+    hasListener: listener => listeners.includes(listener),
+    dispatch: (...args) => listeners.map(listener => listener(...args))
+  };
+}
+
+// Resolve a promise and also invoke a trailing callback if one was passed
+function settle(promise, callback) {
+  if (typeof callback === 'function') {
+    promise.then(value => callback(value), () => callback(undefined));
+  }
+  return promise;
+}
+
+// Two connected runtime.Port ends. Messages are JSON-serialized and delivered
+// asynchronously; disconnecting one end fires onDisconnect on the other.
+function createPortPair(name, sender) {
+  const ends = [0, 1].map(() => ({
+    name: name,
+    connected: true,
+    onMessage: createEvent(),
+    onDisconnect: createEvent()
+  }));
+
+  ends.forEach((end, index) => {
+    const other = ends[1 - index];
+    end.postMessage = message => {
+      if (!end.connected) throw new Error('Attempting to use a disconnected port object');
+      const copy = JSON.parse(JSON.stringify(message));
+      setTimeout(() => {
+        if (other.connected) other.onMessage.dispatch(copy, other);
+      }, 0);
+    };
+    end.disconnect = () => {
+      if (!end.connected) return;
+      end.connected = false;
+      other.connected = false;
+      setTimeout(() => other.onDisconnect.dispatch(other), 0);
+    };
+  });
+  ends[1].sender = sender;
+
+  return ends;
+}
+
+function createStorageArea(initialData = {}) {
+  let data = structuredClone(initialData);
+  const onChanged = createEvent();
+
+  function pick(keys) {
+    if (keys === null || keys === undefined) return structuredClone(data);
+    if (typeof keys === 'string') keys = [keys];
+    if (Array.isArray(keys)) {
+      const result = {};
+      for (const key of keys) {
+        if (key in data) result[key] = structuredClone(data[key]);
+      }
+      return result;
+    }
+    // Object form supplies defaults
+    const result = {};
+    for (const [key, fallback] of Object.entries(keys)) {
+      result[key] = key in data ? structuredClone(data[key]) : fallback;
+    }
+    return result;
+  }
+
+  function emitChanges(changes) {
+    if (Object.keys(changes).length > 0) onChanged.dispatch(changes, 'local');
+  }
+
+  return {
+    onChanged: onChanged,
+
+    get(keys, callback) {
+      if (typeof keys === 'function') {
+        callback = keys;
+        keys = null;
+      }
+      return settle(Promise.resolve(pick(keys)), callback);
+    },
+
+    set(items, callback) {
+      const changes = {};
+      for (const [key, value] of Object.entries(items)) {
+        changes[key] = { oldValue: data[key], newValue: structuredClone(value) };
+        data[key] = structuredClone(value);
+      }
+      emitChanges(changes);
+      return settle(Promise.resolve(), callback);
+    },
+
+    remove(keys, callback) {
+      const changes = {};
+      for (const key of [].concat(keys)) {
+        if (key in data) {
+          changes[key] = { oldValue: data[key] };
+          delete data[key];
+        }
+      }
+      emitChanges(changes);
+      return settle(Promise.resolve(), callback);
+    },
+
+    clear(callback) {
+      data = {};
+      return settle(Promise.resolve(), callback);
+    },
+
+    getBytesInUse(keys, callback) {
+      if (typeof keys === 'function') {
+        callback = keys;
+        keys = null;
+      }
+      const bytes = JSON.stringify(pick(keys)).length;
+      return settle(Promise.resolve(bytes), callback);
+    },
+
+    // Test helpers
+    dump: () => structuredClone(data),
+    reset: (next = {}) => { data = structuredClone(next); }
+  };
+}
+
+/**
+ * Create a fresh chrome stub.
+ * @param {Object} options - { storage: initial chrome.storage.local contents, extensionId }
+ */
+function createChromeStub(options = {}) {
+  const extensionId = options.extensionId || 'test-extension-id';
+  const local = createStorageArea(options.storage);
+  const session = createStorageArea();
+  const onMessage = createEvent();
+  const sentToTabs = [];
+  const createdMenus = [];
+
+  const runtime = {
+    id: extensionId,
+    lastError: undefined,
+    onInstalled: createEvent(),
+    onStartup: createEvent(),
+    onMessage: onMessage,
+    onConnect: createEvent(),
+
+    getURL: path => `chrome-extension://${extensionId}/${String(path).replace(/^\//, '')}`,
+    getManifest: () => options.manifest || { manifest_version: 3, version: '0.0.0-test' },
+    openOptionsPage: callback => settle(Promise.resolve(), callback),
+
+    // Open a port to the onConnect listeners and return the caller's end
+    connect(connectInfo = {}) {
+      const [page, worker] = createPortPair(connectInfo.name || '', { id: extensionId, tab: options.senderTab });
+      runtime.onConnect.dispatch(worker);
+      return page;
+    },
+
+    // Deliver a message to every onMessage listener, honouring `return true`
+    // for asynchronous sendResponse, and resolve with the first response.
+    sendMessage(message, callback) {
+      const promise = new Promise(resolve => {
+        let responded = false;
+        let keepOpen = false;
+        const sendResponse = response => {
+          if (!responded) {
+            responded = true;
+            resolve(response);
+          }
+        };
+        const sender = { id: extensionId, tab: options.senderTab };
+
+        for (const listener of onMessage.listeners) {
+          const result = listener(message, sender, sendResponse);
+          if (result === true) keepOpen = true;
+          else if (result && typeof result.then === 'function') {
+            keepOpen = true;
+            result.then(sendResponse);
+          }
+        }
+
+        if (!keepOpen && !responded) resolve(undefined);
+      });
+      return settle(promise, callback);
+    }
+  };
+
+  const tabs = {
+    sentMessages: sentToTabs,
+    query: (queryInfo, callback) => settle(Promise.resolve([]), callback),
+    create: (createProperties, callback) => settle(Promise.resolve({ id: 1, ...createProperties }), callback),
+    sendMessage(tabId, message, callback) {
+      sentToTabs.push({ tabId, message });
+      return settle(Promise.resolve(undefined), callback);
+    },
+    captureVisibleTab(windowId, captureOptions, callback) {
+      const screenshot = options.screenshot || 'data:image/png;base64,';
+      return settle(Promise.resolve(screenshot), callback);
+    }
+  };
+
+  const contextMenus = {
+    created: createdMenus,
+    onClicked: createEvent(),
+    create(properties, callback) {
+      createdMenus.push(properties);
+      if (typeof callback === 'function') callback();
+      return properties.id;
+    },
+    removeAll: callback => settle(Promise.resolve(), callback)
+  };
+
+  const alarmsByName = new Map();
+  const alarms = {
+    active: alarmsByName,
+    onAlarm: createEvent(),
+    create(name, alarmInfo) {
+      alarmsByName.set(name, { name, ...alarmInfo });
+      return Promise.resolve();
+    },
+    get: (name, callback) => settle(Promise.resolve(alarmsByName.get(name)), callback),
+    clear: (name, callback) => settle(Promise.resolve(alarmsByName.delete(name)), callback),
+    // Test helper: fire an alarm as Chrome would
+    fire: name => alarms.onAlarm.dispatch(alarmsByName.get(name) || { name })
+  };
+
+  const shownNotifications = [];
+  const notifications = {
+    shown: shownNotifications,
+    onClicked: createEvent(),
+    create(notificationId, notificationOptions, callback) {
+      shownNotifications.push({ id: notificationId, ...notificationOptions });
+      return settle(Promise.resolve(notificationId), callback);
+    },
+    clear: (notificationId, callback) => settle(Promise.resolve(true), callback)
+  };
+
+  const idle = {
+    detectionInterval: 60,
+    onStateChanged: createEvent(),
+    setDetectionInterval: seconds => { idle.detectionInterval = seconds; },
+    queryState: (seconds, callback) => settle(Promise.resolve('active'), callback),
+    // Test helper: report a new idle state as Chrome would
+    setState: state => idle.onStateChanged.dispatch(state)
+  };
+
+  return {
+    runtime: runtime,
+    storage: { local: local, session: session, onChanged: local.onChanged },
+    tabs: tabs,
+    contextMenus: contextMenus,
+    alarms: alarms,
+    notifications: notifications,
+    idle: idle
+  };
+}
+
+module.exports = { createChromeStub, createEvent };
@@ -0,0 +1,124 @@
+// Loads extension scripts into an isolated VM context that looks like the
+// MV3 service worker: chrome.* stubs, an in-memory IndexedDB, fetch and
+// importScripts resolved against the repository root.
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const { createChromeStub } = require('./chrome-stub');
+const { createIndexedDB } = require('./fake-indexeddb');
+
+const REPO_ROOT = path.resolve(__dirname, '..', '..');
+
+// FileReader is not available in Node; only readAsDataURL is needed
+class FileReaderStub {
+  constructor() {
+    this.result = null;
+    this.error = null;
+    this.onload = null;
+    this.onerror = null;
+    this.onloadend = null;
+  }
+
+  readAsDataURL(blob) {
+    blob.arrayBuffer().then(buffer => {
+      const base64 = Buffer.from(buffer).toString('base64');
+      this.result = `data:${blob.type || 'application/octet-stream'};base64,${base64}`;
+      if (this.onload) this.onload({ target: this });
+      if (this.onloadend) this.onloadend({ target: this });
+    }, error => {
+      this.error = error;
+      if (this.onerror) this.onerror({ target: this });
+      if (this.onloadend) this.onloadend({ target: this });
+    });
+  }
+}
+
+// Console that stays quiet unless VTO_TEST_DEBUG is set
+function createConsole() {
+  if (process.env.VTO_TEST_DEBUG) return console;
+  const noop = () => {};
+  return { log: noop, info: noop, debug: noop, warn: noop, error: noop, group: noop, groupEnd: noop, table: noop };
+}
+
+/**
+ * Create a service-worker-like context.
+ * @param {Object} options
+ * @param {Object} [options.storage] - Initial chrome.storage.local contents
+ * @param {Function} [options.fetch] - Replacement fetch implementation
+ * @param {Object} [options.globals] - Extra globals (e.g. OffscreenCanvas stubs)
+ * @param {Object} [options.indexedDB] - Another context's IndexedDB, to simulate a worker restart
+ */
+function createExtensionContext(options = {}) {
+  const chrome = createChromeStub({ storage: options.storage });
+  const databases = createIndexedDB();
+  const indexedDB = options.indexedDB || databases.indexedDB;
+  const IDBKeyRange = databases.IDBKeyRange;
+
+  const sandbox = {
+    chrome: chrome,
+    indexedDB: indexedDB,
+    IDBKeyRange: IDBKeyRange,
+    console: createConsole(),
+    fetch: options.fetch || fetch,
+    Headers: Headers,
+    Request: Request,
+    Response: Response,
+    AbortController: AbortController,
+    AbortSignal: AbortSignal,
+    Blob: Blob,
+    FormData: FormData,
+    FileReader: FileReaderStub,
+    TextEncoder: TextEncoder,
+    TextDecoder: TextDecoder,
+    URL: URL,
+    URLSearchParams: URLSearchParams,
+    crypto: globalThis.crypto,
+    structuredClone: structuredClone,
+    atob: atob,
+    btoa: btoa,
+    setTimeout: setTimeout,
+    clearTimeout: clearTimeout,
+    setInterval: setInterval,
+    clearInterval: clearInterval,
+    queueMicrotask: queueMicrotask,
+    navigator: { userAgent: 'node-test-harness' },
+    ...options.globals
+  };
+
+  sandbox.self = sandbox;
+  sandbox.globalThis = sandbox;
+  sandbox.importScripts = (...files) => files.forEach(file => loadScript(file));
+
+  const context = vm.createContext(sandbox);
+
+  function loadScript(file) {
+    const filename = path.join(REPO_ROOT, file);
+    const source = fs.readFileSync(filename, 'utf8');
+    vm.runInContext(source, context, { filename: filename });
+  }
+
+  return {
+    chrome: chrome,
+    indexedDB: indexedDB,
+    global: sandbox,
+    loadScript: loadScript,
+
+    // Evaluate an expression inside the context (e.g. a class name)
+    evaluate: code => vm.runInContext(code, context),
+
+    // Load background.js and everything it imports
+    loadBackground() {
+      loadScript('background.js');
+      return this;
+    },
+
+    // Send a runtime message as a content script or popup would
+    sendMessage: message => chrome.runtime.sendMessage(message)
+  };
+}
+
+module.exports = { createExtensionContext, REPO_ROOT };
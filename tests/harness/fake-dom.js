@@ -0,0 +1,149 @@
+// Minimal DOM for testing content-script parsers in Node: elements with
+// attributes, text and children, and querySelector(All) supporting tag,
+// #id, .class and [attr], [attr="v"], [attr*="v"], [attr~="v"] selectors,
+// descendant combinators and comma-separated groups.
+
+'use strict';
+
+class FakeElement {
+  constructor(tagName, attributes = {}, children = []) {
+    this.tagName = tagName.toUpperCase();
+    this.attributes = { ...attributes };
+    this.parentElement = null;
+    this.children = [];
+    this.text = '';
+
+    for (const child of [].concat(children)) {
+      if (typeof child === 'string') {
+        this.text += child;
+      } else {
+        child.parentElement = this;
+        this.children.push(child);
+      }
+    }
+  }
+
+  get textContent() {
+    return this.text + this.children.map(child => child.textContent).join('');
+  }
+
+  getAttribute(name) {
+    return Object.prototype.hasOwnProperty.call(this.attributes, name) ? String(this.attributes[name]) : null;
+  }
+
+  hasAttribute(name) {
+    return Object.prototype.hasOwnProperty.call(this.attributes, name);
+  }
+
+  get classList() {
+    const classes = (this.getAttribute('class') || '').split(/\s+/).filter(Boolean);
+    return { contains: name => classes.includes(name) };
+  }
+
+  querySelectorAll(selector) {
+    const groups = parseSelector(selector);
+    const matches = [];
+    const visit = element => {
+      for (const child of element.children) {
+        if (groups.some(group => matchesGroup(child, group, this))) {
+          matches.push(child);
+        }
+        visit(child);
+      }
+    };
+    visit(this);
+    return matches;
+  }
+
+  querySelector(selector) {
+    return this.querySelectorAll(selector)[0] || null;
+  }
+
+  closest(selector) {
+    const groups = parseSelector(selector);
+    let element = this;
+    while (element && element.tagName !== '#DOCUMENT') {
+      if (groups.some(group => matchesGroup(element, group, null))) {
+        return element;
+      }
+      element = element.parentElement;
+    }
+    return null;
+  }
+}
+
+// "a b, c[x]" -> [[compound a, compound b], [compound c]]
+function parseSelector(selector) {
+  return selector.split(',').map(group => {
+    const compounds = group.trim().match(/(?:[^\s[\]]+|\[[^\]]*\])+/g) || [];
+    return compounds.map(parseCompound);
+  });
+}
+
+function parseCompound(text) {
+  const compound = { tag: null, id: null, classes: [], attributes: [] };
+  const pattern = /^[a-zA-Z*][\w-]*|#[\w-]+|\.[\w-]+|\[\s*([\w:-]+)\s*(?:([*~^$]?=)\s*"([^"]*)")?\s*\]/g;
+  let match;
+  while ((match = pattern.exec(text))) {
+    const token = match[0];
+    if (token.startsWith('#')) {
+      compound.id = token.slice(1);
+    } else if (token.startsWith('.')) {
+      compound.classes.push(token.slice(1));
+    } else if (token.startsWith('[')) {
+      compound.attributes.push({ name: match[1], operator: match[2] || null, value: match[3] });
+    } else if (token !== '*') {
+      compound.tag = token.toUpperCase();
+    }
+  }
+  return compound;
+}
+
+function matchesCompound(element, compound) {
+  if (compound.tag && element.tagName !== compound.tag) return false;
+  if (compound.id && element.getAttribute('id') !== compound.id) return false;
+  if (!compound.classes.every(name => element.classList.contains(name))) return false;
+
+  return compound.attributes.every(({ name, operator, value }) => {
+    const actual = element.getAttribute(name);
+    if (actual === null) return false;
+    switch (operator) {
+      case null: return true;
+      case '=': return actual === value;
+      case '*=': return actual.includes(value);
+      case '^=': return actual.startsWith(value);
+      case '$=': return actual.endsWith(value);
+      case '~=': return actual.split(/\s+/).includes(value);
+      default: return false;
+    }
+  });
+}
+
+// Last compound matches the element, earlier ones match ancestors below `root`
+function matchesGroup(element, compounds, root) {
+  if (!matchesCompound(element, compounds[compounds.length - 1])) return false;
+
+  let ancestor = element.parentElement;
+  for (let index = compounds.length - 2; index >= 0; index--) {
+    while (ancestor && ancestor !== root && !matchesCompound(ancestor, compounds[index])) {
+      ancestor = ancestor.parentElement;
+    }
+    if (!ancestor || ancestor === root) return false;
+    ancestor = ancestor.parentElement;
+  }
+  return true;
+}
+
+/** Create an element: h('div', { class: 'x' }, [h('span', {}, 'text')]) */
+function h(tagName, attributes = {}, children = []) {
+  return new FakeElement(tagName, attributes, children);
+}
+
+/** Create a document whose children are the given elements */
+function createDocument(children = [], options = {}) {
+  const doc = new FakeElement('#document', {}, children);
+  doc.location = { href: options.url || 'https://shop.example/' };
+  return doc;
+}
+
+module.exports = { FakeElement, h, createDocument };
@@ -0,0 +1,886 @@
+// In-memory IndexedDB for the offline test harness
+// Implements the subset of the API the extension uses: versioned open with
+// onupgradeneeded, object stores with keyPath/autoIncrement, indexes, cursors,
+// key ranges and transactions that auto-commit (and roll back on abort).
+// tests/offline/fake-indexeddb.test.js checks it against the spec's upgrade,
+// unique index and cursor ordering rules.
+
+'use strict';
+
+// Deep copy stored values the way structured clone would
+function cloneValue(value) {
+  return value === undefined ? undefined : structuredClone(value);
+}
+
+// Rank key types in IndexedDB order: number < date < string < binary < array
+// (tag checks rather than instanceof, as values may come from another realm)
+function keyTypeRank(key) {
+  const tag = Object.prototype.toString.call(key);
+  if (typeof key === 'number') return 1;
+  if (tag === '[object Date]') return 2;
+  if (typeof key === 'string') return 3;
+  if (tag === '[object ArrayBuffer]' || ArrayBuffer.isView(key)) return 4;
+  if (Array.isArray(key)) return 5;
+  return 0;
+}
+
+function isValidKey(key) {
+  if (typeof key === 'number') return !Number.isNaN(key);
+  if (Array.isArray(key)) return key.every(isValidKey);
+  return keyTypeRank(key) > 0;
+}
+
+function compareKeys(a, b) {
+  const rankA = keyTypeRank(a);
+  const rankB = keyTypeRank(b);
+  if (rankA !== rankB) return rankA < rankB ? -1 : 1;
+
+  if (Array.isArray(a)) {
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+      const result = compareKeys(a[i], b[i]);
+      if (result !== 0) return result;
+    }
+    return a.length === b.length ? 0 : (a.length < b.length ? -1 : 1);
+  }
+
+  const valueA = rankA === 2 ? a.getTime() : a;
+  const valueB = rankB === 2 ? b.getTime() : b;
+  if (valueA === valueB) return 0;
+  return valueA < valueB ? -1 : 1;
+}
+
+function domError(name, message) {
+  const error = new Error(message);
+  error.name = name;
+  return error;
+}
+
+// Read a (possibly dotted or compound) key path from a value
+function extractKey(value, keyPath) {
+  if (Array.isArray(keyPath)) {
+    const keys = keyPath.map(path => extractKey(value, path));
+    return keys.some(key => key === undefined) ? undefined : keys;
+  }
+
+  let current = value;
+  for (const part of keyPath.split('.')) {
+    if (current === null || current === undefined || typeof current !== 'object') {
+      return undefined;
+    }
+    current = current[part];
+  }
+  return current;
+}
+
+function injectKey(value, keyPath, key) {
+  const parts = keyPath.split('.');
+  let current = value;
+  for (let i = 0; i < parts.length - 1; i++) {
+    current[parts[i]] = current[parts[i]] || {};
+    current = current[parts[i]];
+  }
+  current[parts[parts.length - 1]] = key;
+}
+
+class FakeIDBKeyRange {
+  constructor(lower, upper, lowerOpen, upperOpen) {
+    this.lower = lower;
+    this.upper = upper;
+    this.lowerOpen = !!lowerOpen;
+    this.upperOpen = !!upperOpen;
+  }
+
+  includes(key) {
+    if (this.lower !== undefined) {
+      const result = compareKeys(key, this.lower);
+      if (result < 0 || (result === 0 && this.lowerOpen)) return false;
+    }
+    if (this.upper !== undefined) {
+      const result = compareKeys(key, this.upper);
+      if (result > 0 || (result === 0 && this.upperOpen)) return false;
+    }
+    return true;
+  }
+
+  static only(value) {
+    return new FakeIDBKeyRange(value, value, false, false);
+  }
+
+  static lowerBound(lower, open = false) {
+    return new FakeIDBKeyRange(lower, undefined, open, true);
+  }
+
+  static upperBound(upper, open = false) {
+    return new FakeIDBKeyRange(undefined, upper, true, open);
+  }
+
+  static bound(lower, upper, lowerOpen = false, upperOpen = false) {
+    return new FakeIDBKeyRange(lower, upper, lowerOpen, upperOpen);
+  }
+}
+
+function toRange(query) {
+  if (query === undefined || query === null) return null;
+  if (query instanceof FakeIDBKeyRange) return query;
+  return FakeIDBKeyRange.only(query);
+}
+
+// Array-backed DOMStringList
+function stringList(names) {
+  const list = [...names].sort();
+  list.contains = name => list.includes(name);
+  list.item = index => list[index] ?? null;
+  return list;
+}
+
+class FakeIDBRequest {
+  constructor(source, transaction) {
+    this.source = source;
+    this.transaction = transaction;
+    this.readyState = 'pending';
+    this.result = undefined;
+    this.error = null;
+    this.onsuccess = null;
+    this.onerror = null;
+    this.listeners = { success: [], error: [] };
+  }
+
+  addEventListener(type, listener) {
+    (this.listeners[type] = this.listeners[type] || []).push(listener);
+  }
+
+  removeEventListener(type, listener) {
+    this.listeners[type] = (this.listeners[type] || []).filter(item => item !== listener);
+  }
+
+  dispatch(type, extra = {}) {
+    const event = {
+      type: type,
+      target: this,
+      currentTarget: this,
+      defaultPrevented: false,
+      preventDefault() { this.defaultPrevented = true; },
+      stopPropagation() {},
+      ...extra
+    };
+    const handler = this[`on${type}`];
+    if (typeof handler === 'function') handler.call(this, event);
+    for (const listener of this.listeners[type] || []) listener.call(this, event);
+    return event;
+  }
+}
+
+class FakeIDBOpenDBRequest extends FakeIDBRequest {
+  constructor() {
+    super(null, null);
+    this.onupgradeneeded = null;
+    this.onblocked = null;
+    this.listeners.upgradeneeded = [];
+    this.listeners.blocked = [];
+  }
+}
+
+// Persistent per-store data, shared by every connection to the database
+class StoreData {
+  constructor(name, keyPath, autoIncrement) {
+    this.name = name;
+    this.keyPath = keyPath ?? null;
+    this.autoIncrement = !!autoIncrement;
+    this.keyGenerator = 1;
+    this.records = []; // Sorted [{ key, value }]
+    this.indexes = new Map(); // name -> { name, keyPath, unique, multiEntry }
+  }
+
+  clone() {
+    const copy = new StoreData(this.name, this.keyPath, this.autoIncrement);
+    copy.keyGenerator = this.keyGenerator;
+    copy.records = this.records.map(record => ({ key: record.key, value: record.value }));
+    copy.indexes = new Map([...this.indexes].map(([name, index]) => [name, { ...index }]));
+    return copy;
+  }
+
+  findPosition(key) {
+    let low = 0;
+    let high = this.records.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (compareKeys(this.records[mid].key, key) < 0) low = mid + 1;
+      else high = mid;
+    }
+    return low;
+  }
+
+  get(key) {
+    const position = this.findPosition(key);
+    const record = this.records[position];
+    return record && compareKeys(record.key, key) === 0 ? record : null;
+  }
+
+  indexKeys(index, value) {
+    const key = extractKey(value, index.keyPath);
+    if (key === undefined) return [];
+    if (index.multiEntry && Array.isArray(key)) {
+      return key.filter(isValidKey).filter((item, i, all) => all.findIndex(other => compareKeys(other, item) === 0) === i);
+    }
+    return isValidKey(key) ? [key] : [];
+  }
+
+  // Entries of an index as [{ key: indexKey, primaryKey, value }], sorted
+  indexEntries(index) {
+    const entries = [];
+    for (const record of this.records) {
+      for (const key of this.indexKeys(index, record.value)) {
+        entries.push({ key: key, primaryKey: record.key, value: record.value });
+      }
+    }
+    return entries.sort((a, b) => compareKeys(a.key, b.key) || compareKeys(a.primaryKey, b.primaryKey));
+  }
+
+  checkUnique(value, primaryKey) {
+    for (const index of this.indexes.values()) {
+      if (!index.unique) continue;
+      for (const key of this.indexKeys(index, value)) {
+        const clash = this.indexEntries(index).find(entry =>
+          compareKeys(entry.key, key) === 0 && compareKeys(entry.primaryKey, primaryKey) !== 0);
+        if (clash) {
+          throw domError('ConstraintError', `Unique index "${index.name}" already contains key`);
+        }
+      }
+    }
+  }
+
+  write(value, explicitKey, overwrite) {
+    let key = explicitKey;
+    const stored = cloneValue(value);
+
+    if (this.keyPath !== null) {
+      if (explicitKey !== undefined) {
+        throw domError('DataError', 'Key provided for a store with an inline key path');
+      }
+      key = extractKey(stored, this.keyPath);
+      if (key === undefined && this.autoIncrement) {
+        key = this.keyGenerator;
+        injectKey(stored, this.keyPath, key);
+      }
+    } else if (key === undefined && this.autoIncrement) {
+      key = this.keyGenerator;
+    }
+
+    if (!isValidKey(key)) {
+      throw domError('DataError', 'Record does not have a valid key');
+    }
+
+    if (this.autoIncrement && typeof key === 'number' && key >= this.keyGenerator) {
+      this.keyGenerator = Math.floor(key) + 1;
+    }
+
+    const existing = this.get(key);
+    if (existing && !overwrite) {
+      throw domError('ConstraintError', 'Key already exists in the object store');
+    }
+    this.checkUnique(stored, key);
+
+    if (existing) {
+      existing.value = stored;
+    } else {
+      this.records.splice(this.findPosition(key), 0, { key: key, value: stored });
+    }
+    return key;
+  }
+
+  deleteRange(range) {
+    this.records = this.records.filter(record => !range.includes(record.key));
+  }
+}
+
+class DatabaseData {
+  constructor(name) {
+    this.name = name;
+    this.version = 0;
+    this.stores = new Map();
+    this.connections = new Set();
+  }
+
+  snapshot() {
+    return {
+      version: this.version,
+      stores: new Map([...this.stores].map(([name, store]) => [name, store.clone()]))
+    };
+  }
+
+  restore(snapshot) {
+    this.version = snapshot.version;
+    this.stores = snapshot.stores;
+  }
+}
+
+class FakeIDBIndex {
+  constructor(objectStore, meta) {
+    this.objectStore = objectStore;
+    this.meta = meta;
+  }
+
+  get name() { return this.meta.name; }
+  get keyPath() { return this.meta.keyPath; }
+  get unique() { return this.meta.unique; }
+  get multiEntry() { return this.meta.multiEntry; }
+
+  entries(query) {
+    const range = toRange(query);
+    return this.objectStore.data().indexEntries(this.meta).filter(entry => !range || range.includes(entry.key));
+  }
+
+  get(query) {
+    return this.objectStore.transaction.request(this, () => {
+      const entry = this.entries(query)[0];
+      return entry ? cloneValue(entry.value) : undefined;
+    });
+  }
+
+  getKey(query) {
+    return this.objectStore.transaction.request(this, () => this.entries(query)[0]?.primaryKey);
+  }
+
+  getAll(query, count) {
+    return this.objectStore.transaction.request(this, () =>
+      this.entries(query).slice(0, count || undefined).map(entry => cloneValue(entry.value)));
+  }
+
+  getAllKeys(query, count) {
+    return this.objectStore.transaction.request(this, () =>
+      this.entries(query).slice(0, count || undefined).map(entry => entry.primaryKey));
+  }
+
+  count(query) {
+    return this.objectStore.transaction.request(this, () => this.entries(query).length);
+  }
+
+  openCursor(query, direction = 'next') {
+    return this.objectStore.transaction.cursorRequest(this, () => this.entries(query), direction, true);
+  }
+
+  openKeyCursor(query, direction = 'next') {
+    return this.objectStore.transaction.cursorRequest(this, () => this.entries(query), direction, false);
+  }
+}
+
+class FakeIDBObjectStore {
+  constructor(transaction, name) {
+    this.transaction = transaction;
+    this.name = name;
+  }
+
+  data() {
+    const store = this.transaction.db.data.stores.get(this.name);
+    if (!store) {
+      throw domError('InvalidStateError', `Object store "${this.name}" has been deleted`);
+    }
+    return store;
+  }
+
+  get keyPath() { return this.data().keyPath; }
+  get autoIncrement() { return this.data().autoIncrement; }
+  get indexNames() { return stringList(this.data().indexes.keys()); }
+
+  entries(query) {
+    const range = toRange(query);
+    return this.data().records
+      .filter(record => !range || range.includes(record.key))
+      .map(record => ({ key: record.key, primaryKey: record.key, value: record.value }));
+  }
+
+  add(value, key) {
+    this.transaction.assertWritable();
+    return this.transaction.request(this, () => this.data().write(value, key, false));
+  }
+
+  put(value, key) {
+    this.transaction.assertWritable();
+    return this.transaction.request(this, () => this.data().write(value, key, true));
+  }
+
+  get(query) {
+    return this.transaction.request(this, () => {
+      const entry = this.entries(query)[0];
+      return entry ? cloneValue(entry.value) : undefined;
+    });
+  }
+
+  getKey(query) {
+    return this.transaction.request(this, () => this.entries(query)[0]?.key);
+  }
+
+  getAll(query, count) {
+    return this.transaction.request(this, () =>
+      this.entries(query).slice(0, count || undefined).map(entry => cloneValue(entry.value)));
+  }
+
+  getAllKeys(query, count) {
+    return this.transaction.request(this, () =>
+      this.entries(query).slice(0, count || undefined).map(entry => entry.key));
+  }
+
+  count(query) {
+    return this.transaction.request(this, () => this.entries(query).length);
+  }
+
+  delete(query) {
+    this.transaction.assertWritable();
+    return this.transaction.request(this, () => {
+      this.data().deleteRange(toRange(query));
+      return undefined;
+    });
+  }
+
+  clear() {
+    this.transaction.assertWritable();
+    return this.transaction.request(this, () => {
+      this.data().records = [];
+      return undefined;
+    });
+  }
+
+  openCursor(query, direction = 'next') {
+    return this.transaction.cursorRequest(this, () => this.entries(query), direction, true);
+  }
+
+  openKeyCursor(query, direction = 'next') {
+    return this.transaction.cursorRequest(this, () => this.entries(query), direction, false);
+  }
+
+  index(name) {
+    const meta = this.data().indexes.get(name);
+    if (!meta) {
+      throw domError('NotFoundError', `Index "${name}" not found on "${this.name}"`);
+    }
+    return new FakeIDBIndex(this, meta);
+  }
+
+  createIndex(name, keyPath, options = {}) {
+    this.transaction.assertVersionChange();
+    const store = this.data();
+    if (store.indexes.has(name)) {
+      throw domError('ConstraintError', `Index "${name}" already exists`);
+    }
+
+    const meta = { name: name, keyPath: keyPath, unique: !!options.unique, multiEntry: !!options.multiEntry };
+    store.indexes.set(name, meta);
+
+    // Existing records must satisfy a new unique index
+    if (meta.unique) {
+      const keys = store.indexEntries(meta).map(entry => entry.key);
+      for (let i = 1; i < keys.length; i++) {
+        if (compareKeys(keys[i - 1], keys[i]) === 0) {
+          store.indexes.delete(name);
+          this.transaction.abortWith(domError('ConstraintError', `Existing records violate unique index "${name}"`));
+          break;
+        }
+      }
+    }
+    return new FakeIDBIndex(this, meta);
+  }
+
+  deleteIndex(name) {
+    this.transaction.assertVersionChange();
+    if (!this.data().indexes.delete(name)) {
+      throw domError('NotFoundError', `Index "${name}" not found on "${this.name}"`);
+    }
+  }
+}
+
+class FakeIDBCursor {
+  constructor(request, entries, direction, withValue) {
+    this.request = request;
+    this.entries = entries;
+    this.direction = direction;
+    this.withValue = withValue;
+    this.position = -1;
+    this.current = null;
+  }
+
+  get key() { return this.current?.key; }
+  get primaryKey() { return this.current?.primaryKey; }
+  get value() { return this.withValue ? this.current?.value : undefined; }
+
+  // Move to the next entry and return it, or null at the end
+  step(count = 1) {
+    this.position += count;
+    this.current = this.entries[this.position] || null;
+    if (this.current && this.withValue) {
+      this.current = { ...this.current, value: cloneValue(this.current.value) };
+    }
+    return this.current;
+  }
+
+  continue() {
+    this.request.transaction.queueCursorStep(this, 1);
+  }
+
+  advance(count) {
+    this.request.transaction.queueCursorStep(this, count);
+  }
+
+  update(value) {
+    const store = this.request.source.objectStore || this.request.source;
+    return store.put(value, store.keyPath === null ? this.primaryKey : undefined);
+  }
+
+  delete() {
+    const store = this.request.source.objectStore || this.request.source;
+    return store.delete(this.primaryKey);
+  }
+}
+
+class FakeIDBTransaction {
+  constructor(db, storeNames, mode) {
+    this.db = db;
+    this.storeNames = storeNames;
+    this.mode = mode;
+    this.error = null;
+    this.oncomplete = null;
+    this.onerror = null;
+    this.onabort = null;
+    this.listeners = { complete: [], error: [], abort: [] };
+    this.queue = [];
+    this.state = 'active';
+    this.snapshot = null;
+    this.scheduled = false;
+    this.schedule();
+  }
+
+  get objectStoreNames() {
+    return stringList(this.storeNames);
+  }
+
+  addEventListener(type, listener) {
+    (this.listeners[type] = this.listeners[type] || []).push(listener);
+  }
+
+  dispatch(type, event = { type: type, target: this }) {
+    const handler = this[`on${type}`];
+    if (typeof handler === 'function') handler.call(this, event);
+    for (const listener of this.listeners[type] || []) listener.call(this, event);
+  }
+
+  objectStore(name) {
+    if (!this.storeNames.includes(name)) {
+      throw domError('NotFoundError', `Object store "${name}" is not in this transaction`);
+    }
+    return new FakeIDBObjectStore(this, name);
+  }
+
+  assertActive() {
+    if (this.state !== 'active') {
+      throw domError('TransactionInactiveError', 'The transaction has finished');
+    }
+  }
+
+  assertWritable() {
+    this.assertActive();
+    if (this.mode === 'readonly') {
+      throw domError('ReadOnlyError', 'The transaction is read-only');
+    }
+    if (!this.snapshot && this.mode !== 'versionchange') {
+      this.snapshot = this.db.data.snapshot();
+    }
+  }
+
+  assertVersionChange() {
+    if (this.mode !== 'versionchange') {
+      throw domError('InvalidStateError', 'Schema changes require a versionchange transaction');
+    }
+  }
+
+  request(source, operation) {
+    this.assertActive();
+    const request = new FakeIDBRequest(source, this);
+    this.queue.push(() => {
+      try {
+        request.result = operation();
+        request.readyState = 'done';
+        request.dispatch('success');
+      } catch (error) {
+        this.failRequest(request, error);
+      }
+    });
+    this.schedule();
+    return request;
+  }
+
+  cursorRequest(source, getEntries, direction, withValue) {
+    this.assertActive();
+    const request = new FakeIDBRequest(source, this);
+    this.queue.push(() => {
+      try {
+        let entries = getEntries();
+        // Unique directions keep the lowest primary key of each key, also for 'prevunique'
+        if (direction.endsWith('unique')) {
+          entries = entries.filter((entry, i) => i === 0 || compareKeys(entries[i - 1].key, entry.key) !== 0);
+        }
+        if (direction === 'prev' || direction === 'prevunique') entries = entries.reverse();
+        const cursor = new FakeIDBCursor(request, entries, direction, withValue);
+        request.result = cursor.step() ? cursor : null;
+        request.readyState = 'done';
+        request.dispatch('success');
+      } catch (error) {
+        this.failRequest(request, error);
+      }
+    });
+    this.schedule();
+    return request;
+  }
+
+  queueCursorStep(cursor, count) {
+    this.assertActive();
+    this.queue.push(() => {
+      cursor.request.result = cursor.step(count) ? cursor : null;
+      cursor.request.dispatch('success');
+    });
+    this.schedule();
+  }
+
+  failRequest(request, error) {
+    request.error = error;
+    request.readyState = 'done';
+    const event = request.dispatch('error');
+    if (!event.defaultPrevented) {
+      this.error = error;
+      this.dispatch('error', { type: 'error', target: request, currentTarget: this });
+      this.abortWith(error);
+    }
+  }
+
+  schedule() {
+    if (this.scheduled) return;
+    this.scheduled = true;
+    setImmediate(() => {
+      this.scheduled = false;
+      this.run();
+    });
+  }
+
+  // Run the next queued request; commit once nothing is left
+  run() {
+    if (this.state !== 'active') return;
+
+    const next = this.queue.shift();
+    if (next) {
+      try {
+        next();
+      } catch (error) {
+        // Exceptions thrown from request handlers abort the transaction
+        this.abortWith(error);
+      }
+      this.schedule();
+      return;
+    }
+
+    this.commit();
+  }
+
+  commit() {
+    this.state = 'finished';
+    this.snapshot = null;
+    this.dispatch('complete');
+  }
+
+  abort() {
+    this.abortWith(domError('AbortError', 'The transaction was aborted'));
+  }
+
+  abortWith(error) {
+    if (this.state !== 'active') return;
+    this.state = 'finished';
+    this.queue = [];
+    this.error = this.error || error;
+    if (this.snapshot) {
+      this.db.data.restore(this.snapshot);
+    }
+    this.dispatch('abort', { type: 'abort', target: this, error: this.error });
+  }
+}
+
+class FakeIDBDatabase {
+  constructor(data) {
+    this.data = data;
+    this.closed = false;
+    this.onversionchange = null;
+    this.onclose = null;
+    data.connections.add(this);
+  }
+
+  get name() { return this.data.name; }
+  get version() { return this.data.version; }
+  get objectStoreNames() { return stringList(this.data.stores.keys()); }
+
+  transaction(storeNames, mode = 'readonly') {
+    if (this.closed) {
+      throw domError('InvalidStateError', 'The database connection is closing');
+    }
+    const names = Array.isArray(storeNames) ? storeNames : [storeNames];
+    for (const name of names) {
+      if (!this.data.stores.has(name)) {
+        throw domError('NotFoundError', `Object store "${name}" not found`);
+      }
+    }
+    return new FakeIDBTransaction(this, names, mode);
+  }
+
+  createObjectStore(name, options = {}) {
+    if (!this.upgradeTransaction) {
+      throw domError('InvalidStateError', 'createObjectStore requires a versionchange transaction');
+    }
+    if (this.data.stores.has(name)) {
+      throw domError('ConstraintError', `Object store "${name}" already exists`);
+    }
+    this.data.stores.set(name, new StoreData(name, options.keyPath, options.autoIncrement));
+    this.upgradeTransaction.storeNames.push(name);
+    return new FakeIDBObjectStore(this.upgradeTransaction, name);
+  }
+
+  deleteObjectStore(name) {
+    if (!this.upgradeTransaction) {
+      throw domError('InvalidStateError', 'deleteObjectStore requires a versionchange transaction');
+    }
+    if (!this.data.stores.delete(name)) {
+      throw domError('NotFoundError', `Object store "${name}" not found`);
+    }
+  }
+
+  close() {
+    this.closed = true;
+    this.data.connections.delete(this);
+  }
+}
+
+class FakeIDBFactory {
+  constructor() {
+    this.databases = new Map();
+    this.upgrades = new Map(); // name -> promise settled when its upgrade ends
+  }
+
+  open(name, version) {
+    const request = new FakeIDBOpenDBRequest();
+
+    const attempt = () => {
+      // Like a browser, wait for another connection's upgrade to finish
+      if (this.upgrades.has(name)) {
+        this.upgrades.get(name).then(attempt);
+        return;
+      }
+
+      let data = this.databases.get(name);
+      const isNew = !data;
+      if (isNew) {
+        data = new DatabaseData(name);
+      }
+
+      const requestedVersion = version === undefined ? Math.max(data.version, 1) : version;
+      if (requestedVersion < data.version) {
+        request.error = domError('VersionError', `Requested version ${requestedVersion} is lower than ${data.version}`);
+        request.readyState = 'done';
+        request.dispatch('error');
+        return;
+      }
+
+      if (isNew) {
+        this.databases.set(name, data);
+      }
+
+      const db = new FakeIDBDatabase(data);
+      if (requestedVersion === data.version) {
+        request.result = db;
+        request.readyState = 'done';
+        request.dispatch('success');
+        return;
+      }
+
+      // Close other connections, as a real browser would ask them to
+      for (const connection of data.connections) {
+        if (connection !== db && typeof connection.onversionchange === 'function') {
+          connection.onversionchange({ oldVersion: data.version, newVersion: requestedVersion });
+        }
+      }
+
+      const snapshot = data.snapshot();
+      const oldVersion = data.version;
+      data.version = requestedVersion;
+
+      let upgradeEnded;
+      this.upgrades.set(name, new Promise(resolve => { upgradeEnded = resolve; }));
+      const endUpgrade = () => {
+        this.upgrades.delete(name);
+        upgradeEnded();
+      };
+
+      const transaction = new FakeIDBTransaction(db, [...data.stores.keys()], 'versionchange');
+      db.upgradeTransaction = transaction;
+      request.transaction = transaction;
+      request.result = db;
+
+      transaction.addEventListener('complete', () => {
+        db.upgradeTransaction = null;
+        request.transaction = null;
+        request.readyState = 'done';
+        request.dispatch('success');
+        endUpgrade();
+      });
+
+      transaction.addEventListener('abort', () => {
+        data.restore(snapshot);
+        if (isNew && data.version === 0) {
+          this.databases.delete(name);
+        }
+        db.upgradeTransaction = null;
+        db.close();
+        request.transaction = null;
+        request.result = undefined;
+        // The open request always fails with AbortError; transaction.error has the cause
+        request.error = domError('AbortError', 'Version change transaction was aborted');
+        request.readyState = 'done';
+        request.dispatch('error');
+        endUpgrade();
+      });
+
+      try {
+        request.dispatch('upgradeneeded', { oldVersion: oldVersion, newVersion: requestedVersion });
+      } catch (error) {
+        transaction.abortWith(domError('AbortError', `upgradeneeded handler threw: ${error.message}`));
+      }
+    };
+
+    setImmediate(attempt);
+    return request;
+  }
+
+  deleteDatabase(name) {
+    const request = new FakeIDBOpenDBRequest();
+    setImmediate(() => {
+      const data = this.databases.get(name);
+      if (data) {
+        for (const connection of data.connections) connection.close();
+      }
+      this.databases.delete(name);
+      request.readyState = 'done';
+      request.dispatch('success', { oldVersion: data ? data.version : 0, newVersion: null });
+    });
+    return request;
+  }
+
+  databasesList() {
+    return [...this.databases.values()].map(data => ({ name: data.name, version: data.version }));
+  }
+
+  cmp(a, b) {
+    return compareKeys(a, b);
+  }
+}
+
+function createIndexedDB() {
+  return {
+    indexedDB: new FakeIDBFactory(),
+    IDBKeyRange: FakeIDBKeyRange
+  };
+}
+
+module.exports = { createIndexedDB, FakeIDBKeyRange, compareKeys };
@@ -0,0 +1,45 @@
+// File-backed fixture store for ApiRecorder (lib/api-recorder.js)
+// Uses the same file names as tests/debug/export-fixtures.js, so fixtures
+// exported from the extension can be dropped straight into the directory.
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+class FixtureDirectoryStore {
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  fileNameFor(fixture) {
+    return `${fixture.model}-${fixture.id.slice(0, 16)}.json`;
+  }
+
+  async list() {
+    if (!fs.existsSync(this.directory)) return {};
+
+    const fixtures = {};
+    for (const file of fs.readdirSync(this.directory).filter(name => name.endsWith('.json')).sort()) {
+      const fixture = JSON.parse(fs.readFileSync(path.join(this.directory, file), 'utf8'));
+      fixtures[fixture.id] = fixture;
+    }
+    return fixtures;
+  }
+
+  async get(id) {
+    const fixtures = await this.list();
+    return fixtures[id] || null;
+  }
+
+  async put(fixture) {
+    fs.mkdirSync(this.directory, { recursive: true });
+    fs.writeFileSync(path.join(this.directory, this.fileNameFor(fixture)), JSON.stringify(fixture, null, 2) + '\n');
+  }
+
+  async clear() {
+    fs.rmSync(this.directory, { recursive: true, force: true });
+  }
+}
+
+module.exports = { FixtureDirectoryStore };
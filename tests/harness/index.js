@@ -0,0 +1,43 @@
+// Entry point for the offline test harness
+
+'use strict';
+
+const { createChromeStub } = require('./chrome-stub');
+const { createIndexedDB } = require('./fake-indexeddb');
+const { createExtensionContext, REPO_ROOT } = require('./extension-context');
+const { h, createDocument } = require('./fake-dom');
+const { FixtureDirectoryStore } = require('./fixture-directory-store');
+const { startMockGeminiServer, loadFixture, TINY_PNG_BASE64 } = require('./mock-gemini-server');
+
+const TEST_API_KEY = 'test-api-key-0123456789';
+const TINY_PNG_DATA_URL = `data:image/png;base64,${TINY_PNG_BASE64}`;
+
+// chrome.storage.local contents for a profile pointed at the mock server
+function mockProfileStorage(server, overrides = {}) {
+  return {
+    userProfile: {
+      apiKey: TEST_API_KEY,
+      aiProvider: { type: 'gemini', baseUrl: server.baseUrl },
+      photos: [],
+      measurements: {},
+      preferences: {},
+      ...overrides
+    }
+  };
+}
+
+module.exports = {
+  createChromeStub,
+  createIndexedDB,
+  createExtensionContext,
+  createDocument,
+  h,
+  FixtureDirectoryStore,
+  startMockGeminiServer,
+  loadFixture,
+  mockProfileStorage,
+  REPO_ROOT,
+  TEST_API_KEY,
+  TINY_PNG_BASE64,
+  TINY_PNG_DATA_URL
+};
@@ -0,0 +1,123 @@
+// Local mock of the Gemini generateContent endpoint
+// Replays canned responses from tests/harness/fixtures/gemini so the
+// detection, try-on and analysis flows can run without network access.
+
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'gemini');
+
+// 1x1 PNG served for image URL requests
+const TINY_PNG_BASE64 = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==';
+
+function loadFixture(name) {
+  const file = path.join(FIXTURE_DIR, name.endsWith('.json') ? name : `${name}.json`);
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// Pick the default fixture for a request based on the model and prompt text
+function defaultFixtureFor(model, requestBody) {
+  const parts = requestBody?.contents?.[0]?.parts || [];
+  const prompt = parts.map(part => part.text || '').join('\n');
+
+  if (model.includes('image')) return 'tryon-image';
+  if (prompt.includes('detect clothing items')) return 'detection';
+  if (prompt.includes('virtual try-on result')) return 'analysis';
+  if (prompt.includes('safety and appropriateness')) return 'safety';
+  return 'safety';
+}
+
+/**
+ * Start a mock Gemini server on a random local port.
+ *
+ * Responses are taken from a FIFO queue filled with `enqueue()`; when the
+ * queue is empty the server answers with the default fixture for the request.
+ * A queued response is a fixture name or `{ status, headers, body, delayMs }`.
+ */
+async function startMockGeminiServer() {
+  const queue = [];
+  const requests = [];
+  const imageFetches = [];
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => handle(req, res, Buffer.concat(chunks).toString('utf8')));
+  });
+
+  function send(res, response) {
+    const status = response.status || 200;
+    const headers = { 'Content-Type': 'application/json', ...(response.headers || {}) };
+    const body = typeof response.body === 'string' ? response.body : JSON.stringify(response.body ?? {});
+    const write = () => {
+      if (res.destroyed) return;
+      res.writeHead(status, headers);
+      res.end(body);
+    };
+    if (response.delayMs) setTimeout(write, response.delayMs);
+    else write();
+  }
+
+  function handle(req, res, rawBody) {
+    const url = new URL(req.url, 'http://127.0.0.1');
+
+    if (req.method === 'GET' && url.pathname.startsWith('/images/')) {
+      imageFetches.push(url.pathname);
+      res.writeHead(200, { 'Content-Type': 'image/png' });
+      res.end(Buffer.from(TINY_PNG_BASE64, 'base64'));
+      return;
+    }
+
+    const match = url.pathname.match(/^\/v1beta\/models\/([^/:]+):generateContent$/);
+    if (req.method !== 'POST' || !match) {
+      send(res, { status: 404, body: { error: { code: 404, message: `No mock for ${req.method} ${url.pathname}`, status: 'NOT_FOUND' } } });
+      return;
+    }
+
+    let body = null;
+    try {
+      body = JSON.parse(rawBody);
+    } catch (error) {
+      send(res, { status: 400, body: { error: { code: 400, message: 'Invalid JSON payload received.', status: 'INVALID_ARGUMENT' } } });
+      return;
+    }
+
+    const model = match[1];
+    requests.push({ model: model, apiKey: url.searchParams.get('key'), headers: req.headers, body: body });
+
+    let next = queue.length > 0 ? queue.shift() : defaultFixtureFor(model, body);
+    if (typeof next === 'function') next = next({ model, body });
+    send(res, typeof next === 'string' ? loadFixture(next) : next);
+  }
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const origin = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    origin: origin,
+    baseUrl: `${origin}/v1beta`,
+    imageUrl: name => `${origin}/images/${name || 'garment.png'}`,
+    requests: requests,
+    imageFetches: imageFetches,
+
+    enqueue(...responses) {
+      queue.push(...responses);
+    },
+
+    reset() {
+      queue.length = 0;
+      requests.length = 0;
+      imageFetches.length = 0;
+    },
+
+    close() {
+      server.closeAllConnections?.();
+      return new Promise(resolve => server.close(() => resolve()));
+    }
+  };
+}
+
+module.exports = { startMockGeminiServer, loadFixture, TINY_PNG_BASE64 };
@@ -0,0 +1,152 @@
+// Record-and-replay of Gemini calls (lib/api-recorder.js)
+
+'use strict';
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  createExtensionContext,
+  FixtureDirectoryStore,
+  startMockGeminiServer,
+  REPO_ROOT,
+  TEST_API_KEY,
+  TINY_PNG_BASE64,
+  TINY_PNG_DATA_URL
+} = require('../harness');
+
+// Captures from the real API, and fixtures the recorder wrote against the mock
+// server (see the README in each directory)
+const RECORDED_DIR = path.join(REPO_ROOT, 'tests', 'harness', 'fixtures', 'recorded');
+const SYNTHETIC_DIR = path.join(REPO_ROOT, 'tests', 'harness', 'fixtures', 'synthetic-replay');
+
+let server;
+let tempRoot;
+let fixtureDir;
+let testCount = 0;
+
+before(async () => {
+  server = await startMockGeminiServer();
+  tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'vto-fixtures-'));
+});
+
+after(async () => {
+  await server.close();
+  fs.rmSync(tempRoot, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  server.reset();
+  fixtureDir = path.join(tempRoot, String(++testCount));
+});
+
+function createProvider(mode, directory = fixtureDir) {
+  const context = createExtensionContext();
+  context.loadScript('lib/api-recorder.js');
+  context.loadScript('lib/prompt-templates.js');
+  context.loadScript('lib/ai-provider.js');
+  context.loadScript('lib/response-validator.js');
+  context.loadScript('lib/providers/gemini-provider.js');
+
+  const recorder = new (context.evaluate('ApiRecorder'))({ mode, store: new FixtureDirectoryStore(directory) });
+  return context.evaluate('AIProvider').create({
+    type: 'gemini',
+    apiKey: TEST_API_KEY,
+    baseUrl: server.baseUrl,
+    recorder: recorder
+  });
+}
+
+function readFixtures(directory = fixtureDir) {
+  return fs.readdirSync(directory)
+    .filter(file => file.endsWith('.json'))
+    .map(file => JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8')));
+}
+
+test('record mode saves fixtures with keys and image data hashed', async () => {
+  const provider = createProvider('record');
+
+  await provider.detectClothing(TINY_PNG_DATA_URL);
+  await provider.generateTryOnImage(TINY_PNG_DATA_URL, TINY_PNG_DATA_URL, {});
+
+  const fixtures = readFixtures();
+  assert.equal(fixtures.length, 2);
+
+  const raw = fs.readdirSync(fixtureDir).map(file => fs.readFileSync(path.join(fixtureDir, file), 'utf8')).join('');
+  assert.ok(!raw.includes(TEST_API_KEY), 'API key must not be written to fixtures');
+  assert.ok(!raw.includes(TINY_PNG_BASE64), 'Inline image data must not be written to fixtures');
+
+  const imageFixture = fixtures.find(fixture => fixture.model === 'gemini-2.5-flash-image-preview');
+  assert.match(imageFixture.apiKeyHash, /^sha256:[0-9a-f]{12}$/);
+  assert.match(imageFixture.request.contents[0].parts[1].inline_data.data, /^sha256:[0-9a-f]{64}$/);
+  assert.match(imageFixture.response.body.candidates[0].content.parts[1].inlineData.data, /^sha256:/);
+});
+
+test('replay mode answers from fixtures without touching the network', async () => {
+  await createProvider('record').detectClothing(TINY_PNG_DATA_URL);
+  await createProvider('record').generateTryOnImage(TINY_PNG_DATA_URL, TINY_PNG_DATA_URL, {});
+  server.reset();
+
+  const provider = createProvider('replay');
+  const detection = await provider.detectClothing(TINY_PNG_DATA_URL);
+  const image = await provider.generateTryOnImage(TINY_PNG_DATA_URL, TINY_PNG_DATA_URL, {});
+
+  assert.equal(server.requests.length, 0);
+  assert.equal(detection.items[0].type, 't-shirt');
+  assert.equal(image.success, true);
+  assert.equal(image.generatedImage, TINY_PNG_BASE64); // Placeholder for the hashed image
+});
+
+test('replay matches on prompt and image hash', async () => {
+  await createProvider('record').detectClothing(TINY_PNG_DATA_URL, { category: 'tops' });
+
+  const provider = createProvider('replay');
+  await assert.rejects(provider.detectClothing(TINY_PNG_DATA_URL, { category: 'shoes' }), /No recorded fixture/);
+  await assert.rejects(provider.detectClothing('data:image/png;base64,AAAA', { category: 'tops' }), /No recorded fixture/);
+  assert.equal((await provider.detectClothing(TINY_PNG_DATA_URL, { category: 'tops' })).success, true);
+});
+
+test('recorded API errors replay as errors', async () => {
+  server.enqueue('rate-limit-429');
+  await assert.rejects(createProvider('record').detectClothing(TINY_PNG_DATA_URL), /429/);
+
+  await assert.rejects(createProvider('replay').detectClothing(TINY_PNG_DATA_URL), /API request failed: 429/);
+});
+
+test('every committed fixture still parses', async () => {
+  const fixtures = [RECORDED_DIR, SYNTHETIC_DIR].flatMap(directory => fs.existsSync(directory) ? readFixtures(directory) : []);
+  assert.ok(fixtures.length > 0, 'no committed fixtures');
+
+  const provider = createProvider('replay', tempRoot);
+  for (const fixture of fixtures.filter(item => item.response.status === 200)) {
+    const body = provider.recorder.restoreImages(fixture.response.body);
+    const prompt = fixture.request.contents[0].parts.map(part => part.text || '').join('\n');
+
+    if (fixture.model.includes('image')) {
+      assert.ok(provider.extractGeneratedImage(body), `${fixture.id}: no image extracted`);
+    } else if (prompt.includes('detect clothing items')) {
+      const result = provider.parseClothingDetectionResponse(body);
+      assert.equal(result.success, true, `${fixture.id}: detection did not parse`);
+      assert.ok(Array.isArray(result.items), `${fixture.id}: items missing`);
+    }
+  }
+});
+
+// Pins the recorder's file format, not real model output
+test('the synthetic fixtures replay a full try-on without the network', async () => {
+  const provider = createProvider('replay', SYNTHETIC_DIR);
+
+  const detection = await provider.detectClothing(TINY_PNG_DATA_URL, { category: 'tops' });
+  const image = await provider.generateTryOnImage(TINY_PNG_DATA_URL, TINY_PNG_DATA_URL, { category: 'tops' });
+  const analysis = await provider.analyzeTryOnResult(TINY_PNG_DATA_URL, TINY_PNG_DATA_URL, { category: 'tops' });
+
+  assert.equal(server.requests.length, 0);
+  assert.equal(detection.items[0].type, 't-shirt');
+  assert.equal(image.success, true);
+  assert.equal(image.generatedImage, TINY_PNG_BASE64);
+  assert.equal(analysis.advanced, true);
+  assert.equal(analysis.fitAnalysis.size_compatibility, 'good');
+});
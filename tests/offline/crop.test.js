@@ -0,0 +1,146 @@
+// Cropping detected items by boundingBox (ImageProcessor + processImage flow)
+
+'use strict';
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  createExtensionContext,
+  startMockGeminiServer,
+  mockProfileStorage,
+  TINY_PNG_DATA_URL
+} = require('../harness');
+
+let server;
+
+before(async () => {
+  server = await startMockGeminiServer();
+});
+
+after(() => server.close());
+
+beforeEach(() => server.reset());
+
+// OffscreenCanvas stand-in: the "cropped image" encodes the drawn rectangle
+function offscreenCanvasGlobals(imageWidth, imageHeight) {
+  class FakeOffscreenCanvas {
+    constructor(width, height) {
+      this.width = width;
+      this.height = height;
+      this.drawn = null;
+    }
+
+    getContext() {
+      return {
+        drawImage: (bitmap, x, y, width, height) => {
+          this.drawn = `crop:${x},${y},${width},${height}`;
+        }
+      };
+    }
+
+    async convertToBlob(options) {
+      return new Blob([this.drawn], { type: options.type });
+    }
+  }
+
+  return {
+    OffscreenCanvas: FakeOffscreenCanvas,
+    createImageBitmap: async () => ({ width: imageWidth, height: imageHeight, close() {} })
+  };
+}
+
+function createImageProcessor() {
+  const context = createExtensionContext();
+  context.loadScript('lib/image-processor.js');
+  return new (context.evaluate('ImageProcessor'))();
+}
+
+test('resolveCropArea handles normalized, pixel and 0-1000 boxes', () => {
+  const processor = createImageProcessor();
+  const resolve = box => ({ ...processor.resolveCropArea(box, 400, 200) });
+
+  assert.deepEqual(resolve({ x: 0.25, y: 0.1, width: 0.5, height: 0.5 }), { x: 100, y: 20, width: 200, height: 100 });
+  assert.deepEqual(resolve({ x: 10, y: 20, width: 100, height: 50 }), { x: 10, y: 20, width: 100, height: 50 });
+  assert.deepEqual(resolve([100, 250, 600, 750]), { x: 100, y: 20, width: 200, height: 100 });
+  assert.deepEqual(resolve({ x: 1, y: 1, width: 1, height: 1, normalized: false }), { x: 1, y: 1, width: 1, height: 1 });
+});
+
+test('resolveCropArea clamps out-of-range boxes and rejects empty ones', () => {
+  const processor = createImageProcessor();
+
+  assert.deepEqual({ ...processor.resolveCropArea({ x: -20, y: 150, width: 100, height: 500 }, 400, 200) },
+    { x: 0, y: 150, width: 80, height: 50 });
+  assert.deepEqual({ ...processor.resolveCropArea({ x: 0.8, y: 0.5, width: 0.4, height: 0.6 }, 400, 200) },
+    { x: 320, y: 100, width: 80, height: 100 });
+  assert.equal(processor.resolveCropArea({ x: 500, y: 10, width: 50, height: 50 }, 400, 200), null);
+  assert.equal(processor.resolveCropArea({ x: 0, y: 0, width: 0, height: 10 }, 400, 200), null);
+  assert.equal(processor.resolveCropArea(null, 400, 200), null);
+});
+
+test('processImage sends the cropped garment to try-on', async () => {
+  const context = createExtensionContext({
+    storage: mockProfileStorage(server),
+    globals: offscreenCanvasGlobals(200, 100)
+  });
+  context.loadBackground();
+
+  const storageManager = new (context.evaluate('StorageManager'))();
+  await storageManager.init();
+  await storageManager.saveUserPhoto({ data: TINY_PNG_DATA_URL, filename: 'me.png', type: 'image/png' });
+
+  const response = await context.sendMessage({
+    action: 'processImage',
+    imageData: { dataUrl: TINY_PNG_DATA_URL },
+    options: { type: 'clothing_detection', source: 'test-shop' }
+  });
+
+  // Detection fixture box is { x: 0.2, y: 0.1, width: 0.6, height: 0.5 }
+  const [item] = response.result.clothingItems;
+  assert.equal(item.cropped, true);
+  assert.deepEqual({ ...item.cropArea }, { x: 40, y: 10, width: 120, height: 50 });
+
+  const imageRequest = server.requests.find(request => request.model.includes('image'));
+  const garmentPart = imageRequest.body.contents[0].parts[2];
+  assert.equal(Buffer.from(garmentPart.inline_data.data, 'base64').toString(), 'crop:40,10,120,50');
+  assert.equal(garmentPart.inline_data.mime_type, 'image/jpeg');
+});
+
+test('processImage returns crops to pick from and honours selectedItems', async () => {
+  const context = createExtensionContext({
+    storage: mockProfileStorage(server),
+    globals: offscreenCanvasGlobals(200, 100)
+  });
+  context.loadBackground();
+
+  server.enqueue({
+    status: 200,
+    body: {
+      candidates: [{
+        content: {
+          parts: [{
+            text: JSON.stringify({
+              items: [
+                { category: 'tops', type: 'shirt', confidence: 0.9, boundingBox: { x: 0, y: 0, width: 0.5, height: 0.5 } },
+                { category: 'shoes', type: 'boots', confidence: 0.8, boundingBox: { x: 100, y: 50, width: 400, height: 400 } },
+                { category: 'accessories', type: 'hat', confidence: 0.6 }
+              ]
+            })
+          }]
+        }
+      }]
+    }
+  });
+
+  const response = await context.sendMessage({
+    action: 'processImage',
+    imageData: { dataUrl: TINY_PNG_DATA_URL },
+    options: { type: 'clothing_detection', autoTryOn: false, selectedItems: [1, 2] }
+  });
+
+  const items = response.result.clothingItems;
+  assert.deepEqual(Array.from(items, item => item.type), ['boots', 'hat']);
+  assert.deepEqual({ ...items[0].cropArea }, { x: 100, y: 50, width: 100, height: 50 });
+  assert.equal(items[1].cropped, false);
+  assert.equal(items[1].data, TINY_PNG_DATA_URL);
+});
@@ -0,0 +1,156 @@
+// Full data export and import (lib/data-archive.js)
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createExtensionContext, TEST_API_KEY, TINY_PNG_DATA_URL } = require('../harness');
+
+async function createArchiveContext(storage = {}) {
+  const context = createExtensionContext({ storage });
+  context.loadScript('lib/vault.js');
+  context.loadScript('lib/storage-manager.js');
+  context.loadScript('lib/data-archive.js');
+  const storageManager = new (context.evaluate('StorageManager'))();
+  await storageManager.init();
+  const archive = new (context.evaluate('DataArchive'))(storageManager);
+  return { context, storageManager, archive, DataArchive: context.evaluate('DataArchive') };
+}
+
+const image = fill => `data:image/png;base64,${Buffer.alloc(64, fill).toString('base64')}`;
+
+test('an export imports into an empty browser and importing it again adds nothing', async () => {
+  const source = await createArchiveContext({
+    userProfile: { apiKey: TEST_API_KEY, aiProvider: { type: 'gemini' }, photos: [], measurements: { chest: '96' }, preferences: {}, isComplete: true },
+    appSettings: { theme: 'dark' }
+  });
+  const photoId = await source.storageManager.saveUserPhoto({ data: TINY_PNG_DATA_URL, filename: 'me.png', size: 70, type: 'image/png' });
+  await source.storageManager.saveUserProfile({ ...(await source.storageManager.getUserProfile()), photos: [photoId] });
+  const [photo] = await source.storageManager.getUserPhotos();
+  const itemId = await source.storageManager.saveClothingItem({ image: image(1), category: 'tops', title: 'Tee', source: 'test' });
+  const resultId = await source.storageManager.saveTryOnResult({
+    originalImage: photo.data,
+    processedImage: image(2),
+    clothingItem: { clothingItemId: itemId, image: image(1), category: 'tops' },
+    category: 'tops'
+  });
+  await source.storageManager.setTryOnFavorite(resultId, true);
+  const root = await source.storageManager.ensureRootVersion(await source.storageManager.getTryOnResult(resultId));
+  const refined = await source.storageManager.saveTryOnVersion({ resultId, parentId: root.id, prompt: 'Darker', image: image(3) });
+  await source.storageManager.setCurrentTryOnVersion(resultId, refined.id);
+
+  const zip = await source.archive.exportArchive();
+  const files = await source.DataArchive.readZip(zip);
+  const manifest = JSON.parse(Buffer.from(files.get('manifest.json')).toString());
+  assert.equal(manifest.version, 1);
+  assert.equal(manifest.profile.apiKey, '');
+  assert.doesNotMatch(Buffer.from(files.get('manifest.json')).toString(), new RegExp(TEST_API_KEY));
+  assert.equal(files.size, 5); // the manifest and four distinct images
+
+  const target = await createArchiveContext();
+  await target.storageManager.saveClothingItem({ image: image(9), category: 'shoes', title: 'Boots', source: 'test' });
+  const summary = await target.archive.importArchive(new Uint8Array(await zip.arrayBuffer()));
+  assert.deepEqual({ ...summary.added }, { userPhotos: 1, clothingItems: 1, tryOnResults: 1, tryOnVersions: 2 });
+  assert.equal(summary.images, 4);
+
+  const [imported] = await target.storageManager.getTryOnResults();
+  const [importedPhoto] = await target.storageManager.getUserPhotos();
+  const items = await target.storageManager.getClothingItems();
+  const versions = await target.storageManager.getTryOnVersions(imported.id);
+  const tee = items.find(item => item.title === 'Tee');
+  assert.equal(imported.favorite, true);
+  assert.equal(imported.clothingItem.clothingItemId, tee.id);
+  assert.equal(imported.originalImage.imageId, importedPhoto.data.imageId);
+  assert.equal(await target.storageManager.resolveImages(importedPhoto.data, 'dataUrl'), TINY_PNG_DATA_URL);
+  assert.equal(imported.currentVersionId, versions.find(version => version.prompt === 'Darker').id);
+  assert.equal(versions.find(version => version.prompt === 'Darker').parentId, versions.find(version => !version.prompt).id);
+
+  const profile = await target.storageManager.getUserProfile();
+  assert.deepEqual(Array.from(profile.photos), [importedPhoto.id]);
+  assert.equal(profile.measurements.chest, '96');
+  assert.equal(profile.isComplete, false); // no API key in the archive
+  assert.equal((await target.context.chrome.storage.local.get(['appSettings'])).appSettings.theme, 'dark');
+
+  const again = await target.archive.importArchive(zip);
+  assert.deepEqual({ ...again.added }, { userPhotos: 0, clothingItems: 0, tryOnResults: 0, tryOnVersions: 0 });
+  assert.deepEqual({ ...again.skipped }, { userPhotos: 1, clothingItems: 1, tryOnResults: 1, tryOnVersions: 2 });
+  assert.equal(again.images, 0);
+
+  // Secrets are only exported when asked for
+  const withSecrets = await source.DataArchive.readZip(await source.archive.exportArchive({ includeSecrets: true }));
+  assert.equal(JSON.parse(Buffer.from(withSecrets.get('manifest.json')).toString()).profile.apiKey, TEST_API_KEY);
+});
+
+test('archives from a newer version or with damaged images are rejected', async () => {
+  const { archive, DataArchive, storageManager } = await createArchiveContext();
+  const png = Buffer.from(TINY_PNG_DATA_URL.split(',')[1], 'base64');
+  const hash = require('node:crypto').createHash('sha256').update(png).digest('hex');
+  const zip = (manifest, data = png) => DataArchive.createZip([
+    { name: 'manifest.json', data: new TextEncoder().encode(JSON.stringify(manifest)) },
+    { name: `images/${hash}.png`, data: new Uint8Array(data) }
+  ]);
+  const manifest = {
+    format: 'ai-virtual-try-on',
+    version: 1,
+    images: { [hash]: { file: `images/${hash}.png`, type: 'image/png', size: png.length } },
+    stores: { userPhotos: [{ id: 7, data: { imageHash: hash }, filename: 'me.png' }] }
+  };
+
+  await assert.rejects(archive.importArchive(await zip({ ...manifest, version: 2 })), /newer version of the extension/);
+  await assert.rejects(archive.importArchive(await zip({ ...manifest, format: 'other' })), /Not a Virtual Try-On archive/);
+  await assert.rejects(archive.importArchive(await zip(manifest, Buffer.alloc(png.length))), /images\/.*\.png is missing or damaged/);
+  await assert.rejects(archive.importArchive(new Uint8Array(10)), /Not a zip archive/);
+  assert.equal((await storageManager.getUserPhotos()).length, 0);
+
+  assert.equal((await archive.importArchive(await zip(manifest))).added.userPhotos, 1);
+});
+
+test('with the vault on, imported images in sealed fields are encrypted', async () => {
+  const source = await createArchiveContext();
+  await source.storageManager.saveUserPhoto({ data: TINY_PNG_DATA_URL, filename: 'me.png', size: 70, type: 'image/png' });
+  const [photo] = await source.storageManager.getUserPhotos();
+  // The wardrobe item shares its image with the result, which is sealed
+  await source.storageManager.saveClothingItem({ image: image(2), category: 'tops', title: 'Tee', source: 'test' });
+  const resultId = await source.storageManager.saveTryOnResult({
+    originalImage: photo.data,
+    processedImage: image(2),
+    thumbnail: image(4),
+    clothingItem: { image: image(1), category: 'tops' },
+    category: 'tops'
+  });
+  const root = await source.storageManager.ensureRootVersion(await source.storageManager.getTryOnResult(resultId));
+  await source.storageManager.saveTryOnVersion({ resultId, parentId: root.id, prompt: 'Darker', image: image(3) });
+  const zip = await source.archive.exportArchive();
+
+  const target = await createArchiveContext();
+  target.context.evaluate('Vault').PBKDF2_ITERATIONS = 1000;
+  await target.storageManager.enableVault('correct horse');
+  // Already stored in plain for a wardrobe item, and needed by the imported version
+  await target.storageManager.saveClothingItem({ image: image(3), category: 'tops', title: 'Shirt', source: 'test' });
+  await target.archive.importArchive(zip);
+
+  const isSealed = async reference => typeof (await target.storageManager.getImageRecords([reference.imageId]))[0].iv === 'string';
+  const [result] = await target.storageManager.getTryOnResults();
+  const versions = await target.storageManager.getTryOnVersions(result.id);
+  const [importedPhoto] = await target.storageManager.getUserPhotos();
+  const items = await target.storageManager.getClothingItems();
+
+  assert.equal(await isSealed(importedPhoto.data), true);
+  assert.equal(await isSealed(result.originalImage), true);
+  assert.equal(await isSealed(result.processedImage), true);
+  assert.equal(await isSealed(result.thumbnail), true);
+  assert.equal(await isSealed(result.clothingItem.image), false);
+  for (const version of versions) {
+    assert.equal(await isSealed(version.image), true);
+  }
+
+  // Shared images are stored once, encrypted
+  const tee = items.find(item => item.title === 'Tee');
+  const shirt = items.find(item => item.title === 'Shirt');
+  assert.equal(tee.image.imageId, result.processedImage.imageId);
+  assert.equal(shirt.image.imageId, versions.find(version => version.prompt === 'Darker').image.imageId);
+  assert.equal(await isSealed(shirt.image), true);
+  assert.equal(await target.storageManager.resolveImages(shirt.image, 'dataUrl'), image(3));
+  assert.equal(await target.storageManager.resolveImages(result.processedImage, 'dataUrl'), image(2));
+});
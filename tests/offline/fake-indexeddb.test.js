@@ -0,0 +1,289 @@
+// Sanity checks for the in-memory IndexedDB used by the harness. The
+// expectations follow the IndexedDB spec (and what Chrome does), so the fake
+// cannot drift into behaviour the extension would never see.
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createIndexedDB } = require('../harness');
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function openDatabase(indexedDB, version, onUpgrade) {
+  const request = indexedDB.open('TestDB', version);
+  request.onupgradeneeded = event => onUpgrade && onUpgrade(request.result, event, request.transaction);
+  return promisify(request);
+}
+
+// [key, primaryKey] for every record a cursor visits
+function readCursor(request) {
+  return new Promise((resolve, reject) => {
+    const found = [];
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return resolve(found);
+      found.push([cursor.key, cursor.primaryKey]);
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Resolves with 'complete' or 'abort' and the transaction's error
+function transactionDone(transaction) {
+  return new Promise((resolve) => {
+    transaction.oncomplete = () => resolve({ outcome: 'complete', error: transaction.error });
+    transaction.onabort = () => resolve({ outcome: 'abort', error: transaction.error });
+  });
+}
+
+function createItemsStore(db) {
+  const store = db.createObjectStore('items', { keyPath: 'id', autoIncrement: true });
+  store.createIndex('timestamp', 'timestamp', { unique: false });
+}
+
+test('upgrades run with the previous version and persist stores', async () => {
+  const { indexedDB } = createIndexedDB();
+  const seen = [];
+
+  let db = await openDatabase(indexedDB, 1, (database, event) => {
+    seen.push(event.oldVersion);
+    createItemsStore(database);
+  });
+  db.close();
+
+  db = await openDatabase(indexedDB, 2, (database, event, transaction) => {
+    seen.push(event.oldVersion);
+    transaction.objectStore('items').createIndex('tags', 'tags', { multiEntry: true });
+  });
+
+  assert.deepEqual(seen, [0, 1]);
+  assert.equal(db.version, 2);
+  assert.ok(db.objectStoreNames.contains('items'));
+  assert.deepEqual([...db.transaction('items').objectStore('items').indexNames], ['tags', 'timestamp']);
+});
+
+test('index cursors honour direction and auto-increment keys', async () => {
+  const { indexedDB } = createIndexedDB();
+  const db = await openDatabase(indexedDB, 1, createItemsStore);
+
+  const store = db.transaction('items', 'readwrite').objectStore('items');
+  const ids = await Promise.all([30, 10, 20].map(timestamp => promisify(store.add({ timestamp }))));
+  assert.deepEqual(ids, [1, 2, 3]);
+
+  const timestamps = await new Promise(resolve => {
+    const found = [];
+    const request = db.transaction('items').objectStore('items').index('timestamp').openCursor(null, 'prev');
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return resolve(found);
+      found.push(cursor.value.timestamp);
+      cursor.continue();
+    };
+  });
+
+  assert.deepEqual(timestamps, [30, 20, 10]);
+});
+
+test('aborted transactions roll back their writes', async () => {
+  const { indexedDB } = createIndexedDB();
+  const db = await openDatabase(indexedDB, 1, createItemsStore);
+
+  const transaction = db.transaction('items', 'readwrite');
+  await promisify(transaction.objectStore('items').add({ timestamp: 1 }));
+  transaction.abort();
+
+  const count = await promisify(db.transaction('items').objectStore('items').count());
+  assert.equal(count, 0);
+});
+
+test('failed upgrades leave the previous version intact', async () => {
+  const { indexedDB } = createIndexedDB();
+  let db = await openDatabase(indexedDB, 1, createItemsStore);
+  db.close();
+
+  await assert.rejects(openDatabase(indexedDB, 2, (database, event, transaction) => {
+    database.createObjectStore('extra');
+    transaction.abort();
+  }));
+
+  db = await openDatabase(indexedDB, 1);
+  assert.equal(db.version, 1);
+  assert.deepEqual([...db.objectStoreNames], ['items']);
+});
+
+test('readonly transactions reject writes', async () => {
+  const { indexedDB } = createIndexedDB();
+  const db = await openDatabase(indexedDB, 1, createItemsStore);
+
+  assert.throws(() => db.transaction('items').objectStore('items').add({ timestamp: 1 }), { name: 'ReadOnlyError' });
+});
+
+test('an aborted upgrade of a new database leaves no database behind', async () => {
+  const { indexedDB } = createIndexedDB();
+
+  await assert.rejects(openDatabase(indexedDB, 1, (database, event, transaction) => {
+    createItemsStore(database);
+    transaction.abort();
+  }), { name: 'AbortError' });
+  assert.deepEqual(indexedDB.databasesList(), []);
+
+  // Opening again starts from version 0
+  let oldVersion = null;
+  const db = await openDatabase(indexedDB, 1, (database, event) => {
+    oldVersion = event.oldVersion;
+  });
+  assert.equal(oldVersion, 0);
+  assert.equal(db.objectStoreNames.length, 0);
+});
+
+test('an exception thrown from onupgradeneeded aborts the upgrade', async () => {
+  const { indexedDB } = createIndexedDB();
+  let db = await openDatabase(indexedDB, 1, createItemsStore);
+  db.close();
+
+  await assert.rejects(openDatabase(indexedDB, 2, (database) => {
+    database.createObjectStore('extra');
+    throw new Error('Migration bug');
+  }), { name: 'AbortError' });
+
+  db = await openDatabase(indexedDB);
+  assert.equal(db.version, 1);
+  assert.deepEqual([...db.objectStoreNames], ['items']);
+});
+
+test('records written during an aborted upgrade are rolled back', async () => {
+  const { indexedDB } = createIndexedDB();
+  let db = await openDatabase(indexedDB, 1, createItemsStore);
+  const store = db.transaction('items', 'readwrite').objectStore('items');
+  await promisify(store.add({ timestamp: 1 }));
+  await promisify(store.add({ timestamp: 2 }));
+  db.close();
+
+  await assert.rejects(openDatabase(indexedDB, 2, (database, event, transaction) => {
+    const items = transaction.objectStore('items');
+    items.delete(1);
+    items.put({ id: 2, timestamp: 20 });
+    items.add({ timestamp: 3 }).onsuccess = () => transaction.abort();
+  }), { name: 'AbortError' });
+
+  db = await openDatabase(indexedDB, 1);
+  const records = await promisify(db.transaction('items').objectStore('items').getAll());
+  assert.deepEqual(records, [{ id: 1, timestamp: 1 }, { id: 2, timestamp: 2 }]);
+
+  // The key generator is rolled back with the records
+  assert.equal(await promisify(db.transaction('items', 'readwrite').objectStore('items').add({ timestamp: 3 })), 3);
+});
+
+test('a unique index over duplicate records aborts the upgrade with ConstraintError', async () => {
+  const { indexedDB } = createIndexedDB();
+  let db = await openDatabase(indexedDB, 1, createItemsStore);
+  const store = db.transaction('items', 'readwrite').objectStore('items');
+  await promisify(store.add({ timestamp: 5 }));
+  await promisify(store.add({ timestamp: 5 }));
+  db.close();
+
+  let upgrade = null;
+  await assert.rejects(openDatabase(indexedDB, 2, (database, event, transaction) => {
+    upgrade = transactionDone(transaction);
+    transaction.objectStore('items').createIndex('uniqueTimestamp', 'timestamp', { unique: true });
+  }), { name: 'AbortError' });
+
+  const { outcome, error } = await upgrade;
+  assert.equal(outcome, 'abort');
+  assert.equal(error.name, 'ConstraintError');
+
+  db = await openDatabase(indexedDB);
+  assert.equal(db.version, 1);
+  assert.deepEqual([...db.transaction('items').objectStore('items').indexNames], ['timestamp']);
+});
+
+function createUsersStore(db) {
+  const store = db.createObjectStore('users', { keyPath: 'id', autoIncrement: true });
+  store.createIndex('email', 'email', { unique: true });
+  store.createIndex('aliases', 'aliases', { unique: true, multiEntry: true });
+}
+
+test('a unique index violation fails the request and rolls back the transaction', async () => {
+  const { indexedDB } = createIndexedDB();
+  const db = await openDatabase(indexedDB, 1, createUsersStore);
+
+  const transaction = db.transaction('users', 'readwrite');
+  const done = transactionDone(transaction);
+  const users = transaction.objectStore('users');
+  users.add({ email: 'a@example.com' });
+  const duplicate = users.add({ email: 'a@example.com' });
+  await assert.rejects(promisify(duplicate), { name: 'ConstraintError' });
+
+  const { outcome, error } = await done;
+  assert.equal(outcome, 'abort');
+  assert.equal(error.name, 'ConstraintError');
+  assert.equal(await promisify(db.transaction('users').objectStore('users').count()), 0);
+});
+
+test('unique indexes allow updating a record in place and skip records without the key', async () => {
+  const { indexedDB } = createIndexedDB();
+  const db = await openDatabase(indexedDB, 1, createUsersStore);
+
+  const transaction = db.transaction('users', 'readwrite');
+  const done = transactionDone(transaction);
+  const users = transaction.objectStore('users');
+  users.add({ email: 'a@example.com', aliases: ['ann', 'ann'] }); // repeated entries in one record
+  users.put({ id: 1, email: 'a@example.com', aliases: ['ann'], name: 'Ann' });
+  users.add({ name: 'No email' });
+  users.add({ name: 'No email either' });
+
+  // A handled error keeps the transaction and its other writes
+  users.add({ email: 'b@example.com', aliases: ['bee', 'ann'] }).onerror = (event) => {
+    assert.equal(event.target.error.name, 'ConstraintError');
+    event.preventDefault();
+  };
+  users.add({ email: 'c@example.com', aliases: ['cee'] });
+
+  assert.equal((await done).outcome, 'complete');
+  const records = await promisify(db.transaction('users').objectStore('users').getAll());
+  assert.deepEqual(records.map(record => record.email ?? null), ['a@example.com', null, null, 'c@example.com']);
+  assert.equal(records[0].name, 'Ann');
+});
+
+test('object store cursors visit keys in IndexedDB key order', async () => {
+  const { indexedDB, IDBKeyRange } = createIndexedDB();
+  const db = await openDatabase(indexedDB, 1, database => database.createObjectStore('values'));
+
+  const store = db.transaction('values', 'readwrite').objectStore('values');
+  const keys = ['b', 10, ['a'], new Date(5), 'a', 2, [1, 2], -1];
+  await Promise.all(keys.map(key => promisify(store.add(true, key))));
+
+  const visited = await readCursor(db.transaction('values').objectStore('values').openCursor());
+  assert.deepEqual(visited.map(([key]) => key), [-1, 2, 10, new Date(5), 'a', 'b', [1, 2], ['a']]);
+
+  const reversed = await readCursor(db.transaction('values').objectStore('values').openCursor(null, 'prev'));
+  assert.deepEqual(reversed.map(([key]) => key), [['a'], [1, 2], 'b', 'a', new Date(5), 10, 2, -1]);
+
+  const bounded = await readCursor(db.transaction('values').objectStore('values').openCursor(IDBKeyRange.bound(2, 'a', true, false)));
+  assert.deepEqual(bounded.map(([key]) => key), [10, new Date(5), 'a']);
+});
+
+test('index cursors order equal keys by primary key in every direction', async () => {
+  const { indexedDB } = createIndexedDB();
+  const db = await openDatabase(indexedDB, 1, createItemsStore);
+
+  const store = db.transaction('items', 'readwrite').objectStore('items');
+  await Promise.all([20, 10, 20, 10, 30].map(timestamp => promisify(store.add({ timestamp }))));
+  const index = () => db.transaction('items').objectStore('items').index('timestamp');
+
+  assert.deepEqual(await readCursor(index().openCursor()), [[10, 2], [10, 4], [20, 1], [20, 3], [30, 5]]);
+  assert.deepEqual(await readCursor(index().openCursor(null, 'prev')), [[30, 5], [20, 3], [20, 1], [10, 4], [10, 2]]);
+  assert.deepEqual(await readCursor(index().openCursor(null, 'nextunique')), [[10, 2], [20, 1], [30, 5]]);
+  // prevunique still yields the lowest primary key of each index key
+  assert.deepEqual(await readCursor(index().openCursor(null, 'prevunique')), [[30, 5], [20, 1], [10, 2]]);
+  assert.deepEqual(await readCursor(index().openKeyCursor(10)), [[10, 2], [10, 4]]);
+});
+
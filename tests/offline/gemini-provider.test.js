@@ -0,0 +1,150 @@
+// GeminiProvider against the local mock server
+
+'use strict';
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  createExtensionContext,
+  startMockGeminiServer,
+  TEST_API_KEY,
+  TINY_PNG_BASE64,
+  TINY_PNG_DATA_URL
+} = require('../harness');
+
+let server;
+let provider;
+
+before(async () => {
+  server = await startMockGeminiServer();
+});
+
+after(() => server.close());
+
+beforeEach(() => {
+  server.reset();
+  const context = createExtensionContext();
+  context.loadScript('lib/prompt-templates.js');
+  context.loadScript('lib/ai-provider.js');
+  context.loadScript('lib/response-validator.js');
+  context.loadScript('lib/providers/gemini-provider.js');
+  provider = context.evaluate('AIProvider').create({
+    type: 'gemini',
+    apiKey: TEST_API_KEY,
+    baseUrl: server.baseUrl
+  });
+});
+
+test('detectClothing parses items from a fenced JSON response', async () => {
+  const result = await provider.detectClothing(TINY_PNG_DATA_URL, { source: 'test' });
+
+  assert.equal(result.success, true);
+  assert.equal(result.items.length, 1);
+  assert.equal(result.items[0].category, 'tops');
+  assert.equal(result.items[0].type, 't-shirt');
+  assert.equal(result.metadata.background, 'plain white');
+
+  const [request] = server.requests;
+  assert.equal(request.model, 'gemini-2.5-flash');
+  assert.equal(request.apiKey, TEST_API_KEY);
+  assert.equal(request.body.contents[0].parts[1].inline_data.mime_type, 'image/png');
+  assert.equal(request.body.contents[0].parts[1].inline_data.data, TINY_PNG_BASE64);
+});
+
+test('detectClothing fetches image URLs before sending them', async () => {
+  const result = await provider.detectClothing(server.imageUrl('shirt.png'));
+
+  assert.equal(result.success, true);
+  assert.equal(server.requests[0].body.contents[0].parts[1].inline_data.data, TINY_PNG_BASE64);
+});
+
+test('generateTryOnImage returns the inline image part', async () => {
+  const result = await provider.generateTryOnImage(TINY_PNG_DATA_URL, TINY_PNG_DATA_URL, { category: 'tops' });
+
+  assert.equal(result.success, true);
+  assert.equal(result.generatedImage, TINY_PNG_BASE64);
+  assert.equal(server.requests[0].model, 'gemini-2.5-flash-image-preview');
+  assert.deepEqual(server.requests[0].body.generationConfig.response_modalities, ['TEXT', 'IMAGE']);
+});
+
+test('generateTryOnImage fails cleanly when the model returns no image', async () => {
+  server.enqueue('no-image');
+
+  const result = await provider.generateTryOnImage(TINY_PNG_DATA_URL, TINY_PNG_DATA_URL, {});
+
+  assert.equal(result.success, false);
+  assert.equal(result.fallback, true);
+});
+
+test('API error bodies are surfaced in the thrown message', async () => {
+  server.enqueue('error-400');
+
+  await assert.rejects(
+    provider.detectClothing(TINY_PNG_DATA_URL),
+    /API request failed: 400 .* - API key not valid/
+  );
+});
+
+test('rate limiting is reported as a 429 failure', async () => {
+  server.enqueue('rate-limit-429');
+
+  await assert.rejects(
+    provider.detectClothing(TINY_PNG_DATA_URL),
+    /API request failed: 429 .* - Resource has been exhausted/
+  );
+});
+
+test('analyzeTryOnResult maps the structured analysis', async () => {
+  const result = await provider.analyzeTryOnResult(TINY_PNG_DATA_URL, TINY_PNG_DATA_URL, { category: 'tops' });
+
+  assert.equal(result.success, true);
+  assert.equal(result.advanced, true);
+  assert.equal(result.confidence, 0.87);
+  assert.equal(result.fitAnalysis.size_compatibility, 'good');
+  assert.equal(result.recommendations.length, 2);
+});
+
+test('generateTryOnImage sends every outfit garment in layering order', async () => {
+  const garments = [
+    { image: 'data:image/png;base64,U0hPRVM=', category: 'shoes', type: 'sneakers' },
+    { image: 'data:image/png;base64,VE9Q', category: 'tops', type: 't-shirt', color: 'navy' },
+    { image: 'data:image/png;base64,SkVBTlM=', category: 'bottoms', type: 'jeans' }
+  ];
+
+  const result = await provider.generateTryOnImage(TINY_PNG_DATA_URL, garments, { category: 'outfit' });
+  assert.equal(result.success, true);
+
+  const parts = server.requests[0].body.contents[0].parts;
+  assert.deepEqual(parts.slice(1).map(part => part.inline_data.data), [TINY_PNG_BASE64, 'SkVBTlM=', 'VE9Q', 'U0hPRVM=']);
+
+  const prompt = parts[0].text;
+  assert.match(prompt, /complete outfit from the following 3 images/);
+  assert.ok(prompt.indexOf('Image 2 (bottoms: jeans)') < prompt.indexOf('Image 3 (tops: navy t-shirt)'));
+  assert.ok(prompt.indexOf('Image 3 (tops: navy t-shirt)') < prompt.indexOf('Image 4 (shoes: sneakers)'));
+});
+
+test('the OpenAI adapter labels fetched and raw base64 images with their real type', async () => {
+  const context = createExtensionContext();
+  context.loadScript('lib/prompt-templates.js');
+  context.loadScript('lib/ai-provider.js');
+  context.loadScript('lib/response-validator.js');
+  context.loadScript('lib/providers/openai-provider.js');
+  const openai = context.evaluate('AIProvider').create({ type: 'openai' });
+
+  const fetched = await openai.buildImagePart(server.imageUrl('shirt.png'));
+  assert.equal(fetched.image_url.url, TINY_PNG_DATA_URL);
+
+  const webp = await openai.buildImagePart('UklGRiQAAABXRUJQVlA4IBgAAAAwAQCdASoBAAEAAwA0JaQAA3AA/vuUAAA=');
+  assert.match(webp.image_url.url, /^data:image\/webp;base64,/);
+  assert.equal((await openai.toImageBlob(TINY_PNG_BASE64)).type, 'image/png');
+  assert.match((await openai.buildImagePart('data:image/webp;base64,AAAA')).image_url.url, /^data:image\/webp/);
+
+  // Upload file names follow the type that is sent
+  const formData = new FormData();
+  await openai.appendImage(formData, 'image[]', 'data:image/jpeg;base64,/9j/AA==', 'person');
+  await openai.appendImage(formData, 'image[]', 'UklGRiQAAABXRUJQVlA4IBgAAAAwAQCdASoBAAEAAwA0JaQAA3AA/vuUAAA=', 'garment-1');
+  await openai.appendImage(formData, 'mask', TINY_PNG_DATA_URL, 'mask');
+  assert.deepEqual(formData.getAll('image[]').map(file => [file.name, file.type]), [['person.jpg', 'image/jpeg'], ['garment-1.webp', 'image/webp']]);
+  assert.equal(formData.get('mask').name, 'mask.png');
+});
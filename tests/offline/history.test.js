@@ -0,0 +1,239 @@
+// Try-on history: paged queries over tryOnResults and the recentTryOns index
+
+'use strict';
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  createExtensionContext,
+  startMockGeminiServer,
+  mockProfileStorage,
+  TINY_PNG_DATA_URL
+} = require('../harness');
+
+let server;
+
+before(async () => {
+  server = await startMockGeminiServer();
+});
+
+after(() => server.close());
+
+beforeEach(() => server.reset());
+
+async function createStorage(context) {
+  const storageManager = new (context.evaluate('StorageManager'))();
+  await storageManager.init();
+  return storageManager;
+}
+
+// Save a result and backdate it to `day` (days since the epoch)
+async function saveResult(storageManager, day, fields) {
+  const id = await storageManager.saveTryOnResult({
+    originalImage: TINY_PNG_DATA_URL,
+    processedImage: TINY_PNG_DATA_URL,
+    thumbnail: TINY_PNG_DATA_URL,
+    clothingItem: { category: fields.category, url: fields.url, source: 'test', title: fields.title },
+    category: fields.category
+  });
+  await storageManager.updateTryOnResult(id, { timestamp: day * 86400000 });
+  if (fields.favorite) {
+    await storageManager.setTryOnFavorite(id, true);
+  }
+  return id;
+}
+
+test('queryTryOnResults pages and filters by category, site, favorite and date', async () => {
+  const context = createExtensionContext();
+  context.loadScript('lib/storage-manager.js');
+  const storageManager = await createStorage(context);
+
+  await saveResult(storageManager, 1, { category: 'tops', url: 'https://www.shop-a.example/tee', title: 'Tee' });
+  await saveResult(storageManager, 2, { category: 'bottoms', url: 'https://shop-b.example/jeans', title: 'Jeans', favorite: true });
+  await saveResult(storageManager, 3, { category: 'tops', url: 'https://shop-b.example/shirt', title: 'Shirt' });
+  await saveResult(storageManager, 4, { category: 'tops', url: 'https://shop-a.example/polo', title: 'Polo', favorite: true });
+
+  const titles = page => Array.from(page.results, record => record.clothingItem.title);
+
+  const firstPage = await storageManager.queryTryOnResults({ limit: 3 });
+  assert.equal(firstPage.total, 4);
+  assert.deepEqual(titles(firstPage), ['Polo', 'Shirt', 'Jeans']);
+  assert.deepEqual(titles(await storageManager.queryTryOnResults({ offset: 3, limit: 3 })), ['Tee']);
+
+  assert.deepEqual(titles(await storageManager.queryTryOnResults({ category: 'tops', site: 'shop-a.example' })), ['Polo', 'Tee']);
+  assert.deepEqual(titles(await storageManager.queryTryOnResults({ favorite: true })), ['Polo', 'Jeans']);
+
+  const range = await storageManager.queryTryOnResults({ from: 2 * 86400000, to: 3 * 86400000 });
+  assert.deepEqual(titles(range), ['Shirt', 'Jeans']);
+  assert.equal(range.total, 2);
+
+  assert.deepEqual(Array.from(await storageManager.getTryOnResultSites()), ['shop-a.example', 'shop-b.example']);
+});
+
+test('recentTryOns mirrors the newest results without image copies', async () => {
+  const context = createExtensionContext();
+  context.loadScript('lib/storage-manager.js');
+  const storageManager = await createStorage(context);
+
+  const ids = [];
+  for (let day = 1; day <= 3; day++) {
+    ids.push(await saveResult(storageManager, day, { category: 'tops', url: 'https://shop.example/item', title: `Item ${day}` }));
+  }
+
+  let { recentTryOns } = await context.chrome.storage.local.get(['recentTryOns']);
+  assert.deepEqual(Array.from(recentTryOns, entry => entry.title), ['Item 3', 'Item 2', 'Item 1']);
+  assert.deepEqual(Object.keys(recentTryOns[0]).sort(), ['category', 'favorite', 'id', 'site', 'thumbnail', 'timestamp', 'title']);
+  assert.equal(recentTryOns[0].site, 'shop.example');
+
+  await storageManager.deleteTryOnResults([ids[0], ids[2]]);
+  ({ recentTryOns } = await context.chrome.storage.local.get(['recentTryOns']));
+  assert.deepEqual(Array.from(recentTryOns, entry => entry.id), [ids[1]]);
+  assert.equal((await storageManager.getTryOnResults()).length, 1);
+});
+
+test('refineImage reads and updates the result in IndexedDB', async () => {
+  const context = createExtensionContext({ storage: mockProfileStorage(server) });
+  context.loadBackground();
+  const storageManager = await createStorage(context);
+  const photoId = await storageManager.saveUserPhoto({ data: TINY_PNG_DATA_URL, filename: 'me.png', size: 68, type: 'image/png' });
+
+  const tryOn = await context.sendMessage({
+    action: 'generateTryOn',
+    userPhotoId: photoId,
+    clothingItems: [{ category: 'tops', data: TINY_PNG_DATA_URL, url: 'https://shop.example/tee' }],
+    options: { skipSafetyValidation: true }
+  });
+  const savedId = tryOn.tryOnData.savedId;
+  assert.equal(typeof savedId, 'number');
+
+  const response = await context.sendMessage({
+    action: 'refineImage',
+    tryOnId: String(savedId),
+    refinementPrompt: 'Brighter lighting'
+  });
+
+  assert.equal(response.success, true, response.error);
+  assert.equal(response.result.tryOnData.savedId, savedId);
+
+  const stored = await storageManager.getTryOnResult(savedId);
+  assert.equal(stored.metadata.refinements.length, 1);
+  assert.equal(stored.metadata.refinements[0].prompt, 'Brighter lighting');
+  assert.match(await storageManager.resolveImages(stored.processedImage, 'dataUrl'), /^data:image\//);
+});
+
+test('favorites, ratings, notes and tags are stored and queryable by index', async () => {
+  const context = createExtensionContext();
+  context.loadScript('lib/storage-manager.js');
+  const storageManager = await createStorage(context);
+
+  const tee = await saveResult(storageManager, 1, { category: 'tops', url: 'https://shop.example/tee', title: 'Tee' });
+  const dress = await saveResult(storageManager, 2, { category: 'dresses', url: 'https://shop.example/dress', title: 'Dress' });
+  await saveResult(storageManager, 3, { category: 'tops', url: 'https://shop.example/polo', title: 'Polo' });
+
+  const saved = await storageManager.getTryOnResult(tee);
+  assert.equal(saved.favoritedAt, null);
+  assert.deepEqual(Array.from(saved.tags), []);
+
+  await storageManager.setTryOnFavorite(tee, true);
+  await storageManager.setTryOnRating(tee, 4);
+  await storageManager.setTryOnRating(dress, 5);
+  await storageManager.setTryOnTags(tee, [' Wedding ', 'summer', 'wedding']);
+  await storageManager.setTryOnTags(dress, ['Wedding']);
+  const updated = await storageManager.setTryOnNotes(dress, '  Client loved the colour  ');
+
+  assert.equal(updated.notes, 'Client loved the colour');
+  assert.deepEqual(Array.from((await storageManager.getTryOnResult(tee)).tags), ['wedding', 'summer']);
+  await assert.rejects(storageManager.setTryOnRating(tee, 6), /Rating must be a whole number from 1 to 5/);
+
+  const titles = page => Array.from(page.results, record => record.clothingItem.title);
+  assert.deepEqual(titles(await storageManager.queryTryOnResults({ tag: 'WEDDING' })), ['Dress', 'Tee']);
+  assert.deepEqual(titles(await storageManager.queryTryOnResults({ tag: 'wedding', category: 'tops' })), ['Tee']);
+  assert.deepEqual(titles(await storageManager.queryTryOnResults({ favorite: true })), ['Tee']);
+  assert.deepEqual(titles(await storageManager.queryTryOnResults({ minRating: 5 })), ['Dress']);
+  assert.deepEqual(Array.from(await storageManager.getTryOnResultTags()), ['summer', 'wedding']);
+
+  await storageManager.setTryOnFavorite(tee, false);
+  assert.equal((await storageManager.queryTryOnResults({ favorite: true })).total, 0);
+
+  const { recentTryOns } = await context.chrome.storage.local.get(['recentTryOns']);
+  assert.equal(recentTryOns.find(entry => entry.id === tee).favorite, false);
+});
+
+test('refinement versions form a tree that can be undone and branched', async () => {
+  const context = createExtensionContext();
+  context.loadScript('lib/storage-manager.js');
+  const StorageManager = context.evaluate('StorageManager');
+  const storageManager = await createStorage(context);
+  const id = await saveResult(storageManager, 1, { category: 'tops', url: 'https://shop.example/tee', title: 'Tee' });
+
+  const root = await storageManager.ensureRootVersion(await storageManager.getTryOnResult(id));
+  assert.equal(root.parentId, null);
+  assert.equal((await storageManager.ensureRootVersion(await storageManager.getTryOnResult(id))).id, root.id);
+
+  const brighter = await storageManager.saveTryOnVersion({ resultId: id, parentId: root.id, prompt: 'Brighter', image: 'data:image/png;base64,AA==' });
+  const tucked = await storageManager.saveTryOnVersion({ resultId: id, parentId: brighter.id, prompt: 'Tuck the shirt in', image: 'data:image/png;base64,AB==' });
+  await storageManager.setCurrentTryOnVersion(id, tucked.id);
+  assert.equal((await storageManager.getTryOnResult(id)).processedImage.imageId, tucked.image.imageId);
+
+  // Undo, then branch from the earlier version
+  await storageManager.setCurrentTryOnVersion(id, brighter.id);
+  const darker = await storageManager.saveTryOnVersion({ resultId: id, parentId: brighter.id, prompt: 'Darker jeans', image: 'data:image/png;base64,AC==' });
+
+  const versions = await storageManager.getTryOnVersions(id);
+  assert.equal(versions.length, 4);
+  assert.deepEqual(Array.from(StorageManager.versionPath(versions, darker.id), version => version.prompt), [null, 'Brighter', 'Darker jeans']);
+
+  const other = await saveResult(storageManager, 2, { category: 'tops', url: 'https://shop.example/polo', title: 'Polo' });
+  await assert.rejects(storageManager.setCurrentTryOnVersion(other, darker.id), /Version not found for this try-on result/);
+
+  await storageManager.deleteTryOnResults([id]);
+  assert.equal((await storageManager.getTryOnVersions(id)).length, 0);
+});
+
+test('refineImage sends the reference images and earlier edits with each turn', async () => {
+  const context = createExtensionContext({ storage: mockProfileStorage(server) });
+  context.loadBackground();
+  const storageManager = await createStorage(context);
+  const photoId = await storageManager.saveUserPhoto({ data: TINY_PNG_DATA_URL, filename: 'me.png', size: 68, type: 'image/png' });
+
+  const tryOn = await context.sendMessage({
+    action: 'generateTryOn',
+    userPhotoId: photoId,
+    clothingItems: [{ category: 'tops', data: TINY_PNG_DATA_URL, url: 'https://shop.example/tee' }],
+    options: { skipSafetyValidation: true }
+  });
+  const tryOnId = tryOn.tryOnData.savedId;
+  const connections = context.indexedDB.databases.get('VirtualTryOnDB').connections;
+  const openConnections = connections.size;
+
+  const first = await context.sendMessage({ action: 'refineImage', tryOnId: tryOnId, refinementPrompt: 'Brighter lighting' });
+  assert.equal(first.success, true, first.error);
+
+  server.reset();
+  const second = await context.sendMessage({ action: 'refineImage', tryOnId: tryOnId, refinementPrompt: 'Roll up the sleeves' });
+  assert.equal(second.success, true, second.error);
+
+  const parts = server.requests[0].body.contents[0].parts;
+  const prompt = parts.find(part => part.text).text;
+  assert.equal(parts.filter(part => part.inline_data).length, 3);
+  assert.match(prompt, /EARLIER EDITS[\s\S]*Brighter lighting/);
+  assert.match(prompt, /Roll up the sleeves/);
+
+  assert.equal(second.versions.length, 3);
+  assert.deepEqual(Array.from(second.branch), second.versions.map(version => version.id));
+  assert.equal(second.currentVersionId, second.versions[2].id);
+
+  // Undo to the first refinement
+  const undone = await context.sendMessage({ action: 'selectTryOnVersion', tryOnId: tryOnId, versionId: first.currentVersionId });
+  assert.equal(undone.success, true, undone.error);
+  assert.equal(undone.currentVersionId, first.currentVersionId);
+  assert.equal((await storageManager.getTryOnResult(tryOnId)).currentVersionId, first.currentVersionId);
+
+  const listed = await context.sendMessage({ action: 'getTryOnVersions', tryOnId: tryOnId });
+  assert.equal(listed.versions.length, 3);
+  assert.equal(listed.branch.length, 2);
+
+  // Every handler reuses the worker's connection
+  assert.equal(connections.size, openConnections);
+});
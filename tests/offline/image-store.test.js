@@ -0,0 +1,128 @@
+// Images as Blobs in the IndexedDB images store, referenced from records
+
+'use strict';
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  createExtensionContext,
+  startMockGeminiServer,
+  mockProfileStorage,
+  TINY_PNG_DATA_URL
+} = require('../harness');
+
+let server;
+
+before(async () => {
+  server = await startMockGeminiServer();
+});
+
+after(() => server.close());
+
+beforeEach(() => server.reset());
+
+function addRecord(db, storeName, record) {
+  return new Promise((resolve, reject) => {
+    const request = db.transaction([storeName], 'readwrite').objectStore(storeName).add(record);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function countImages(storageManager) {
+  return new Promise((resolve, reject) => {
+    const request = storageManager.db.transaction(['images']).objectStore('images').count();
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+test('the migration moves base64 images into the images store', async () => {
+  const context = createExtensionContext();
+  context.loadScript('lib/storage-manager.js');
+  const StorageManager = context.evaluate('StorageManager');
+  const jpeg = `data:image/jpeg;base64,${Buffer.from('generated').toString('base64')}`;
+
+  const db = await StorageManager.openDatabase('VirtualTryOnDB', 6);
+  const photoId = await addRecord(db, 'userPhotos', { data: TINY_PNG_DATA_URL, filename: 'me.png', timestamp: 1 });
+  const resultId = await addRecord(db, 'tryOnResults', {
+    originalImage: TINY_PNG_DATA_URL,
+    processedImage: jpeg,
+    thumbnail: 'data:image/svg+xml;charset=utf-8,%3Csvg%2F%3E',
+    clothingItem: { image: 'https://shop.example/tee.jpg', category: 'tops' },
+    category: 'tops',
+    timestamp: 2
+  });
+  db.close();
+
+  const storageManager = new StorageManager();
+  await storageManager.init();
+
+  const [photo] = await storageManager.getUserPhotos();
+  const result = await storageManager.getTryOnResult(resultId);
+  assert.equal(photo.id, photoId);
+  assert.deepEqual({ ...photo.data }, { imageId: 1, type: 'image/png', size: 70 });
+  assert.deepEqual({ ...result.processedImage }, { imageId: 3, type: 'image/jpeg', size: 9 });
+  assert.equal(result.clothingItem.image, 'https://shop.example/tee.jpg'); // remote URLs stay as they are
+
+  const resolved = await storageManager.resolveImages(result, 'dataUrl');
+  assert.equal(resolved.originalImage, TINY_PNG_DATA_URL);
+  assert.equal(resolved.processedImage, jpeg);
+  assert.equal(await (await storageManager.resolveImages(result.thumbnail)).text(), '<svg/>');
+  assert.equal(await countImages(storageManager), 4);
+});
+
+test('results share the photo image, recentTryOns keeps references and unused images are pruned', async () => {
+  const context = createExtensionContext({ storage: mockProfileStorage(server) });
+  context.loadBackground();
+  const StorageManager = context.evaluate('StorageManager');
+  StorageManager.IMAGE_GRACE_MS = 0;
+  const storageManager = new StorageManager();
+  await storageManager.init();
+  const photoId = await storageManager.saveUserPhoto({ data: TINY_PNG_DATA_URL, filename: 'me.png', size: 68, type: 'image/png' });
+
+  const response = await context.sendMessage({
+    action: 'generateTryOn',
+    userPhotoId: photoId,
+    clothingItems: [{ category: 'tops', data: TINY_PNG_DATA_URL, url: 'https://shop.example/tee' }],
+    options: { skipSafetyValidation: true }
+  });
+  assert.equal(response.success, true);
+
+  const [photo] = await storageManager.getUserPhotos();
+  const [saved] = await storageManager.getTryOnResults();
+  assert.equal(saved.originalImage.imageId, photo.data.imageId);
+
+  const result = await storageManager.updateTryOnResult(saved.id, { thumbnail: TINY_PNG_DATA_URL });
+  const { recentTryOns } = await context.chrome.storage.local.get(['recentTryOns']);
+  assert.equal(recentTryOns[0].thumbnail.imageId, result.thumbnail.imageId);
+  assert.doesNotMatch(JSON.stringify(recentTryOns), /data:/);
+
+  // The result still shows the photo, so deleting the photo keeps its image
+  const before = await countImages(storageManager);
+  await storageManager.deleteUserPhoto(photoId);
+  assert.equal(await countImages(storageManager), before);
+  assert.equal(await storageManager.resolveImages(result.originalImage, 'dataUrl'), TINY_PNG_DATA_URL);
+
+  // The wardrobe item keeps its garment image and thumbnail, the result cache its generated image
+  await storageManager.deleteTryOnResults([result.id]);
+  assert.equal(await countImages(storageManager), 3);
+  await storageManager.clearResultCache();
+  assert.equal(await countImages(storageManager), 2);
+  assert.equal(await storageManager.resolveImages(result.originalImage), null);
+});
+
+test('large images convert to base64 without overflowing the stack', async () => {
+  const context = createExtensionContext({ globals: { FileReader: undefined } });
+  context.loadScript('lib/storage-manager.js');
+  context.loadScript('lib/prompt-templates.js');
+  context.loadScript('lib/ai-provider.js');
+  const bytes = Buffer.alloc(4 * 1024 * 1024, 7);
+  const blob = new Blob([bytes], { type: 'image/png' });
+
+  const provider = new (context.evaluate('AIProvider'))({ type: 'test' });
+  assert.equal(await provider.getBase64Data(blob), bytes.toString('base64'));
+  assert.equal(provider.getMimeType(blob), 'image/png');
+  assert.equal(await context.evaluate('StorageManager').blobToDataUrl(blob), `data:image/png;base64,${bytes.toString('base64')}`);
+});
@@ -0,0 +1,148 @@
+// Region-targeted refinement: mask prompts, provider requests and compositing
+
+'use strict';
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  createExtensionContext,
+  startMockGeminiServer,
+  mockProfileStorage,
+  TINY_PNG_DATA_URL
+} = require('../harness');
+
+let server;
+
+before(async () => {
+  server = await startMockGeminiServer();
+});
+
+after(() => server.close());
+
+beforeEach(() => server.reset());
+
+const textImage = text => `data:image/png;base64,${Buffer.from(text).toString('base64')}`;
+
+// OffscreenCanvas stand-in working on 2x1 RGBA pixels. Bitmaps are looked up
+// by the text of the image data; encoded output is the pixel array as JSON.
+function pixelCanvasGlobals(bitmaps) {
+  class FakeOffscreenCanvas {
+    constructor(width, height) {
+      this.width = width;
+      this.height = height;
+      this.pixels = new Uint8ClampedArray(width * height * 4);
+    }
+
+    getContext() {
+      return {
+        drawImage: (bitmap) => {
+          this.pixels = Uint8ClampedArray.from(bitmap.pixels);
+        },
+        getImageData: () => ({ data: Uint8ClampedArray.from(this.pixels) }),
+        putImageData: (imageData) => {
+          this.pixels = Uint8ClampedArray.from(imageData.data);
+        }
+      };
+    }
+
+    async convertToBlob(options) {
+      return new Blob([JSON.stringify(Array.from(this.pixels))], { type: options.type });
+    }
+  }
+
+  return {
+    OffscreenCanvas: FakeOffscreenCanvas,
+    createImageBitmap: async (blob) => {
+      const pixels = bitmaps[await blob.text()] || new Array(8).fill(9);
+      return { width: 2, height: 1, pixels: pixels, close() {} };
+    }
+  };
+}
+
+const decodePixels = dataUrl => JSON.parse(Buffer.from(dataUrl.split(',')[1], 'base64').toString());
+
+test('compositeMasked only changes pixels under the white part of the mask', async () => {
+  const context = createExtensionContext({
+    globals: pixelCanvasGlobals({
+      original: [10, 20, 30, 255, 40, 50, 60, 255],
+      edited: [200, 200, 200, 255, 100, 100, 100, 255],
+      mask: [0, 0, 0, 255, 255, 255, 255, 255]
+    })
+  });
+  context.loadScript('lib/image-processor.js');
+  const processor = new (context.evaluate('ImageProcessor'))();
+
+  const composited = await processor.compositeMasked(textImage('original'), textImage('edited'), textImage('mask'));
+
+  assert.match(composited, /^data:image\/png;base64,/);
+  assert.deepEqual(decodePixels(composited), [10, 20, 30, 255, 100, 100, 100, 255]);
+
+  // Grey mask pixels blend, black ones keep the original exactly
+  const blended = context.evaluate('ImageProcessor').blendMasked(
+    new Uint8ClampedArray([0, 0, 0, 255, 7, 7, 7, 255]),
+    new Uint8ClampedArray([200, 100, 50, 255, 99, 99, 99, 255]),
+    new Uint8ClampedArray([51, 51, 51, 255, 0, 0, 0, 255])
+  );
+  assert.deepEqual(Array.from(blended), [40, 20, 10, 255, 7, 7, 7, 255]);
+});
+
+test('refinement prompts describe the mask and only send it as an image when the provider cannot mask', () => {
+  const context = createExtensionContext();
+  context.loadScript('lib/prompt-templates.js');
+  context.loadScript('lib/ai-provider.js');
+  context.loadScript('lib/response-validator.js');
+  context.loadScript('lib/providers/gemini-provider.js');
+  context.loadScript('lib/providers/openai-provider.js');
+  const AIProvider = context.evaluate('AIProvider');
+
+  const options = { referenceImages: { person: 'person', garments: ['shirt'] }, mask: 'mask' };
+  const gemini = AIProvider.create({ type: 'gemini' });
+  const openai = AIProvider.create({ type: 'openai' });
+
+  assert.equal(gemini.supportsMask, false);
+  assert.equal(openai.supportsMask, true);
+  assert.deepEqual(Array.from(gemini.getRefinementImages('current', options)), ['current', 'person', 'shirt', 'mask']);
+  assert.deepEqual(Array.from(openai.getRefinementImages('current', options)), ['current', 'person', 'shirt']);
+
+  assert.match(gemini.buildRefinementPrompt('Shorter sleeves', options), /Image 4: a black-and-white mask[\s\S]*REGION: Only change the masked region/);
+  assert.doesNotMatch(openai.buildRefinementPrompt('Shorter sleeves', options), /Image 4/);
+  assert.doesNotMatch(gemini.buildRefinementPrompt('Shorter sleeves', {}), /REGION/);
+});
+
+test('masked refineImage sends the mask to Gemini and composites the result', async () => {
+  const context = createExtensionContext({
+    storage: mockProfileStorage(server),
+    globals: pixelCanvasGlobals({})
+  });
+  context.loadBackground();
+  const storageManager = new (context.evaluate('StorageManager'))();
+  await storageManager.init();
+  const photoId = await storageManager.saveUserPhoto({ data: TINY_PNG_DATA_URL, filename: 'me.png', size: 68, type: 'image/png' });
+
+  const tryOn = await context.sendMessage({
+    action: 'generateTryOn',
+    userPhotoId: photoId,
+    clothingItems: [{ category: 'tops', data: TINY_PNG_DATA_URL, url: 'https://shop.example/tee' }],
+    options: { skipSafetyValidation: true }
+  });
+  const tryOnId = tryOn.tryOnData.savedId;
+
+  server.reset();
+  const response = await context.sendMessage({
+    action: 'refineImage',
+    tryOnId: tryOnId,
+    refinementPrompt: 'Shorter sleeves',
+    mask: textImage('mask')
+  });
+  assert.equal(response.success, true, response.error);
+
+  const parts = server.requests[0].body.contents[0].parts;
+  assert.equal(parts.filter(part => part.inline_data).length, 4);
+  assert.equal(parts[parts.length - 1].inline_data.data, Buffer.from('mask').toString('base64'));
+
+  const stored = await storageManager.getTryOnResult(tryOnId);
+  assert.equal(stored.metadata.refinements[0].maskMode, 'composited');
+  assert.match(await storageManager.resolveImages(stored.processedImage, 'dataUrl'), /^data:image\/png;base64,/);
+  assert.equal(response.versions.find(version => version.id === response.currentVersionId).masked, true);
+});
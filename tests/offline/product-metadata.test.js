@@ -0,0 +1,98 @@
+// Product page metadata extraction (lib/product-metadata.js)
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createExtensionContext, createDocument, h } = require('../harness');
+
+function extract(doc) {
+  const context = createExtensionContext();
+  context.loadScript('lib/product-metadata.js');
+  const product = new (context.evaluate('ProductMetadataExtractor'))(doc).extract();
+  return product && JSON.parse(JSON.stringify(product));
+}
+
+function jsonLd(data) {
+  return h('script', { type: 'application/ld+json' }, JSON.stringify(data));
+}
+
+test('reads a JSON-LD Product with variants inside @graph', () => {
+  const doc = createDocument([
+    h('link', { rel: 'canonical', href: '/p/linen-shirt' }),
+    h('script', { type: 'application/ld+json' }, '{ not json'),
+    jsonLd({
+      '@context': 'https://schema.org',
+      '@graph': [
+        { '@type': 'BreadcrumbList', itemListElement: [] },
+        {
+          '@type': 'ProductGroup',
+          name: 'Linen Shirt',
+          brand: { '@type': 'Brand', name: 'Acme' },
+          material: 'Linen',
+          hasVariant: [
+            { '@type': 'Product', size: 'S', color: 'Navy', offers: { price: '59.90', priceCurrency: 'EUR' } },
+            { '@type': 'Product', size: 'M', color: 'Navy' },
+            { '@type': 'Product', size: 'M', color: 'White' }
+          ]
+        }
+      ]
+    })
+  ], { url: 'https://shop.example/p/linen-shirt?ref=ad' });
+
+  assert.deepEqual(extract(doc), {
+    name: 'Linen Shirt',
+    brand: 'Acme',
+    price: 59.9,
+    currency: 'EUR',
+    sizes: ['S', 'M'],
+    colors: ['Navy', 'White'],
+    material: 'Linen',
+    canonicalUrl: 'https://shop.example/p/linen-shirt',
+    image: null,
+    sources: ['json-ld']
+  });
+});
+
+test('prefers microdata over meta tags field by field', () => {
+  const doc = createDocument([
+    h('meta', { property: 'og:title', content: 'Denim Jacket | Shop' }),
+    h('meta', { property: 'og:url', content: 'https://shop.example/denim-jacket' }),
+    h('meta', { property: 'product:price:amount', content: '1.299,00' }),
+    h('meta', { property: 'product:price:currency', content: 'SEK' }),
+    h('div', { itemscope: '', itemtype: 'https://schema.org/Product' }, [
+      h('div', { itemprop: 'brand', itemscope: '', itemtype: 'https://schema.org/Brand' }, [
+        h('span', { itemprop: 'name' }, 'Northwind')
+      ]),
+      h('h1', { itemprop: 'name' }, ' Denim Jacket '),
+      h('span', { itemprop: 'color' }, 'Indigo'),
+      h('div', { itemprop: 'offers', itemscope: '', itemtype: 'https://schema.org/Offer' }, [
+        h('meta', { itemprop: 'price', content: '1299' })
+      ])
+    ])
+  ]);
+
+  const product = extract(doc);
+  assert.equal(product.name, 'Denim Jacket');
+  assert.equal(product.brand, 'Northwind');
+  assert.equal(product.price, 1299);
+  assert.equal(product.currency, 'SEK');
+  assert.deepEqual(product.colors, ['Indigo']);
+  assert.equal(product.canonicalUrl, 'https://shop.example/denim-jacket');
+  assert.deepEqual(product.sources, ['microdata', 'meta']);
+});
+
+test('reads Twitter product card prices and returns null without product data', () => {
+  const card = createDocument([
+    h('meta', { name: 'twitter:title', content: 'Runner Sneaker' }),
+    h('meta', { name: 'twitter:label1', content: 'Price' }),
+    h('meta', { name: 'twitter:data1', content: '$120.00' })
+  ]);
+  const product = extract(card);
+  assert.equal(product.name, 'Runner Sneaker');
+  assert.equal(product.price, 120);
+  assert.equal(product.currency, 'USD');
+
+  assert.equal(extract(createDocument([h('p', {}, 'About us')])), null);
+});
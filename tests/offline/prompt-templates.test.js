@@ -0,0 +1,91 @@
+// Versioned prompt templates (lib/prompt-templates.js) and their use in try-ons
+
+'use strict';
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  createExtensionContext,
+  startMockGeminiServer,
+  mockProfileStorage,
+  TINY_PNG_DATA_URL
+} = require('../harness');
+
+let server;
+
+before(async () => {
+  server = await startMockGeminiServer();
+});
+
+after(() => server.close());
+
+beforeEach(() => server.reset());
+
+test('templates interpolate variables and sections and pick category variants', () => {
+  const context = createExtensionContext();
+  context.loadScript('lib/prompt-templates.js');
+  const PromptTemplates = context.evaluate('PromptTemplates');
+
+  PromptTemplates.register('greeting', {
+    version: 3,
+    text: 'Hello {{name}}.{{#title}} You are {{title}}.{{/title}}{{^title}} Welcome.{{/title}}',
+    variants: { shoes: 'Hi {{name}}, nice shoes.' }
+  });
+
+  assert.deepEqual({ ...PromptTemplates.render('greeting', { name: 'Ada', title: 'admin' }) },
+    { text: 'Hello Ada. You are admin.', id: 'greeting@3', version: 3 });
+  assert.equal(PromptTemplates.render('greeting', { name: 'Ada', title: null }).text, 'Hello Ada. Welcome.');
+  assert.equal(PromptTemplates.render('greeting', { name: 'Ada' }, 'shoes').id, 'greeting@3/shoes');
+  assert.equal(PromptTemplates.render('greeting', { name: 'Ada' }, 'tops').id, 'greeting@3');
+  assert.throws(() => PromptTemplates.render('greeting', {}), /Prompt variable not provided: name/);
+  assert.throws(() => PromptTemplates.render('missing'), /Unknown prompt template/);
+});
+
+test('generation prompts use the category variant, measurements, style and lighting and results record the templates', async () => {
+  const context = createExtensionContext({
+    storage: mockProfileStorage(server, {
+      measurements: { chest: '96', waist: '', height: { value: '178', unit: 'cm' } }
+    })
+  });
+  context.loadBackground();
+  const storageManager = new (context.evaluate('StorageManager'))();
+  await storageManager.init();
+  const photoId = await storageManager.saveUserPhoto({ data: TINY_PNG_DATA_URL, filename: 'me.png', size: 68, type: 'image/png' });
+
+  const response = await context.sendMessage({
+    action: 'generateTryOn',
+    userPhotoId: photoId,
+    clothingItems: [{ category: 'shoes', data: TINY_PNG_DATA_URL, url: 'https://shop.example/boots' }],
+    options: { skipSafetyValidation: true, style: 'formal', lighting: 'studio', preserveFeatures: false }
+  });
+  assert.equal(response.success, true);
+
+  const prompt = server.requests.find(request => request.model.includes('image')).body.contents[0].parts[0].text;
+  assert.match(prompt, /wearing the shoes from the second image/);
+  assert.match(prompt, /Change only the footwear: replace the footwear with these shoes/);
+  assert.match(prompt, /Keep the person's body, pose, clothing, and background/);
+  assert.match(prompt, /Use studio lighting while keeping the original camera angle/);
+  assert.match(prompt, /with a formal look/);
+  assert.doesNotMatch(prompt, /\{\{|BODY:/); // the shoes variant leaves out body measurements
+
+  const [saved] = await storageManager.getTryOnResults();
+  assert.deepEqual({ ...saved.metadata.promptTemplates }, {
+    generation: 'tryon-generation@1/shoes',
+    analysis: 'tryon-analysis@1'
+  });
+
+  // Garments without a variant get the default text with the measurements
+  server.reset();
+  await context.sendMessage({
+    action: 'generateTryOn',
+    userPhotoId: photoId,
+    clothingItems: [{ category: 'tops', data: TINY_PNG_DATA_URL, url: 'https://shop.example/tee' }],
+    options: { skipSafetyValidation: true }
+  });
+  const topPrompt = server.requests.find(request => request.model.includes('image')).body.contents[0].parts[0].text;
+  assert.match(topPrompt, /BODY: height 178 cm, chest 96 cm\./);
+  assert.match(topPrompt, /preserve their face, body, pose, and background/);
+  assert.match(topPrompt, /Maintain the original lighting and camera angle/);
+  assert.doesNotMatch(topPrompt, / look\b/);
+});
@@ -0,0 +1,176 @@
+// Request scheduler: per-model concurrency, retries, Retry-After and timeouts
+
+'use strict';
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { getEventListeners } = require('node:events');
+
+const {
+  createExtensionContext,
+  startMockGeminiServer,
+  TEST_API_KEY,
+  TINY_PNG_DATA_URL
+} = require('../harness');
+
+let server;
+
+before(async () => {
+  server = await startMockGeminiServer();
+});
+
+after(() => server.close());
+
+beforeEach(() => server.reset());
+
+function loadScheduler() {
+  const context = createExtensionContext();
+  context.loadScript('lib/request-scheduler.js');
+  return { context, RequestScheduler: context.evaluate('RequestScheduler') };
+}
+
+const respond = (status, headers = {}) => new Response('{}', { status: status, headers: headers });
+
+test('failed requests are retried with backoff and Retry-After until one succeeds', async () => {
+  const { RequestScheduler } = loadScheduler();
+  const scheduler = new RequestScheduler({ baseDelayMs: 1 });
+  const replies = [respond(503), respond(429, { 'Retry-After': '0' }), respond(200)];
+  let calls = 0;
+
+  const response = await scheduler.schedule('model-a', async () => replies[calls++]);
+
+  assert.equal(response.status, 200);
+  assert.equal(calls, 3);
+
+  // Client errors are not retried
+  calls = 0;
+  const badRequest = await scheduler.schedule('model-a', async () => {
+    calls++;
+    return respond(400);
+  });
+  assert.equal(badRequest.status, 400);
+  assert.equal(calls, 1);
+});
+
+test('the last failure is returned once retries run out or Retry-After is too long', async () => {
+  const { RequestScheduler } = loadScheduler();
+  const scheduler = new RequestScheduler({ maxRetries: 2, baseDelayMs: 1, maxDelayMs: 1000 });
+  let calls = 0;
+
+  const exhausted = await scheduler.schedule('model-a', async () => {
+    calls++;
+    return respond(503);
+  });
+  assert.equal(exhausted.status, 503);
+  assert.equal(calls, 3);
+
+  calls = 0;
+  const tooLong = await scheduler.schedule('model-a', async () => {
+    calls++;
+    return respond(429, { 'Retry-After': '120' });
+  });
+  assert.equal(tooLong.status, 429);
+  assert.equal(calls, 1);
+
+  assert.equal(RequestScheduler.parseRetryAfter('3'), 3000);
+  assert.ok(RequestScheduler.parseRetryAfter(new Date(Date.now() + 5000).toUTCString()) > 3000);
+  assert.equal(RequestScheduler.parseRetryAfter('soon'), null);
+});
+
+test('each model lane runs at most its concurrency limit and reports queue state', async () => {
+  const { RequestScheduler } = loadScheduler();
+  const scheduler = new RequestScheduler({ concurrency: { 'image-model': 1 } });
+  const states = [];
+  scheduler.onChange(state => states.push(state));
+
+  const pending = [];
+  const request = () => new Promise(resolve => pending.push(() => resolve(respond(200))));
+  const results = [
+    scheduler.schedule('image-model', request),
+    scheduler.schedule('image-model', request),
+    scheduler.schedule('text-model', request, { concurrency: 4 })
+  ];
+
+  const state = scheduler.getState();
+  assert.equal(state.running, 2);
+  assert.equal(state.queued, 1);
+  assert.deepEqual(Array.from(state.lanes, lane => [lane.key, lane.limit, lane.running, lane.queued]),
+    [['image-model', 1, 1, 1], ['text-model', 4, 1, 0]]);
+
+  while (pending.length > 0) {
+    pending.shift()();
+    await new Promise(resolve => setTimeout(resolve, 0));
+  }
+  await Promise.all(results);
+
+  assert.equal(Math.max(...states.map(entry => entry.lanes.find(lane => lane.key === 'image-model')?.running || 0)), 1);
+  assert.deepEqual({ ...scheduler.getState(), lanes: [] }, { lanes: [], running: 0, queued: 0, retrying: 0 });
+});
+
+test('requests time out through AbortController and can be cancelled while queued', async () => {
+  const { RequestScheduler } = loadScheduler();
+  const scheduler = new RequestScheduler({ maxRetries: 1, baseDelayMs: 1, timeoutMs: 20, concurrency: { slow: 1 } });
+  let aborts = 0;
+
+  const hang = signal => new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => {
+      aborts++;
+      reject(new Error('aborted'));
+    });
+  });
+
+  const timedOut = scheduler.schedule('slow', hang);
+  const controller = new AbortController();
+  const cancelled = scheduler.schedule('slow', hang, { signal: controller.signal });
+  controller.abort();
+
+  await assert.rejects(cancelled, { name: 'AbortError' });
+  await assert.rejects(timedOut, /Request timed out after/);
+  assert.equal(aborts, 2);
+});
+
+test('cancelling stops a body download and settled requests release the caller signal', async () => {
+  const { RequestScheduler } = loadScheduler();
+  const scheduler = new RequestScheduler({ baseDelayMs: 1 });
+  const controller = new AbortController();
+
+  // A session-long signal shared by many requests gains no listeners
+  for (let i = 0; i < 3; i++) {
+    await scheduler.schedule('model-a', async () => respond(200), { signal: controller.signal });
+  }
+  assert.equal(getEventListeners(controller.signal, 'abort').length, 0);
+
+  // Headers arrive, then the body stalls until the request is aborted
+  const download = signal => new Response(new ReadableStream({
+    start(stream) {
+      stream.enqueue(new Uint8Array([123]));
+      signal.addEventListener('abort', () => stream.error(signal.reason));
+    }
+  }), { status: 200 });
+
+  const pending = scheduler.schedule('model-a', async signal => download(signal), { signal: controller.signal });
+  setTimeout(() => controller.abort(), 10);
+  await assert.rejects(pending, { name: 'AbortError' });
+});
+
+test('GeminiProvider requests go through the scheduler and recover from a 503', async () => {
+  const context = createExtensionContext();
+  context.loadScript('lib/request-scheduler.js');
+  context.loadScript('lib/prompt-templates.js');
+  context.loadScript('lib/ai-provider.js');
+  context.loadScript('lib/response-validator.js');
+  context.loadScript('lib/providers/gemini-provider.js');
+  const scheduler = new (context.evaluate('RequestScheduler'))({ baseDelayMs: 1 });
+  const provider = context.evaluate('AIProvider').create({
+    type: 'gemini',
+    apiKey: TEST_API_KEY,
+    baseUrl: server.baseUrl,
+    scheduler: scheduler
+  });
+
+  server.enqueue({ status: 503, body: { error: { code: 503, message: 'The model is overloaded.' } } });
+  const result = await provider.detectClothing(TINY_PNG_DATA_URL);
+
+  assert.equal(result.success, true);
+  assert.equal(server.requests.length, 2);
+});
@@ -0,0 +1,109 @@
+// Schema validation of model JSON (lib/response-validator.js) and the single re-ask
+
+'use strict';
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  createExtensionContext,
+  startMockGeminiServer,
+  TEST_API_KEY,
+  TINY_PNG_DATA_URL
+} = require('../harness');
+
+let server;
+let context;
+let provider;
+
+before(async () => {
+  server = await startMockGeminiServer();
+});
+
+after(() => server.close());
+
+beforeEach(() => {
+  server.reset();
+  context = createExtensionContext();
+  context.loadScript('lib/prompt-templates.js');
+  context.loadScript('lib/ai-provider.js');
+  context.loadScript('lib/response-validator.js');
+  context.loadScript('lib/providers/gemini-provider.js');
+  provider = context.evaluate('AIProvider').create({
+    type: 'gemini',
+    apiKey: TEST_API_KEY,
+    baseUrl: server.baseUrl
+  });
+});
+
+// A Gemini reply whose text is the given JSON
+const reply = json => ({
+  status: 200,
+  body: { candidates: [{ content: { parts: [{ text: JSON.stringify(json) }] } }] }
+});
+
+test('near misses are coerced and bad fields or items are rejected', () => {
+  const ResponseValidator = context.evaluate('ResponseValidator');
+  const text = `Here is the result {"note": "ignore"} and more:
+${JSON.stringify({
+    items: [
+      { category: 'Jacket', type: 'bomber', confidence: '87%', boundingBox: [0, 250, 500, 750] },
+      { category: 'tops', type: 'tee', confidence: 92, boundingBox: { x: 0.1, y: 0.1, width: 0, height: 0.5 } },
+      { category: 'furniture', type: 'sofa', confidence: 0.9 },
+      { category: 'shoes', type: 'boots', confidence: -0.2 }
+    ],
+    lighting: 'studio { soft }'
+  })}`;
+
+  const result = ResponseValidator.parse(ResponseValidator.DETECTION, text);
+  const items = JSON.parse(JSON.stringify(result.value.items));
+
+  assert.equal(result.valid, false);
+  assert.deepEqual(items.map(item => item.category), ['outerwear', 'tops', 'shoes']);
+  assert.equal(items[0].confidence, 0.87);
+  assert.deepEqual(items[0].boundingBox, { x: 0.25, y: 0, width: 0.5, height: 0.5 });
+  assert.equal(items[1].confidence, 0.92);
+  assert.equal(items[1].boundingBox, undefined);
+  assert.equal(items[2].confidence, undefined);
+  assert.equal(result.value.lighting, 'studio { soft }');
+  assert.deepEqual(Array.from(result.errors), [
+    '$.items[1].boundingBox: width and height must be positive',
+    '$.items[2].category: "furniture" is not one of tops, bottoms, dresses, outerwear, shoes, accessories',
+    '$.items[3].confidence: -0.2 is outside 0-1'
+  ]);
+
+  assert.equal(ResponseValidator.parse(ResponseValidator.SAFETY, 'Looks fine to me').value, null);
+});
+
+test('an invalid detection reply is re-asked once with the errors', async () => {
+  server.enqueue(reply({ items: [{ category: 'tops', type: 'tee', confidence: 4000 }] }));
+
+  const result = await provider.detectClothing(TINY_PNG_DATA_URL);
+
+  assert.equal(result.success, true);
+  assert.equal(result.items[0].type, 't-shirt');
+  assert.equal(server.requests.length, 2);
+
+  const [first, retry] = server.requests.map(request => request.body);
+  assert.equal(first.generationConfig.responseMimeType, 'application/json');
+  assert.equal(first.generationConfig.responseSchema.properties.items.items.properties.category.enum.length, 6);
+  assert.equal(first.generationConfig.responseSchema.properties.items.items.properties.category.synonyms, undefined);
+  assert.match(retry.contents[0].parts[0].text, /did not match the required JSON format:\n- \$\.items\[0\]\.confidence: 4000 is outside 0-1/);
+});
+
+test('replies that stay invalid fail detection and fall back for safety', async () => {
+  server.enqueue(reply('no clothing here'), reply('still nothing'));
+  const detection = await provider.detectClothing(TINY_PNG_DATA_URL);
+
+  assert.equal(detection.success, false);
+  assert.match(detection.error, /Invalid detection response/);
+  assert.equal(server.requests.length, 2);
+
+  server.reset();
+  server.enqueue(reply({ safe: 'maybe' }), reply({ concerns: [] }));
+  const safety = await provider.validateImageSafety(TINY_PNG_DATA_URL);
+
+  assert.equal(safety.safe, true);
+  assert.match(safety.warning, /invalid response/);
+  assert.equal(server.requests.length, 2);
+});
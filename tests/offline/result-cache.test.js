@@ -0,0 +1,114 @@
+// Content-addressed result cache (lib/result-cache.js) and its use in try-on
+
+'use strict';
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  createExtensionContext,
+  startMockGeminiServer,
+  mockProfileStorage,
+  TINY_PNG_DATA_URL
+} = require('../harness');
+
+let server;
+
+before(async () => {
+  server = await startMockGeminiServer();
+});
+
+after(() => server.close());
+
+beforeEach(() => server.reset());
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 2));
+
+test('an identical try-on reuses the cached result unless regeneration is forced', async () => {
+  const context = createExtensionContext({ storage: mockProfileStorage(server) });
+  context.loadBackground();
+  const storageManager = new (context.evaluate('StorageManager'))();
+  await storageManager.init();
+  const photoId = await storageManager.saveUserPhoto({ data: TINY_PNG_DATA_URL, filename: 'me.png', size: 68, type: 'image/png' });
+
+  const tryOn = options => context.sendMessage({
+    action: 'generateTryOn',
+    userPhotoId: photoId,
+    clothingItems: [{ category: 'tops', data: TINY_PNG_DATA_URL, url: 'https://shop.example/tee' }],
+    options: { skipSafetyValidation: true, ...options }
+  });
+
+  const first = await tryOn();
+  assert.equal(first.tryOnData.fromCache, false);
+  assert.equal(server.requests.length, 2); // generation and analysis
+
+  server.reset();
+  const second = await tryOn();
+  assert.equal(second.success, true);
+  assert.equal(second.tryOnData.fromCache, true);
+  assert.equal(second.tryOnData.description, first.tryOnData.description);
+  assert.equal(server.requests.length, 0);
+
+  // The cache entry refers to its image instead of holding base64
+  const [entry] = await storageManager.getAllRecords('resultCache');
+  assert.equal(entry.result.generatedImage, null);
+  assert.ok(Number.isInteger(entry.result.imageUrl.imageId));
+  assert.doesNotMatch(JSON.stringify(entry), /base64/);
+  const cached = await new (context.evaluate('ResultCache'))(storageManager).get(entry.key);
+  assert.match(cached.imageUrl, /^data:image\/\w+;base64,/);
+  assert.equal(cached.generatedImage, cached.imageUrl.split(',')[1]);
+
+  // Different options miss; forceRegenerate skips the lookup
+  await tryOn({ style: 'formal' });
+  assert.equal(server.requests.length, 2);
+  server.reset();
+  const StorageManager = context.evaluate('StorageManager');
+  const getCachedResult = StorageManager.prototype.getCachedResult;
+  let lookups = 0;
+  StorageManager.prototype.getCachedResult = function (...args) {
+    lookups++;
+    return getCachedResult.apply(this, args);
+  };
+  const forced = await tryOn({ forceRegenerate: true });
+  assert.equal(forced.tryOnData.fromCache, false);
+  assert.equal(lookups, 0);
+  assert.equal(server.requests.length, 2);
+
+  // Every try-on is still saved to history
+  assert.equal((await storageManager.getTryOnResults()).length, 4);
+});
+
+test('keyFor ignores option order and evicts least recently used entries past maxBytes', async () => {
+  const context = createExtensionContext();
+  context.loadScript('lib/storage-manager.js');
+  context.loadScript('lib/result-cache.js');
+  const storageManager = new (context.evaluate('StorageManager'))();
+  await storageManager.init();
+  const ResultCache = context.evaluate('ResultCache');
+
+  const parts = { userPhoto: 'photo', garments: ['tee'], promptVersion: 1, provider: 'gemini' };
+  assert.equal(
+    await new ResultCache(storageManager).keyFor({ ...parts, options: { style: 'natural', lighting: 'auto' } }),
+    await new ResultCache(storageManager).keyFor({ ...parts, options: { lighting: 'auto', style: 'natural' } })
+  );
+  assert.notEqual(
+    await new ResultCache(storageManager).keyFor({ ...parts, options: {} }),
+    await new ResultCache(storageManager).keyFor({ ...parts, promptVersion: 2, options: {} })
+  );
+
+  // Room for two 100-byte entries
+  const cache = new ResultCache(storageManager, { maxBytes: 250 });
+  const entry = name => ({ description: name.padEnd(80, '.') });
+
+  await cache.put('a', entry('a'));
+  await tick();
+  await cache.put('b', entry('b'));
+  await tick();
+  assert.ok(await cache.get('a')); // a is now more recent than b
+  await tick();
+  await cache.put('c', entry('c'));
+
+  assert.equal(await cache.get('b'), null);
+  assert.match((await cache.get('a')).description, /^a/);
+  assert.match((await cache.get('c')).description, /^c/);
+});
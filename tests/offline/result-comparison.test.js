@@ -0,0 +1,66 @@
+// Aligned comparison rows for saved try-on results (lib/result-comparison.js)
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createExtensionContext } = require('../harness');
+
+const context = createExtensionContext();
+context.loadScript('lib/result-comparison.js');
+const ResultComparison = context.evaluate('ResultComparison');
+
+// Plain copies of VM objects so deepEqual compares by value
+const plain = value => JSON.parse(JSON.stringify(value));
+
+const red = {
+  id: 1,
+  metadata: {
+    fitAnalysis: { size_compatibility: 'good', body_match: 'excellent' },
+    stylingAssessment: { color_harmony: 'excellent', occasion_suitability: 'party' },
+    sizeRecommendation: {
+      kind: 'apparel',
+      recommendedSize: 'M',
+      fit: 'true to size',
+      unit: 'cm',
+      margins: { chest: { margin: 0 }, waist: { margin: -2 } }
+    }
+  }
+};
+
+const blue = {
+  id: 2,
+  metadata: {
+    fitAnalysis: { size_compatibility: 'good', body_match: 'fair', pose_compatibility: 'natural' },
+    stylingAssessment: { color_harmony: 'clashing', occasion_suitability: 'party' },
+    sizeRecommendation: null
+  }
+};
+
+test('buildRows aligns fit, styling and size attributes across results', () => {
+  const rows = plain(ResultComparison.buildRows([red, blue]));
+
+  assert.deepEqual(rows.map(row => [row.label, row.values, row.differs]), [
+    ['Size compatibility', ['good', 'good'], false],
+    ['Body match', ['excellent', 'fair'], true],
+    ['Pose compatibility', [null, 'natural'], true],
+    ['Color harmony', ['excellent', 'clashing'], true],
+    ['Occasion suitability', ['party', 'party'], false],
+    ['Recommended size', ['M', null], true],
+    ['Fit', ['true to size', null], true],
+    ['Chest margin', ['ok', null], true],
+    ['Waist margin', ['-2 cm', null], true]
+  ]);
+  assert.deepEqual([...new Set(rows.map(row => row.section))], ['Fit', 'Styling', 'Size']);
+});
+
+test('parseIds and validateCount accept two to four distinct results', () => {
+  assert.deepEqual(Array.from(ResultComparison.parseIds('?ids=3,7,3,x,9')), [3, 7, 9]);
+  assert.deepEqual(Array.from(ResultComparison.parseIds('')), []);
+
+  assert.doesNotThrow(() => ResultComparison.validateCount(2));
+  assert.doesNotThrow(() => ResultComparison.validateCount(4));
+  assert.throws(() => ResultComparison.validateCount(1), /Select 2 to 4 results to compare/);
+  assert.throws(() => ResultComparison.validateCount(5), /got 5/);
+});
@@ -0,0 +1,99 @@
+// Size charts and size recommendations (lib/size-recommender.js)
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createExtensionContext, createDocument, h } = require('../harness');
+
+const context = createExtensionContext();
+context.loadScript('lib/size-recommender.js');
+const SizeRecommender = context.evaluate('SizeRecommender');
+
+// Plain copies of VM objects so deepEqual compares by value
+const plain = value => JSON.parse(JSON.stringify(value));
+
+const PROFILE = {
+  height: { value: '178', unit: 'cm' },
+  chest: '96',
+  waist: '84',
+  hips: '',
+  shoeSize: { value: '43', unit: 'eu' }
+};
+
+test('parses a cm chart with sizes as rows and recommends the closest size', () => {
+  const chart = SizeRecommender.parseSizeChart([
+    ['Size', 'Chest (cm)', 'Waist (cm)', 'Chest (in)'],
+    ['S', '86-90', '72-76', '34-35'],
+    ['M', '94-98', '80-84', '37-38½'],
+    ['L', '102-106', '88-92', '40-41½']
+  ]);
+
+  assert.equal(chart.kind, 'apparel');
+  assert.deepEqual(Array.from(chart.sizes, size => size.label), ['S', 'M', 'L']);
+  assert.deepEqual(plain(chart.sizes[1].measurements), { chest: { min: 94, max: 98 }, waist: { min: 80, max: 84 } });
+
+  const recommendation = plain(SizeRecommender.recommend(chart, PROFILE));
+  assert.equal(recommendation.recommendedSize, 'M');
+  assert.equal(recommendation.fit, 'true to size');
+  assert.deepEqual(recommendation.margins.chest, { body: 96, min: 94, max: 98, margin: 0, fit: 'good' });
+});
+
+test('reads transposed inch charts and reports margins in cm', () => {
+  const chart = SizeRecommender.parseSizeChart([
+    ['', 'XS', 'S', 'M'],
+    ['Bust', '31', '33', '35'],
+    ['Waist', '24 - 25', '26 - 27', '28 - 29']
+  ]);
+
+  assert.deepEqual(plain(chart.sizes[0].measurements.chest), { min: 78.7, max: 78.7 });
+
+  // 96 cm chest is above every size: largest size, reported as tight
+  const recommendation = plain(SizeRecommender.recommend(chart, { chest: '96' }));
+  assert.equal(recommendation.recommendedSize, 'M');
+  assert.equal(recommendation.fit, 'snug');
+  assert.equal(recommendation.margins.chest.margin, -7.1);
+  assert.equal(recommendation.margins.chest.fit, 'tight');
+});
+
+test('shoe charts compare in the user system or convert to EU', () => {
+  const chart = SizeRecommender.parseSizeChart([
+    ['US', 'UK', 'EU'],
+    ['8', '7', '41'],
+    ['9', '8', '42'],
+    ['10', '9', '43'],
+    ['11', '10', '44.5']
+  ]);
+  assert.equal(chart.kind, 'shoes');
+
+  const eu = plain(SizeRecommender.recommend(chart, PROFILE));
+  assert.equal(eu.recommendedSize, 'US 10');
+  assert.equal(eu.fit, 'true to size');
+  assert.equal(eu.unit, 'EU');
+
+  const usOnly = SizeRecommender.parseSizeChart([['US', 'Foot length (cm)'], ['9', '27'], ['10', '28']]);
+  const converted = plain(SizeRecommender.recommend(usOnly, { shoeSize: { value: '42', unit: 'eu' } }));
+  assert.equal(converted.unit, 'EU');
+  assert.equal(converted.recommendedSize, 'US 9');
+});
+
+test('findSizeCharts skips tables that are not size charts', () => {
+  const doc = createDocument([
+    h('table', {}, [h('tr', {}, [h('td', {}, 'Shipping'), h('td', {}, '3-5 days')])]),
+    h('table', { class: 'size-guide' }, [
+      h('thead', {}, [h('tr', {}, [h('th', {}, 'Size'), h('th', {}, 'Waist'), h('th', {}, 'Hips')])]),
+      h('tbody', {}, [
+        h('tr', {}, [h('td', {}, '30'), h('td', {}, '76'), h('td', {}, '94')]),
+        h('tr', {}, [h('td', {}, '32'), h('td', {}, '81'), h('td', {}, '99')])
+      ])
+    ])
+  ]);
+
+  const charts = SizeRecommender.findSizeCharts(doc);
+  assert.equal(charts.length, 1);
+
+  const recommendation = SizeRecommender.recommendFromCharts(charts, PROFILE, 'bottoms');
+  assert.equal(recommendation.recommendedSize, '32');
+  assert.equal(SizeRecommender.describe(recommendation), '32 (snug) · waist -3 cm');
+});
@@ -0,0 +1,105 @@
+// IndexedDB schema migrations (StorageManager.MIGRATIONS) against the fake IndexedDB
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createExtensionContext } = require('../harness');
+
+function loadStorageContext() {
+  const context = createExtensionContext();
+  context.loadScript('lib/storage-manager.js');
+  return { context, StorageManager: context.evaluate('StorageManager') };
+}
+
+// Store and index names, for comparing two databases
+function describeSchema(db) {
+  const stores = Array.from(db.objectStoreNames).sort();
+  const transaction = db.transaction(stores);
+  return stores.map(name => `${name}: ${Array.from(transaction.objectStore(name).indexNames).sort().join(', ')}`);
+}
+
+function addRecord(db, storeName, record) {
+  return new Promise((resolve, reject) => {
+    const request = db.transaction([storeName], 'readwrite').objectStore(storeName).add(record);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function getAll(db, storeName) {
+  return new Promise((resolve, reject) => {
+    const request = db.transaction([storeName]).objectStore(storeName).getAll();
+    request.onsuccess = () => resolve(JSON.parse(JSON.stringify(request.result)));
+    request.onerror = () => reject(request.error);
+  });
+}
+
+test('upgrading one version at a time gives the same schema as a fresh install', async () => {
+  const { StorageManager } = loadStorageContext();
+  const latest = StorageManager.latestVersion();
+
+  const fresh = await StorageManager.openDatabase('fresh', latest);
+  const expected = describeSchema(fresh);
+  fresh.close();
+
+  for (let version = 1; version <= latest; version++) {
+    const db = await StorageManager.openDatabase('stepwise', version);
+    assert.equal(db.version, version);
+    db.close();
+  }
+  const stepwise = await StorageManager.openDatabase('stepwise', latest);
+  assert.deepEqual(describeSchema(stepwise), expected);
+  assert.ok(expected.includes('tryOnResults: category, favoritedAt, rating, tags, timestamp'));
+});
+
+test('a failed migration rolls the whole upgrade back and leaves a diagnostic', async () => {
+  const { context, StorageManager } = loadStorageContext();
+  const base = StorageManager.latestVersion();
+
+  const db = await StorageManager.openDatabase('VirtualTryOnDB', base);
+  await addRecord(db, 'clothingItems', { category: 'tops', title: 'Tee' });
+  await addRecord(db, 'clothingItems', { category: 'shoes', title: 'Boots', status: 'owned' });
+  db.close();
+
+  StorageManager.MIGRATIONS.push(
+    {
+      version: base + 1,
+      description: 'Default wardrobe status',
+      up: migration => migration.backfill('clothingItems', item => item.status ? null : { ...item, status: 'owned' })
+    },
+    {
+      version: base + 2,
+      description: 'Outfits store',
+      up(migration) {
+        migration.createStore('outfits', { keyPath: 'id', autoIncrement: true });
+        migration.createIndex('looks', 'createdAt', 'createdAt');
+      }
+    }
+  );
+
+  const manager = Object.assign(Object.create(StorageManager.prototype), { dbName: 'VirtualTryOnDB', dbVersion: base + 2 });
+  await assert.rejects(manager.init(), new RegExp(`failed at migration ${base + 2} \\(Outfits store\\): Object store "looks" does not exist`));
+
+  const { dbUpgradeError } = await context.chrome.storage.local.get(['dbUpgradeError']);
+  assert.deepEqual(
+    { from: dbUpgradeError.fromVersion, to: dbUpgradeError.toVersion, failed: dbUpgradeError.failedVersion },
+    { from: base, to: base + 2, failed: base + 2 }
+  );
+
+  // Neither the backfill nor the new store survived
+  const unchanged = await StorageManager.openDatabase('VirtualTryOnDB', base);
+  assert.equal(unchanged.objectStoreNames.contains('outfits'), false);
+  assert.deepEqual((await getAll(unchanged, 'clothingItems')).map(item => item.status), [undefined, 'owned']);
+  unchanged.close();
+
+  // With the broken step fixed, the upgrade runs and clears the diagnostic
+  StorageManager.MIGRATIONS[StorageManager.MIGRATIONS.length - 1].up = migration => {
+    migration.createStore('outfits', { keyPath: 'id', autoIncrement: true }, [['createdAt', 'createdAt']]);
+  };
+  await manager.init();
+  assert.equal(manager.db.version, base + 2);
+  assert.deepEqual((await getAll(manager.db, 'clothingItems')).map(item => item.status), ['owned', 'owned']);
+  assert.equal((await context.chrome.storage.local.get(['dbUpgradeError'])).dbUpgradeError, undefined);
+});
@@ -0,0 +1,94 @@
+// Per-store storage accounting and the storage cap (StorageManager.enforceStorageCap)
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createExtensionContext, TINY_PNG_DATA_URL } = require('../harness');
+
+async function createStorage(storageCapMB) {
+  const context = createExtensionContext({ storage: { userProfile: { preferences: { storageCapMB } } } });
+  context.loadScript('lib/storage-manager.js');
+  const StorageManager = context.evaluate('StorageManager');
+  StorageManager.IMAGE_GRACE_MS = 0;
+  const storageManager = new StorageManager();
+  await storageManager.init();
+  return { context, storageManager };
+}
+
+// A PNG data URL of `size` bytes, different for each fill value
+const image = (size, fill) => `data:image/png;base64,${Buffer.alloc(size, fill).toString('base64')}`;
+
+async function saveResult(storageManager, day, processedImage, favorite = false, originalImage = TINY_PNG_DATA_URL) {
+  const id = await storageManager.saveTryOnResult({
+    originalImage: originalImage,
+    processedImage: processedImage,
+    clothingItem: { category: 'tops', source: 'test' },
+    category: 'tops'
+  });
+  await storageManager.updateTryOnResult(id, { timestamp: day * 86400000 });
+  if (favorite) {
+    await storageManager.setTryOnFavorite(id, true);
+  }
+  return id;
+}
+
+test('usage is broken down by store and counts each image once', async () => {
+  const { storageManager } = await createStorage(0);
+  await storageManager.saveUserPhoto({ data: TINY_PNG_DATA_URL, filename: 'me.png', size: 70, type: 'image/png' });
+  const [photo] = await storageManager.getUserPhotos();
+  await storageManager.saveClothingItem({ image: image(300, 1), category: 'tops', title: 'Tee' });
+  const resultId = await saveResult(storageManager, 1, image(1000, 2), false, photo.data);
+  await storageManager.saveCachedResult('key', { imageUrl: 'data:' }, 500);
+
+  const [item] = await storageManager.getClothingItems();
+  const result = await storageManager.getTryOnResult(resultId);
+  const usage = await storageManager.getStorageUsage();
+
+  // The result's originalImage is the photo's image, already counted under photos
+  assert.equal(result.originalImage.imageId, photo.data.imageId);
+  assert.deepEqual({ ...usage.stores }, {
+    photos: JSON.stringify(photo).length + 70,
+    results: JSON.stringify(result).length + 1000,
+    wardrobe: JSON.stringify(item).length + 300,
+    cache: 500
+  });
+  assert.equal(usage.indexedDB, usage.stores.photos + usage.stores.results + usage.stores.wardrobe + 500);
+  assert.equal(usage.estimate, null); // no navigator.storage here
+  assert.equal(usage.cap, null);
+});
+
+test('past the cap the cache goes first, then the oldest results that are not favorites', async () => {
+  const { context, storageManager } = await createStorage(0);
+  const favorite = await saveResult(storageManager, 1, image(10000, 1), true);
+  const oldest = await saveResult(storageManager, 2, image(10000, 2));
+  const newest = await saveResult(storageManager, 3, image(10000, 3));
+  await storageManager.saveCachedResult('key', { imageUrl: 'data:' }, 5000);
+
+  const { indexedDB } = await storageManager.getStorageUsage();
+  const summary = await storageManager.enforceStorageCap(indexedDB - 12000);
+
+  assert.deepEqual(Array.from(summary.evictedResults), [oldest]);
+  assert.equal(summary.evictedCacheEntries, 1);
+  assert.deepEqual(Array.from(await storageManager.getTryOnResults(), result => result.id).sort(), [favorite, newest]);
+  assert.ok((await storageManager.getStorageUsage()).indexedDB <= indexedDB - 12000);
+
+  // Saving a result applies the profile's cap, keeping the new result
+  await context.chrome.storage.local.set({ userProfile: { preferences: { storageCapMB: 0.001 } } });
+  const saved = await saveResult(storageManager, 4, image(10000, 4));
+  assert.deepEqual(Array.from(await storageManager.getTryOnResults(), result => result.id).sort(), [favorite, saved]);
+});
+
+test('there is no cap until the user sets one', async () => {
+  const { context, storageManager } = await createStorage(null);
+  await context.chrome.storage.local.set({ userProfile: { preferences: {} } });
+  assert.equal(await storageManager.getStorageCap(), null);
+
+  const first = await saveResult(storageManager, 1, image(600 * 1024, 1));
+  const second = await saveResult(storageManager, 2, image(600 * 1024, 2));
+  assert.deepEqual(Array.from(await storageManager.getTryOnResults(), result => result.id).sort(), [first, second]);
+
+  await context.chrome.storage.local.set({ userProfile: { preferences: { storageCapMB: 1 } } });
+  assert.equal(await storageManager.getStorageCap(), 1024 * 1024);
+});
@@ -0,0 +1,240 @@
+// End-to-end try-on flows in a service-worker-like context
+
+'use strict';
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  createExtensionContext,
+  startMockGeminiServer,
+  mockProfileStorage,
+  TINY_PNG_BASE64,
+  TINY_PNG_DATA_URL
+} = require('../harness');
+
+let server;
+
+before(async () => {
+  server = await startMockGeminiServer();
+});
+
+after(() => server.close());
+
+beforeEach(() => server.reset());
+
+// Background context with a profile photo already stored
+async function createBackground(storage = mockProfileStorage(server)) {
+  const context = createExtensionContext({ storage });
+  context.loadBackground();
+
+  const StorageManager = context.evaluate('StorageManager');
+  const storageManager = new StorageManager();
+  await storageManager.init();
+  const photoId = await storageManager.saveUserPhoto({
+    data: TINY_PNG_DATA_URL,
+    filename: 'me.png',
+    size: 68,
+    type: 'image/png'
+  });
+
+  return { context, storageManager, photoId };
+}
+
+async function createGenerator(context) {
+  const generator = new (context.evaluate('TryOnGenerator'))();
+  await generator.storageManager.init();
+  await generator.geminiIntegration.ready;
+  return generator;
+}
+
+test('TryOnGenerator.generateTryOn produces and saves an AI result', async () => {
+  const { context, storageManager, photoId } = await createBackground();
+  const generator = await createGenerator(context);
+
+  const response = await generator.generateTryOn(photoId, {
+    category: 'tops',
+    data: TINY_PNG_DATA_URL,
+    source: 'test-shop',
+    url: 'https://shop.example/tee'
+  });
+
+  assert.equal(response.success, true);
+  assert.equal(response.result.generatedImage, TINY_PNG_BASE64);
+  assert.equal(response.result.processingMethod, 'gemini-2.5-flash-image');
+  assert.equal(response.result.confidence, 0.87);
+  assert.equal(response.result.isAIGenerated, true);
+
+  // Safety check, image generation, then analysis
+  assert.deepEqual(server.requests.map(request => request.model), [
+    'gemini-2.5-flash',
+    'gemini-2.5-flash-image-preview',
+    'gemini-2.5-flash'
+  ]);
+
+  const saved = await storageManager.getTryOnResults();
+  assert.equal(saved.length, 1);
+  assert.equal(saved[0].category, 'tops');
+  assert.equal(saved[0].metadata.processingMethod, 'gemini-2.5-flash-image');
+});
+
+test('TryOnGenerator falls back to the mock generator when the API is rate limited', async () => {
+  const { context, photoId } = await createBackground();
+  const generator = await createGenerator(context);
+  // The fixture asks for Retry-After: 2, longer than this scheduler will wait
+  context.evaluate('RequestScheduler').shared.maxDelayMs = 1000;
+  server.enqueue('rate-limit-429');
+
+  const response = await generator.generateTryOn(photoId, { category: 'tops', data: TINY_PNG_DATA_URL }, {
+    skipSafetyValidation: true
+  });
+
+  assert.equal(response.success, true);
+  assert.equal(response.result.processingMethod, 'enhanced-mock-generator');
+  assert.match(response.result.aiResponse, /429/);
+});
+
+test('processImage message detects clothing and completes a try-on', async () => {
+  const { context, storageManager } = await createBackground();
+
+  const response = await context.sendMessage({
+    action: 'processImage',
+    imageData: { url: server.imageUrl('tee.png') },
+    options: { type: 'clothing_detection', source: 'test-shop' }
+  });
+
+  assert.equal(response.success, true);
+  assert.equal(response.result.type, 'virtual_tryon_complete');
+  assert.equal(response.result.detectionData.aiData.processingMethod, 'gemini-ai');
+  assert.equal(response.result.clothingItems[0].category, 'tops');
+  assert.equal(response.result.tryOnData.processingMethod, 'gemini-2.5-flash-image');
+
+  const saved = await storageManager.getTryOnResults();
+  assert.equal(saved.length, 1);
+
+  // Detection, cropping and try-on share the one fetched copy of the page image
+  assert.equal(server.imageFetches.length, 1);
+  assert.match(response.result.clothingItems[0].data, /^data:image\/png;base64,/);
+});
+
+test('generateTryOn message in outfit mode saves one linked outfit record', async () => {
+  const { context, storageManager } = await createBackground();
+
+  const response = await context.sendMessage({
+    action: 'generateTryOn',
+    clothingItems: [
+      { category: 'tops', type: 't-shirt', confidence: 0.9, data: TINY_PNG_DATA_URL, url: 'https://shop.example/tee' },
+      { category: 'tops', type: 'tank top', confidence: 0.4, data: TINY_PNG_DATA_URL },
+      { category: 'bottoms', type: 'jeans', confidence: 0.8, data: TINY_PNG_DATA_URL, url: 'https://shop.example/jeans' },
+      { category: 'shoes', type: 'sneakers', confidence: 0.7, data: TINY_PNG_DATA_URL }
+    ],
+    options: { outfit: true, skipSafetyValidation: true }
+  });
+
+  assert.equal(response.success, true);
+  assert.deepEqual(Array.from(response.tryOnData.outfitItems, item => item.type), ['t-shirt', 'jeans', 'sneakers']);
+
+  // One generation request carrying the person plus three garments
+  const imageRequests = server.requests.filter(request => request.model.includes('image'));
+  assert.equal(imageRequests.length, 1);
+  assert.equal(imageRequests[0].body.contents[0].parts.length, 5);
+
+  const [saved] = await storageManager.getTryOnResults();
+  assert.equal(saved.category, 'outfit');
+  assert.equal(saved.outfit.items.length, 3);
+  assert.equal(saved.outfit.items[0].url, 'https://shop.example/tee');
+
+  const sourceIds = saved.outfit.items.map(item => item.clothingItemId);
+  assert.ok(sourceIds.every(id => typeof id === 'number'));
+});
+
+test('processImage uses mock detection when no API key is configured', async () => {
+  const { context } = await createBackground({ userProfile: { photos: [] } });
+
+  const response = await context.sendMessage({
+    action: 'processImage',
+    imageData: { dataUrl: TINY_PNG_DATA_URL },
+    options: { type: 'clothing_detection', source: 'test-shop', autoTryOn: false }
+  });
+
+  assert.equal(response.success, true);
+  assert.equal(response.result.mockData.processingMethod, 'mock-no-api-key');
+  assert.equal(server.requests.length, 0);
+});
+
+test('processImage with pickItems asks for a selection when several items are detected', async () => {
+  const { context, storageManager } = await createBackground();
+  server.enqueue('detection-outfit');
+
+  const response = await context.sendMessage({
+    action: 'processImage',
+    imageData: { url: server.imageUrl('look.png') },
+    options: { type: 'clothing_detection', source: 'test-shop', pickItems: true }
+  });
+
+  assert.equal(response.success, true);
+  assert.equal(response.result.selectionRequired, true);
+  assert.deepEqual(Array.from(response.result.clothingItems, item => item.type), ['t-shirt', 'jeans']);
+
+  // Nothing is generated until the user has chosen
+  assert.equal(server.requests.length, 1);
+  assert.equal((await storageManager.getTryOnResults()).length, 0);
+});
+
+test('product metadata from the page reaches the prompt and the clothingItems store', async () => {
+  const { context, storageManager } = await createBackground();
+  const product = {
+    name: 'Linen Shirt',
+    brand: 'Acme',
+    price: 59.9,
+    currency: 'EUR',
+    sizes: ['S', 'M'],
+    colors: ['Navy'],
+    material: 'Linen',
+    canonicalUrl: 'https://shop.example/p/linen-shirt'
+  };
+
+  const response = await context.sendMessage({
+    action: 'processImage',
+    imageData: { url: server.imageUrl('tee.png'), product: product },
+    options: { type: 'clothing_detection', source: 'test-shop' }
+  });
+  assert.equal(response.result.clothingItems[0].title, 'Linen Shirt');
+
+  const imageRequest = server.requests.find(request => request.model.includes('image'));
+  assert.match(imageRequest.body.contents[0].parts[0].text, /PRODUCT: "Linen Shirt" by Acme, material: Linen, color: Navy/);
+
+  const [result] = await storageManager.getTryOnResults();
+  assert.equal(result.clothingItem.title, 'Linen Shirt');
+  assert.equal(result.clothingItem.product.price, 59.9);
+
+  const [item] = await storageManager.getClothingItems();
+  assert.equal(item.id, result.clothingItem.clothingItemId);
+  assert.equal(item.title, 'Linen Shirt');
+  assert.equal(item.product.canonicalUrl, 'https://shop.example/p/linen-shirt');
+});
+
+test('size charts from the page produce a stored size recommendation', async () => {
+  const { context, storageManager } = await createBackground(mockProfileStorage(server, {
+    measurements: { chest: '96', waist: '84', hips: '', height: { value: '178', unit: 'cm' } }
+  }));
+  const sizeCharts = [{
+    kind: 'apparel',
+    sizes: [
+      { label: 'S', measurements: { chest: { min: 86, max: 90 } }, shoe: {} },
+      { label: 'M', measurements: { chest: { min: 94, max: 98 } }, shoe: {} }
+    ]
+  }];
+
+  const response = await context.sendMessage({
+    action: 'processImage',
+    imageData: { url: server.imageUrl('tee.png'), sizeCharts: sizeCharts },
+    options: { type: 'clothing_detection', source: 'test-shop' }
+  });
+
+  assert.equal(response.result.tryOnData.sizeRecommendation.recommendedSize, 'M');
+
+  const [saved] = await storageManager.getTryOnResults();
+  assert.equal(saved.metadata.sizeRecommendation.recommendedSize, 'M');
+  assert.equal(saved.metadata.sizeRecommendation.margins.chest.margin, 0);
+});
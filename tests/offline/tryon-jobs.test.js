@@ -0,0 +1,305 @@
+// Try-on jobs over a runtime port: progress events, cancellation and
+// picking jobs up again after the service worker restarts
+
+'use strict';
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  createExtensionContext,
+  startMockGeminiServer,
+  mockProfileStorage,
+  TINY_PNG_DATA_URL
+} = require('../harness');
+
+let server;
+
+before(async () => {
+  server = await startMockGeminiServer();
+});
+
+after(() => server.close());
+
+beforeEach(() => server.reset());
+
+async function createBackground(options = {}) {
+  const context = createExtensionContext({ storage: mockProfileStorage(server), ...options });
+  context.loadBackground();
+
+  const storageManager = new (context.evaluate('StorageManager'))();
+  await storageManager.init();
+  const photoId = await storageManager.saveUserPhoto({ data: TINY_PNG_DATA_URL, filename: 'me.png', size: 68, type: 'image/png' });
+  await context.evaluate('tryOnJobs').restoring;
+
+  return { context, storageManager, photoId };
+}
+
+// Start a job over a port; resolves with every event up to the final one.
+// onEvent(event, port) can react to events as they arrive.
+function runJob(context, request, onEvent = () => {}) {
+  const port = context.chrome.runtime.connect({ name: 'tryon-jobs' });
+  const events = [];
+
+  return new Promise((resolve) => {
+    port.onMessage.addListener((event) => {
+      events.push(event);
+      onEvent(event, port);
+      if (['completed', 'needs-selection', 'failed', 'cancelled', 'error'].includes(event.type)) {
+        port.disconnect();
+        resolve(events);
+      }
+    });
+    port.postMessage({ type: 'start', request: request });
+  });
+}
+
+const tryOnRequest = photoId => ({
+  action: 'generateTryOn',
+  userPhotoId: photoId,
+  clothingItems: [{ category: 'tops', data: TINY_PNG_DATA_URL, url: 'https://shop.example/tee' }],
+  options: { skipSafetyValidation: true }
+});
+
+test('a try-on job streams its stages in order and completes with the response', async () => {
+  const { context, storageManager, photoId } = await createBackground();
+
+  const events = await runJob(context, tryOnRequest(photoId));
+  const final = events[events.length - 1];
+
+  assert.equal(events[0].type, 'started');
+  assert.equal(final.type, 'completed');
+  assert.equal(final.job.percent, 100);
+  assert.equal(final.response.success, true);
+  assert.equal(final.response.tryOnData.savedId, (await storageManager.getTryOnResults())[0].id);
+
+  const stages = [...new Set(events.filter(event => event.type === 'progress').map(event => event.job.stage))];
+  assert.deepEqual(stages, ['preparing', 'generating', 'analyzing', 'saving']);
+
+  const percents = events.map(event => event.job.percent);
+  assert.deepEqual(percents, [...percents].sort((a, b) => a - b));
+
+  const jobs = await context.sendMessage({ action: 'getTryOnJobs' });
+  assert.equal(jobs.jobs[0].status, 'completed');
+});
+
+test('cancelling a job aborts the in-flight generation and saves nothing', async () => {
+  const { context, storageManager, photoId } = await createBackground();
+
+  // Image generation hangs long enough to be cancelled mid-request
+  server.enqueue({ status: 200, body: {}, delayMs: 2000 });
+
+  const startedAt = Date.now();
+  const events = await runJob(context, tryOnRequest(photoId), (event, port) => {
+    if (event.type === 'progress' && event.job.stage === 'generating') {
+      port.postMessage({ type: 'cancel', jobId: event.job.id });
+    }
+  });
+  const final = events[events.length - 1];
+
+  assert.equal(final.type, 'cancelled');
+  assert.equal(final.response.cancelled, true);
+  assert.ok(Date.now() - startedAt < 1500, 'cancel should not wait for the response');
+
+  // Let the aborted request settle, then check nothing was analyzed or saved
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.equal(server.requests.length, 1);
+  assert.equal((await storageManager.getTryOnResults()).length, 0);
+  assert.equal((await context.sendMessage({ action: 'cancelTryOnJob', jobId: final.job.id })).success, false);
+});
+
+// Start a job and close the port straight away, as when the popup is closed
+function startUnwatched(context, request) {
+  const port = context.chrome.runtime.connect({ name: 'tryon-jobs' });
+
+  return new Promise((resolve) => {
+    port.onMessage.addListener((event) => {
+      if (event.type === 'started') {
+        port.disconnect();
+        resolve(event.job.id);
+      }
+    });
+    port.postMessage({ type: 'start', request: request });
+  });
+}
+
+const processRequest = (url, options = {}) => ({
+  action: 'processImage',
+  imageData: { url: url },
+  options: { type: 'clothing_detection', source: 'test-shop', ...options }
+});
+
+test('a processImage job whose try-on step throws fails instead of returning the detection', async () => {
+  const { context, storageManager } = await createBackground();
+  context.evaluate('TryOnGenerator').prototype.generateTryOn = async () => {
+    throw new Error('Generator unavailable');
+  };
+
+  const events = await runJob(context, processRequest(server.imageUrl('tee.png')));
+  const final = events[events.length - 1];
+
+  assert.equal(final.type, 'failed');
+  assert.equal(final.job.error, 'Generator unavailable');
+  assert.equal(final.response.success, false);
+  assert.equal(final.response.result.clothingItems.length, 1);
+
+  const jobId = await startUnwatched(context, processRequest(server.imageUrl('tee.png')));
+  await waitForJob(context, jobId, 'failed');
+  assert.deepEqual(context.chrome.notifications.shown.map(notification => notification.title), ['Try-on failed']);
+  assert.equal((await storageManager.getTryOnJobs('failed')).length, 2);
+});
+
+test('a job that finds several garments waits for a selection instead of completing', async () => {
+  const { context, storageManager } = await createBackground();
+  server.enqueue('detection-outfit');
+
+  const events = await runJob(context, processRequest(server.imageUrl('look.png'), { pickItems: true }));
+  const final = events[events.length - 1];
+
+  assert.equal(final.type, 'needs-selection');
+  assert.equal(final.job.error, null);
+  assert.equal(final.response.result.selectionRequired, true);
+  assert.equal((await storageManager.getTryOnResults()).length, 0);
+
+  server.enqueue('detection-outfit');
+  const jobId = await startUnwatched(context, processRequest(server.imageUrl('look.png'), { pickItems: true }));
+  await waitForJob(context, jobId, 'needs-selection');
+  assert.deepEqual(context.chrome.notifications.shown.map(notification => notification.title), ['Choose what to try on']);
+  assert.equal((await storageManager.getTryOnJobs('needs-selection')).length, 2);
+});
+
+test('an unwatched job only reports "Try-on ready" when it generated an image', async () => {
+  const { context, photoId } = await createBackground();
+
+  // The model answers without an image, so the try-on ends on the mock fallback
+  server.enqueue('no-image');
+  const withoutImage = await startUnwatched(context, tryOnRequest(photoId));
+  await waitForJob(context, withoutImage, 'completed');
+
+  const withImage = await startUnwatched(context, tryOnRequest(photoId));
+  await waitForJob(context, withImage, 'completed');
+
+  assert.deepEqual(context.chrome.notifications.shown.map(notification => notification.title), ['No try-on image', 'Try-on ready']);
+});
+
+// Job record as a stopped worker leaves it behind
+function interruptedJob(photoId, stage, request = tryOnRequest(photoId)) {
+  return {
+    id: `job_1_${stage}`,
+    action: request.action,
+    request: request,
+    status: 'running',
+    stage: stage,
+    percent: 40,
+    attempts: 1,
+    startedAt: Date.now() - 60000,
+    finishedAt: null,
+    error: null,
+    resultId: null
+  };
+}
+
+async function waitForJob(context, jobId, status) {
+  for (let i = 0; i < 200; i++) {
+    const { jobs } = await context.sendMessage({ action: 'getTryOnJobs' });
+    const job = jobs.find(candidate => candidate.id === jobId);
+    if (job && job.status === status) return job;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error(`Job ${jobId} never reached ${status}`);
+}
+
+test('a job interrupted by a worker restart is re-run and notifies when it finishes', async () => {
+  const stopped = await createBackground();
+  await stopped.storageManager.saveTryOnJob(interruptedJob(stopped.photoId, 'generating'));
+
+  // A new worker on the same database picks the job up
+  const { context, storageManager } = await createBackground({ indexedDB: stopped.context.indexedDB });
+  const running = (await context.sendMessage({ action: 'getTryOnJobs' })).jobs[0];
+  assert.equal(running.status, 'running');
+  assert.equal(running.attempts, 2);
+  assert.ok(context.chrome.alarms.active.has('tryon-jobs-keepalive'));
+
+  const job = await waitForJob(context, 'job_1_generating', 'completed');
+  const saved = await storageManager.getTryOnResults();
+  assert.equal(saved.length, 1);
+  assert.equal(job.resultId, saved[0].id);
+
+  // Nobody was watching, so the user gets a notification; the alarm is no longer needed
+  assert.deepEqual(context.chrome.notifications.shown.map(notification => notification.title), ['Try-on ready']);
+  assert.equal(context.chrome.alarms.active.size, 0);
+
+  const [record] = await storageManager.getTryOnJobs();
+  assert.equal(record.status, 'completed');
+  assert.equal(record.request, null);
+});
+
+test('a job interrupted while saving is failed instead of re-run', async () => {
+  const stopped = await createBackground();
+  await stopped.storageManager.saveTryOnJob(interruptedJob(stopped.photoId, 'saving'));
+
+  const { context, storageManager } = await createBackground({ indexedDB: stopped.context.indexedDB });
+  const [job] = (await context.sendMessage({ action: 'getTryOnJobs' })).jobs;
+
+  assert.equal(job.status, 'failed');
+  assert.match(job.error, /restarted while saving/);
+  assert.equal(server.requests.length, 0);
+  assert.equal(context.chrome.notifications.shown[0].title, 'Try-on failed');
+  assert.equal((await storageManager.getTryOnJobs('failed')).length, 1);
+});
+
+// Subscribe to a job over a new port and resolve with its current state
+function subscribe(context, jobId) {
+  const port = context.chrome.runtime.connect({ name: 'tryon-jobs' });
+
+  return new Promise((resolve) => {
+    port.onMessage.addListener((event) => {
+      port.disconnect();
+      resolve(event);
+    });
+    port.postMessage({ type: 'subscribe', jobId: jobId });
+  });
+}
+
+test('a resumed job that needs a selection keeps that state across restarts', async () => {
+  const stopped = await createBackground();
+  await stopped.storageManager.saveTryOnJob(interruptedJob(stopped.photoId, 'detecting', processRequest(server.imageUrl('look.png'), { pickItems: true })));
+  server.enqueue('detection-outfit');
+
+  const resumed = await createBackground({ indexedDB: stopped.context.indexedDB });
+  await waitForJob(resumed.context, 'job_1_detecting', 'needs-selection');
+  assert.deepEqual(resumed.context.chrome.notifications.shown.map(notification => notification.title), ['Choose what to try on']);
+  assert.equal((await resumed.storageManager.getTryOnResults()).length, 0);
+
+  // Another restart loads the finished record as it was, without notifying again
+  const { context } = await createBackground({ indexedDB: stopped.context.indexedDB });
+  const [job] = (await context.sendMessage({ action: 'getTryOnJobs' })).jobs;
+  assert.equal(job.status, 'needs-selection');
+  assert.equal(job.error, null);
+  assert.equal(context.chrome.notifications.shown.length, 0);
+
+  const event = await subscribe(context, job.id);
+  assert.equal(event.type, 'needs-selection');
+  assert.equal(event.response.needsSelection, true);
+});
+
+test('a resumed job that fails stays failed across restarts', async () => {
+  const stopped = await createBackground();
+  const request = { ...tryOnRequest(stopped.photoId), clothingItems: [] };
+  await stopped.storageManager.saveTryOnJob(interruptedJob(stopped.photoId, 'generating', request));
+
+  const resumed = await createBackground({ indexedDB: stopped.context.indexedDB });
+  const failed = await waitForJob(resumed.context, 'job_1_generating', 'failed');
+  assert.match(failed.error, /No clothing items/);
+  assert.deepEqual(resumed.context.chrome.notifications.shown.map(notification => notification.title), ['Try-on failed']);
+
+  const { context } = await createBackground({ indexedDB: stopped.context.indexedDB });
+  const [job] = (await context.sendMessage({ action: 'getTryOnJobs' })).jobs;
+  assert.equal(job.status, 'failed');
+  assert.match(job.error, /No clothing items/);
+  assert.equal(context.chrome.notifications.shown.length, 0);
+
+  const event = await subscribe(context, job.id);
+  assert.equal(event.type, 'failed');
+  assert.equal(event.response.success, false);
+});
@@ -0,0 +1,143 @@
+// Passphrase vault (lib/vault.js): encrypted API key and photos, unlock and idle lock
+
+'use strict';
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  createExtensionContext,
+  startMockGeminiServer,
+  mockProfileStorage,
+  TEST_API_KEY,
+  TINY_PNG_DATA_URL
+} = require('../harness');
+
+let server;
+
+before(async () => {
+  server = await startMockGeminiServer();
+});
+
+after(() => server.close());
+
+beforeEach(() => server.reset());
+
+async function createVaultContext() {
+  const context = createExtensionContext({ storage: mockProfileStorage(server) });
+  context.loadBackground();
+  const Vault = context.evaluate('Vault');
+  Vault.PBKDF2_ITERATIONS = 1000;
+  const storageManager = new (context.evaluate('StorageManager'))();
+  await storageManager.init();
+  const photoId = await storageManager.saveUserPhoto({ data: TINY_PNG_DATA_URL, filename: 'me.png', size: 70, type: 'image/png' });
+  return { context, Vault, storageManager, photoId };
+}
+
+function getImageRecord(storageManager, imageId) {
+  return new Promise((resolve, reject) => {
+    const request = storageManager.db.transaction(['images']).objectStore('images').get(imageId);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+test('the vault encrypts the API key and photos and locks on idle', async () => {
+  const { context, Vault, storageManager } = await createVaultContext();
+  await assert.rejects(storageManager.enableVault('short'), /at least 8 characters/);
+
+  await storageManager.enableVault('correct horse');
+  const stored = context.chrome.storage.local.dump();
+  assert.doesNotMatch(JSON.stringify(stored), new RegExp(TEST_API_KEY));
+  assert.equal(stored.vault.iterations, 1000);
+  assert.equal((await storageManager.getUserProfile()).apiKey, TEST_API_KEY);
+
+  const [photo] = await storageManager.getUserPhotos();
+  const record = await getImageRecord(storageManager, photo.data.imageId);
+  assert.equal(typeof record.iv, 'string');
+  assert.notEqual(Buffer.from(await record.blob.arrayBuffer()).toString('base64'), TINY_PNG_DATA_URL.split(',')[1]);
+  assert.equal(await storageManager.resolveImages(photo.data, 'dataUrl'), TINY_PNG_DATA_URL);
+
+  // Photos saved while the vault is on are encrypted too
+  const secondId = await storageManager.saveUserPhoto({ data: TINY_PNG_DATA_URL, filename: 'side.png', size: 70, type: 'image/png' });
+  const second = (await storageManager.getUserPhotos()).find(item => item.id === secondId);
+  assert.equal(typeof (await getImageRecord(storageManager, second.data.imageId)).iv, 'string');
+
+  // Going idle locks the vault: no key, no photos, and saving keeps the secrets
+  context.chrome.idle.setState('idle');
+  await new Promise(resolve => setTimeout(resolve, 0));
+  assert.deepEqual({ ...(await Vault.getStatus()) }, { enabled: true, unlocked: false });
+  assert.equal(context.chrome.idle.detectionInterval, 15 * 60);
+  const locked = await storageManager.getUserProfile();
+  assert.equal(locked.apiKey, '');
+  assert.equal(await storageManager.resolveImages(photo.data), null);
+  await storageManager.saveUserProfile({ ...locked, measurements: { chest: '96' } });
+
+  await assert.rejects(Vault.unlock('wrong passphrase'), /Wrong passphrase/);
+  await Vault.unlock('correct horse');
+  assert.equal((await storageManager.getUserProfile()).apiKey, TEST_API_KEY);
+
+  // Turning it off stores everything in the clear again
+  await storageManager.disableVault();
+  assert.equal(context.chrome.storage.local.dump().userProfile.apiKey, TEST_API_KEY);
+  assert.equal(context.chrome.storage.local.dump().vault, undefined);
+  assert.equal((await getImageRecord(storageManager, photo.data.imageId)).iv, undefined);
+  assert.equal(await storageManager.resolveImages(photo.data, 'dataUrl'), TINY_PNG_DATA_URL);
+});
+
+test('try-ons fail with a clear error while the vault is locked', async () => {
+  const { context, Vault, storageManager, photoId } = await createVaultContext();
+  await storageManager.enableVault('correct horse');
+  await Vault.lock();
+
+  const request = {
+    action: 'generateTryOn',
+    userPhotoId: photoId,
+    clothingItems: [{ category: 'tops', data: TINY_PNG_DATA_URL, url: 'https://shop.example/tee' }],
+    options: { skipSafetyValidation: true }
+  };
+  const locked = await context.sendMessage(request);
+  assert.equal(locked.success, false);
+  assert.match(locked.error, /vault is locked/);
+  assert.equal(server.requests.length, 0);
+
+  await Vault.unlock('correct horse');
+  const unlocked = await context.sendMessage(request);
+  assert.equal(unlocked.success, true);
+  assert.equal(server.requests[0].apiKey, TEST_API_KEY);
+});
+
+test('no plaintext copy of the photo or of images made from it is left with the vault on', async () => {
+  const { storageManager, photoId, context } = await createVaultContext();
+  const garment = `data:image/png;base64,${Buffer.from('garment image').toString('base64')}`;
+  const tryOn = options => context.sendMessage({
+    action: 'generateTryOn',
+    userPhotoId: photoId,
+    clothingItems: [{ category: 'tops', data: garment, url: 'https://shop.example/tee' }],
+    options: { skipSafetyValidation: true, ...options }
+  });
+
+  // One try-on before the vault is on, which enableVault has to seal, and one after
+  assert.equal((await tryOn()).success, true);
+  await storageManager.enableVault('correct horse');
+  const response = await tryOn({ style: 'formal' });
+  assert.equal(response.success, true);
+
+  // The mock photo and generated image are the same PNG; only the garment may stay readable
+  const photoBytes = Buffer.from(TINY_PNG_DATA_URL.split(',')[1], 'base64');
+  const images = await storageManager.getAllRecords('images');
+  for (const record of images.filter(image => !image.iv)) {
+    assert.ok(!Buffer.from(await record.blob.arrayBuffer()).equals(photoBytes), `image ${record.id} is a plaintext copy of the photo`);
+  }
+
+  const [result] = await storageManager.getTryOnResults(1);
+  const [cached] = await storageManager.getAllRecords('resultCache');
+  for (const reference of [result.originalImage, result.processedImage, cached.result.imageUrl]) {
+    assert.equal(typeof (await getImageRecord(storageManager, reference.imageId)).iv, 'string');
+  }
+  assert.equal(await storageManager.resolveImages(result.processedImage, 'dataUrl'), `data:image/jpeg;base64,${photoBytes.toString('base64')}`);
+
+  // Turning the vault off decrypts all of it again
+  await storageManager.disableVault();
+  assert.ok((await storageManager.getAllRecords('images')).every(record => !record.iv));
+});
@@ -0,0 +1,132 @@
+// Wardrobe: clothingItems store queries, tagging and re-trying saved items
+
+'use strict';
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  createExtensionContext,
+  startMockGeminiServer,
+  mockProfileStorage,
+  TINY_PNG_DATA_URL
+} = require('../harness');
+
+let server;
+
+before(async () => {
+  server = await startMockGeminiServer();
+});
+
+after(() => server.close());
+
+beforeEach(() => server.reset());
+
+async function createStorage(context = createExtensionContext()) {
+  const storageManager = new (context.evaluate('StorageManager'))();
+  await storageManager.init();
+  return storageManager;
+}
+
+function loadStorageContext() {
+  const context = createExtensionContext();
+  context.loadScript('lib/storage-manager.js');
+  return context;
+}
+
+test('opening a v1 database adds the wardrobe indexes and keeps items', async () => {
+  const context = loadStorageContext();
+
+  // Version 1 layout, as shipped before the wardrobe
+  await new Promise((resolve, reject) => {
+    const request = context.indexedDB.open('VirtualTryOnDB', 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore('userPhotos', { keyPath: 'id', autoIncrement: true }).createIndex('timestamp', 'timestamp', { unique: false });
+      request.result.createObjectStore('tryOnResults', { keyPath: 'id', autoIncrement: true }).createIndex('timestamp', 'timestamp', { unique: false });
+      const store = request.result.createObjectStore('clothingItems', { keyPath: 'id', autoIncrement: true });
+      store.createIndex('source', 'source', { unique: false });
+      store.createIndex('category', 'category', { unique: false });
+      store.add({ image: TINY_PNG_DATA_URL, category: 'tops', source: 'old-shop', timestamp: 1 });
+    };
+    request.onsuccess = () => {
+      request.result.close();
+      resolve();
+    };
+    request.onerror = () => reject(request.error);
+  });
+
+  const storageManager = await createStorage(context);
+  const indexes = [...storageManager.db.transaction('clothingItems').objectStore('clothingItems').indexNames];
+  assert.deepEqual(indexes, ['category', 'source', 'status', 'timestamp']);
+
+  const items = await storageManager.searchClothingItems();
+  assert.equal(items.length, 1);
+  assert.equal(items[0].source, 'old-shop');
+});
+
+test('searchClothingItems filters by text, category and status', async () => {
+  const storageManager = await createStorage(loadStorageContext());
+
+  const shirtId = await storageManager.saveClothingItem({
+    image: TINY_PNG_DATA_URL,
+    category: 'tops',
+    title: 'Linen Shirt',
+    product: { name: 'Linen Shirt', brand: 'Acme' },
+    metadata: { color: 'navy' }
+  });
+  await storageManager.saveClothingItem({ image: TINY_PNG_DATA_URL, category: 'bottoms', title: 'Jeans', status: 'wishlist' });
+  // Unknown statuses are stored as null, which keeps the item out of the status index
+  await storageManager.saveClothingItem({ image: TINY_PNG_DATA_URL, category: 'tops', title: 'Tank Top', status: 'unknown' });
+
+  const titles = items => Array.from(items, item => item.title);
+
+  assert.deepEqual(titles(await storageManager.searchClothingItems({ query: 'acme navy' })), ['Linen Shirt']);
+  assert.deepEqual(titles(await storageManager.searchClothingItems({ category: 'tops' })).sort(), ['Linen Shirt', 'Tank Top']);
+  assert.deepEqual(titles(await storageManager.searchClothingItems({ status: 'wishlist' })), ['Jeans']);
+
+  await storageManager.updateClothingItem(shirtId, { status: 'owned' });
+  assert.deepEqual(titles(await storageManager.searchClothingItems({ status: 'owned' })), ['Linen Shirt']);
+
+  await assert.rejects(storageManager.updateClothingItem(shirtId, { status: 'borrowed' }), /Unknown wardrobe status/);
+
+  await storageManager.deleteClothingItem(shirtId);
+  assert.equal(await storageManager.getClothingItem(shirtId), null);
+});
+
+test('try-ons save wardrobe items once and count re-tries', async () => {
+  const context = createExtensionContext({ storage: mockProfileStorage(server) });
+  context.loadBackground();
+  const storageManager = await createStorage(context);
+  const photoId = await storageManager.saveUserPhoto({ data: TINY_PNG_DATA_URL, filename: 'me.png', size: 68, type: 'image/png' });
+
+  const first = await context.sendMessage({
+    action: 'generateTryOn',
+    userPhotoId: photoId,
+    clothingItems: [{ category: 'tops', type: 't-shirt', data: TINY_PNG_DATA_URL, url: 'https://shop.example/tee' }],
+    options: { skipSafetyValidation: true }
+  });
+  assert.equal(first.success, true);
+
+  const [item] = await storageManager.getClothingItems();
+  assert.equal(item.tryOnCount, 1);
+  assert.ok(item.thumbnail);
+  assert.equal(item.status, null);
+
+  // Re-try from the wardrobe page reuses the stored record
+  const retry = await context.sendMessage({
+    action: 'generateTryOn',
+    userPhotoId: photoId,
+    clothingItems: [{ clothingItemId: item.id, category: item.category, data: item.image, source: 'wardrobe' }],
+    options: { source: 'wardrobe', skipSafetyValidation: true }
+  });
+  assert.equal(retry.success, true);
+
+  const items = await storageManager.getClothingItems();
+  assert.equal(items.length, 1);
+  assert.equal(items[0].tryOnCount, 2);
+  assert.ok(items[0].lastTriedAt >= item.lastTriedAt);
+
+  const results = await storageManager.getTryOnResults();
+  assert.equal(results.length, 2);
+  assert.ok(results.every(result => result.clothingItem.clothingItemId === item.id));
+});
@@ -0,0 +1,293 @@
+// Wardrobe page script for AI Virtual Try-On extension
+// Browses the clothingItems store: search, category and owned/wishlist
+// filters, tagging, deleting and re-trying an item on another profile photo.
+
+class VirtualTryOnWardrobe {
+  constructor() {
+    this.items = [];
+    this.thumbnails = new Map(); // item id -> object URL
+    this.photos = [];
+    this.filters = { query: '', category: '', status: '' };
+    this.retryItem = null;
+    this.searchTimer = null;
+    this.init();
+  }
+
+  async init() {
+    // Wait for storage manager to be ready
+    try {
+      await window.storageManagerReady;
+    } catch (error) {
+      console.error('Storage manager failed to initialize:', error);
+      this.showSummary(`Could not open the wardrobe database: ${error.message}`);
+      return;
+    }
+
+    this.setupEventListeners();
+    await this.loadPhotos();
+    await this.loadItems();
+  }
+
+  setupEventListeners() {
+    document.getElementById('search-input').addEventListener('input', (event) => {
+      clearTimeout(this.searchTimer);
+      this.searchTimer = setTimeout(() => {
+        this.filters.query = event.target.value.trim();
+        this.loadItems();
+      }, 200);
+    });
+
+    document.getElementById('category-filter').addEventListener('change', (event) => {
+      this.filters.category = event.target.value;
+      this.loadItems();
+    });
+
+    document.getElementById('status-tabs').addEventListener('click', (event) => {
+      const tab = event.target.closest('.status-tab');
+      if (!tab) return;
+
+      document.querySelectorAll('.status-tab').forEach(button => button.classList.toggle('active', button === tab));
+      this.filters.status = tab.dataset.status;
+      this.loadItems();
+    });
+
+    // Card buttons (event delegation)
+    document.getElementById('wardrobe-grid').addEventListener('click', (event) => {
+      const button = event.target.closest('[data-action]');
+      if (!button) return;
+
+      const itemId = Number(button.closest('.wardrobe-item').dataset.id);
+      switch (button.dataset.action) {
+        case 'owned':
+        case 'wishlist':
+          this.toggleStatus(itemId, button.dataset.action);
+          break;
+        case 'retry':
+          this.showPhotoChooser(itemId);
+          break;
+        case 'delete':
+          this.deleteItem(itemId);
+          break;
+      }
+    });
+
+    document.getElementById('photo-choices').addEventListener('click', (event) => {
+      const choice = event.target.closest('.photo-choice');
+      if (choice) {
+        this.retryOnPhoto(Number(choice.dataset.id));
+      }
+    });
+
+    document.getElementById('close-photo-modal-btn').addEventListener('click', () => {
+      this.hidePhotoChooser();
+    });
+  }
+
+  async loadPhotos() {
+    try {
+      this.photos = await window.storageManager.resolveImages(await window.storageManager.getUserPhotos(), 'objectUrl');
+    } catch (error) {
+      console.error('Failed to load profile photos:', error);
+      this.photos = [];
+    }
+  }
+
+  async loadItems() {
+    try {
+      this.items = await window.storageManager.searchClothingItems({
+        query: this.filters.query,
+        category: this.filters.category || null,
+        status: this.filters.status || null,
+        limit: 500
+      });
+      // Items keep their image references, which a re-try sends on as they are
+      const thumbnails = await window.storageManager.resolveImages(this.items.map(item => item.thumbnail || item.image), 'objectUrl');
+      this.thumbnails = new Map(this.items.map((item, index) => [item.id, thumbnails[index]]));
+      this.renderItems();
+    } catch (error) {
+      console.error('Failed to load wardrobe:', error);
+      this.showSummary('Failed to load wardrobe items');
+    }
+  }
+
+  renderItems() {
+    const grid = document.getElementById('wardrobe-grid');
+    const emptyState = document.getElementById('empty-state');
+
+    grid.innerHTML = this.items.map(item => this.renderItem(item)).join('');
+    emptyState.classList.toggle('hidden', this.items.length > 0);
+
+    const owned = this.items.filter(item => item.status === 'owned').length;
+    const wishlist = this.items.filter(item => item.status === 'wishlist').length;
+    this.showSummary(`${this.items.length} item(s) · ${owned} owned · ${wishlist} on wishlist`);
+  }
+
+  renderItem(item) {
+    const product = item.product || {};
+    const title = product.name || item.title || item.metadata?.type || 'Clothing Item';
+    const details = [
+      product.brand,
+      product.price != null ? `${product.price}${product.currency ? ' ' + product.currency : ''}` : null,
+      item.metadata?.color
+    ].filter(Boolean).join(' · ');
+    const link = product.canonicalUrl || item.url;
+    const image = this.thumbnails.get(item.id);
+    const tried = item.tryOnCount ? `Tried on ${item.tryOnCount}×` : 'Not tried on yet';
+
+    return `
+      <div class="wardrobe-item" data-id="${item.id}">
+        <div class="item-image">
+          ${image ? `<img src="${this.escapeHtml(image)}" alt="${this.escapeHtml(title)}">` : '<span>No image</span>'}
+          <span class="item-category">${this.escapeHtml(item.category || 'clothing')}</span>
+        </div>
+        <div class="item-info">
+          <h3 title="${this.escapeHtml(title)}">${this.escapeHtml(title)}</h3>
+          ${details ? `<p class="item-details">${this.escapeHtml(details)}</p>` : ''}
+          <p class="item-meta">${tried} · saved ${new Date(item.timestamp).toLocaleDateString()}</p>
+          ${link && this.isWebUrl(link) ? `<a class="item-link" href="${this.escapeHtml(link)}" target="_blank" rel="noopener">View product</a>` : ''}
+          ${link && !this.isWebUrl(link) ? `<p class="item-link">${this.escapeHtml(link)}</p>` : ''}
+        </div>
+        <div class="item-actions">
+          <button class="tag-btn${item.status === 'owned' ? ' active' : ''}" data-action="owned">Owned</button>
+          <button class="tag-btn${item.status === 'wishlist' ? ' active' : ''}" data-action="wishlist">Wishlist</button>
+          <button class="btn primary" data-action="retry">Try On</button>
+          <button class="btn danger" data-action="delete" title="Remove from wardrobe">&times;</button>
+        </div>
+      </div>
+    `;
+  }
+
+  // Clicking the active tag clears it
+  async toggleStatus(itemId, status) {
+    const item = this.items.find(entry => entry.id === itemId);
+    if (!item) return;
+
+    try {
+      await window.storageManager.updateClothingItem(itemId, {
+        status: item.status === status ? null : status
+      });
+      await this.loadItems();
+    } catch (error) {
+      console.error('Failed to tag wardrobe item:', error);
+      alert('Failed to update item: ' + error.message);
+    }
+  }
+
+  async deleteItem(itemId) {
+    if (!confirm('Remove this item from your wardrobe?')) {
+      return;
+    }
+
+    try {
+      await window.storageManager.deleteClothingItem(itemId);
+      await this.loadItems();
+    } catch (error) {
+      console.error('Failed to delete wardrobe item:', error);
+      alert('Failed to delete item: ' + error.message);
+    }
+  }
+
+  showPhotoChooser(itemId) {
+    this.retryItem = this.items.find(item => item.id === itemId) || null;
+    if (!this.retryItem) return;
+
+    const choices = document.getElementById('photo-choices');
+    choices.innerHTML = this.photos.length > 0
+      ? this.photos.map(photo => `
+          <button class="photo-choice" data-id="${photo.id}" title="${this.escapeHtml(photo.filename || 'Profile photo')}">
+            <img src="${this.escapeHtml(photo.data)}" alt="Profile photo">
+          </button>
+        `).join('')
+      : '<p class="empty-photos">Add profile photos in Settings to try items on.</p>';
+
+    document.getElementById('photo-modal-title').textContent =
+      `Try on "${this.retryItem.product?.name || this.retryItem.title}" with...`;
+    this.setTryOnStatus(null);
+    document.getElementById('photo-modal').classList.remove('hidden');
+  }
+
+  hidePhotoChooser() {
+    this.retryItem = null;
+    document.getElementById('photo-modal').classList.add('hidden');
+  }
+
+  // Re-try a wardrobe item on the chosen photo; the background reuses the stored record
+  async retryOnPhoto(photoId) {
+    const item = this.retryItem;
+    if (!item) return;
+
+    this.setTryOnStatus('Generating try-on...');
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'generateTryOn',
+        userPhotoId: photoId,
+        clothingItems: [{
+          clothingItemId: item.id,
+          data: item.image,
+          category: item.category,
+          type: item.metadata?.type,
+          color: item.metadata?.color,
+          title: item.title,
+          product: item.product,
+          url: item.url,
+          source: 'wardrobe'
+        }],
+        options: { source: 'wardrobe' }
+      });
+
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'Try-on generation failed');
+      }
+
+      const size = response.tryOnData.sizeRecommendation;
+      this.setTryOnStatus(`
+        ${response.tryOnData.thumbnail ? `<img src="${this.escapeHtml(response.tryOnData.thumbnail)}" alt="Try-on result">` : ''}
+        <p>${this.escapeHtml(response.message)}</p>
+        ${size ? `<p>📏 ${this.escapeHtml(SizeRecommender.describe(size))}</p>` : ''}
+      `, true);
+      await this.loadItems();
+    } catch (error) {
+      console.error('Wardrobe try-on failed:', error);
+      this.setTryOnStatus(`Try-on failed: ${this.escapeHtml(error.message)}`, true);
+    }
+  }
+
+  setTryOnStatus(html, isHtml = false) {
+    const status = document.getElementById('tryon-status');
+    status.classList.toggle('hidden', !html);
+    if (isHtml) {
+      status.innerHTML = html;
+    } else {
+      status.textContent = html || '';
+    }
+  }
+
+  showSummary(text) {
+    document.getElementById('wardrobe-summary').textContent = text;
+  }
+
+  // Page-derived links are only clickable for http(s); anything else
+  // (javascript:, data:) is shown as text
+  isWebUrl(url) {
+    try {
+      return ['http:', 'https:'].includes(new URL(url).protocol);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  escapeHtml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+}
+
+// Initialize wardrobe page when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  new VirtualTryOnWardrobe();
+});